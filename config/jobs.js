@@ -0,0 +1,42 @@
+const jobQueue = require("../services/job-queue.service");
+const notificationService = require("../services/notification.service");
+const campaignService = require("../services/campaign.service");
+const orderExpiryService = require("../services/order-expiry.service");
+const EmailCampaign = require("../models/email-campaign.model");
+
+// Background job handlers. Jobs are stored in MongoDB and drained by the
+// job-queue scheduled task (see config/scheduler.js).
+jobQueue.define(
+  "notification.deliver",
+  (payload, job) => notificationService.deliver(payload, job),
+  { concurrency: 3, maxAttempts: 4, backoffMs: 60 * 1000 }
+);
+
+jobQueue.define(
+  "campaign.dispatch",
+  (payload) => campaignService.dispatch(payload),
+  {
+    maxAttempts: 3,
+    onDead: ({ campaignId }) =>
+      EmailCampaign.updateOne({ _id: campaignId, status: "sending" }, { $set: { status: "failed" } }),
+  }
+);
+
+jobQueue.define(
+  "campaign.email",
+  (payload) => campaignService.sendToRecipient(payload),
+  {
+    concurrency: 5,
+    maxAttempts: 3,
+    backoffMs: 60 * 1000,
+    onDead: (payload, job, error) => campaignService.recordBounce(payload, job, error),
+  }
+);
+
+jobQueue.define(
+  "order.expire",
+  (payload) => orderExpiryService.expire(payload),
+  { maxAttempts: 5, backoffMs: 60 * 1000 }
+);
+
+module.exports = jobQueue;
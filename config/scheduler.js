@@ -0,0 +1,23 @@
+const scheduler = require("../services/scheduler.service");
+const stockAlertService = require("../services/stock-alert.service");
+const campaignService = require("../services/campaign.service");
+const orderExpiryService = require("../services/order-expiry.service");
+const jobQueue = require("./jobs");
+
+// Background tasks. Long-running servers tick them on these intervals;
+// serverless deployments hit /api/cron/:task on a schedule instead.
+scheduler.register("inventory-digest", 15 * 60 * 1000, (now) =>
+  stockAlertService.sendDailyDigests(now)
+);
+
+scheduler.register("campaign-scheduler", 60 * 1000, (now) =>
+  campaignService.sendDueCampaigns(now)
+);
+
+scheduler.register("order-expiry", 5 * 60 * 1000, (now) =>
+  orderExpiryService.sweep(now)
+);
+
+scheduler.register("job-queue", 5 * 1000, () => jobQueue.work());
+
+module.exports = scheduler;
@@ -2,8 +2,9 @@ const Booking = require('../models/booking.model');
 const BookingSlot = require('../models/booking-slot.model');
 const Customer = require('../models/customer.model');
 const Store = require('../models/store.model');
-const { AppError } = require('../utils/errors');
-const { sendBookingConfirmation, sendBookingStatusUpdate } = require('../services/email.service');
+const { AppError } = require('../middleware/error.middleware');
+const notificationService = require('../services/notification.service');
+const discountService = require('../services/discount.service');
 
 // Helper to get store from headers (for public bookings)
 const getStoreFromHeaders = async (req) => {
@@ -107,8 +108,20 @@ exports.createBooking = async (req, res, next) => {
 
     // Calculate pricing
     const calculatedSubtotal = subtotal || slot.price;
-    const calculatedDiscount = discount?.appliedAmount || 0;
-    const calculatedTotal = total || (calculatedSubtotal - calculatedDiscount);
+
+    // Discount codes are checked and priced on the server; bookings have no product lines,
+    // so codes restricted to products or categories never apply here
+    let discountEvaluation = null;
+    if (discount?.code) {
+      discountEvaluation = await discountService.evaluate({
+        store,
+        code: discount.code,
+        lines: [{ product: null, category: null, totalPrice: calculatedSubtotal }],
+        customerEmail: customer.email,
+      });
+    }
+    const calculatedDiscount = discountEvaluation ? discountEvaluation.appliedAmount : 0;
+    const calculatedTotal = Math.max(calculatedSubtotal - calculatedDiscount, 0);
 
     // Handle customer
     let existingCustomer = await Customer.findOne({
@@ -196,8 +209,12 @@ exports.createBooking = async (req, res, next) => {
       proofOfPaymentUrl = result.url;
     }
 
+    if (discountEvaluation) {
+      await discountService.redeem(discountEvaluation.discount);
+    }
+
     // Create booking
-    const booking = await Booking.create({
+    const booking = new Booking({
       storeId,
       slot: {
         slotId: slot._id,
@@ -225,7 +242,7 @@ exports.createBooking = async (req, res, next) => {
         total: calculatedTotal,
         currency: store.currency || 'NGN',
       },
-      discount: discount || null,
+      discount: discountEvaluation ? discountService.toOrderDiscount(discountEvaluation) : null,
       status: 'pending',
       payment: {
         method: payment?.method || 'bank_transfer',
@@ -241,12 +258,22 @@ exports.createBooking = async (req, res, next) => {
       source,
     });
 
-    // Send confirmation emails
+    // A booking that cannot be saved gives its discount redemption back
     try {
-      await sendBookingConfirmation(booking, store);
-    } catch (emailError) {
-      console.error('Error sending booking confirmation emails:', emailError);
-      // Don't fail the booking creation if email fails
+      await booking.save();
+    } catch (saveError) {
+      if (discountEvaluation) {
+        await discountService.release(discountEvaluation.discount);
+      }
+      throw saveError;
+    }
+
+    // Send confirmation to the customer and store owner
+    try {
+      await notificationService.notify('bookingCreated', { store, booking });
+    } catch (notifError) {
+      console.error('Error sending booking confirmation notifications:', notifError);
+      // Don't fail the booking creation if notifications fail
     }
 
     res.status(201).json({
@@ -366,9 +393,13 @@ exports.updateBookingStatus = async (req, res, next) => {
     if (notifyCustomer) {
       try {
         const store = await Store.findById(req.store._id);
-        await sendBookingStatusUpdate(booking, store, oldStatus);
-      } catch (emailError) {
-        console.error('Error sending booking status update email:', emailError);
+        await notificationService.notify(notificationService.bookingStatusEvent(booking.status), {
+          store,
+          booking,
+          extra: { oldStatus },
+        });
+      } catch (notifError) {
+        console.error('Error sending booking status update notifications:', notifError);
       }
     }
 
@@ -378,6 +409,11 @@ exports.updateBookingStatus = async (req, res, next) => {
   }
 };
 
+// Booking status graph, so the dashboard only offers valid status changes
+exports.getStatusTransitions = async (req, res) => {
+  res.json({ transitions: Booking.statusMachine });
+};
+
 exports.updateBookingPayment = async (req, res, next) => {
   try {
     const { status, transactionId, note } = req.body;
@@ -428,7 +464,7 @@ exports.cancelBooking = async (req, res, next) => {
     }
 
     if (!booking.canBeCancelled()) {
-      throw new AppError('Booking cannot be cancelled', 400);
+      throw Booking.statusMachine.transitionError(booking.status, 'cancelled');
     }
 
     const oldStatus = booking.status;
@@ -438,9 +474,13 @@ exports.cancelBooking = async (req, res, next) => {
     if (notifyCustomer) {
       try {
         const store = await Store.findById(req.store._id);
-        await sendBookingStatusUpdate(booking, store, oldStatus);
-      } catch (emailError) {
-        console.error('Error sending booking cancellation email:', emailError);
+        await notificationService.notify(notificationService.bookingStatusEvent(booking.status), {
+          store,
+          booking,
+          extra: { oldStatus },
+        });
+      } catch (notifError) {
+        console.error('Error sending booking cancellation notifications:', notifError);
       }
     }
 
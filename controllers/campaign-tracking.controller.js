@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const campaignService = require('../services/campaign.service');
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const isSigned = (req, action, value) =>
+  mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+  && campaignService.verify(req.params.deliveryId, action, req.query.sig, value);
+
+const escapeHtml = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const renderPage = (title, message, content = '') => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+  <body style="font-family:Arial,sans-serif;text-align:center;padding:48px 16px;color:#333;">
+    <h2>${title}</h2>
+    <p>${message}</p>${content}
+  </body>
+</html>`;
+
+const unsubscribedPage = (delivery, sender) => renderPage(
+  'You have been unsubscribed',
+  `${escapeHtml(delivery.email)} will no longer receive marketing emails from ${escapeHtml(sender)}.`
+);
+
+// Open pixel - always answers with the image so mail clients never show a broken one
+exports.trackOpen = async (req, res) => {
+  if (isSigned(req, 'open')) {
+    try {
+      await campaignService.recordOpen(req.params.deliveryId);
+    } catch (error) {
+      console.error('Failed to record campaign open:', error);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+  });
+  res.send(PIXEL);
+};
+
+// Tracked link - records the click, then redirects to the original URL
+exports.trackClick = async (req, res) => {
+  const { url } = req.query;
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !isSigned(req, 'click', url)) {
+    return res.status(400).send(renderPage('Link not valid', 'This link is broken or has expired.'));
+  }
+
+  try {
+    await campaignService.recordClick(req.params.deliveryId, url);
+  } catch (error) {
+    console.error('Failed to record campaign click:', error);
+  }
+
+  res.redirect(302, url);
+};
+
+// Unsubscribe link - only asks to confirm, so mail scanners and link prefetchers
+// opening it never unsubscribe anyone
+exports.confirmUnsubscribe = async (req, res, next) => {
+  try {
+    if (!isSigned(req, 'unsubscribe')) {
+      return res.status(400).send(renderPage('Link not valid', 'This unsubscribe link is broken or has expired.'));
+    }
+
+    const delivery = await campaignService.findDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).send(renderPage('Link not valid', 'We could not find this subscription.'));
+    }
+
+    const sender = await campaignService.getSenderName(delivery);
+    if (delivery.unsubscribedAt) {
+      return res.send(unsubscribedPage(delivery, sender));
+    }
+
+    const action = `${req.baseUrl}${req.path}?sig=${encodeURIComponent(req.query.sig)}`;
+    const form = `
+    <form method="POST" action="${escapeHtml(action)}">
+      <button type="submit" style="padding:10px 16px;background-color:#111827;color:#ffffff;border:none;border-radius:4px;font-weight:600;font-size:14px;cursor:pointer;">Unsubscribe</button>
+    </form>`;
+
+    res.send(renderPage('Unsubscribe', `Stop sending marketing emails from ${escapeHtml(sender)} to ${escapeHtml(delivery.email)}?`, form));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The confirmation page's form, and mail-client one-click unsubscribe (RFC 8058)
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+
+    if (!isSigned(req, 'unsubscribe')) {
+      return res.status(400).send(renderPage('Link not valid', 'This unsubscribe link is broken or has expired.'));
+    }
+
+    const delivery = await campaignService.unsubscribe(req.params.deliveryId, oneClick ? 'one_click' : 'link');
+    if (!delivery) {
+      return res.status(404).send(renderPage('Link not valid', 'We could not find this subscription.'));
+    }
+
+    if (oneClick) {
+      return res.sendStatus(200);
+    }
+
+    res.send(unsubscribedPage(delivery, await campaignService.getSenderName(delivery)));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,23 @@
+const scheduler = require('../config/scheduler');
+const { AppError } = require('../middleware/error.middleware');
+
+// Run a scheduled task on demand; used by hosted cron triggers
+exports.runTask = async (req, res, next) => {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      throw new AppError('Not authorized to run scheduled tasks', 401);
+    }
+
+    const { task } = req.params;
+    if (!scheduler.has(task)) {
+      throw new AppError('Scheduled task not found', 404);
+    }
+
+    const result = await scheduler.run(task);
+
+    res.json({ task, result });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,228 @@
+const Discount = require('../models/discount.model');
+const Store = require('../models/store.model');
+const discountService = require('../services/discount.service');
+const pricingService = require('../services/pricing.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+const DISCOUNT_STATUSES = ['active', 'inactive', 'expired'];
+
+// Pick and normalise the editable discount fields from a request body
+const buildDiscountData = (body) => {
+  const data = {};
+
+  if (body.code !== undefined) data.code = String(body.code).trim().toUpperCase();
+  if (body.description !== undefined) data.description = body.description;
+  if (body.type !== undefined) data.type = body.type;
+  if (body.value !== undefined) data.value = body.value === null ? null : Number(body.value);
+  if (body.minimumPurchase !== undefined) data.minimumPurchase = Number(body.minimumPurchase) || 0;
+  if (body.startDate !== undefined) data.startDate = body.startDate ? new Date(body.startDate) : null;
+  if (body.endDate !== undefined) data.endDate = body.endDate ? new Date(body.endDate) : null;
+  if (body.status !== undefined) data.status = body.status;
+
+  if (body.usageLimit !== undefined) {
+    data.usageLimit = {
+      perCustomer: body.usageLimit?.perCustomer ? parseInt(body.usageLimit.perCustomer) : null,
+      total: body.usageLimit?.total ? parseInt(body.usageLimit.total) : null,
+    };
+  }
+
+  if (body.conditions !== undefined) {
+    data.conditions = {
+      products: body.conditions?.products || [],
+      categories: (body.conditions?.categories || []).map(String),
+      customerTags: body.conditions?.customerTags || [],
+    };
+  }
+
+  return data;
+};
+
+const validateDiscountData = (discount) => {
+  if (!discount.code) {
+    throw new ValidationError('Discount code is required');
+  }
+  if (!DISCOUNT_TYPES.includes(discount.type)) {
+    throw new ValidationError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  if (discount.type !== 'free_shipping' && (!(discount.value > 0) || isNaN(discount.value))) {
+    throw new ValidationError('Discount value must be greater than zero');
+  }
+  if (discount.type === 'percentage' && discount.value > 100) {
+    throw new ValidationError('Percentage discounts cannot exceed 100');
+  }
+  if (discount.status && !DISCOUNT_STATUSES.includes(discount.status)) {
+    throw new ValidationError(`Discount status must be one of: ${DISCOUNT_STATUSES.join(', ')}`);
+  }
+  if (discount.startDate && discount.endDate && discount.startDate > discount.endDate) {
+    throw new ValidationError('Discount end date must be after the start date');
+  }
+};
+
+exports.getDiscounts = async (req, res, next) => {
+  try {
+    const { search, status, page = 1, limit = 20 } = req.query;
+
+    const query = { businessId: req.store._id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [discounts, total] = await Promise.all([
+      Discount.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Discount.countDocuments(query),
+    ]);
+
+    res.json({
+      discounts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.findOne({
+      _id: req.params.discountId,
+      businessId: req.store._id,
+    }).populate('conditions.products', 'name images');
+
+    if (!discount) {
+      throw new AppError('Discount not found', 404);
+    }
+
+    res.json(discount);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createDiscount = async (req, res, next) => {
+  try {
+    const data = buildDiscountData(req.body);
+    validateDiscountData(data);
+
+    const existing = await Discount.findOne({ businessId: req.store._id, code: data.code });
+    if (existing) {
+      throw new ValidationError('A discount with this code already exists');
+    }
+
+    const discount = await Discount.create({
+      ...data,
+      businessId: req.store._id,
+    });
+
+    res.status(201).json(discount);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.findOne({
+      _id: req.params.discountId,
+      businessId: req.store._id,
+    });
+
+    if (!discount) {
+      throw new AppError('Discount not found', 404);
+    }
+
+    const data = buildDiscountData(req.body);
+
+    if (data.code && data.code !== discount.code) {
+      const existing = await Discount.findOne({ businessId: req.store._id, code: data.code });
+      if (existing) {
+        throw new ValidationError('A discount with this code already exists');
+      }
+    }
+
+    discount.set(data);
+    validateDiscountData(discount);
+
+    await discount.save();
+    res.json(discount);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteDiscount = async (req, res, next) => {
+  try {
+    const discount = await Discount.findOneAndDelete({
+      _id: req.params.discountId,
+      businessId: req.store._id,
+    });
+
+    if (!discount) {
+      throw new AppError('Discount not found', 404);
+    }
+
+    res.json({ message: 'Discount deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public: check a discount code against the storefront cart
+exports.validateDiscountCode = async (req, res, next) => {
+  try {
+    const { url } = req.params;
+    const { code, items = [], customer, shippingCost = 0 } = req.body;
+
+    if (!code) {
+      throw new ValidationError('Discount code is required');
+    }
+
+    const store = await Store.findOne({ url });
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    // Price the cart from the catalog so the amount matches what checkout will charge
+    const lines = pricingService.toDiscountLines(await pricingService.priceItems(store, items));
+
+    const evaluation = await discountService.evaluate({
+      store,
+      code,
+      lines,
+      shippingCost: Number(shippingCost) || 0,
+      customerEmail: customer?.email,
+    });
+
+    res.json({
+      valid: true,
+      discount: {
+        code: evaluation.discount.code,
+        type: evaluation.discount.type,
+        value: evaluation.discount.value,
+        description: evaluation.discount.description,
+      },
+      subtotal: evaluation.subtotal,
+      eligibleSubtotal: evaluation.eligibleSubtotal,
+      appliedAmount: evaluation.appliedAmount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const draftOrderService = require('../services/draft-order.service');
+const { AppError } = require('../middleware/error.middleware');
+
+const findStoreDraft = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+    throw new AppError('Draft order not found', 404);
+  }
+
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    businessId: req.store.owner,
+    storeId: req.store._id,
+  });
+  if (!order) {
+    throw new AppError('Draft order not found', 404);
+  }
+
+  return order;
+};
+
+// Build a draft order with catalog or custom items; stock is taken once it is paid
+exports.createDraftOrder = async (req, res, next) => {
+  try {
+    const { send = false, message, ...input } = req.body;
+
+    const order = await draftOrderService.create(req.store, input, req.user);
+    const invoiceUrl = send
+      ? await draftOrderService.send(req.store, order, { message, user: req.user })
+      : undefined;
+
+    res.status(201).json({
+      success: true,
+      order,
+      invoiceUrl,
+      message: send ? `Draft #${order.orderNumber} created and sent` : `Draft #${order.orderNumber} created`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateDraftOrder = async (req, res, next) => {
+  try {
+    const order = await findStoreDraft(req);
+    await draftOrderService.update(req.store, order, req.body, req.user);
+
+    res.json({
+      success: true,
+      order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email the customer the link to review and pay the draft
+exports.sendDraftOrder = async (req, res, next) => {
+  try {
+    const order = await findStoreDraft(req);
+    const invoiceUrl = await draftOrderService.send(req.store, order, { message: req.body.message, user: req.user });
+
+    res.json({
+      success: true,
+      order,
+      invoiceUrl,
+      message: `Invoice sent to ${order.customer.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record a payment taken outside the gateway and turn the draft into an order
+exports.completeDraftOrder = async (req, res, next) => {
+  try {
+    const { method, reference, note } = req.body;
+    const order = await findStoreDraft(req);
+
+    await draftOrderService.complete(req.store, order, { method, reference, note, user: req.user });
+
+    res.json({
+      success: true,
+      order,
+      message: `Draft converted to order #${order.orderNumber}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
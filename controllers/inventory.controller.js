@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv/sync');
+const Product = require('../models/product.model');
+const InventoryMovement = require('../models/inventory-movement.model');
+const inventoryService = require('../services/inventory.service');
+const stockAlertService = require('../services/stock-alert.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const findStoreProduct = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const product = await Product.findOne({
+    _id: req.params.productId,
+    businessId: req.store._id,
+  });
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  return product;
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${label} date`);
+  }
+  return date;
+};
+
+// Stock movement history for a product, optionally narrowed to one variant
+exports.getInventoryHistory = async (req, res, next) => {
+  try {
+    const { variantId, type, from, to, page = 1, limit = 50 } = req.query;
+    const product = await findStoreProduct(req);
+
+    const query = { businessId: req.store._id, product: product._id };
+
+    if (variantId) {
+      if (!product.variants.id(variantId)) {
+        throw new AppError('Variant not found', 404);
+      }
+      query.variant = variantId;
+    }
+
+    if (type) {
+      if (!InventoryMovement.TYPES.includes(type)) {
+        throw new ValidationError(`Movement type must be one of: ${InventoryMovement.TYPES.join(', ')}`);
+      }
+      query.type = type;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = parseDate(from, 'from');
+      if (to) query.createdAt.$lte = parseDate(to, 'to');
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber status')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      InventoryMovement.countDocuments(query),
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Compare each variant's ledger balance as of a date with its current stock
+exports.reconcileInventory = async (req, res, next) => {
+  try {
+    const { asOf, variantId } = req.query;
+    const product = await findStoreProduct(req);
+
+    if (variantId && !product.variants.id(variantId)) {
+      throw new AppError('Variant not found', 404);
+    }
+
+    const asOfDate = asOf ? parseDate(asOf, 'asOf') : new Date();
+    const variants = await inventoryService.reconcile(product, asOfDate, variantId);
+
+    res.json({
+      productId: product._id,
+      name: product.name,
+      asOf: asOfDate,
+      variants,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bulk stock update by variant SKU, from a CSV upload (sku,quantity) or a JSON items array
+exports.importInventory = async (req, res, next) => {
+  try {
+    const mode = req.body.mode || 'set';
+    if (!['set', 'add'].includes(mode)) {
+      throw new ValidationError('Import mode must be either set or add');
+    }
+
+    let rows = req.body.items;
+    if (req.file) {
+      try {
+        rows = parse(req.file.buffer.toString('utf8'), {
+          columns: header => header.map(column => column.trim().toLowerCase()),
+          skip_empty_lines: true,
+          trim: true,
+        });
+      } catch (parseError) {
+        throw new ValidationError(`Could not read CSV file: ${parseError.message}`);
+      }
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('No inventory rows to import');
+    }
+
+    const results = [];
+
+    for (const row of rows) {
+      const sku = row.sku ? String(row.sku).trim() : '';
+      const quantity = parseInt(row.quantity);
+
+      if (!sku || isNaN(quantity) || (mode === 'set' && quantity < 0)) {
+        results.push({ sku, status: 'error', message: 'A SKU and a valid quantity are required' });
+        continue;
+      }
+
+      try {
+        const product = await Product.findOne({ businessId: req.store._id, 'variants.sku': sku });
+        const variant = product?.variants.find(v => v.sku === sku);
+        if (!variant) {
+          throw new AppError(`No variant with SKU ${sku}`, 404);
+        }
+
+        const balance = mode === 'set'
+          ? await inventoryService.setStock({
+            productId: product._id,
+            variantId: variant._id,
+            inventory: quantity,
+            type: 'import',
+            user: req.user._id,
+            note: row.note,
+          })
+          : await inventoryService.adjustStock({
+            productId: product._id,
+            variantId: variant._id,
+            quantity,
+            type: 'import',
+            user: req.user._id,
+            note: row.note,
+          });
+
+        results.push({ sku, status: 'updated', productId: product._id, variantId: variant._id, balance });
+      } catch (rowError) {
+        results.push({ sku, status: 'error', message: rowError.message });
+      }
+    }
+
+    res.json({
+      mode,
+      updated: results.filter(result => result.status === 'updated').length,
+      failed: results.filter(result => result.status === 'error').length,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Dashboard: every variant currently at or below its low-stock threshold
+exports.getLowStockItems = async (req, res, next) => {
+  try {
+    const items = await stockAlertService.getLowStockItems(req.store._id);
+
+    res.json({
+      items,
+      summary: {
+        total: items.length,
+        outOfStock: items.filter(item => item.status === 'out_of_stock').length,
+        lowStock: items.filter(item => item.status === 'low_stock').length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
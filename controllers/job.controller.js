@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const jobQueue = require('../services/job-queue.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+// List background jobs, newest first; status=dead lists the dead-letter queue
+exports.getJobs = async (req, res, next) => {
+  try {
+    const { status, type, group, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!Job.STATUSES.includes(status)) {
+        throw new ValidationError(`Job status must be one of: ${Job.STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+    if (type) query.type = type;
+    if (group) query.group = group;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Job.countDocuments(query),
+    ]);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Job counts by type and status
+exports.getJobStats = async (req, res, next) => {
+  try {
+    const counts = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+
+    const stats = {};
+    counts.forEach(({ _id, count }) => {
+      stats[_id.type] = stats[_id.type] || Object.fromEntries(Job.STATUSES.map(status => [status, 0]));
+      stats[_id.type][_id.status] = count;
+    });
+
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Requeue a dead-lettered job
+exports.retryJob = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new AppError('Job not found', 404);
+    }
+
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) {
+      throw new AppError('Dead-lettered job not found', 404);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,6 @@
 const EmailCampaign = require('../models/email-campaign.model');
-const User = require('../models/user.model');
-const Customer = require('../models/customer.model');
-const { AppError } = require('../utils/errors');
-const { sendRawEmail } = require('../services/email.service');
+const { AppError } = require('../middleware/error.middleware');
+const campaignService = require('../services/campaign.service');
 
 // Get all email campaigns
 const getAllCampaigns = async (req, res, next) => {
@@ -10,7 +8,8 @@ const getAllCampaigns = async (req, res, next) => {
     const { page = 1, limit = 10, status, search } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = {};
+    // Store owners' own campaigns are managed through /api/store-campaigns
+    let query = { storeId: null };
     
     if (status) {
       query.status = status;
@@ -65,11 +64,20 @@ const getCampaignById = async (req, res, next) => {
 // Create new campaign
 const createCampaign = async (req, res, next) => {
   try {
+    const { status, scheduledAt, timezone, scheduledTimezone, sentAt, stats, storeId, ...fields } = req.body;
     const campaignData = {
-      ...req.body,
+      ...fields,
       author: req.user._id
     };
 
+    // A send time on create schedules the campaign straight away
+    if (scheduledAt) {
+      const schedule = campaignService.parseSchedule({ scheduledAt, timezone });
+      campaignData.status = 'scheduled';
+      campaignData.scheduledAt = schedule.scheduledAt;
+      campaignData.scheduledTimezone = schedule.timezone;
+    }
+
     const campaign = new EmailCampaign(campaignData);
     await campaign.save();
 
@@ -91,7 +99,9 @@ const updateCampaign = async (req, res, next) => {
       throw new AppError('Campaign not found', 404);
     }
 
-    Object.assign(campaign, req.body);
+    // Sending and scheduling go through their own endpoints
+    const { status, scheduledAt, scheduledTimezone, sentAt, stats, storeId, ...updates } = req.body;
+    Object.assign(campaign, updates);
     await campaign.save();
 
     await campaign.populate('author', 'name email');
@@ -120,7 +130,7 @@ const deleteCampaign = async (req, res, next) => {
   }
 };
 
-// Send campaign
+// Send campaign - recipients are emailed by the background job queue
 const sendCampaign = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -134,92 +144,93 @@ const sendCampaign = async (req, res, next) => {
       throw new AppError('Only draft campaigns can be sent', 400);
     }
 
-    // Get recipients based on recipientType
-    let recipients = [];
-    
-    switch (campaign.recipientType) {
-      case 'all_users':
-        const allUsers = await User.find({}, 'email name');
-        recipients = allUsers.map(user => ({ email: user.email, name: user.name }));
-        break;
-      case 'store_owners':
-        const owners = await User.find({ role: 'owner' }, 'email name');
-        recipients = owners.map(user => ({ email: user.email, name: user.name }));
-        break;
-      case 'managers':
-        const managers = await User.find({ role: 'manager' }, 'email name');
-        recipients = managers.map(user => ({ email: user.email, name: user.name }));
-        break;
-      case 'customers':
-        const customers = await Customer.find({}, 'email name');
-        recipients = customers.map(customer => ({ email: customer.email, name: customer.name }));
-        break;
-      case 'custom':
-        recipients = campaign.customRecipients || [];
-        break;
+    await campaignService.start(campaign);
+
+    res.status(202).json({ 
+      message: 'Campaign queued for sending',
+      campaign: campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Schedule a draft campaign to send later
+const scheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await EmailCampaign.findById(req.params.id);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
     }
 
-    // Filter out recipients without valid email addresses
-    const validRecipients = recipients.filter(r => r.email && r.email.trim());
-    
-    if (validRecipients.length === 0) {
-      throw new AppError('No valid recipients found for this campaign', 400);
+    if (campaign.status !== 'draft') {
+      throw new AppError('Only draft campaigns can be scheduled', 400);
     }
 
-    // Update campaign status
-    campaign.status = 'sending';
-    campaign.sentAt = new Date();
-    campaign.stats.totalSent = validRecipients.length;
-    await campaign.save();
+    await campaignService.schedule(campaign, req.body);
 
-    // Send emails to all recipients - using Promise.allSettled to ensure all emails are attempted
-    // even if some fail
-    const sendPromises = validRecipients.map(async (recipient) => {
-      try {
-        await sendRawEmail(
-          recipient.email,
-          campaign.subject,
-          campaign.content
-        );
-        return { success: true, email: recipient.email };
-      } catch (error) {
-        console.error(`Failed to send campaign email to ${recipient.email}:`, error.message);
-        return { success: false, email: recipient.email, error: error.message };
-      }
-    });
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move a scheduled campaign to a new send time
+const rescheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await EmailCampaign.findById(req.params.id);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
 
-    // Wait for all emails to be sent (or fail) - Promise.allSettled ensures we continue even if some fail
-    const results = await Promise.allSettled(sendPromises);
+    if (campaign.status !== 'scheduled') {
+      throw new AppError('Only scheduled campaigns can be rescheduled', 400);
+    }
 
-    // Count successful and failed deliveries from results
-    let delivered = 0;
-    let bounced = 0;
-    
-    results.forEach((result) => {
-      if (result.status === 'fulfilled' && result.value.success) {
-        delivered++;
-      } else {
-        bounced++;
-        // Log the specific error for this email
-        const email = result.value?.email || 'unknown';
-        const error = result.value?.error || result.reason?.message || 'Unknown error';
-        console.error(`Email to ${email} bounced: ${error}`);
-      }
+    await campaignService.schedule(campaign, {
+      scheduledAt: req.body.scheduledAt,
+      timezone: req.body.timezone || campaign.scheduledTimezone,
     });
 
-    // Update campaign stats and status
-    campaign.status = 'sent';
-    campaign.stats.delivered = delivered;
-    campaign.stats.bounced = bounced;
-    await campaign.save();
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.json({ 
-      message: 'Campaign sent successfully',
-      recipientsCount: validRecipients.length,
-      delivered,
-      bounced,
-      campaign: campaign
-    });
+// Cancel a scheduled send and return the campaign to draft
+const unscheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await EmailCampaign.findById(req.params.id);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    if (campaign.status !== 'scheduled') {
+      throw new AppError('Only scheduled campaigns can be unscheduled', 400);
+    }
+
+    await campaignService.unschedule(campaign);
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get campaign send progress
+const getCampaignProgress = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = await EmailCampaign.findById(id);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    const progress = await campaignService.getProgress(campaign);
+
+    res.json(progress);
   } catch (error) {
     next(error);
   }
@@ -235,34 +246,9 @@ const getCampaignAnalytics = async (req, res, next) => {
       throw new AppError('Campaign not found', 404);
     }
 
-    // Calculate rates
-    const deliveryRate = campaign.stats.totalSent > 0 
-      ? (campaign.stats.delivered / campaign.stats.totalSent) * 100 
-      : 0;
-    
-    const openRate = campaign.stats.delivered > 0 
-      ? (campaign.stats.opened / campaign.stats.delivered) * 100 
-      : 0;
-    
-    const clickRate = campaign.stats.delivered > 0 
-      ? (campaign.stats.clicked / campaign.stats.delivered) * 100 
-      : 0;
+    const analytics = await campaignService.getAnalytics(campaign);
 
-    res.json({
-      campaign: {
-        id: campaign._id,
-        name: campaign.name,
-        subject: campaign.subject,
-        sentAt: campaign.sentAt,
-        status: campaign.status
-      },
-      stats: {
-        ...campaign.stats,
-        deliveryRate: Math.round(deliveryRate * 100) / 100,
-        openRate: Math.round(openRate * 100) / 100,
-        clickRate: Math.round(clickRate * 100) / 100
-      }
-    });
+    res.json(analytics);
   } catch (error) {
     next(error);
   }
@@ -271,7 +257,7 @@ const getCampaignAnalytics = async (req, res, next) => {
 // Get all campaigns analytics summary
 const getCampaignsAnalytics = async (req, res, next) => {
   try {
-    const campaigns = await EmailCampaign.find({ status: 'sent' });
+    const campaigns = await EmailCampaign.find({ status: 'sent', storeId: null });
     
     const totalStats = campaigns.reduce((acc, campaign) => {
       acc.totalSent += campaign.stats.totalSent;
@@ -323,6 +309,10 @@ module.exports = {
   updateCampaign,
   deleteCampaign,
   sendCampaign,
+  scheduleCampaign,
+  rescheduleCampaign,
+  unscheduleCampaign,
+  getCampaignProgress,
   getCampaignAnalytics,
   getCampaignsAnalytics
 };
@@ -1,12 +1,18 @@
 const Order = require('../models/order.model');
-const Product = require('../models/product.model');
 const Customer = require('../models/customer.model');
 const Business = require('../models/business.model');
 const Store = require('../models/store.model');
 const { AppError } = require('../middleware/error.middleware');
-const emailService = require('../services/email.service');
 const notificationService = require('../services/notification.service');
 const cloudinaryService = require('../services/cloudinary.service');
+const discountService = require('../services/discount.service');
+const pricingService = require('../services/pricing.service');
+const inventoryService = require('../services/inventory.service');
+const paymentService = require('../services/payment.service');
+const shipmentService = require('../services/shipment.service');
+const orderEditService = require('../services/order-edit.service');
+const draftOrderService = require('../services/draft-order.service');
+const { PriceMismatchError, ValidationError, InvalidTransitionError } = require('../utils/errors');
 const csv = require('csv-stringify');
 const { format } = require('date-fns');
 const mongoose = require('mongoose');
@@ -31,6 +37,7 @@ const retryTransaction = async (operation, maxRetries = 3) => {
       
       const result = await operation(session);
       await session.commitTransaction();
+      inventoryService.sendSessionAlerts(session);
       
       return result;
     } catch (error) {
@@ -74,6 +81,16 @@ const retryTransaction = async (operation, maxRetries = 3) => {
   throw lastError;
 };
 
+/**
+ * Reply with the server quote when the client's prices are out of date
+ */
+const sendPriceMismatch = (res, error) => res.status(409).json({
+  success: false,
+  message: error.message,
+  mismatches: error.errors,
+  quote: error.quote,
+});
+
 /**
  * Create order without transaction (fallback method)
  */
@@ -102,7 +119,8 @@ const createOrderWithoutTransaction = async (req) => {
     source = 'storefront',
     subtotal,
     total,
-    isGuestOrder = false
+    isGuestOrder = false,
+    acceptQuote = false
   } = orderData;
 
   console.log('Customer:', customer);
@@ -143,79 +161,22 @@ const createOrderWithoutTransaction = async (req) => {
     throw new AppError('Store ID is required', 400);
   }
 
-  // Process order items and validate products
-  console.log('Starting to process order items...');
-  const processedItems = [];
-  let calculatedSubtotal = 0;
-
-  for (const item of items) {
-    console.log('Processing item:', item);
-    console.log('Looking up product with ID:', item.productId);
-    const product = await Product.findById(item.productId);
-    if (!product) {
-      throw new AppError(`Product ${item.productId} not found`, 404);
-    }
-
-    // Check inventory
-    if (product.inventory < item.quantity) {
-      throw new AppError(`Insufficient inventory for ${product.name}`, 400);
-    }
-
-    const { variantDoc, resolvedVariantId, variantSkuFromInput } = resolveVariantSelection(product, item);
-
-    // Use the price from the frontend, fallback to variant or product price if not provided
-    const fallbackProductPrice = typeof product.price === 'number' ? product.price : product.basePrice;
-    const unitPrice = item.price || variantDoc?.price || fallbackProductPrice;
-
-    // Validate that unitPrice is a valid number
-    if (isNaN(unitPrice) || unitPrice <= 0) {
-      throw new AppError(`Invalid unit price for product ${product.name}`, 400);
-    }
-
-    const totalPrice = unitPrice * item.quantity;
-    calculatedSubtotal += totalPrice;
-
-    console.log(`Item: ${product.name}, Unit Price: ${unitPrice}, Quantity: ${item.quantity}, Total Price: ${totalPrice}`);
-
-    // Create product snapshot
-    const productSnapshot = {
-      name: product.name,
-      description: product.description,
-      images: product.images,
-      sku: product.sku,
-    };
-
-    const shouldIncludeVariantSnapshot = Boolean(
-      resolvedVariantId ||
-      item.variantId ||
-      item.variantName ||
-      item.variantAttributes ||
-      item.options ||
-      variantSkuFromInput
-    );
-
-    const processedItem = {
-      product: product._id,
-      productSnapshot,
-      variant: resolvedVariantId || null,
-      variantSnapshot: shouldIncludeVariantSnapshot ? {
-        name: item.variantName || variantDoc?.name || variantDoc?.sku || variantSkuFromInput || 'Variant',
-        sku: variantDoc?.sku || variantSkuFromInput,
-        attributes: item.variantAttributes || item.options || variantDoc?.options || {},
-      } : null,
-      quantity: item.quantity,
-      unitPrice,
-      totalPrice,
-      options: item.options || {},
-    };
-
-    processedItems.push(processedItem);
+  // Price the cart from the catalog; client prices are only compared, never charged
+  const quote = await pricingService.buildQuote({
+    store,
+    items,
+    delivery,
+    discountCode: discount?.code,
+    customerEmail: customer.email,
+  });
 
-    // Update product inventory
-    product.inventory -= item.quantity;
-    await product.save();
+  const priceMismatches = pricingService.findClientMismatches(quote, { items, subtotal, total });
+  if (priceMismatches.length && !acceptQuote) {
+    throw new PriceMismatchError(pricingService.toPublicQuote(quote), priceMismatches);
   }
 
+  const processedItems = quote.lines.map(line => pricingService.toOrderItem(line));
+
   // Handle customer - create if doesn't exist, always create customer for guest orders
   console.log('Looking up existing customer...');
   
@@ -313,11 +274,15 @@ const createOrderWithoutTransaction = async (req) => {
     existingCustomer = await Customer.findById(existingCustomer._id);
   }
 
-  // Calculate pricing
-  const tax = 0; // Add tax calculation logic if needed
-  const shippingCost = delivery?.fee || 0;
-  const discountAmount = discount?.appliedAmount || 0;
-  const finalTotal = calculatedSubtotal + tax + shippingCost - discountAmount;
+  // Pricing comes from the server quote
+  const {
+    subtotal: calculatedSubtotal,
+    tax,
+    discount: discountAmount,
+    discountEvaluation,
+    total: finalTotal,
+  } = quote;
+  const shippingCost = quote.shipping.cost;
 
   console.log('Pricing breakdown:', {
     calculatedSubtotal,
@@ -328,35 +293,17 @@ const createOrderWithoutTransaction = async (req) => {
   });
 
   // Validate final total
-  if (isNaN(finalTotal) || finalTotal <= 0) {
+  if (isNaN(finalTotal) || finalTotal < 0) {
     throw new AppError('Invalid order total calculation', 400);
   }
 
-  // Use frontend values but validate them
-  const frontendSubtotal = subtotal || calculatedSubtotal;
-  const frontendTotal = total || finalTotal;
-
-  // Validate that frontend values match our calculations (allow small tolerance for rounding)
-  const subtotalDiff = Math.abs(frontendSubtotal - calculatedSubtotal);
-  const totalDiff = Math.abs(frontendTotal - finalTotal);
-  
-  if (subtotalDiff > 1 || totalDiff > 1) {
-    console.warn('Frontend pricing mismatch:', {
-      frontendSubtotal,
-      calculatedSubtotal,
-      frontendTotal,
-      finalTotal
-    });
-    // Use our calculated values for security
-  }
-
   // Create order
   const order = new Order({
     businessId: businessId,
     storeId: storeId,
     customer: {
       customerId: existingCustomer._id,
-      email: customer.email,
+      email: customer.email.toLowerCase().trim(),
       name: customer.name,
       phone: customer.phone,
       address: customer.address || '',
@@ -368,9 +315,9 @@ const createOrderWithoutTransaction = async (req) => {
       shipping: shippingCost,
       discount: discountAmount,
       total: finalTotal,
-      currency: 'NGN',
+      currency: quote.currency,
     },
-    discount: discount || {},
+    discount: discountEvaluation ? discountService.toOrderDiscount(discountEvaluation) : {},
     shipping: {
       method: delivery?.method || 'pickup',
       cost: shippingCost,
@@ -378,10 +325,16 @@ const createOrderWithoutTransaction = async (req) => {
       deliveryInstructions: delivery?.instructions || '',
     },
     payment: {
+      ...payment,
       method: payment?.method || 'cash',
       amount: finalTotal,
-      currency: 'NGN',
-      ...payment,
+      currency: quote.currency,
+      // Payment state is only ever set by the store or a verified gateway result
+      status: 'pending',
+      provider: undefined,
+      reference: undefined,
+      transactionId: undefined,
+      gatewayResponse: undefined,
     },
     notes: {
       customer: notes?.customer || notes || '',
@@ -411,7 +364,27 @@ const createOrderWithoutTransaction = async (req) => {
     order.payment.proofOfPayment = uploadResult.url;
   }
 
-  await order.save();
+  // Take stock from the chosen variants; each decrement only succeeds while stock lasts
+  await inventoryService.reserveOrderItems(order, { user: req.user?._id });
+
+  try {
+    if (discountEvaluation) {
+      await discountService.redeem(discountEvaluation.discount);
+    }
+  } catch (redeemError) {
+    await inventoryService.releaseOrderItems(order, { user: req.user?._id });
+    throw redeemError;
+  }
+
+  try {
+    await order.save();
+  } catch (saveError) {
+    if (discountEvaluation) {
+      await discountService.release(discountEvaluation.discount);
+    }
+    await inventoryService.releaseOrderItems(order, { user: req.user?._id });
+    throw saveError;
+  }
 
   console.log('Order created successfully:', order._id);
 
@@ -419,16 +392,9 @@ const createOrderWithoutTransaction = async (req) => {
   const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
   const invoiceUrl = `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`;
 
-  // Send confirmation email
-  try {
-    await emailService.sendOrderConfirmation?.(order, store, { invoiceUrl });
-  } catch (emailError) {
-    console.error('Failed to send order confirmation email:', emailError);
-  }
-
-  // Send notifications
+  // Send order confirmation to the customer and store owner
   try {
-    await notificationService.sendOrderNotification?.(order, store);
+    await notificationService.notify('orderCreated', { store, order, extra: { invoiceUrl } });
   } catch (notifError) {
     console.error('Failed to send order notification:', notifError);
   }
@@ -480,58 +446,22 @@ const getStoreFromHeaders = async (req) => {
   return store;
 };
 
-const resolveVariantSelection = (product, item = {}) => {
-  if (!product?.variants?.length) {
-    return {
-      variantDoc: null,
-      resolvedVariantId: null,
-      variantSkuFromInput: undefined,
-    };
-  }
-
-  const normalize = (value) => typeof value === 'string' ? value.trim() : value;
-  const normalizedVariantId = normalize(item.variantId);
-  const normalizedVariantSku = normalize(item.variantSku);
-
-  let variantDoc = null;
-  let resolvedVariantId = null;
-
-  if (normalizedVariantId && mongoose.Types.ObjectId.isValid(normalizedVariantId)) {
-    variantDoc = product.variants.id(normalizedVariantId);
-    if (variantDoc) {
-      resolvedVariantId = variantDoc._id;
+// Orders paid online get a gateway transaction once saved, outside any database transaction.
+// Never throws: the order exists either way and payment can be retried from the invoice.
+const startOnlinePayment = async (result) => {
+  try {
+    const order = await Order.findById(result.order._id);
+    if (!order || !paymentService.isOnlineMethod(order.payment?.method)) {
+      return result;
     }
-  }
 
-  const matchSku = (skuValue) => {
-    if (!skuValue) return null;
-    const normalizedSku = skuValue.toString().trim().toLowerCase();
-    if (!normalizedSku) return null;
-    return product.variants.find((variant) => variant.sku?.toLowerCase() === normalizedSku) || null;
-  };
-
-  if (!variantDoc && normalizedVariantId && typeof normalizedVariantId === 'string' && !mongoose.Types.ObjectId.isValid(normalizedVariantId)) {
-    variantDoc = matchSku(normalizedVariantId);
+    result.payment = await paymentService.initializeForOrder(order);
+  } catch (paymentError) {
+    console.error('Failed to initialize payment:', paymentError);
+    result.payment = { error: 'Payment could not be started. Please try again from your invoice.' };
   }
 
-  if (!variantDoc) {
-    variantDoc = matchSku(normalizedVariantSku);
-  }
-
-  if (variantDoc && !resolvedVariantId) {
-    resolvedVariantId = variantDoc._id;
-  }
-
-  const variantSkuFromInput = normalizedVariantSku 
-    || (typeof normalizedVariantId === 'string' && !mongoose.Types.ObjectId.isValid(normalizedVariantId)
-      ? normalizedVariantId
-      : undefined);
-
-  return {
-    variantDoc,
-    resolvedVariantId,
-    variantSkuFromInput,
-  };
+  return result;
 };
 
 exports.createOrder = async (req, res, next) => {
@@ -541,7 +471,7 @@ exports.createOrder = async (req, res, next) => {
 
   // Try with transaction first, fallback to non-transactional approach
   try {
-    const result = await retryTransaction(async (session) => {
+    const { store, order, invoiceUrl } = await retryTransaction(async (session) => {
       console.log('Starting transaction operation...');
       
       // Parse orderData from form data if it's a string
@@ -566,7 +496,8 @@ exports.createOrder = async (req, res, next) => {
       source = 'storefront',
       subtotal,
       total,
-      isGuestOrder = false
+      isGuestOrder = false,
+      acceptQuote = false
     } = orderData;
 
     console.log('Customer:', customer);
@@ -607,79 +538,23 @@ exports.createOrder = async (req, res, next) => {
       throw new AppError('Store ID is required', 400);
     }
 
-    // Process order items and validate products
-    console.log('Starting to process order items...');
-    const processedItems = [];
-    let calculatedSubtotal = 0;
-
-    for (const item of items) {
-      console.log('Processing item:', item);
-      console.log('Looking up product with ID:', item.productId);
-      const product = await Product.findById(item.productId).session(session);
-      if (!product) {
-        throw new AppError(`Product ${item.productId} not found`, 404);
-      }
-
-      // Check inventory
-      if (product.inventory < item.quantity) {
-        throw new AppError(`Insufficient inventory for ${product.name}`, 400);
-      }
-
-    const { variantDoc, resolvedVariantId, variantSkuFromInput } = resolveVariantSelection(product, item);
-
-    // Use the price from the frontend, fallback to variant or product price if not provided
-    const fallbackProductPrice = typeof product.price === 'number' ? product.price : product.basePrice;
-    const unitPrice = item.price || variantDoc?.price || fallbackProductPrice;
-
-      // Validate that unitPrice is a valid number
-      if (isNaN(unitPrice) || unitPrice <= 0) {
-        throw new AppError(`Invalid unit price for product ${product.name}`, 400);
-      }
-
-      const totalPrice = unitPrice * item.quantity;
-      calculatedSubtotal += totalPrice;
-
-      console.log(`Item: ${product.name}, Unit Price: ${unitPrice}, Quantity: ${item.quantity}, Total Price: ${totalPrice}`);
-
-      // Create product snapshot
-      const productSnapshot = {
-        name: product.name,
-        description: product.description,
-        images: product.images,
-        sku: product.sku,
-      };
-
-    const shouldIncludeVariantSnapshot = Boolean(
-      resolvedVariantId ||
-      item.variantId ||
-      item.variantName ||
-      item.variantAttributes ||
-      item.options ||
-      variantSkuFromInput
-    );
-
-    const processedItem = {
-        product: product._id,
-        productSnapshot,
-      variant: resolvedVariantId || null,
-      variantSnapshot: shouldIncludeVariantSnapshot ? {
-        name: item.variantName || variantDoc?.name || variantDoc?.sku || variantSkuFromInput || 'Variant',
-        sku: variantDoc?.sku || variantSkuFromInput,
-        attributes: item.variantAttributes || item.options || variantDoc?.options || {},
-      } : null,
-        quantity: item.quantity,
-        unitPrice,
-        totalPrice,
-        options: item.options || {},
-      };
-
-      processedItems.push(processedItem);
+    // Price the cart from the catalog; client prices are only compared, never charged
+    const quote = await pricingService.buildQuote({
+      store,
+      items,
+      delivery,
+      discountCode: discount?.code,
+      customerEmail: customer.email,
+      session,
+    });
 
-      // Update product inventory
-      product.inventory -= item.quantity;
-      await product.save({ session });
+    const priceMismatches = pricingService.findClientMismatches(quote, { items, subtotal, total });
+    if (priceMismatches.length && !acceptQuote) {
+      throw new PriceMismatchError(pricingService.toPublicQuote(quote), priceMismatches);
     }
 
+    const processedItems = quote.lines.map(line => pricingService.toOrderItem(line));
+
     // Handle customer - create if doesn't exist, always create customer for guest orders
     console.log('Looking up existing customer...');
     let existingCustomer = await Customer.findOne({ 
@@ -747,11 +622,15 @@ exports.createOrder = async (req, res, next) => {
       }
     }
 
-    // Calculate pricing
-    const tax = 0; // Add tax calculation logic if needed
-    const shippingCost = delivery?.fee || 0;
-    const discountAmount = discount?.appliedAmount || 0;
-    const finalTotal = calculatedSubtotal + tax + shippingCost - discountAmount;
+    // Pricing comes from the server quote
+    const {
+      subtotal: calculatedSubtotal,
+      tax,
+      discount: discountAmount,
+      discountEvaluation,
+      total: finalTotal,
+    } = quote;
+    const shippingCost = quote.shipping.cost;
 
     console.log('Pricing breakdown:', {
       calculatedSubtotal,
@@ -762,35 +641,17 @@ exports.createOrder = async (req, res, next) => {
     });
 
     // Validate final total
-    if (isNaN(finalTotal) || finalTotal <= 0) {
+    if (isNaN(finalTotal) || finalTotal < 0) {
       throw new AppError('Invalid order total calculation', 400);
     }
 
-    // Use frontend values but validate them
-    const frontendSubtotal = subtotal || calculatedSubtotal;
-    const frontendTotal = total || finalTotal;
-
-    // Validate that frontend values match our calculations (allow small tolerance for rounding)
-    const subtotalDiff = Math.abs(frontendSubtotal - calculatedSubtotal);
-    const totalDiff = Math.abs(frontendTotal - finalTotal);
-    
-    if (subtotalDiff > 1 || totalDiff > 1) {
-      console.warn('Frontend pricing mismatch:', {
-        frontendSubtotal,
-        calculatedSubtotal,
-        frontendTotal,
-        finalTotal
-      });
-      // Use our calculated values for security
-    }
-
     // Create order
     const order = new Order({
       businessId: businessId,
       storeId: storeId,
       customer: {
         customerId: existingCustomer._id,
-        email: customer.email,
+        email: customer.email.toLowerCase().trim(),
         name: customer.name,
         phone: customer.phone,
         address: customer.address || '',
@@ -802,9 +663,9 @@ exports.createOrder = async (req, res, next) => {
         shipping: shippingCost,
         discount: discountAmount,
         total: finalTotal,
-        currency: 'NGN',
+        currency: quote.currency,
       },
-      discount: discount || {},
+      discount: discountEvaluation ? discountService.toOrderDiscount(discountEvaluation) : {},
       shipping: {
         method: delivery?.method || 'pickup',
         cost: shippingCost,
@@ -812,10 +673,16 @@ exports.createOrder = async (req, res, next) => {
         deliveryInstructions: delivery?.instructions || '',
       },
       payment: {
+        ...payment,
         method: payment?.method || 'cash',
         amount: finalTotal,
-        currency: 'NGN',
-        ...payment,
+        currency: quote.currency,
+        // Payment state is only ever set by the store or a verified gateway result
+        status: 'pending',
+        provider: undefined,
+        reference: undefined,
+        transactionId: undefined,
+        gatewayResponse: undefined,
       },
       notes: {
         customer: notes?.customer || notes || '',
@@ -845,6 +712,13 @@ exports.createOrder = async (req, res, next) => {
       order.payment.proofOfPayment = uploadResult.url;
     }
 
+    // Take stock from the chosen variants; each decrement only succeeds while stock lasts
+    await inventoryService.reserveOrderItems(order, { user: req.user?._id, session });
+
+    if (discountEvaluation) {
+      await discountService.redeem(discountEvaluation.discount, session);
+    }
+
     await order.save({ session });
 
     console.log('Order created successfully:', order._id);
@@ -853,41 +727,42 @@ exports.createOrder = async (req, res, next) => {
       const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
       const invoiceUrl = `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`;
 
-      // Send confirmation email
-      try {
-        await emailService.sendOrderConfirmation?.(order, store, { invoiceUrl });
-      } catch (emailError) {
-        console.error('Failed to send order confirmation email:', emailError);
-      }
-
-      // Send notifications
-      try {
-        await notificationService.sendOrderNotification?.(order, store);
-      } catch (notifError) {
-        console.error('Failed to send order notification:', notifError);
-      }
-
-      return {
-        success: true,
-        order: {
-          _id: order._id,
-          orderNumber: order.orderNumber,
-          total: order.pricing.total,
-          status: order.status,
-          invoiceUrl,
-        },
-      };
+      return { store, order, invoiceUrl };
     });
 
-    res.status(201).json(result);
+    // Send order confirmation to the customer and store owner once the order is committed,
+    // so retried or aborted attempts never announce an order
+    try {
+      await notificationService.notify('orderCreated', { store, order, extra: { invoiceUrl } });
+    } catch (notifError) {
+      console.error('Failed to send order notification:', notifError);
+    }
+
+    res.status(201).json(await startOnlinePayment({
+      success: true,
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.pricing.total,
+        status: order.status,
+        invoiceUrl,
+      },
+    }));
   } catch (error) {
+    if (error instanceof PriceMismatchError) {
+      return sendPriceMismatch(res, error);
+    }
+
     console.error('Transactional order creation failed, trying non-transactional approach:', error);
     
     // Fallback to non-transactional approach
     try {
       const fallbackResult = await createOrderWithoutTransaction(req);
-      res.status(201).json(fallbackResult);
+      res.status(201).json(await startOnlinePayment(fallbackResult));
     } catch (fallbackError) {
+      if (fallbackError instanceof PriceMismatchError) {
+        return sendPriceMismatch(res, fallbackError);
+      }
       console.error('Fallback order creation also failed:', fallbackError);
       next(fallbackError);
     }
@@ -932,6 +807,9 @@ exports.getOrders = async (req, res) => {
     } else {
       query.status = status;
     }
+  } else {
+    // Drafts are listed only when asked for with status=draft
+    query.status = { $ne: 'draft' };
   }
 
   if (paymentStatus) {
@@ -1051,40 +929,105 @@ exports.getOrder = async (req, res) => {
 };
 
 /**
- * Update order status
+ * Edit a pending or confirmed order's items or delivery. Pricing and stock
+ * follow the edit, and the customer gets the updated order.
  */
-exports.updateOrderStatus = async (req, res) => {
-  const { orderId } = req.params;
-  const { status, note, notifyCustomer = true } = req.body;
+exports.editOrder = async (req, res, next) => {
+  try {
+    const { items, delivery, note, notifyCustomer = true } = req.body;
 
-  const order = await Order.findOne({
-    _id: orderId,
-    businessId: getBusinessIdFromStore(req),
-  }).populate('items.product', 'name images');
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      businessId: getBusinessIdFromStore(req),
+      storeId: req.store._id,
+    });
 
-  if (!order) {
-    throw new AppError('Order not found', 404);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const result = await orderEditService.edit(order, { items, delivery, note }, { store: req.store, user: req.user });
+
+    if (notifyCustomer) {
+      await orderEditService.notify(req.store, order, result);
+    }
+
+    res.json({
+      success: true,
+      order,
+      changes: result.changes,
+      balance: result.balance,
+      message: 'Order updated',
+    });
+  } catch (error) {
+    next(error);
   }
+};
 
-  const oldStatus = order.status;
-  await order.updateStatus(status, note, req.user._id);
+/**
+ * Update order status
+ */
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note, notifyCustomer = true } = req.body;
 
-  // Send notifications if status changed
-  if (oldStatus !== status && notifyCustomer) {
-    try {
-      await emailService.sendOrderStatusUpdate?.(order, req.store, oldStatus);
-      if (req.store?.settings?.notifications?.whatsapp) {
-        await notificationService.sendWhatsAppStatusUpdate(order, oldStatus);
+    const order = await Order.findOne({
+      _id: orderId,
+      businessId: getBusinessIdFromStore(req),
+    }).populate('items.product', 'name images');
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const oldStatus = order.status;
+    // Check before restocking so a refused change leaves inventory alone
+    Order.statusMachine.assertTransition(oldStatus, status);
+
+    if (order.shipments.length && shipmentService.orderStatuses.includes(status)) {
+      throw new AppError('This order\'s shipping status follows its shipments; ship or deliver a shipment instead', 409);
+    }
+
+    if (oldStatus === 'draft' && status !== 'cancelled') {
+      throw new AppError('A draft becomes an order once it is paid; record its payment instead', 409);
+    }
+
+    if (status === 'cancelled' && oldStatus !== 'cancelled') {
+      await inventoryService.restockOrder(order, { user: req.user._id, note });
+    }
+    await order.updateStatus(status, note, req.user._id);
+
+    // Send notifications if status changed
+    if (oldStatus !== status && notifyCustomer) {
+      try {
+        await notificationService.notify(notificationService.orderStatusEvent(status), {
+          store: req.store,
+          order,
+          extra: { oldStatus },
+        });
+      } catch (error) {
+        console.error('Failed to send status update notifications:', error);
       }
-    } catch (error) {
-      console.error('Failed to send status update notifications:', error);
     }
+
+    res.json({
+      success: true,
+      order,
+      message: `Order status updated to ${status}`,
+    });
+  } catch (error) {
+    next(error);
   }
+};
 
+/**
+ * Order status graph, so the dashboard only offers valid status changes
+ */
+exports.getStatusTransitions = async (req, res) => {
   res.json({
     success: true,
-    order,
-    message: `Order status updated to ${status}`,
+    transitions: Order.statusMachine,
   });
 };
 
@@ -1110,6 +1053,15 @@ exports.updatePaymentStatus = async (req, res) => {
   
   if (paymentStatus === 'completed') {
     order.payment.processedAt = new Date();
+    // Marking a paid order completed again records the balance an edit left owing as paid
+    if (order.payment.amountDue) {
+      order.payment.amount = (order.payment.amount || 0) + order.payment.amountDue;
+      order.payment.amountDue = 0;
+    }
+    // A paid draft becomes an order
+    if (order.status === 'draft') {
+      await draftOrderService.convert(order, { store: req.store, note: 'Payment marked completed', user: req.user });
+    }
     // Auto-update order status if payment completed
     if (order.status === 'pending') {
       await order.updateStatus('confirmed', 'Payment confirmed - order confirmed automatically', req.user._id);
@@ -1153,7 +1105,7 @@ exports.addOrderNote = async (req, res) => {
 /**
  * Cancel order
  */
-exports.cancelOrder = async (req, res) => {
+exports.cancelOrder = async (req, res, next) => {
   const { orderId } = req.params;
   const { reason, refundAmount } = req.body;
 
@@ -1171,17 +1123,11 @@ exports.cancelOrder = async (req, res) => {
     }
 
     if (!order.canBeCancelled()) {
-      throw new AppError('Order cannot be cancelled in current status', 400);
+      throw Order.statusMachine.transitionError(order.status, 'cancelled');
     }
 
     // Restore inventory
-    for (const item of order.items) {
-      const product = await Product.findById(item.product).session(session);
-      if (product) {
-        product.inventory += item.quantity;
-        await product.save({ session });
-      }
-    }
+    await inventoryService.restockOrder(order, { user: req.user._id, note: reason, session });
 
     // Update order status
     await order.updateStatus('cancelled', reason || 'Order cancelled', req.user._id);
@@ -1194,12 +1140,20 @@ exports.cancelOrder = async (req, res) => {
 
     await order.save({ session });
     await session.commitTransaction();
+    inventoryService.sendSessionAlerts(session);
 
     // Send notifications
     try {
-      await emailService.sendOrderCancellation?.(order, req.store, reason);
+      await notificationService.notify('orderCancelled', {
+        store: req.store,
+        order,
+        extra: {
+          cancellationReason: reason || '',
+          refund: { amount: order.pricing?.total, reason: reason || 'Order cancelled' },
+        },
+      });
     } catch (error) {
-      console.error('Failed to send cancellation email:', error);
+      console.error('Failed to send cancellation notifications:', error);
     }
 
     res.json({
@@ -1210,7 +1164,7 @@ exports.cancelOrder = async (req, res) => {
 
   } catch (error) {
     await session.abortTransaction();
-    throw error;
+    next(error);
   } finally {
     session.endSession();
   }
@@ -1219,79 +1173,110 @@ exports.cancelOrder = async (req, res) => {
 /**
  * Process refund
  */
-exports.processRefund = async (req, res) => {
-  const { orderId } = req.params;
-  const { amount, reason, method = 'original' } = req.body;
+exports.processRefund = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reason, method = 'original', returnedItems = [] } = req.body;
 
-  const order = await Order.findOne({
-    _id: orderId,
-    businessId: getBusinessIdFromStore(req),
-  });
+    const order = await Order.findOne({
+      _id: orderId,
+      businessId: getBusinessIdFromStore(req),
+    });
 
-  if (!order) {
-    throw new AppError('Order not found', 404);
-  }
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
 
-  if (!order.canBeRefunded()) {
-    throw new AppError('Order is not eligible for refund', 400);
-  }
+    if (!order.canBeRefunded()) {
+      throw new AppError('Order is not eligible for refund', 400);
+    }
 
-  const refundableBalance = order.calculateRefundAmount();
+    const refundableBalance = order.calculateRefundAmount();
 
-  if (!amount || amount <= 0) {
-    throw new AppError('Refund amount must be greater than zero', 400);
-  }
+    if (!amount || amount <= 0) {
+      throw new AppError('Refund amount must be greater than zero', 400);
+    }
 
-  if (refundableBalance <= 0) {
-    throw new AppError('Order is already fully refunded', 400);
-  }
+    if (refundableBalance <= 0) {
+      throw new AppError('Order is already fully refunded', 400);
+    }
 
-  if (amount > refundableBalance) {
-    throw new AppError(`Refund amount cannot exceed ${refundableBalance}`, 400);
-  }
+    if (amount > refundableBalance) {
+      throw new AppError(`Refund amount cannot exceed ${refundableBalance}`, 400);
+    }
 
-  // Process refund based on original payment method
-  // This is where you'd integrate with payment gateways
-  try {
-    // Add actual refund processing logic here
-    
-    const processedAt = new Date();
-    const paymentAmount = order.payment?.amount ?? order.pricing.total ?? 0;
-    const existingRefunds = order.payment.refundedAmount || 0;
-    const updatedRefundTotal = existingRefunds + amount;
-    const isFullyRefunded = updatedRefundTotal >= paymentAmount;
-
-    order.payment.refundedAmount = updatedRefundTotal;
-    order.payment.refunds = order.payment.refunds || [];
-    order.payment.refunds.push({
-      amount,
-      reason,
-      method,
-      processedAt,
-      processedBy: req.user?._id,
-    });
+    // Items the customer sent back, restocked unless marked otherwise (e.g. damaged)
+    const returns = [];
+    for (const returned of returnedItems) {
+      const item = order.items.id(returned.itemId);
+      if (!item) {
+        throw new AppError(`Order item ${returned.itemId} not found`, 404);
+      }
 
-    if (isFullyRefunded) {
-      order.payment.status = 'refunded';
-      order.status = 'refunded';
-    } else {
-      order.payment.status = 'partially_refunded';
-      if (order.status !== 'refunded') {
-        order.status = 'partially_refunded';
+      const quantity = parseInt(returned.quantity);
+      const returnable = item.quantity - (item.returnedQuantity || 0);
+      if (!quantity || quantity < 1 || quantity > returnable) {
+        throw new AppError(`Return quantity for ${item.productSnapshot.name} must be between 1 and ${returnable}`, 400);
       }
+
+      returns.push({ item, quantity, restock: returned.restock !== false });
     }
 
-    order.timeline.push({
-      status: isFullyRefunded ? 'refunded' : 'partially_refunded',
-      timestamp: processedAt,
-      note: `Refund processed: ${amount} - ${reason || 'No reason provided'}`,
-      updatedBy: req.user._id,
-    });
+    // Process refund based on original payment method
+    // This is where you'd integrate with payment gateways
+    let refund;
+    let restocked = [];
+    try {
+      // Add actual refund processing logic here
 
-    await order.save();
+      const restockQuantities = {};
+      for (const { item, quantity, restock } of returns) {
+        item.returnedQuantity = (item.returnedQuantity || 0) + quantity;
+        if (restock) {
+          restockQuantities[item._id.toString()] = quantity;
+        }
+      }
+      if (returns.length) {
+        restocked = await inventoryService.restockOrder(order, {
+          quantities: restockQuantities,
+          type: 'return',
+          user: req.user?._id,
+          note: reason,
+        });
+      }
+
+      refund = order.recordRefund({
+        amount,
+        reason,
+        method,
+        processedBy: req.user?._id,
+        items: returns.map(({ item, quantity }) => ({
+          itemId: item._id,
+          quantity,
+          restockedQuantity: restocked.find(r => r.itemId.equals(item._id))?.quantity || 0,
+        })),
+      });
 
-    // Send refund confirmation
-    await emailService.sendRefundConfirmation?.(order, req.store, amount, reason);
+      await order.save();
+    } catch (error) {
+      // Nothing was saved, so the units go back out of stock and a retry restocks them once
+      await inventoryService.undoRestock(order, restocked, {
+        user: req.user?._id,
+        note: 'Refund could not be completed',
+      });
+      throw new AppError('Failed to process refund: ' + error.message, 500);
+    }
+
+    // Send refund confirmation; the refund stands even if this fails
+    try {
+      await notificationService.notify('orderRefunded', {
+        store: req.store,
+        order,
+        extra: { refund: { amount, reason: reason || '' } },
+      });
+    } catch (notifError) {
+      console.error('Failed to send refund notification:', notifError);
+    }
 
     res.json({
       success: true,
@@ -1300,57 +1285,78 @@ exports.processRefund = async (req, res) => {
         amount,
         method,
         reason,
-        processedAt,
-        totalRefunded: updatedRefundTotal,
+        processedAt: refund.processedAt,
+        totalRefunded: order.payment.refundedAmount,
         remainingBalance: order.calculateRefundAmount(),
+        returnedItems: refund.items,
       },
       message: 'Refund processed successfully',
     });
-
   } catch (error) {
-    throw new AppError('Failed to process refund: ' + error.message, 500);
+    next(error);
   }
 };
 
 /**
- * Update fulfillment status
+ * Update fulfillment status. Kept for clients from before shipments: packaged
+ * packs everything not yet in a shipment, shipped ships packed shipments and
+ * anything left, and delivered delivers every shipment on its way.
  */
-exports.updateFulfillment = async (req, res) => {
-  const { orderId } = req.params;
-  const { type, status, metadata = {} } = req.body; // type: 'packaged', 'shipped', 'delivered'
+exports.updateFulfillment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { type, metadata = {}, notifyCustomer = true } = req.body; // type: 'packaged', 'shipped', 'delivered'
 
-  const order = await Order.findOne({
-    _id: orderId,
-    businessId: getBusinessIdFromStore(req),
-  });
+    if (!['packaged', 'shipped', 'delivered'].includes(type)) {
+      throw new ValidationError('type must be one of: packaged, shipped, delivered');
+    }
 
-  if (!order) {
-    throw new AppError('Order not found', 404);
-  }
+    const order = await Order.findOne({
+      _id: orderId,
+      businessId: getBusinessIdFromStore(req),
+    });
 
-  const updateData = {
-    status: true,
-    timestamp: new Date(),
-    by: req.user._id,
-    ...metadata
-  };
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
 
-  order.fulfillment[type] = updateData;
+    const unallocated = () => [...order.getShipmentQuantities().values()].some(entry => entry.allocated < entry.ordered);
+    const shipments = [];
 
-  // Auto-update order status based on fulfillment
-  if (type === 'shipped' && order.status === 'processing') {
-    await order.updateStatus('shipped', 'Order shipped', req.user._id);
-  } else if (type === 'delivered' && order.status === 'shipped') {
-    await order.updateStatus('delivered', 'Order delivered', req.user._id);
-  }
+    if (type === 'packaged') {
+      shipments.push(await shipmentService.create(order, { ...metadata, ship: false }, req.user));
+    } else if (type === 'shipped') {
+      for (const packed of order.shipments.filter(shipment => shipment.status === 'packed')) {
+        shipments.push(await shipmentService.ship(order, packed._id, metadata, req.user));
+      }
+      if (unallocated() || !shipments.length) {
+        shipments.push(await shipmentService.create(order, metadata, req.user));
+      }
+    } else {
+      const { confirmedBy, photo, note } = metadata;
+      for (const shipped of order.shipments.filter(shipment => shipment.status === 'shipped')) {
+        shipments.push(await shipmentService.deliver(order, shipped._id, { confirmedBy, photo, note }, req.user));
+      }
+      if (!shipments.length) {
+        throw new AppError('Nothing on this order is on its way to be delivered', 409);
+      }
+    }
 
-  await order.save();
+    if (notifyCustomer) {
+      for (const shipment of shipments) {
+        await shipmentService.notify(req.store, order, shipment);
+      }
+    }
 
-  res.json({
-    success: true,
-    order,
-    message: `Fulfillment status updated: ${type}`,
-  });
+    res.json({
+      success: true,
+      order,
+      shipments,
+      message: `Fulfillment status updated: ${type}`,
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
@@ -1438,38 +1444,72 @@ exports.exportOrders = async (req, res) => {
 /**
  * Bulk operations on orders
  */
-exports.bulkAction = async (req, res) => {
+exports.bulkAction = async (req, res, next) => {
   const { action, orderIds, ...actionData } = req.body;
 
-  if (!orderIds?.length) {
-    throw new AppError('No orders selected', 400);
-  }
+  try {
+    if (!orderIds?.length) {
+      throw new AppError('No orders selected', 400);
+    }
 
-  const orders = await Order.find({
-    _id: { $in: orderIds },
-    businessId: req.business._id,
-  });
+    const orders = await Order.find({
+      _id: { $in: orderIds },
+      businessId: getBusinessIdFromStore(req),
+    });
 
-  if (!orders.length) {
-    throw new AppError('No valid orders found', 404);
-  }
+    if (!orders.length) {
+      throw new AppError('No valid orders found', 404);
+    }
 
-  let results = [];
+    let results = [];
 
-  try {
     switch (action) {
       case 'updateStatus':
         const { status, note, notifyCustomers = true } = actionData;
         if (!status) {
           throw new AppError('Status is required', 400);
         }
+        if (!Order.statusMachine.states.includes(status)) {
+          throw new ValidationError(`Status must be one of: ${Order.statusMachine.states.join(', ')}`);
+        }
+
+        // All or nothing: refuse the batch if any order cannot make the change
+        const followsShipments = shipmentService.orderStatuses.includes(status);
+        const blocked = orders.filter(order => (
+          !order.canTransitionTo(status)
+          || (followsShipments && order.shipments.length > 0)
+          || (order.status === 'draft' && status !== 'cancelled')
+        ));
+        if (blocked.length) {
+          throw new InvalidTransitionError(
+            `${blocked.length} of the selected orders cannot be changed to ${status}. No orders were updated.`,
+            {
+              entity: 'order',
+              to: status,
+              orders: blocked.map(order => ({
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                from: order.status,
+                allowed: order.getNextStatuses(),
+              })),
+            }
+          );
+        }
 
         for (const order of orders) {
+          const oldStatus = order.status;
+          if (status === 'cancelled' && oldStatus !== 'cancelled') {
+            await inventoryService.restockOrder(order, { user: req.user._id, note });
+          }
           await order.updateStatus(status, note, req.user._id);
           
           if (notifyCustomers) {
             try {
-              await emailService.sendOrderStatusUpdate(order, req.business, order.status);
+              await notificationService.notify(notificationService.orderStatusEvent(status), {
+                store: req.store,
+                order,
+                extra: { oldStatus },
+              });
             } catch (error) {
               console.error(`Failed to notify customer for order ${order.orderNumber}:`, error);
             }
@@ -1502,7 +1542,7 @@ exports.bulkAction = async (req, res) => {
         }
 
         await Order.updateMany(
-          { _id: { $in: orderIds }, businessId: req.business._id },
+          { _id: { $in: orderIds }, businessId: getBusinessIdFromStore(req) },
           { $addToSet: { tags: tag } }
         );
 
@@ -1516,7 +1556,7 @@ exports.bulkAction = async (req, res) => {
         }
 
         await Order.updateMany(
-          { _id: { $in: orderIds }, businessId: req.business._id },
+          { _id: { $in: orderIds }, businessId: getBusinessIdFromStore(req) },
           { $pull: { tags: tagToRemove } }
         );
 
@@ -1535,7 +1575,7 @@ exports.bulkAction = async (req, res) => {
     });
 
   } catch (error) {
-    throw new AppError(`Bulk action failed: ${error.message}`, 500);
+    next(error.isOperational ? error : new AppError(`Bulk action failed: ${error.message}`, 500));
   }
 };
 
@@ -1550,7 +1590,8 @@ exports.getOrderAnalytics = async (req, res) => {
     endDate
   } = req.query;
 
-  const query = { businessId: getBusinessIdFromStore(req) };
+  // Drafts are not orders until they are paid
+  const query = { businessId: getBusinessIdFromStore(req), status: { $ne: 'draft' } };
   
   if (req.headers['store-id']) {
     query.storeId = req.headers['store-id'];
@@ -1763,10 +1804,65 @@ exports.getPublicInvoice = async (req, res) => {
         method: order.payment?.method,
         status: order.payment?.status,
         amount: order.payment?.amount,
+        amountDue: order.payment?.amountDue || 0,
         currency: order.payment?.currency,
+        proofUploaded: Boolean(order.payment?.proofOfPayment),
       },
       business: businessInfo,
       store: storeInfo,
     },
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Public: attach proof of a transfer to an unpaid order from its invoice link.
+ * The payment then waits in the store's payment review queue.
+ */
+exports.uploadInvoicePaymentProof = async (req, res, next) => {
+  try {
+    const { orderId, token } = req.params;
+
+    const order = mongoose.Types.ObjectId.isValid(orderId) && await Order.findById(orderId);
+    if (!order || !order.invoiceToken || order.invoiceToken !== token) {
+      throw new AppError('Invoice not found', 404);
+    }
+
+    if (paymentService.isOnlineMethod(order.payment?.method)) {
+      throw new AppError('This invoice is paid online; use the pay button instead', 400);
+    }
+    if (order.status === 'cancelled' || !['pending', 'failed'].includes(order.payment?.status)) {
+      throw new AppError(`This invoice's payment is already ${order.payment?.status}`, 409);
+    }
+
+    const file = req.files?.paymentProof?.[0];
+    if (!file) {
+      throw new ValidationError('paymentProof image is required');
+    }
+
+    const base64Data = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+    const uploadResult = await cloudinaryService.uploadBase64(base64Data);
+
+    order.payment.proofOfPayment = uploadResult.url;
+    // A rejected proof can be replaced; the new one goes back in the review queue
+    order.payment.status = 'pending';
+    order.payment.failureReason = undefined;
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: 'Payment proof uploaded by the customer',
+    });
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Payment proof received. The store will confirm your payment shortly.',
+      payment: {
+        method: order.payment.method,
+        status: order.payment.status,
+        proofUploaded: true,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
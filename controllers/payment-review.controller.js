@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv/sync');
+const paymentReviewService = require('../services/payment-review.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_BULK_ITEMS = 200;
+const MAX_STATEMENT_ROWS = 5000;
+
+const parseRecordParams = (req) => {
+  const { type, id } = req.params;
+
+  paymentReviewService.getModel(type);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`${type === 'order' ? 'Order' : 'Booking'} not found`, 404);
+  }
+
+  return { type, id };
+};
+
+// Orders and bookings with payment proof waiting to be checked
+exports.getQueue = async (req, res, next) => {
+  try {
+    const { type, page, limit } = req.query;
+    const queue = await paymentReviewService.getQueue(req.store, { type, page, limit });
+
+    res.json(queue);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.approvePayment = async (req, res, next) => {
+  try {
+    const { type, id } = parseRecordParams(req);
+
+    const record = await paymentReviewService.review(req.store, type, id, {
+      decision: 'approved',
+      reason: req.body.note,
+      user: req.user,
+    });
+
+    res.json({ message: 'Payment approved', [type]: record });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject a payment; the reason is sent to the customer
+exports.rejectPayment = async (req, res, next) => {
+  try {
+    const { type, id } = parseRecordParams(req);
+
+    const record = await paymentReviewService.review(req.store, type, id, {
+      decision: 'rejected',
+      reason: req.body.reason,
+      user: req.user,
+    });
+
+    res.json({ message: 'Payment rejected', [type]: record });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve several payments at once, e.g. the bank statement matches the owner accepted
+exports.bulkApprove = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('items must list at least one payment to approve');
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+      throw new ValidationError(`Up to ${MAX_BULK_ITEMS} payments can be approved at once`);
+    }
+
+    const invalid = items.find(item => (
+      !paymentReviewService.recordTypes.includes(item?.type) || !mongoose.Types.ObjectId.isValid(item?.id)
+    ));
+    if (invalid) {
+      throw new ValidationError('Each item needs a type (order or booking) and a valid id');
+    }
+
+    const result = await paymentReviewService.bulkApprove(req.store, items, req.user);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Match a bank statement (CSV upload or JSON rows) against unpaid orders and bookings.
+// Only proposes matches; approving them is a separate bulk-approve call.
+exports.matchStatement = async (req, res, next) => {
+  try {
+    let rows = req.body.rows;
+    if (req.file) {
+      try {
+        rows = parse(req.file.buffer.toString('utf8'), {
+          columns: header => header.map(column => column.trim().toLowerCase()),
+          skip_empty_lines: true,
+          relax_column_count: true,
+          bom: true,
+          trim: true,
+        });
+      } catch (parseError) {
+        throw new ValidationError(`Could not read CSV file: ${parseError.message}`);
+      }
+    } else if (Array.isArray(rows)) {
+      rows = rows.map(row => Object.fromEntries(
+        Object.entries(row || {}).map(([column, value]) => [column.trim().toLowerCase(), value])
+      ));
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('No statement rows to match');
+    }
+    if (rows.length > MAX_STATEMENT_ROWS) {
+      throw new ValidationError(`Statements can have up to ${MAX_STATEMENT_ROWS} rows`);
+    }
+
+    const result = await paymentReviewService.matchStatement(req.store, rows);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
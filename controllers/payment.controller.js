@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const paymentService = require('../services/payment.service');
+const { AppError } = require('../middleware/error.middleware');
+
+const paymentSummary = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.status,
+  method: order.payment.method,
+  status: order.payment.status,
+  amount: order.payment.amount,
+  currency: order.payment.currency,
+  provider: order.payment.provider,
+  reference: order.payment.reference,
+  failureReason: order.payment.failureReason,
+});
+
+// Start (or restart) online payment for an order. The invoice token proves the caller placed it.
+exports.initializeOrderPayment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { token } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !token) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const order = await Order.findOne({ _id: orderId, invoiceToken: token });
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const payment = await paymentService.initializeForOrder(order);
+
+    res.json(payment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Where the gateway sends the customer after paying: verify, then return them to their invoice
+exports.handleCallback = async (req, res, next) => {
+  try {
+    // Only the reference is read here; the order is verified on the account it was paid
+    // through, which may be the store's own rather than the platform's
+    const Provider = paymentService.getProviderClass(req.params.provider);
+    const reference = new Provider().getCallbackReference(req.query);
+
+    if (!reference) {
+      throw new AppError('Payment reference is required', 400);
+    }
+
+    const { order } = await paymentService.verifyReference(reference, req.params.provider);
+
+    res.redirect(paymentService.getReturnUrl(order));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Payment status for the storefront to poll; open payments are checked with the gateway first
+exports.verifyPayment = async (req, res, next) => {
+  try {
+    const { order } = await paymentService.verifyReference(req.params.reference);
+
+    res.json(paymentSummary(order));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, {
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body,
+    });
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    // Unexpected failures answer with a 500 so the gateway redelivers the event
+    if (!(error instanceof AppError)) {
+      console.error(`${req.params.provider} payment webhook failed:`, error);
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const RegisterSession = require('../models/register-session.model');
+const posService = require('../services/pos.service');
+const { AppError } = require('../middleware/error.middleware');
+
+const findStoreSession = async (req, sessionId) => {
+  const session = mongoose.Types.ObjectId.isValid(sessionId)
+    && await RegisterSession.findOne({ _id: sessionId, storeId: req.store._id });
+  if (!session) {
+    throw new AppError('Register session not found', 404);
+  }
+
+  return session;
+};
+
+const findStoreSale = async (req) => {
+  const order = mongoose.Types.ObjectId.isValid(req.params.orderId)
+    && await Order.findOne({ _id: req.params.orderId, storeId: req.store._id, source: 'pos' });
+  if (!order) {
+    throw new AppError('Sale not found', 404);
+  }
+
+  return order;
+};
+
+// Find a product by a scanned barcode
+exports.lookupBarcode = async (req, res, next) => {
+  try {
+    const result = await posService.lookupBarcode(req.store, req.params.code);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ring up a sale in an open register session
+exports.checkout = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.body.sessionId);
+    const { order, duplicate } = await posService.sell(req.store, session, req.body, { user: req.user });
+
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      duplicate,
+      order,
+      receipt: posService.toReceipt(order, req.store),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload sales rung up while the till was offline
+exports.syncOfflineSales = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.body.sessionId);
+    const result = await posService.syncSales(req.store, session, req.body.sales, { user: req.user });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const order = await findStoreSale(req);
+
+    res.json(posService.toReceipt(order, req.store));
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.emailReceipt = async (req, res, next) => {
+  try {
+    const order = await findStoreSale(req);
+    await posService.emailReceipt(req.store, order, { email: req.body.email });
+
+    res.json({
+      success: true,
+      message: `Receipt sent to ${order.customer.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSessions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, register } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { storeId: req.store._id };
+    if (status) query.status = status;
+    if (register) query.register = register;
+
+    const [sessions, total] = await Promise.all([
+      RegisterSession.find(query)
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('openedBy closedBy', 'name email'),
+      RegisterSession.countDocuments(query),
+    ]);
+
+    res.json({
+      sessions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The register's open session, if it has one
+exports.getCurrentSession = async (req, res, next) => {
+  try {
+    const session = await RegisterSession.findOne({
+      storeId: req.store._id,
+      register: req.query.register || 'Main',
+      status: 'open',
+    });
+
+    res.json({ session });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.openSession = async (req, res, next) => {
+  try {
+    const session = await posService.openSession(req.store, req.body, req.user);
+
+    res.status(201).json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSession = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.params.id);
+    await session.populate('openedBy closedBy cashMovements.by', 'name email');
+
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The running (X) report of an open session, or the Z-report of a closed one
+exports.getSessionReport = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.params.id);
+    const report = session.status === 'open' ? await posService.buildReport(session) : session.report;
+
+    res.json({
+      session: {
+        _id: session._id,
+        number: session.number,
+        register: session.register,
+        status: session.status,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+      },
+      type: session.status === 'open' ? 'X' : 'Z',
+      report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.addCashMovement = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.params.id);
+    await posService.moveCash(session, req.body, req.user);
+
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.closeSession = async (req, res, next) => {
+  try {
+    const session = await findStoreSession(req, req.params.id);
+    await posService.closeSession(session, req.body, req.user);
+
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 const Product = require('../models/product.model');
+const inventoryService = require('../services/inventory.service');
 const cloudinaryService = require('../services/cloudinary.service');
 const { v2: cloudinary } = require('cloudinary');
 
@@ -57,6 +58,7 @@ exports.createProduct = async (req, res) => {
       tags,
       metadata,
       sku,
+      barcode,
       weight,
       dimensions,
       lowStockThreshold
@@ -105,11 +107,17 @@ exports.createProduct = async (req, res) => {
       tags: tags || [],
       metadata: metadata || new Map(),
       sku,
+      barcode,
       weight: weight ? parseFloat(weight) : null,
       dimensions: dimensions || {},
       lowStockThreshold: lowStockThreshold ? parseInt(lowStockThreshold) : 5
     });
 
+    await inventoryService.recordVariantEdits(product, new Map(), {
+      user: req.user._id,
+      note: 'Initial stock',
+    });
+
     res.status(201).json(product);
   } catch (error) {
     console.error('Create product error:', error);
@@ -217,6 +225,7 @@ exports.updateProduct = async (req, res) => {
       tags,
       metadata,
       sku,
+      barcode,
       weight,
       dimensions,
       lowStockThreshold
@@ -231,6 +240,8 @@ exports.updateProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    const previousStock = new Map(product.variants.map(v => [v._id.toString(), v.inventory || 0]));
+
     // Update basic fields
     if (name) product.name = name;
     if (description) product.description = description;
@@ -244,6 +255,7 @@ exports.updateProduct = async (req, res) => {
     if (tags) product.tags = tags;
     if (metadata) product.metadata = metadata;
     if (sku !== undefined) product.sku = sku;
+    if (barcode !== undefined) product.barcode = barcode;
     if (weight !== undefined) product.weight = weight ? parseFloat(weight) : null;
     if (dimensions) product.dimensions = { ...product.dimensions, ...dimensions };
     if (lowStockThreshold !== undefined) product.lowStockThreshold = parseInt(lowStockThreshold);
@@ -295,6 +307,14 @@ exports.updateProduct = async (req, res) => {
     }
 
     await product.save();
+
+    if (variants) {
+      await inventoryService.recordVariantEdits(product, previousStock, {
+        user: req.user._id,
+        note: 'Product edited',
+      });
+    }
+
     res.status(200).json(product);
   } catch (error) {
     console.error('Update product error:', error);
@@ -321,7 +341,7 @@ exports.getProductById = async (req, res) => {
 
 exports.updateInventory = async (req, res) => {
   try {
-    const { inventory, variantId } = req.body;
+    const { inventory, variantId, note } = req.body;
     const product = await Product.findOne({
       _id: req.params.productId,
       businessId: req.store._id,
@@ -331,24 +351,36 @@ exports.updateInventory = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
+    const quantity = parseInt(inventory);
+    if (isNaN(quantity) || quantity < 0) {
+      return res.status(400).json({ message: 'Inventory must be a whole number of zero or more' });
+    }
+
+    let variants = product.variants;
     if (variantId) {
       const variant = product.variants.id(variantId);
       if (!variant) {
         return res.status(404).json({ message: 'Variant not found' });
       }
-      variant.inventory = parseInt(inventory);
-    } else {
-      // If no variant specified and variants exist, update all variants with same quantity
-      if (Array.isArray(product.variants) && product.variants.length > 0) {
-        product.variants.forEach(v => { v.inventory = parseInt(inventory); });
-      }
+      variants = [variant];
     }
 
-    await product.save();
+    // If no variant specified and variants exist, update all variants with same quantity
+    for (const variant of variants) {
+      await inventoryService.setStock({
+        productId: product._id,
+        variantId: variant._id,
+        inventory: quantity,
+        user: req.user._id,
+        note,
+      });
+    }
 
-    res.status(200).json(product);
+    const updatedProduct = await Product.findById(product._id);
+
+    res.status(200).json(updatedProduct);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
@@ -449,6 +481,11 @@ exports.duplicateProduct = async (req, res) => {
     // Create the new product
     const duplicatedProduct = await Product.create(duplicatedProductData);
 
+    await inventoryService.recordVariantEdits(duplicatedProduct, new Map(), {
+      user: req.user._id,
+      note: `Initial stock copied from ${originalProduct.name}`,
+    });
+
     res.status(201).json(duplicatedProduct);
   } catch (error) {
     console.error('Duplicate product error:', error);
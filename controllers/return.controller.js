@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Store = require('../models/store.model');
+const ReturnRequest = require('../models/return-request.model');
+const returnService = require('../services/return.service');
+const cloudinaryService = require('../services/cloudinary.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const findStoreReturn = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Return not found', 404);
+  }
+
+  const request = await ReturnRequest.findOne({ _id: req.params.id, storeId: req.store._id });
+  if (!request) {
+    throw new AppError('Return not found', 404);
+  }
+
+  return request;
+};
+
+const findStoreOrder = async (req, orderId) => {
+  const order = mongoose.Types.ObjectId.isValid(orderId)
+    && await Order.findOne({ _id: orderId, businessId: req.store.owner, storeId: req.store._id });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return order;
+};
+
+// The order behind a customer's invoice link
+const findInvoiceOrder = async (req) => {
+  const { orderId, token } = req.params;
+  const order = mongoose.Types.ObjectId.isValid(orderId) && await Order.findById(orderId);
+
+  if (!order || !order.invoiceToken || order.invoiceToken !== token) {
+    throw new AppError('Invoice not found', 404);
+  }
+
+  return order;
+};
+
+// Multipart bodies carry the items as a JSON string
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    throw new ValidationError('items must be valid JSON');
+  }
+};
+
+const uploadPhotos = async (files = []) => {
+  const urls = [];
+  for (const file of files) {
+    const base64Data = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+    const uploadResult = await cloudinaryService.uploadBase64(base64Data, 'sqaleshop/returns');
+    urls.push(uploadResult.url);
+  }
+  return urls;
+};
+
+// What a customer sees of their returns
+const toPublicReturn = (request) => ({
+  _id: request._id,
+  rmaNumber: request.rmaNumber,
+  status: request.status,
+  items: request.items,
+  photos: request.photos,
+  note: request.note,
+  rejectionReason: request.review?.reason,
+  resolution: request.resolution?.type ? {
+    type: request.resolution.type,
+    amount: request.resolution.amount,
+    resolvedAt: request.resolution.resolvedAt,
+  } : undefined,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt,
+});
+
+// Get the store's returns
+exports.getReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, orderId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { storeId: req.store._id };
+
+    if (status) {
+      query.status = Array.isArray(status) ? { $in: status } : status;
+    }
+
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) {
+      query.orderId = orderId;
+    }
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ReturnRequest.countDocuments(query),
+    ]);
+
+    res.json({
+      returns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    await request.populate('timeline.updatedBy', 'name email');
+
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Return status graph, so the dashboard only offers valid actions
+exports.getStatusTransitions = async (req, res) => {
+  res.json({ transitions: ReturnRequest.statusMachine, reasons: ReturnRequest.REASONS });
+};
+
+// Open a return for a customer from the dashboard
+exports.createReturn = async (req, res, next) => {
+  try {
+    const order = await findStoreOrder(req, req.body.orderId);
+    const photos = [
+      ...[].concat(req.body.photos || []),
+      ...await uploadPhotos(req.files),
+    ];
+
+    const request = await returnService.open(order, {
+      items: parseItems(req.body.items),
+      photos,
+      note: req.body.note,
+    }, { openedBy: 'merchant', user: req.user, store: req.store });
+
+    res.status(201).json(request);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.approveReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const updated = await returnService.approve(request, { note: req.body.note, user: req.user, store: req.store, order });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rejectReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const updated = await returnService.reject(request, { reason: req.body.reason, user: req.user, store: req.store, order });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const updated = await returnService.cancel(request, { note: req.body.note, user: req.user, store: req.store, order });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record the items that came back and whether each goes back into stock
+exports.receiveReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const updated = await returnService.receive(request, order, { items: req.body.items, user: req.user, store: req.store });
+
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.refundReturn = async (req, res, next) => {
+  try {
+    const { amount, method, note } = req.body;
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const updated = await returnService.refund(request, order, { amount, method, note, user: req.user, store: req.store });
+
+    res.json({ returnRequest: updated, order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.exchangeReturn = async (req, res, next) => {
+  try {
+    const request = await findStoreReturn(req);
+    const order = await findStoreOrder(req, request.orderId);
+
+    const result = await returnService.exchange(request, order, { note: req.body.note, user: req.user, store: req.store });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Customer's returns for an order and what can still be returned (public, invoice token)
+ */
+exports.getPublicReturns = async (req, res, next) => {
+  try {
+    const order = await findInvoiceOrder(req);
+    const [returns, returnable] = await Promise.all([
+      ReturnRequest.find({ orderId: order._id }).sort({ createdAt: -1 }),
+      returnService.getReturnableQuantities(order),
+    ]);
+
+    res.json({
+      returns: returns.map(toPublicReturn),
+      returnable: order.items.map(item => ({
+        itemId: item._id,
+        name: item.productSnapshot?.name,
+        variant: item.variantSnapshot?.name,
+        quantity: returnable.get(item._id.toString()),
+      })),
+      reasons: ReturnRequest.REASONS,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Customers attach photos as uploads only
+exports.createPublicReturn = async (req, res, next) => {
+  try {
+    const order = await findInvoiceOrder(req);
+    const store = await Store.findById(order.storeId);
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    const request = await returnService.open(order, {
+      items: parseItems(req.body.items),
+      photos: await uploadPhotos(req.files),
+      note: req.body.note,
+    }, { openedBy: 'customer', store });
+
+    res.status(201).json(toPublicReturn(request));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Customers can withdraw a return until the store has received the items
+exports.cancelPublicReturn = async (req, res, next) => {
+  try {
+    const order = await findInvoiceOrder(req);
+    const request = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await ReturnRequest.findOne({ _id: req.params.id, orderId: order._id });
+    if (!request) {
+      throw new AppError('Return not found', 404);
+    }
+
+    const store = await Store.findById(order.storeId);
+    const updated = await returnService.cancel(request, { note: 'Return cancelled by the customer', store, order });
+
+    res.json(toPublicReturn(updated));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,6 +4,11 @@ const Business = require('../models/business.model');
 const { ValidationError } = require('../utils/errors');
 const { AppError } = require('../middleware/error.middleware');
 const DomainUtils = require('../utils/domain.utils');
+const TimeUtils = require('../utils/time.utils');
+const notificationService = require('../services/notification.service');
+const entitlementService = require('../services/entitlement.service');
+const paymentService = require('../services/payment.service');
+const CryptoUtils = require('../utils/crypto.utils');
 const axios = require('axios');
 
 // SECTION 1: My Profile
@@ -169,6 +174,7 @@ exports.updateStoreDetails = async (req, res, next) => {
       businessType,
       whatsappNumber,
       currency,
+      timezone,
       url,
       address,
       socialLinks,
@@ -200,6 +206,12 @@ exports.updateStoreDetails = async (req, res, next) => {
     if (businessType) store.businessType = businessType;
     if (whatsappNumber) store.whatsappNumber = whatsappNumber;
     if (currency) store.currency = currency;
+    if (timezone) {
+      if (!TimeUtils.isValidTimeZone(timezone)) {
+        throw new ValidationError('Invalid time zone');
+      }
+      store.timezone = timezone;
+    }
     if (url) store.url = url;
     
     // Update address if provided
@@ -241,6 +253,83 @@ exports.updateStoreDetails = async (req, res, next) => {
   }
 };
 
+const SECRET_FIELDS = ['secretKey', 'webhookSecret'];
+
+// Merge incoming keys for one mode into the saved ones. Secrets are encrypted;
+// an omitted secret keeps the saved one and an empty one removes it.
+const mergeGatewayCredentials = (incoming, existing = {}) => {
+  const credentials = {
+    publicKey: existing.publicKey,
+    secretKey: existing.secretKey,
+    secretKeyHint: existing.secretKeyHint,
+    webhookSecret: existing.webhookSecret,
+  };
+
+  if (!incoming) return credentials;
+
+  if (incoming.publicKey !== undefined) {
+    credentials.publicKey = incoming.publicKey ? String(incoming.publicKey).trim() : undefined;
+  }
+
+  SECRET_FIELDS.forEach(field => {
+    if (incoming[field] === undefined) return;
+
+    const value = incoming[field] ? String(incoming[field]).trim() : '';
+    credentials[field] = value ? CryptoUtils.encrypt(value) : undefined;
+    if (field === 'secretKey') {
+      credentials.secretKeyHint = value ? CryptoUtils.mask(value) : undefined;
+    }
+  });
+
+  return credentials;
+};
+
+// Validate the online payment section of checkout options and merge it into the saved one
+const buildOnlinePaymentOptions = (incoming, existing = {}) => {
+  const provider = incoming.provider ?? existing.provider;
+  if (provider !== undefined && provider !== null && !paymentService.storeProviders.includes(provider)) {
+    throw new ValidationError(`provider must be one of: ${paymentService.storeProviders.join(', ')}`);
+  }
+
+  const mode = incoming.mode ?? existing.mode ?? 'test';
+  if (!['test', 'live'].includes(mode)) {
+    throw new ValidationError('mode must be either test or live');
+  }
+
+  const methods = incoming.methods ?? (existing.methods?.length ? [...existing.methods] : ['card']);
+  if (!Array.isArray(methods) || methods.length === 0 || methods.some(method => !paymentService.onlineMethods.includes(method))) {
+    throw new ValidationError(`methods must list at least one of: ${paymentService.onlineMethods.join(', ')}`);
+  }
+
+  // Keys saved for one gateway are no use with another
+  const providerChanged = existing.provider && provider !== existing.provider;
+  const online = {
+    enabled: Boolean(incoming.enabled ?? existing.enabled ?? false),
+    provider,
+    mode,
+    methods: [...new Set(methods)],
+    test: mergeGatewayCredentials(incoming.test, providerChanged ? {} : existing.test),
+    live: mergeGatewayCredentials(incoming.live, providerChanged ? {} : existing.live),
+    lastCheck: existing.lastCheck,
+  };
+
+  if (online.enabled) {
+    if (!online.provider) {
+      throw new ValidationError('Choose a payment provider before enabling online payments');
+    }
+    if (!online[mode].publicKey || !online[mode].secretKey) {
+      throw new ValidationError(`Add your ${mode} public and secret keys before enabling online payments`);
+    }
+  }
+
+  const keysChanged = providerChanged || ['test', 'live'].some(key => incoming[key]);
+  if (keysChanged) {
+    online.lastCheck = undefined;
+  }
+
+  return online;
+};
+
 // SECTION 3: Checkout Options
 exports.updateCheckoutOptions = async (req, res, next) => {
   try {
@@ -248,7 +337,9 @@ exports.updateCheckoutOptions = async (req, res, next) => {
       productDeliveryOptions, 
       paymentOptions,
       whatsapp: whatsappOptions,
-      guestCheckout: guestCheckoutOptions
+      guestCheckout: guestCheckoutOptions,
+      tax: taxOptions,
+      paymentWindow: paymentWindowOptions
     } = req.body;
 
     // Find the store owned by the user
@@ -281,7 +372,9 @@ exports.updateCheckoutOptions = async (req, res, next) => {
 
     // Update payment options
     if (paymentOptions) {
-      const existingPaymentOptions = store.checkoutOptions.paymentOptions || {};
+      // A plain copy: the document's nested getters read nothing once the path is replaced,
+      // which would drop the sections (and saved gateway keys) not in this request
+      const existingPaymentOptions = store.toObject().checkoutOptions?.paymentOptions || {};
       const updatedPaymentOptions = { ...existingPaymentOptions };
 
       if (paymentOptions.bankTransfer) {
@@ -363,6 +456,13 @@ exports.updateCheckoutOptions = async (req, res, next) => {
         updatedPaymentOptions.manualPayment = sanitizedManual;
       }
 
+      if (paymentOptions.online) {
+        updatedPaymentOptions.online = buildOnlinePaymentOptions(
+          paymentOptions.online,
+          existingPaymentOptions.online || {}
+        );
+      }
+
       store.checkoutOptions.paymentOptions = updatedPaymentOptions;
     }
 
@@ -382,8 +482,59 @@ exports.updateCheckoutOptions = async (req, res, next) => {
       };
     }
 
+    // Update tax options
+    if (taxOptions) {
+      const rate = Number(taxOptions.rate) || 0;
+      if (rate < 0 || rate > 100) {
+        throw new AppError('Tax rate must be between 0 and 100', 400);
+      }
+
+      store.checkoutOptions.tax = {
+        enabled: Boolean(taxOptions.enabled),
+        rate,
+        label: taxOptions.label || 'Tax'
+      };
+    }
+
+    // Update how long unpaid transfer orders are held
+    if (paymentWindowOptions) {
+      const existingWindow = store.toObject().checkoutOptions?.paymentWindow || {};
+      const hours = Number(paymentWindowOptions.hours ?? existingWindow.hours ?? 48);
+      const reminderHours = Number(paymentWindowOptions.reminderHours ?? existingWindow.reminderHours ?? 12);
+
+      if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+        throw new AppError('Payment window must be a whole number of hours between 1 and 720', 400);
+      }
+      if (!Number.isInteger(reminderHours) || reminderHours < 0 || reminderHours >= hours) {
+        throw new AppError('Reminder hours must be a whole number from 0 up to the payment window', 400);
+      }
+
+      store.checkoutOptions.paymentWindow = {
+        enabled: Boolean(paymentWindowOptions.enabled ?? existingWindow.enabled ?? false),
+        hours,
+        reminderHours,
+      };
+    }
+
     await store.save();
-    res.json(store.checkoutOptions);
+    res.json(Store.maskCheckoutOptions(store.checkoutOptions));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Check the store's saved gateway keys work; mode defaults to the store's current mode
+exports.testOnlinePaymentConnection = async (req, res, next) => {
+  try {
+    const store = await Store.findById(req.store._id);
+
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    const result = await paymentService.testStoreConnection(store, req.body.mode);
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -681,18 +832,9 @@ exports.updateBookingSettings = async (req, res, next) => {
   }
 };
 
-// SECTION 7: Premium Domain (Growth plan only)
+// SECTION 7: Premium Domain (plans with customDomain; checked by the route)
 exports.requestPremiumDomain = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      throw new AppError('User not found', 404);
-    }
-
-    if (user.plan !== 'growth') {
-      throw new AppError('Premium domains are available only on the Growth plan', 403);
-    }
-
     const store = await Store.findById(req.store._id);
 
     if (!store) {
@@ -802,6 +944,135 @@ exports.requestPremiumDomain = async (req, res, next) => {
   }
 };
 
+// SECTION 8: Inventory Alerts
+exports.updateInventoryAlerts = async (req, res, next) => {
+  try {
+    const { enabled, mode, channels, digestHour } = req.body;
+
+    const store = await Store.findById(req.store._id);
+
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    store.inventoryAlerts = store.inventoryAlerts || {};
+
+    if (enabled !== undefined) {
+      store.inventoryAlerts.enabled = Boolean(enabled);
+    }
+
+    if (mode !== undefined) {
+      if (!['instant', 'daily_digest'].includes(mode)) {
+        throw new ValidationError('Alert mode must be either instant or daily_digest');
+      }
+      store.inventoryAlerts.mode = mode;
+    }
+
+    if (channels) {
+      if (channels.email !== undefined) {
+        store.inventoryAlerts.channels.email = Boolean(channels.email);
+      }
+      if (channels.whatsapp !== undefined) {
+        store.inventoryAlerts.channels.whatsapp = Boolean(channels.whatsapp);
+      }
+    }
+
+    if (digestHour !== undefined) {
+      const hour = parseInt(digestHour);
+      if (isNaN(hour) || hour < 0 || hour > 23) {
+        throw new ValidationError('Digest hour must be between 0 and 23');
+      }
+      store.inventoryAlerts.digestHour = hour;
+    }
+
+    await store.save();
+    res.json(store.inventoryAlerts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// SECTION 9: Notifications
+const MAX_EXTRA_RECIPIENTS = 5;
+
+exports.updateNotificationSettings = async (req, res, next) => {
+  try {
+    const { events, quietHours, extraRecipients } = req.body;
+
+    const store = await Store.findById(req.store._id);
+
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    if (events) {
+      for (const [event, audiences] of Object.entries(events)) {
+        if (!notificationService.events.includes(event)) {
+          throw new ValidationError(`Unknown notification event: ${event}`);
+        }
+
+        for (const [audience, channels] of Object.entries(audiences || {})) {
+          if (!['customer', 'owner'].includes(audience)) {
+            throw new ValidationError('Notification audience must be either customer or owner');
+          }
+
+          for (const channel of ['email', 'whatsapp']) {
+            if (channels?.[channel] !== undefined) {
+              store.set(`notifications.events.${event}.${audience}.${channel}`, Boolean(channels[channel]));
+            }
+          }
+        }
+      }
+    }
+
+    if (quietHours) {
+      if (quietHours.enabled !== undefined) {
+        store.notifications.quietHours.enabled = Boolean(quietHours.enabled);
+      }
+
+      for (const field of ['start', 'end']) {
+        if (quietHours[field] !== undefined) {
+          if (!TimeUtils.isValidTime(quietHours[field])) {
+            throw new ValidationError(`Quiet hours ${field} must be a time in HH:mm format`);
+          }
+          store.notifications.quietHours[field] = quietHours[field];
+        }
+      }
+    }
+
+    if (extraRecipients) {
+      const { emails, whatsappNumbers } = extraRecipients;
+
+      if (emails !== undefined) {
+        if (!Array.isArray(emails) || emails.length > MAX_EXTRA_RECIPIENTS) {
+          throw new ValidationError(`Extra recipient emails must be a list of up to ${MAX_EXTRA_RECIPIENTS} addresses`);
+        }
+        const invalid = emails.find(email => typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email.trim()));
+        if (invalid !== undefined) {
+          throw new ValidationError(`Invalid email address: ${invalid}`);
+        }
+        store.notifications.extraRecipients.emails = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+      }
+
+      if (whatsappNumbers !== undefined) {
+        if (!Array.isArray(whatsappNumbers) || whatsappNumbers.length > MAX_EXTRA_RECIPIENTS) {
+          throw new ValidationError(`Extra recipient WhatsApp numbers must be a list of up to ${MAX_EXTRA_RECIPIENTS} numbers`);
+        }
+        const invalid = whatsappNumbers.find(number => typeof number !== 'string' || !/^\+?\d{7,15}$/.test(number.replace(/[\s-]/g, '')));
+        if (invalid !== undefined) {
+          throw new ValidationError(`Invalid WhatsApp number: ${invalid}`);
+        }
+        store.notifications.extraRecipients.whatsappNumbers = [...new Set(whatsappNumbers.map(number => number.replace(/[\s-]/g, '')))];
+      }
+    }
+
+    await store.save();
+    res.json(store.notifications);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get Store Settings (all sections)
 exports.getStoreSettings = async (req, res, next) => {
   try {
@@ -825,6 +1096,7 @@ exports.getStoreSettings = async (req, res, next) => {
         businessType: store.businessType,
         whatsappNumber: store.whatsappNumber,
         currency: store.currency,
+        timezone: store.timezone,
         address: store.address,
         socialLinks: store.socialLinks,
         businessHours: store.businessHours,
@@ -835,11 +1107,24 @@ exports.getStoreSettings = async (req, res, next) => {
         customDomain: store.customDomain,
         premiumDomainStatus: store.premiumDomainStatus,
       },
-      checkoutOptions: store.checkoutOptions || {},
+      checkoutOptions: Store.maskCheckoutOptions(store.checkoutOptions) || {},
       customization: store.customization || {},
-      bookingSettings: store.bookingSettings || { enabled: false }
+      bookingSettings: store.bookingSettings || { enabled: false },
+      inventoryAlerts: store.inventoryAlerts || {},
+      notifications: store.notifications || {}
     });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+// SECTION 10: Plan Usage - what the store uses against its plan's limits
+exports.getPlanUsage = async (req, res, next) => {
+  try {
+    const summary = await entitlementService.getSummary(req.store);
+
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const shipmentService = require('../services/shipment.service');
+const cloudinaryService = require('../services/cloudinary.service');
+const { AppError } = require('../middleware/error.middleware');
+
+const findStoreOrder = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    businessId: req.store.owner,
+    storeId: req.store._id,
+  });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return order;
+};
+
+// Shipments of an order, with how much of each line item is still to ship
+exports.getShipments = async (req, res, next) => {
+  try {
+    const order = await findStoreOrder(req);
+
+    res.json({
+      success: true,
+      ...shipmentService.getSummary(order),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Put line items in a new shipment. It ships straight away unless ship is false.
+exports.createShipment = async (req, res, next) => {
+  try {
+    const { notifyCustomer = true, ...fields } = req.body;
+    const order = await findStoreOrder(req);
+
+    const shipment = await shipmentService.create(order, fields, req.user);
+    if (notifyCustomer) {
+      await shipmentService.notify(req.store, order, shipment);
+    }
+
+    res.status(201).json({
+      success: true,
+      shipment,
+      order,
+      message: `Shipment #${shipment.number} created`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Edit carrier and tracking details of a shipment not yet delivered
+exports.updateShipment = async (req, res, next) => {
+  try {
+    const order = await findStoreOrder(req);
+    const shipment = await shipmentService.update(order, req.params.shipmentId, req.body);
+
+    res.json({
+      success: true,
+      shipment,
+      order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.shipShipment = async (req, res, next) => {
+  try {
+    const { notifyCustomer = true, ...fields } = req.body;
+    const order = await findStoreOrder(req);
+
+    const shipment = await shipmentService.ship(order, req.params.shipmentId, fields, req.user);
+    if (notifyCustomer) {
+      await shipmentService.notify(req.store, order, shipment);
+    }
+
+    res.json({
+      success: true,
+      shipment,
+      order,
+      message: `Shipment #${shipment.number} shipped`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark a shipment delivered, with an optional delivery photo and who received it
+exports.deliverShipment = async (req, res, next) => {
+  try {
+    const { confirmedBy, note, notifyCustomer = true } = req.body;
+    let { photo } = req.body;
+    const order = await findStoreOrder(req);
+
+    if (req.file) {
+      const base64Data = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+      const uploadResult = await cloudinaryService.uploadBase64(base64Data);
+      photo = uploadResult.url;
+    }
+
+    const shipment = await shipmentService.deliver(order, req.params.shipmentId, { confirmedBy, photo, note }, req.user);
+    // Multipart bodies send booleans as strings
+    if (notifyCustomer && notifyCustomer !== 'false') {
+      await shipmentService.notify(req.store, order, shipment);
+    }
+
+    res.json({
+      success: true,
+      shipment,
+      order,
+      message: `Shipment #${shipment.number} delivered`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteShipment = async (req, res, next) => {
+  try {
+    const order = await findStoreOrder(req);
+    await shipmentService.remove(order, req.params.shipmentId);
+
+    res.json({
+      success: true,
+      order,
+      message: 'Shipment removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
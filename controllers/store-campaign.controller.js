@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const EmailCampaign = require('../models/email-campaign.model');
+const campaignService = require('../services/campaign.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const STORE_RECIPIENT_TYPES = ['customers', 'segment', 'custom'];
+const SEGMENT_NUMBERS = ['minOrders', 'maxOrders', 'minSpent', 'maxSpent', 'orderedWithinDays', 'notOrderedWithinDays'];
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const PREVIEW_SAMPLE_SIZE = 10;
+
+const findStoreCampaign = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Campaign not found', 404);
+  }
+
+  const campaign = await EmailCampaign.findOne({ _id: req.params.id, storeId: req.store._id });
+  if (!campaign) {
+    throw new AppError('Campaign not found', 404);
+  }
+
+  return campaign;
+};
+
+// Check the audience fields a store may set and return them cleaned up
+const parseAudience = ({ recipientType, segment, customRecipients }) => {
+  if (!STORE_RECIPIENT_TYPES.includes(recipientType)) {
+    throw new ValidationError(`recipientType must be one of: ${STORE_RECIPIENT_TYPES.join(', ')}`);
+  }
+
+  const audience = { recipientType, segment: {}, customRecipients: [] };
+
+  if (recipientType === 'segment') {
+    const input = segment || {};
+
+    if (input.tags !== undefined && !Array.isArray(input.tags)) {
+      throw new ValidationError('segment.tags must be an array');
+    }
+    if (input.tagMatch !== undefined && !['any', 'all'].includes(input.tagMatch)) {
+      throw new ValidationError('segment.tagMatch must be either any or all');
+    }
+
+    audience.segment = {
+      tags: (input.tags || []).map(tag => String(tag).trim()).filter(Boolean),
+      tagMatch: input.tagMatch || 'any',
+    };
+
+    for (const field of SEGMENT_NUMBERS) {
+      if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+
+      const value = Number(input[field]);
+      if (isNaN(value) || value < 0) {
+        throw new ValidationError(`segment.${field} must be a number of 0 or more`);
+      }
+      audience.segment[field] = value;
+    }
+  }
+
+  if (recipientType === 'custom') {
+    if (!Array.isArray(customRecipients) || customRecipients.length === 0) {
+      throw new ValidationError('customRecipients must list at least one recipient');
+    }
+
+    const invalid = customRecipients.find(recipient => !recipient?.email || !EMAIL_PATTERN.test(recipient.email));
+    if (invalid) {
+      throw new ValidationError(`Invalid recipient email: ${invalid?.email || ''}`);
+    }
+
+    audience.customRecipients = customRecipients.map(({ email, name }) => ({ email, name }));
+  }
+
+  return audience;
+};
+
+// Get the store's campaigns
+exports.getCampaigns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { storeId: req.store._id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { subject: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const [campaigns, total] = await Promise.all([
+      EmailCampaign.find(query)
+        .populate('author', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmailCampaign.countDocuments(query),
+    ]);
+
+    res.json({
+      campaigns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+    await campaign.populate('author', 'name email');
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createCampaign = async (req, res, next) => {
+  try {
+    const { name, subject, content, scheduledAt, timezone } = req.body;
+
+    const campaign = new EmailCampaign({
+      name,
+      subject,
+      content,
+      ...parseAudience(req.body),
+      storeId: req.store._id,
+      author: req.user._id,
+    });
+
+    // A send time on create schedules the campaign straight away
+    if (scheduledAt) {
+      const schedule = campaignService.parseSchedule({ scheduledAt, timezone: timezone || req.store.timezone || undefined });
+      campaign.status = 'scheduled';
+      campaign.scheduledAt = schedule.scheduledAt;
+      campaign.scheduledTimezone = schedule.timezone;
+    }
+
+    await campaign.save();
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Edit a draft or scheduled campaign; sending and scheduling have their own endpoints
+exports.updateCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (!['draft', 'scheduled'].includes(campaign.status)) {
+      throw new AppError('Only draft or scheduled campaigns can be edited', 400);
+    }
+
+    ['name', 'subject', 'content'].forEach(field => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field];
+    });
+
+    if (req.body.recipientType !== undefined || req.body.segment !== undefined || req.body.customRecipients !== undefined) {
+      Object.assign(campaign, parseAudience({
+        recipientType: req.body.recipientType ?? campaign.recipientType,
+        segment: req.body.segment ?? campaign.segment,
+        customRecipients: req.body.customRecipients ?? campaign.customRecipients,
+      }));
+    }
+
+    await campaign.save();
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (campaign.status === 'sending') {
+      throw new AppError('A campaign cannot be deleted while it is sending', 400);
+    }
+
+    await campaign.deleteOne();
+
+    res.json({ message: 'Campaign deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a draft now - recipients are emailed by the background job queue
+exports.sendCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (campaign.status !== 'draft') {
+      throw new AppError('Only draft campaigns can be sent', 400);
+    }
+
+    const recipients = await campaignService.resolveRecipients(campaign);
+    if (recipients.length === 0) {
+      throw new ValidationError('No customers match this campaign\'s audience');
+    }
+
+    await campaignService.assertWithinQuota(req.store._id, recipients.length);
+    await campaignService.start(campaign);
+
+    res.status(202).json({
+      message: 'Campaign queued for sending',
+      recipients: recipients.length,
+      campaign,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Schedule a draft to send later. The quota is checked again when it goes out.
+exports.scheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (campaign.status !== 'draft') {
+      throw new AppError('Only draft campaigns can be scheduled', 400);
+    }
+
+    await campaignService.schedule(campaign, {
+      scheduledAt: req.body.scheduledAt,
+      timezone: req.body.timezone || req.store.timezone || undefined,
+    });
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rescheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (campaign.status !== 'scheduled') {
+      throw new AppError('Only scheduled campaigns can be rescheduled', 400);
+    }
+
+    await campaignService.schedule(campaign, {
+      scheduledAt: req.body.scheduledAt,
+      timezone: req.body.timezone || campaign.scheduledTimezone,
+    });
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.unscheduleCampaign = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+
+    if (campaign.status !== 'scheduled') {
+      throw new AppError('Only scheduled campaigns can be unscheduled', 400);
+    }
+
+    await campaignService.unschedule(campaign);
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getCampaignProgress = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+    const progress = await campaignService.getProgress(campaign);
+
+    res.json(progress);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getCampaignAnalytics = async (req, res, next) => {
+  try {
+    const campaign = await findStoreCampaign(req);
+    const analytics = await campaignService.getAnalytics(campaign);
+
+    res.json(analytics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// How many customers an audience reaches, before the campaign is saved
+exports.previewAudience = async (req, res, next) => {
+  try {
+    const audience = parseAudience(req.body);
+    const recipients = await campaignService.resolveRecipients({ ...audience, storeId: req.store._id });
+    const quota = await campaignService.getStoreQuota(req.store._id);
+
+    res.json({
+      recipients: recipients.length,
+      sample: recipients.slice(0, PREVIEW_SAMPLE_SIZE),
+      withinQuota: quota.remaining === null || recipients.length <= quota.remaining,
+      quota,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// This month's campaign email allowance and usage
+exports.getQuota = async (req, res, next) => {
+  try {
+    const quota = await campaignService.getStoreQuota(req.store._id);
+
+    res.json(quota);
+  } catch (error) {
+    next(error);
+  }
+};
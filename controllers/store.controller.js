@@ -7,6 +7,8 @@ const { AppError } = require('../middleware/error.middleware');
 const Store = require('../models/store.model');
 const { ValidationError } = require('../utils/errors');
 const User = require('../models/user.model');
+const pricingService = require('../services/pricing.service');
+const paymentService = require('../services/payment.service');
 
 exports.getStorefront = async (req, res, next) => {
   try {
@@ -156,7 +158,7 @@ exports.getStoreById = async (req, res, next) => {
       businessHours: store.businessHours,
       businessDescription: store.businessDescription,
       customization: store.customization,
-      checkoutOptions: store.checkoutOptions,
+      checkoutOptions: Store.maskCheckoutOptions(store.checkoutOptions),
       isOwner,
       permissions: isManager ? permissions : []
     });
@@ -498,6 +500,11 @@ exports.getStoreCheckoutOptions = async (req, res, next) => {
       },
       checkoutOptions: {
         ...store.checkoutOptions,
+        paymentOptions: {
+          ...store.checkoutOptions?.paymentOptions,
+          // Only the public key and enabled methods; secrets stay on the server
+          online: paymentService.getPublicOnlineOptions(store),
+        },
         guestCheckout: {
           enabled: store.checkoutOptions?.guestCheckout?.enabled ?? true,
           autoSaveCustomer: store.checkoutOptions?.guestCheckout?.autoSaveCustomer ?? true,
@@ -508,4 +515,30 @@ exports.getStoreCheckoutOptions = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Public: Price a storefront cart exactly as checkout will charge it
+exports.getStoreQuote = async (req, res, next) => {
+  try {
+    const { url } = req.params;
+    const { items, delivery, discount, customer } = req.body;
+
+    const store = await Store.findOne({ url });
+
+    if (!store) {
+      throw new AppError('Store not found', 404);
+    }
+
+    const quote = await pricingService.buildQuote({
+      store,
+      items,
+      delivery,
+      discountCode: discount?.code,
+      customerEmail: customer?.email,
+    });
+
+    res.json(pricingService.toPublicQuote(quote));
+  } catch (error) {
+    next(error);
+  }
+};
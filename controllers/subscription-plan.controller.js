@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const SubscriptionPlan = require('../models/subscription-plan.model');
+const BusinessSubscription = require('../models/business-subscription.model');
+const subscriptionService = require('../services/subscription.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'name', 'slug', 'tier', 'description', 'price', 'currency', 'interval',
+  'features', 'limits', 'stripeProductId', 'stripePriceId', 'isActive', 'sortOrder',
+];
+
+const findPlan = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Plan not found', 404);
+  }
+
+  const plan = await SubscriptionPlan.findById(id);
+  if (!plan) {
+    throw new AppError('Plan not found', 404);
+  }
+
+  return plan;
+};
+
+const applyFields = (plan, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) plan[field] = body[field];
+  });
+
+  if (!plan.slug && plan.name) {
+    plan.slug = slugify(`${plan.name} ${plan.interval || ''}`, { lower: true, strict: true });
+  }
+
+  if (plan.price !== undefined && (typeof plan.price !== 'number' || plan.price < 0)) {
+    throw new ValidationError('price must be a number of 0 or more');
+  }
+};
+
+const assertSlugAvailable = async (plan) => {
+  if (await SubscriptionPlan.exists({ slug: plan.slug, _id: { $ne: plan._id } })) {
+    throw new AppError(`A plan with slug ${plan.slug} already exists`, 409);
+  }
+};
+
+// Every plan, including inactive ones
+exports.getPlans = async (req, res, next) => {
+  try {
+    const plans = await SubscriptionPlan.find().sort({ sortOrder: 1, price: 1 });
+
+    res.json(plans);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getPlan = async (req, res, next) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    const subscribers = await BusinessSubscription.countDocuments({
+      planId: plan._id,
+      status: { $in: BusinessSubscription.PAID_STATUSES },
+    });
+
+    res.json({ ...plan.toObject(), subscribers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a plan; a paid plan without a stripePriceId gets a Stripe product and price
+exports.createPlan = async (req, res, next) => {
+  try {
+    const plan = new SubscriptionPlan();
+    applyFields(plan, req.body);
+
+    await plan.validate();
+    await assertSlugAvailable(plan);
+    await subscriptionService.syncPlanPrice(plan);
+    await plan.save();
+
+    res.status(201).json(plan);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const plan = await findPlan(req.params.id);
+    const previous = { price: plan.price, interval: plan.interval, currency: plan.currency };
+
+    applyFields(plan, req.body);
+    await plan.validate();
+    await assertSlugAvailable(plan);
+
+    // A price id passed in explicitly is used as-is
+    if (req.body.stripePriceId === undefined) {
+      await subscriptionService.syncPlanPrice(plan, previous);
+    }
+    await plan.save();
+
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Plans with subscriptions are retired instead of deleted so their records keep their plan
+exports.deletePlan = async (req, res, next) => {
+  try {
+    const plan = await findPlan(req.params.id);
+
+    if (await BusinessSubscription.exists({ planId: plan._id })) {
+      plan.isActive = false;
+      await plan.save();
+
+      return res.json({ message: 'Plan has subscriptions, so it was deactivated instead of deleted', plan });
+    }
+
+    await plan.deleteOne();
+
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
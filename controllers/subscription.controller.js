@@ -1,114 +1,181 @@
 const stripeService = require('../services/stripe.service');
-const { ApiError } = require('../utils/errors');
-
-// Define subscription plans
-const SUBSCRIPTION_PLANS = [
-  {
-    id: 'basic',
-    name: 'Basic Plan',
-    price: 9.99,
-    interval: 'month',
-    features: [
-      'Up to 100 products',
-      'Basic analytics',
-      'Email support',
-      'Standard themes'
-    ]
-  },
-  {
-    id: 'pro',
-    name: 'Pro Plan',
-    price: 29.99,
-    interval: 'month',
-    features: [
-      'Unlimited products',
-      'Advanced analytics',
-      'Priority support',
-      'Premium themes',
-      'Custom domain'
-    ]
-  }
-];
+const subscriptionService = require('../services/subscription.service');
+const SubscriptionPlan = require('../models/subscription-plan.model');
+const BusinessSubscription = require('../models/business-subscription.model');
+const { ApiError, NotFoundError, ValidationError } = require('../utils/errors');
 
-exports.getPlans = async (req, res) => {
+// Public plan listing, cheapest first within the admin-set order
+exports.getPlans = async (req, res, next) => {
   try {
-    res.json(SUBSCRIPTION_PLANS);
+    const plans = await SubscriptionPlan.find({ isActive: true }).sort({ sortOrder: 1, price: 1 });
+
+    res.json(plans.map(plan => ({
+      id: plan.slug,
+      name: plan.name,
+      description: plan.description,
+      tier: plan.tier,
+      price: plan.price,
+      currency: plan.currency,
+      interval: plan.interval,
+      features: plan.features,
+      limits: plan.limits,
+    })));
   } catch (error) {
-    throw new ApiError(error.message);
+    next(error);
   }
 };
 
-exports.createCheckoutSession = async (req, res) => {
+// Start Stripe checkout for a paid plan; the price comes from the plan, not the client
+exports.createCheckoutSession = async (req, res, next) => {
   try {
-    const { priceId } = req.body;
-    const { id: userId } = req.user;
-
-    const session = await stripeService.createCheckoutSession(
-      priceId,
-      userId,
-      `${process.env.CLIENT_URL}/dashboard?subscription=success`,
-      `${process.env.CLIENT_URL}/pricing?subscription=cancelled`
-    );
+    const { planId } = req.body;
+    if (!planId) {
+      throw new ValidationError('planId is required');
+    }
+
+    const plan = await SubscriptionPlan.findOne({ slug: planId, isActive: true });
+    if (!plan) {
+      throw new NotFoundError('Plan not found');
+    }
+
+    if (!plan.stripePriceId) {
+      throw new ValidationError(`${plan.name} is free and does not need a checkout`);
+    }
+
+    if (await BusinessSubscription.exists({ userId: req.user._id, status: { $in: BusinessSubscription.PAID_STATUSES } })) {
+      throw new ApiError('You already have an active subscription. Change plans instead.', 409);
+    }
+
+    const user = req.user;
+    if (!user.stripeCustomerId) {
+      const customer = await stripeService.createCustomer(user.email, { userId: String(user._id) });
+      user.stripeCustomerId = customer.id;
+      await user.save();
+    }
+
+    const session = await stripeService.createCheckoutSession({
+      customerId: user.stripeCustomerId,
+      priceId: plan.stripePriceId,
+      userId: user._id,
+      planId: plan._id,
+      successUrl: `${process.env.CLIENT_URL}/dashboard?subscription=success`,
+      cancelUrl: `${process.env.CLIENT_URL}/pricing?subscription=cancelled`,
+    });
 
     res.json({ url: session.url });
   } catch (error) {
-    throw new ApiError(error.message);
+    next(error);
   }
 };
 
+// Stripe webhook - the signature is checked against the unparsed body kept by express.json
 exports.handleWebhook = async (req, res, next) => {
+  let event;
   try {
     const sig = req.headers['stripe-signature'];
-    const event = await stripeService.constructWebhookEvent(req.raw, sig);
-
-    switch (event.type) {
-      case 'customer.subscription.created':
-        // Handle subscription created
-        break;
-      case 'customer.subscription.updated':
-        // Handle subscription updated
-        break;
-      case 'customer.subscription.deleted':
-        // Handle subscription cancelled
-        break;
-    }
+    event = await stripeService.constructWebhookEvent(req.rawBody, sig);
+  } catch (error) {
+    return next(new ApiError(`Webhook signature verification failed: ${error.message}`, 400));
+  }
 
-    res.json({ received: true });
+  try {
+    const result = await subscriptionService.handleEvent(event);
+    res.json({ received: true, ...result });
   } catch (error) {
-    next(new ApiError(error.message, 400));
+    // A non-2xx response makes Stripe redeliver the event later
+    console.error(`Stripe webhook ${event.type} ${event.id} failed:`, error);
+    next(new ApiError(error.message, 500));
   }
 };
 
+// The user's own subscription, or null on the free plan
 exports.getCurrentSubscription = async (req, res, next) => {
   try {
-    const { subscriptionId } = req.user;
-    if (!subscriptionId) {
-      return res.json({ subscription: null });
+    const subscription = await subscriptionService.getCurrentSubscription(req.user._id);
+
+    res.json({ subscription, plan: req.user.plan });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// What switching plans would charge now
+exports.previewPlanChange = async (req, res, next) => {
+  try {
+    const { planId } = req.body;
+    if (!planId) {
+      throw new ValidationError('planId is required');
     }
 
-    const subscription = await stripeService.getSubscription(subscriptionId);
-    res.json({ subscription });
+    const preview = await subscriptionService.previewPlanChange(req.user._id, planId);
+
+    res.json(preview);
   } catch (error) {
-    next(new ApiError(error.message, 400));
+    next(error);
   }
 };
 
-exports.cancelSubscription = async (req, res) => {
+// Switch plans; pass the prorationDate from the preview to be charged what it showed
+exports.changePlan = async (req, res, next) => {
   try {
-    const { subscriptionId } = req.body;
-    await stripeService.cancelSubscription(subscriptionId);
-    res.json({ message: 'Subscription cancelled successfully' });
+    const { planId, prorationDate } = req.body;
+    if (!planId) {
+      throw new ValidationError('planId is required');
+    }
+
+    const subscription = await subscriptionService.changePlan(req.user._id, planId, prorationDate);
+
+    res.json({ message: 'Plan changed successfully', subscription });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel at the end of the billing period
+exports.cancelSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.cancelAtPeriodEnd(req.user._id);
+
+    res.json({
+      message: 'Your subscription will be cancelled at the end of the billing period',
+      subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resumeSubscription = async (req, res, next) => {
+  try {
+    const subscription = await subscriptionService.resume(req.user._id);
+
+    res.json({ message: 'Subscription resumed', subscription });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getInvoices = async (req, res, next) => {
+  try {
+    const { limit, startingAfter } = req.query;
+    const invoices = await subscriptionService.listInvoices(req.user, { limit, startingAfter });
+
+    res.json(invoices);
   } catch (error) {
-    throw new ApiError(error.message);
+    next(error);
   }
 };
 
-exports.getSubscription = async (req, res) => {
+// Stripe-hosted page for payment methods and billing details
+exports.createBillingPortalSession = async (req, res, next) => {
   try {
-    const { subscriptionId } = req.params;
-    const subscription = await stripeService.getSubscription(subscriptionId);
-    res.json(subscription);
+    const session = await subscriptionService.createPortalSession(
+      req.user,
+      `${process.env.CLIENT_URL}/dashboard/settings?tab=billing`
+    );
+
+    res.json({ url: session.url });
   } catch (error) {
-    throw new ApiError(error.message);
+    next(error);
   }
-};
\ No newline at end of file
+};
@@ -7,6 +7,7 @@ const connectDB = require("./config/database");
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./config/swagger");
 const createCorsConfig = require("./config/cors");
+const scheduler = require("./config/scheduler");
 require("dotenv").config();
 
 // Import routes
@@ -22,11 +23,20 @@ const subscriptionRoutes = require("./routes/subscription.routes");
 const settingsRoutes = require("./routes/settings.routes");
 const customerRoutes = require("./routes/customer.routes");
 const orderRoutes = require("./routes/order.routes");
+const paymentRoutes = require("./routes/payment.routes");
+const paymentReviewRoutes = require("./routes/payment-review.routes");
+const returnRoutes = require("./routes/return.routes");
+const posRoutes = require("./routes/pos.routes");
 const bookingSlotRoutes = require("./routes/booking-slot.routes");
 const bookingRoutes = require("./routes/booking.routes");
 const blogRoutes = require("./routes/blog.routes");
 const platformAnalyticsRoutes = require("./routes/platform-analytics.routes");
 const marketingRoutes = require("./routes/marketing.routes");
+const discountRoutes = require("./routes/discount.routes");
+const cronRoutes = require("./routes/cron.routes");
+const jobRoutes = require("./routes/job.routes");
+const subscriptionPlanRoutes = require("./routes/subscription-plan.routes");
+const storeCampaignRoutes = require("./routes/store-campaign.routes");
 
 // Import public routes
 const publicRoutes = require('./routes/public.routes');
@@ -68,7 +78,15 @@ app.post('/api/test-order', (req, res) => {
 });
 
 // Other middleware
-app.use(express.json({ limit: '150mb' }));
+app.use(express.json({
+  limit: '150mb',
+  // Stripe and the payment gateways sign the exact request body, so keep it for their webhooks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/subscriptions/webhook') || req.originalUrl.startsWith('/api/payments/webhooks')) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '150mb' }));
 app.use(cookieParser());
 app.use(morgan("dev"));
@@ -95,15 +113,24 @@ app.use("/api/services", serviceRoutes);
 
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/subscription-plans", subscriptionPlanRoutes);
 app.use("/api/stores", storeRoutes);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/customers", customerRoutes);
 app.use("/api/orders", orderRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/payment-reviews", paymentReviewRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/pos", posRoutes);
 app.use("/api/booking-slots", bookingSlotRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/blogs", blogRoutes);
 app.use("/api/platform-analytics", platformAnalyticsRoutes);
 app.use("/api/marketing", marketingRoutes);
+app.use("/api/store-campaigns", storeCampaignRoutes);
+app.use("/api/discounts", discountRoutes);
+app.use("/api/cron", cronRoutes);
+app.use("/api/jobs", jobRoutes);
 
 // Public API routes (no authentication required)
 app.use('/api/public', publicRoutes);
@@ -122,6 +149,11 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Serverless hosts run background tasks through /api/cron instead
+  if (!process.env.VERCEL && process.env.DISABLE_SCHEDULER !== "true") {
+    scheduler.start();
+  }
 });
 
 module.exports = app;
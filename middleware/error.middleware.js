@@ -46,7 +46,10 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      // Plan limit errors say which limit was hit so the client can offer an upgrade;
+      // status transition errors list the statuses that are allowed instead
+      ...(err.details && { details: err.details })
     });
   } 
   // Programming or other unknown error: don't leak error details
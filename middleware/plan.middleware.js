@@ -0,0 +1,37 @@
+const entitlementService = require('../services/entitlement.service');
+
+/**
+ * Middleware to stop a store adding more of a resource than its plan allows
+ * Must be used after validateStoreAccess
+ *
+ * @param {string} resource - products, services or staff
+ * @returns {Function} Middleware function
+ */
+exports.checkPlanLimit = (resource) => {
+  return async (req, res, next) => {
+    try {
+      await entitlementService.assertCanAdd(req.store, resource);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware to stop a store using a feature its plan does not include
+ * Must be used after validateStoreAccess
+ *
+ * @param {string} feature - customDomain
+ * @returns {Function} Middleware function
+ */
+exports.requirePlanFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      await entitlementService.assertFeature(req.store, feature);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const StatusMachine = require('../utils/status-machine.utils');
+
+// Statuses a booking may move to from each status; an empty list is final
+const BOOKING_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'no_show', 'cancelled'],
+  completed: [],
+  no_show: [],
+  cancelled: [],
+};
+
+const bookingStatusMachine = new StatusMachine('booking', BOOKING_STATUS_TRANSITIONS, 'pending');
 
 const bookingSchema = new mongoose.Schema({
   storeId: {
@@ -69,14 +81,18 @@ const bookingSchema = new mongoose.Schema({
     currency: { type: String, default: 'NGN' },
   },
   discount: {
+    discountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Discount',
+    },
     code: String,
-    type: { type: String, enum: ['percentage', 'fixed'] },
+    type: { type: String, enum: ['percentage', 'fixed', 'fixed_amount', 'free_shipping'] },
     amount: Number,
     appliedAmount: Number,
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'],
+    enum: bookingStatusMachine.states,
     default: 'pending',
     index: true,
   },
@@ -102,6 +118,21 @@ const bookingSchema = new mongoose.Schema({
       of: mongoose.Schema.Types.Mixed,
     },
     proofOfPayment: String, // URL to uploaded proof
+    // Outcome of the owner checking an uploaded proof or a bank statement match
+    review: {
+      decision: {
+        type: String,
+        enum: ['approved', 'rejected'],
+      },
+      reason: String,
+      source: {
+        type: String,
+        enum: ['manual', 'statement'],
+      },
+      statementLine: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: Date,
+    },
     processedAt: Date,
     failureReason: String,
     refundedAmount: {
@@ -164,6 +195,7 @@ bookingSchema.index({ storeId: 1, status: 1 });
 bookingSchema.index({ storeId: 1, 'customer.email': 1 });
 bookingSchema.index({ storeId: 1, 'customer.phone': 1 });
 bookingSchema.index({ 'payment.transactionId': 1 });
+bookingSchema.index({ storeId: 1, 'payment.status': 1, createdAt: 1 });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ 'bookingDetails.startDate': 1 });
 bookingSchema.index({ 'bookingDetails.endDate': 1 });
@@ -221,6 +253,11 @@ bookingSchema.pre('save', async function(next) {
       }];
     }
 
+    // Every status change, however it was made, has to follow the graph
+    if (this.isModified('status') && !this.isNew && this.$locals.savedStatus) {
+      bookingStatusMachine.assertTransition(this.$locals.savedStatus, this.status);
+    }
+
     // Update timeline on status change
     if (this.isModified('status') && !this.isNew) {
       this.timeline.push({
@@ -238,6 +275,7 @@ bookingSchema.pre('save', async function(next) {
 
 // Instance methods
 bookingSchema.methods.updateStatus = function(newStatus, note, updatedBy) {
+  bookingStatusMachine.assertTransition(this.status, newStatus);
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
@@ -263,8 +301,16 @@ bookingSchema.methods.calculateRefundAmount = function() {
   return Math.max(totalPaid - alreadyRefunded, 0);
 };
 
+bookingSchema.methods.canTransitionTo = function(status) {
+  return bookingStatusMachine.canTransition(this.status, status);
+};
+
+bookingSchema.methods.getNextStatuses = function() {
+  return bookingStatusMachine.allowedFrom(this.status);
+};
+
 bookingSchema.methods.canBeCancelled = function() {
-  return ['pending', 'confirmed'].includes(this.status);
+  return this.getNextStatuses().includes('cancelled');
 };
 
 bookingSchema.methods.canBeRefunded = function() {
@@ -278,5 +324,16 @@ bookingSchema.methods.canBeRefunded = function() {
     eligiblePaymentStatuses.includes(paymentStatus);
 };
 
+// Remember the stored status so the pre-save hook can check the transition
+bookingSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+bookingSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+bookingSchema.statics.statusMachine = bookingStatusMachine;
+
 module.exports = mongoose.model('Booking', bookingSchema);
 
@@ -4,10 +4,10 @@
  *   schemas:
  *     BusinessSubscription:
  *       type: object
- *       required:
- *         - businessId
- *         - planId
  *       properties:
+ *         userId:
+ *           type: string
+ *           description: Owner paying for the subscription
  *         businessId:
  *           type: string
  *           description: Reference to the business
@@ -16,7 +16,7 @@
  *           description: Reference to the subscription plan
  *         status:
  *           type: string
- *           enum: [active, cancelled, past_due, unpaid]
+ *           enum: [active, trialing, past_due, unpaid, incomplete, incomplete_expired, paused, cancelled]
  *           default: active
  *           description: Current subscription status
  *         stripeSubscriptionId:
@@ -25,6 +25,9 @@
  *         stripeCustomerId:
  *           type: string
  *           description: Stripe customer ID reference
+ *         stripePriceId:
+ *           type: string
+ *           description: Stripe price the subscription is billed at
  *         currentPeriodStart:
  *           type: string
  *           format: date-time
@@ -37,6 +40,12 @@
  *           type: boolean
  *           default: false
  *           description: Whether subscription will cancel at period end
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         lastPaymentError:
+ *           type: string
+ *           description: Reason the latest invoice could not be paid
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -47,32 +56,51 @@
 
 const mongoose = require('mongoose');
 
+// Kept in step with the owner's Stripe subscription by the subscription webhook
 const businessSubscriptionSchema = new mongoose.Schema({
+  // Owner paying for the subscription
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   businessId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Business',
-    required: true,
   },
+  // Empty when the Stripe price does not belong to a known plan
   planId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SubscriptionPlan',
-    required: true,
   },
   status: {
     type: String,
-    enum: ['active', 'cancelled', 'past_due', 'unpaid'],
+    enum: ['active', 'trialing', 'past_due', 'unpaid', 'incomplete', 'incomplete_expired', 'paused', 'cancelled'],
     default: 'active',
   },
   stripeSubscriptionId: String,
   stripeCustomerId: String,
+  stripePriceId: String,
   currentPeriodStart: Date,
   currentPeriodEnd: Date,
   cancelAtPeriodEnd: {
     type: Boolean,
     default: false,
   },
+  cancelledAt: Date,
+  // Reason the latest invoice could not be paid
+  lastPaymentError: String,
+  // Creation time of the newest Stripe event applied, so late deliveries of older events are ignored
+  lastEventAt: Date,
 }, {
   timestamps: true,
 });
 
+// Subscription states in which the owner keeps paid features. A past_due
+// subscription is still being retried by Stripe, so access stays until it
+// becomes unpaid or is cancelled.
+businessSubscriptionSchema.statics.PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+businessSubscriptionSchema.index({ stripeSubscriptionId: 1 }, { unique: true, sparse: true });
+businessSubscriptionSchema.index({ userId: 1, status: 1 });
+
 module.exports = mongoose.model('BusinessSubscription', businessSubscriptionSchema); 
\ No newline at end of file
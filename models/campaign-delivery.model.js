@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One record per campaign recipient; tracking links and the unsubscribe link point at it
+const campaignDeliverySchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign',
+    required: true,
+  },
+  // Store campaigns only; used to count a store's sends against its plan quota
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'bounced', 'skipped'],
+    default: 'queued',
+  },
+  error: String,
+  sentAt: Date,
+  // First open and first click; the counts include repeats
+  openedAt: Date,
+  openCount: {
+    type: Number,
+    default: 0,
+  },
+  clickedAt: Date,
+  clickCount: {
+    type: Number,
+    default: 0,
+  },
+  // Most recent clicks, newest last
+  clicks: [{
+    _id: false,
+    url: String,
+    clickedAt: Date,
+  }],
+  unsubscribedAt: Date,
+}, {
+  timestamps: true,
+});
+
+campaignDeliverySchema.index({ campaign: 1, email: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaign: 1, status: 1 });
+campaignDeliverySchema.index({ storeId: 1, createdAt: -1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignDelivery:
+ *       type: object
+ *       properties:
+ *         campaign:
+ *           type: string
+ *         email:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, sent, bounced, skipped]
+ *           description: skipped means the address unsubscribed before its email went out
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *         openCount:
+ *           type: number
+ *         clickedAt:
+ *           type: string
+ *           format: date-time
+ *         clickCount:
+ *           type: number
+ *         unsubscribedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = mongoose.model('CampaignDelivery', campaignDeliverySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// Discounts are scoped per store, so businessId holds the store id (same as products)
 const discountSchema = new mongoose.Schema({
   businessId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,7 +11,9 @@ const discountSchema = new mongoose.Schema({
     type: String,
     required: true,
     uppercase: true,
+    trim: true,
   },
+  description: String,
   type: {
     type: String,
     enum: ['percentage', 'fixed_amount', 'free_shipping'],
@@ -80,6 +83,35 @@ discountSchema.methods.isValid = function(orderAmount, customer) {
   return true;
 };
 
+discountSchema.methods.hasItemConditions = function() {
+  return Boolean(this.conditions?.products?.length || this.conditions?.categories?.length);
+};
+
+discountSchema.methods.appliesToItem = function(productId, categoryId) {
+  if (!this.hasItemConditions()) return true;
+
+  const productIds = (this.conditions.products || []).map(id => id.toString());
+  const categories = this.conditions.categories || [];
+
+  return (productId && productIds.includes(productId.toString())) ||
+    (categoryId && categories.includes(categoryId.toString()));
+};
+
+discountSchema.methods.calculateAmount = function(eligibleSubtotal, shippingCost = 0) {
+  let amount = 0;
+
+  if (this.type === 'percentage') {
+    amount = eligibleSubtotal * (this.value / 100);
+  } else if (this.type === 'fixed_amount') {
+    amount = this.value;
+  } else if (this.type === 'free_shipping') {
+    amount = shippingCost;
+  }
+
+  const cap = this.type === 'free_shipping' ? shippingCost : eligibleSubtotal;
+  return Math.round(Math.min(Math.max(amount, 0), cap) * 100) / 100;
+};
+
 /**
  * @swagger
  * components:
@@ -94,23 +126,22 @@ discountSchema.methods.isValid = function(orderAmount, customer) {
  *       properties:
  *         businessId:
  *           type: string
- *           description: Reference to the business
+ *           description: Reference to the store
  *         code:
  *           type: string
  *           description: Discount code
+ *         description:
+ *           type: string
  *         type:
  *           type: string
- *           enum: [percentage, fixed]
+ *           enum: [percentage, fixed_amount, free_shipping]
  *           description: Type of discount
  *         value:
  *           type: number
  *           description: Discount value (percentage or fixed amount)
- *         minPurchase:
+ *         minimumPurchase:
  *           type: number
  *           description: Minimum purchase amount required
- *         maxDiscount:
- *           type: number
- *           description: Maximum discount amount
  *         startDate:
  *           type: string
  *           format: date-time
@@ -120,16 +151,35 @@ discountSchema.methods.isValid = function(orderAmount, customer) {
  *           format: date-time
  *           description: When discount expires
  *         usageLimit:
- *           type: number
- *           description: Maximum number of times discount can be used
- *         usedCount:
+ *           type: object
+ *           properties:
+ *             perCustomer:
+ *               type: number
+ *             total:
+ *               type: number
+ *         usageCount:
  *           type: number
  *           default: 0
  *           description: Number of times discount has been used
- *         isActive:
- *           type: boolean
- *           default: true
- *           description: Whether discount is currently active
+ *         conditions:
+ *           type: object
+ *           properties:
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             customerTags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [active, inactive, expired]
+ *           default: active
  *         createdAt:
  *           type: string
  *           format: date-time
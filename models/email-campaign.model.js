@@ -15,11 +15,36 @@ const emailCampaignSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Set for a store's own campaigns to its customers; platform campaigns leave it empty
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+  },
   recipientType: {
     type: String,
-    enum: ['all_users', 'store_owners', 'managers', 'customers', 'custom'],
+    enum: ['all_users', 'store_owners', 'managers', 'customers', 'segment', 'custom'],
     required: true,
   },
+  // Store campaigns only: which of the store's customers a segment campaign goes to
+  segment: {
+    tags: [{
+      type: String,
+      trim: true,
+    }],
+    tagMatch: {
+      type: String,
+      enum: ['any', 'all'],
+      default: 'any',
+    },
+    minOrders: Number,
+    maxOrders: Number,
+    minSpent: Number,
+    maxSpent: Number,
+    // Ordered within the last N days
+    orderedWithinDays: Number,
+    // Has not ordered for at least N days (or never)
+    notOrderedWithinDays: Number,
+  },
   customRecipients: [{
     email: String,
     name: String,
@@ -32,9 +57,15 @@ const emailCampaignSchema = new mongoose.Schema({
   scheduledAt: {
     type: Date,
   },
+  // Time zone the schedule was entered in, for display
+  scheduledTimezone: {
+    type: String,
+  },
   sentAt: {
     type: Date,
   },
+  // Why a campaign ended up failed
+  failureReason: String,
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -85,6 +116,7 @@ emailCampaignSchema.pre('save', function(next) {
 // Index for better performance
 emailCampaignSchema.index({ status: 1, scheduledAt: 1 });
 emailCampaignSchema.index({ author: 1 });
+emailCampaignSchema.index({ storeId: 1, createdAt: -1 });
 
 /**
  * @swagger
@@ -108,12 +140,38 @@ emailCampaignSchema.index({ author: 1 });
  *         content:
  *           type: string
  *           description: Email content (HTML)
+ *         storeId:
+ *           type: string
+ *           description: Store that owns the campaign (store campaigns only)
  *         recipientType:
  *           type: string
- *           enum: [all_users, store_owners, managers, customers, custom]
- *           description: Type of recipients
+ *           enum: [all_users, store_owners, managers, customers, segment, custom]
+ *           description: Type of recipients. Store campaigns use customers, segment or custom.
+ *         segment:
+ *           type: object
+ *           properties:
+ *             tags:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             tagMatch:
+ *               type: string
+ *               enum: [any, all]
+ *             minOrders:
+ *               type: number
+ *             maxOrders:
+ *               type: number
+ *             minSpent:
+ *               type: number
+ *             maxSpent:
+ *               type: number
+ *             orderedWithinDays:
+ *               type: number
+ *             notOrderedWithinDays:
+ *               type: number
  *         customRecipients:
  *           type: array
+ *           description: Platform campaigns send to any address; store campaigns only to the store's own customers
  *           items:
  *             type: object
  *             properties:
@@ -128,6 +186,9 @@ emailCampaignSchema.index({ author: 1 });
  *         scheduledAt:
  *           type: string
  *           format: date-time
+ *         scheduledTimezone:
+ *           type: string
+ *           example: Africa/Lagos
  *         sentAt:
  *           type: string
  *           format: date-time
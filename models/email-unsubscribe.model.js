@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Addresses that opted out of marketing campaigns; every later campaign from the
+// same sender (the platform, or one store) skips them
+const emailUnsubscribeSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  // Store whose campaigns the address left; empty for platform campaigns
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null,
+  },
+  // Campaign whose unsubscribe link was used
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign',
+  },
+  source: {
+    type: String,
+    enum: ['link', 'one_click'],
+    default: 'link',
+  },
+}, {
+  timestamps: true,
+});
+
+emailUnsubscribeSchema.index({ email: 1, storeId: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailUnsubscribe', emailUnsubscribeSchema);
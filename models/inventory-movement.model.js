@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['sale', 'release', 'cancellation', 'return', 'adjustment', 'import'];
+
+const inventoryMovementSchema = new mongoose.Schema({
+  // Store id, matching Product.businessId
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  variantSku: String,
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true,
+  },
+  // Signed change in stock; negative when stock leaves
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Variant stock straight after this movement
+  balance: {
+    type: Number,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+inventoryMovementSchema.index({ businessId: 1, product: 1, variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ businessId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+inventoryMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         variantSku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [sale, release, cancellation, return, adjustment, import]
+ *           description: release is stock put back when a checkout could not be completed
+ *         quantity:
+ *           type: number
+ *           description: Signed change in stock
+ *         balance:
+ *           type: number
+ *           description: Variant stock after the movement
+ *         order:
+ *           type: string
+ *         user:
+ *           type: string
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
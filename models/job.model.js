@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const jobSchema = new mongoose.Schema({
+  // Handler name registered with the job queue, e.g. campaign.email
+  type: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Groups related jobs so their progress can be queried, e.g. campaign:<id>
+  group: String,
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending',
+  },
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // Earliest time the job may run; pushed back on every retry
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  // One entry per failed attempt; a dead job keeps the full history
+  failures: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    failedAt: Date,
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+}, {
+  timestamps: true,
+});
+
+jobSchema.index({ type: 1, status: 1, priority: -1, runAt: 1 });
+jobSchema.index({ group: 1, status: 1 });
+jobSchema.index({ status: 1, updatedAt: -1 });
+
+jobSchema.statics.STATUSES = JOB_STATUSES;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: campaign.email
+ *         payload:
+ *           type: object
+ *         group:
+ *           type: string
+ *           example: campaign:6650c2f1a7b3c1e4f0a1b2c3
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, dead]
+ *           description: dead jobs ran out of attempts and wait for a manual retry
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         lastError:
+ *           type: string
+ *         failures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: number
+ *               error:
+ *                 type: string
+ *               failedAt:
+ *                 type: string
+ *                 format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const notificationLogSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Event key, e.g. orderCreated or bookingCancelled
+  event: {
+    type: String,
+    required: true,
+  },
+  audience: {
+    type: String,
+    enum: ['customer', 'owner'],
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'whatsapp'],
+    required: true,
+  },
+  // Email address or WhatsApp number the message went to
+  recipient: String,
+  template: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true,
+  },
+  // Failure message, or why the send was skipped
+  error: String,
+  // Delivery job and which of its attempts this was
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  attempt: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+}, {
+  timestamps: true,
+});
+
+notificationLogSchema.index({ storeId: 1, createdAt: -1 });
+notificationLogSchema.index({ order: 1 });
+notificationLogSchema.index({ booking: 1 });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationLog:
+ *       type: object
+ *       properties:
+ *         event:
+ *           type: string
+ *         audience:
+ *           type: string
+ *           enum: [customer, owner]
+ *         channel:
+ *           type: string
+ *           enum: [email, whatsapp]
+ *         recipient:
+ *           type: string
+ *         template:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [sent, failed, skipped]
+ *         error:
+ *           type: string
+ *         attempt:
+ *           type: number
+ *           description: Delivery attempt, counting retries
+ *         order:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = mongoose.model('NotificationLog', notificationLogSchema);
@@ -1,11 +1,37 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const StatusMachine = require('../utils/status-machine.utils');
+
+// Statuses an order may move to from each status; an empty list is final
+const ORDER_STATUS_TRANSITIONS = {
+  // Built in the dashboard; becomes an order once paid
+  draft: ['confirmed', 'cancelled'],
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+  processing: ['partially_shipped', 'shipped'],
+  partially_shipped: ['shipped', 'partially_delivered', 'partially_refunded', 'refunded'],
+  shipped: ['partially_delivered', 'delivered', 'partially_refunded', 'refunded'],
+  partially_delivered: ['delivered', 'partially_refunded', 'refunded'],
+  delivered: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+const orderStatusMachine = new StatusMachine('order', ORDER_STATUS_TRANSITIONS, 'pending');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
-    required: true,
+    required: function() {
+      return !this.custom;
+    },
+  },
+  // Custom line items on draft orders are not in the catalog and carry no stock
+  custom: {
+    type: Boolean,
+    default: false,
   },
   productSnapshot: {
     name: { type: String, required: true },
@@ -34,6 +60,8 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Catalog price when a draft order overrode it
+  catalogUnitPrice: Number,
   totalPrice: {
     type: Number,
     required: true,
@@ -42,6 +70,19 @@ const orderItemSchema = new mongoose.Schema({
     type: Map,
     of: String,
   },
+  // Stock bookkeeping: units taken from the variant at checkout, and units since put back
+  deductedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+  },
 }, {
   _id: true,
 });
@@ -49,7 +90,8 @@ const orderItemSchema = new mongoose.Schema({
 const paymentSchema = new mongoose.Schema({
   method: {
     type: String,
-    enum: ['card', 'cash', 'bank_transfer', 'bankTransfer', 'mobile_money', 'crypto', 'whatsapp'],
+    // split: a point-of-sale payment made with more than one tender
+    enum: ['card', 'cash', 'bank_transfer', 'bankTransfer', 'mobile_money', 'crypto', 'whatsapp', 'split'],
     required: true,
   },
   status: {
@@ -62,14 +104,52 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: 'NGN',
   },
+  // Online payments: the gateway used and our reference for the current attempt
+  provider: {
+    type: String,
+    enum: ['paystack', 'flutterwave', 'fake'],
+  },
+  // Whose gateway account took the payment, and in which mode for a store's own account
+  account: {
+    type: String,
+    enum: ['platform', 'store'],
+  },
+  mode: {
+    type: String,
+    enum: ['test', 'live'],
+  },
+  reference: String,
   transactionId: String,
   gatewayResponse: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
   },
   proofOfPayment: String, // URL to uploaded proof
+  // Outcome of the owner checking an uploaded proof or a bank statement match
+  review: {
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected'],
+    },
+    reason: String,
+    source: {
+      type: String,
+      enum: ['manual', 'statement'],
+    },
+    statementLine: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+  },
   processedAt: Date,
   failureReason: String,
+  // Payment window: when the customer was reminded, and when the unpaid order was cancelled
+  reminderSentAt: Date,
+  expiredAt: Date,
+  // What the customer still owes after an edit raised the total of a paid order
+  amountDue: {
+    type: Number,
+    default: 0,
+  },
   refundedAmount: {
     type: Number,
     default: 0,
@@ -80,6 +160,16 @@ const paymentSchema = new mongoose.Schema({
     method: { type: String, default: 'original' },
     processedAt: { type: Date, default: Date.now },
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    items: [{
+      itemId: mongoose.Schema.Types.ObjectId,
+      quantity: Number,
+      restockedQuantity: { type: Number, default: 0 },
+    }],
+    // The return request this refund or exchange settles, if any
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest',
+    },
     metadata: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
@@ -90,6 +180,91 @@ const paymentSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// One parcel of an order: which line items and how many of each it carries
+const shipmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+  },
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+  // packed: put together but not yet handed to the carrier
+  status: {
+    type: String,
+    enum: ['packed', 'shipped', 'delivered'],
+    default: 'packed',
+  },
+  carrier: String,
+  trackingNumber: String,
+  trackingUrl: String,
+  note: String,
+  packedAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  delivery: {
+    confirmedBy: String, // customer name or signature
+    photo: String, // delivery photo URL
+    note: String,
+  },
+}, {
+  _id: true,
+});
+
+// A point-of-sale sale: the register session it was rung up in and how the customer paid
+const posSaleSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegisterSession',
+    required: true,
+  },
+  register: String,
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  tenders: [{
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'transfer'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reference: String,
+  }],
+  tendered: Number,
+  // Cash handed back; only cash tenders can be over the amount due
+  change: {
+    type: Number,
+    default: 0,
+  },
+  // The till's own id for the sale, so a sale uploaded twice is only recorded once
+  clientRef: String,
+  // Sales rung up while the till was offline and uploaded later
+  offline: {
+    type: Boolean,
+    default: false,
+  },
+  capturedAt: Date,
+}, {
+  _id: false,
+});
+
 const orderSchema = new mongoose.Schema({
   businessId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -113,9 +288,20 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Customer',
     },
-    email: { type: String, required: true },
+    // Walk-in point-of-sale customers may not leave any contact details
+    email: {
+      type: String,
+      required: function() {
+        return this.source !== 'pos';
+      },
+    },
     name: { type: String, required: true },
-    phone: { type: String, required: true },
+    phone: {
+      type: String,
+      required: function() {
+        return this.source !== 'pos';
+      },
+    },
     address: String,
   },
   items: [orderItemSchema],
@@ -128,8 +314,12 @@ const orderSchema = new mongoose.Schema({
     currency: { type: String, default: 'NGN' },
   },
   discount: {
+    discountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Discount',
+    },
     code: String,
-    type: { type: String, enum: ['percentage', 'fixed'] },
+    type: { type: String, enum: ['percentage', 'fixed', 'fixed_amount', 'free_shipping'] },
     amount: Number,
     appliedAmount: Number,
   },
@@ -158,7 +348,7 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'partially_refunded', 'refunded'],
+    enum: orderStatusMachine.states,
     default: 'pending',
     index: true,
   },
@@ -177,6 +367,11 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Items and pricing before and after an order edit
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
   }],
   notes: {
     customer: String,
@@ -197,7 +392,16 @@ const orderSchema = new mongoose.Schema({
     type: String,
     index: true,
   },
-  // Fulfillment tracking
+  // Draft orders: when the customer was sent the invoice and when it became an order
+  draft: {
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: Date,
+    sentCount: { type: Number, default: 0 },
+    convertedAt: Date,
+  },
+  pos: posSaleSchema,
+  shipments: [shipmentSchema],
+  // Single-parcel fulfillment from before shipments; kept for older orders
   fulfillment: {
     packaged: {
       status: { type: Boolean, default: false },
@@ -229,6 +433,14 @@ orderSchema.index({ businessId: 1, storeId: 1 });
 orderSchema.index({ businessId: 1, 'customer.email': 1 });
 orderSchema.index({ businessId: 1, 'customer.phone': 1 });
 orderSchema.index({ 'payment.transactionId': 1 });
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
+orderSchema.index({ storeId: 1, 'payment.status': 1, createdAt: 1 });
+orderSchema.index({ storeId: 1, 'discount.discountId': 1 });
+orderSchema.index({ 'pos.sessionId': 1 }, { sparse: true });
+orderSchema.index(
+  { storeId: 1, 'pos.clientRef': 1 },
+  { unique: true, partialFilterExpression: { 'pos.clientRef': { $type: 'string' } } }
+);
 orderSchema.index({ createdAt: -1 });
 
 // Virtual for readable order total
@@ -295,6 +507,11 @@ orderSchema.pre('save', async function(next) {
       }
     }
 
+    // Every status change, however it was made, has to follow the graph
+    if (this.isModified('status') && !this.isNew && this.$locals.savedStatus) {
+      orderStatusMachine.assertTransition(this.$locals.savedStatus, this.status);
+    }
+
     // Update timeline on status change
     if (this.isModified('status') && !this.isNew) {
       this.timeline.push({
@@ -321,6 +538,7 @@ orderSchema.pre('save', async function(next) {
 
 // Instance methods
 orderSchema.methods.updateStatus = function(newStatus, note, updatedBy) {
+  orderStatusMachine.assertTransition(this.status, newStatus);
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
@@ -346,13 +564,93 @@ orderSchema.methods.calculateRefundAmount = function() {
   return Math.max(totalPaid - alreadyRefunded, 0);
 };
 
+/**
+ * Units of each line item put in shipments, shipped and delivered so far
+ */
+orderSchema.methods.getShipmentQuantities = function() {
+  const quantities = new Map(this.items.map(item => [
+    item._id.toString(),
+    { ordered: item.quantity, allocated: 0, shipped: 0, delivered: 0 },
+  ]));
+
+  for (const shipment of this.shipments || []) {
+    for (const { itemId, quantity } of shipment.items) {
+      const entry = quantities.get(itemId.toString());
+      if (!entry) continue;
+
+      entry.allocated += quantity;
+      if (['shipped', 'delivered'].includes(shipment.status)) entry.shipped += quantity;
+      if (shipment.status === 'delivered') entry.delivered += quantity;
+    }
+  }
+
+  return quantities;
+};
+
+/**
+ * The status the shipments put the order in, or null before anything has shipped
+ */
+orderSchema.methods.getShipmentStatus = function() {
+  const entries = [...this.getShipmentQuantities().values()];
+  const total = (field) => entries.reduce((sum, entry) => sum + entry[field], 0);
+
+  if (!entries.length || total('shipped') === 0) return null;
+  if (entries.every(entry => entry.delivered >= entry.ordered)) return 'delivered';
+  if (total('delivered') > 0) return 'partially_delivered';
+  if (entries.every(entry => entry.shipped >= entry.ordered)) return 'shipped';
+  return 'partially_shipped';
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return orderStatusMachine.canTransition(this.status, status);
+};
+
+orderSchema.methods.getNextStatuses = function() {
+  return orderStatusMachine.allowedFrom(this.status);
+};
+
+/**
+ * Add a refund to the payment and move the order to partially_refunded or
+ * refunded. The order is not saved.
+ * @returns {Object} The refunds entry
+ */
+orderSchema.methods.recordRefund = function({ amount, reason, method = 'original', processedBy, items = [], returnId }) {
+  const processedAt = new Date();
+  const paymentAmount = this.payment?.amount ?? this.pricing.total ?? 0;
+  const refundedAmount = (this.payment.refundedAmount || 0) + amount;
+  const isFullyRefunded = refundedAmount >= paymentAmount;
+
+  this.payment.refundedAmount = refundedAmount;
+  this.payment.refunds = this.payment.refunds || [];
+  this.payment.refunds.push({ amount, reason, method, processedAt, processedBy, items, returnId });
+
+  if (isFullyRefunded) {
+    this.payment.status = 'refunded';
+    this.status = 'refunded';
+  } else {
+    this.payment.status = 'partially_refunded';
+    if (this.status !== 'refunded') {
+      this.status = 'partially_refunded';
+    }
+  }
+
+  this.timeline.push({
+    status: isFullyRefunded ? 'refunded' : 'partially_refunded',
+    timestamp: processedAt,
+    note: `Refund processed: ${amount} - ${reason || 'No reason provided'}`,
+    updatedBy: processedBy,
+  });
+
+  return this.payment.refunds[this.payment.refunds.length - 1];
+};
+
 orderSchema.methods.canBeCancelled = function() {
-  return ['pending', 'confirmed'].includes(this.status);
+  return this.getNextStatuses().includes('cancelled');
 };
 
 orderSchema.methods.canBeRefunded = function() {
   const refundableBalance = this.calculateRefundAmount();
-  const eligibleStatuses = ['delivered', 'shipped', 'partially_refunded'];
+  const eligibleStatuses = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'partially_refunded'];
   const eligiblePaymentStatuses = ['completed', 'partially_refunded'];
   const paymentStatus = this.payment?.status;
   return refundableBalance > 0 &&
@@ -361,6 +659,17 @@ orderSchema.methods.canBeRefunded = function() {
     eligiblePaymentStatuses.includes(paymentStatus);
 };
 
+// Remember the stored status so the pre-save hook can check the transition
+orderSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+orderSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+orderSchema.statics.statusMachine = orderStatusMachine;
+
 // Static methods
 orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
   const match = { businessId };
@@ -462,6 +771,9 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *             properties:
  *               product:
  *                 type: string
+ *               custom:
+ *                 type: boolean
+ *                 description: A line item not in the catalog, added to a draft order
  *               productSnapshot:
  *                 type: object
  *                 properties:
@@ -479,6 +791,9 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *                 type: number
  *               unitPrice:
  *                 type: number
+ *               catalogUnitPrice:
+ *                 type: number
+ *                 description: Catalog price when a draft order overrode it
  *               totalPrice:
  *                 type: number
  *               options:
@@ -500,14 +815,14 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *               type: string
  *         status:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *           enum: [draft, pending, confirmed, processing, partially_shipped, shipped, partially_delivered, delivered, cancelled, partially_refunded, refunded]
  *           default: pending
  *         payment:
  *           type: object
  *           properties:
  *             method:
  *               type: string
- *               enum: [card, cash, bank_transfer, mobile_money, crypto]
+ *               enum: [card, cash, bank_transfer, mobile_money, crypto, split]
  *             status:
  *               type: string
  *               enum: [pending, processing, completed, failed, cancelled]
@@ -515,10 +830,18 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *               type: number
  *             currency:
  *               type: string
+ *             provider:
+ *               type: string
+ *               enum: [paystack, flutterwave, fake]
+ *             reference:
+ *               type: string
  *             transactionId:
  *               type: string
  *             proofOfPayment:
  *               type: string
+ *             amountDue:
+ *               type: number
+ *               description: Balance owed after an edit raised the total of a paid order
  *         shipping:
  *           type: object
  *           properties:
@@ -534,6 +857,55 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *               type: string
  *             address:
  *               type: object
+ *         draft:
+ *           type: object
+ *           properties:
+ *             sentAt:
+ *               type: string
+ *               format: date-time
+ *             sentCount:
+ *               type: number
+ *             convertedAt:
+ *               type: string
+ *               format: date-time
+ *         shipments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               number:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *               status:
+ *                 type: string
+ *                 enum: [packed, shipped, delivered]
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               shippedAt:
+ *                 type: string
+ *                 format: date-time
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
+ *               delivery:
+ *                 type: object
+ *                 properties:
+ *                   confirmedBy:
+ *                     type: string
+ *                   photo:
+ *                     type: string
  *         timeline:
  *           type: array
  *           items:
@@ -548,6 +920,14 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *                 type: string
  *               updatedBy:
  *                 type: string
+ *               changes:
+ *                 type: object
+ *                 description: Items and pricing before and after an order edit
+ *                 properties:
+ *                   before:
+ *                     type: object
+ *                   after:
+ *                     type: object
  *         notes:
  *           type: object
  *           properties:
@@ -558,6 +938,37 @@ orderSchema.statics.getOrderStats = function(businessId, storeId, dateRange) {
  *         source:
  *           type: string
  *           enum: [storefront, admin, api, pos]
+ *         pos:
+ *           type: object
+ *           description: Point-of-sale sales only
+ *           properties:
+ *             sessionId:
+ *               type: string
+ *             register:
+ *               type: string
+ *             tenders:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [cash, card, transfer]
+ *                   amount:
+ *                     type: number
+ *                   reference:
+ *                     type: string
+ *             tendered:
+ *               type: number
+ *             change:
+ *               type: number
+ *             clientRef:
+ *               type: string
+ *             offline:
+ *               type: boolean
+ *             capturedAt:
+ *               type: string
+ *               format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -106,6 +106,16 @@ const productSchema = new mongoose.Schema({
       return trimmed === '' ? undefined : trimmed;
     },
   },
+  // Scanned at the point of sale; variants can carry their own
+  barcode: {
+    type: String,
+    trim: true,
+    set: (value) => {
+      if (typeof value !== 'string') return value;
+      const trimmed = value.trim();
+      return trimmed === '' ? undefined : trimmed;
+    },
+  },
   weight: {
     type: Number,
     min: 0,
@@ -190,6 +200,8 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ businessId: 1, status: 1 });
 productSchema.index({ businessId: 1, category: 1 });
+productSchema.index({ businessId: 1, barcode: 1 }, { sparse: true });
+productSchema.index({ businessId: 1, 'variants.barcode': 1 }, { sparse: true });
 
 // Pre-save hook for slug generation
 productSchema.pre('save', function(next) {
@@ -250,6 +262,9 @@ productSchema.virtual('stockStatus').get(function() {
  *         sku:
  *           type: string
  *           description: Stock keeping unit
+ *         barcode:
+ *           type: string
+ *           description: Barcode scanned at the point of sale
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  reason: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now },
+}, {
+  _id: true,
+});
+
+// A till's shift, from the opening float to the end-of-day count
+const registerSessionSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  // Numbered per store, printed on the Z-report
+  number: Number,
+  register: {
+    type: String,
+    trim: true,
+    default: 'Main',
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  openedAt: { type: Date, default: Date.now },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Cash put into or taken out of the drawer other than for sales
+  cashMovements: [cashMovementSchema],
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: Date,
+  countedCash: Number,
+  note: String,
+  // The Z-report, fixed when the session is closed
+  report: mongoose.Schema.Types.Mixed,
+}, {
+  timestamps: true,
+});
+
+// One open session per register
+registerSessionSchema.index(
+  { storeId: 1, register: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+registerSessionSchema.index({ storeId: 1, openedAt: -1 });
+
+registerSessionSchema.pre('save', async function(next) {
+  try {
+    if (this.isNew && !this.number) {
+      const count = await this.constructor.countDocuments({ storeId: this.storeId });
+      this.number = count + 1;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegisterSession:
+ *       type: object
+ *       properties:
+ *         number:
+ *           type: number
+ *         register:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *         openingFloat:
+ *           type: number
+ *         cashMovements:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [in, out]
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         countedCash:
+ *           type: number
+ *         report:
+ *           $ref: '#/components/schemas/RegisterReport'
+ *     RegisterReport:
+ *       type: object
+ *       properties:
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *         sales:
+ *           type: object
+ *           properties:
+ *             count:
+ *               type: number
+ *             offline:
+ *               type: number
+ *             units:
+ *               type: number
+ *             subtotal:
+ *               type: number
+ *             tax:
+ *               type: number
+ *             total:
+ *               type: number
+ *         tenders:
+ *           type: object
+ *           description: Takings by tender; cash is net of change given
+ *           properties:
+ *             cash:
+ *               type: number
+ *             card:
+ *               type: number
+ *             transfer:
+ *               type: number
+ *         changeGiven:
+ *           type: number
+ *         cash:
+ *           type: object
+ *           properties:
+ *             openingFloat:
+ *               type: number
+ *             sales:
+ *               type: number
+ *             cashIn:
+ *               type: number
+ *             cashOut:
+ *               type: number
+ *             expected:
+ *               type: number
+ *             counted:
+ *               type: number
+ *             variance:
+ *               type: number
+ */
+
+module.exports = mongoose.model('RegisterSession', registerSessionSchema);
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const StatusMachine = require('../utils/status-machine.utils');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Statuses a return may move to from each status; an empty list is final
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['refunded', 'exchanged'],
+  rejected: [],
+  cancelled: [],
+  refunded: [],
+  exchanged: [],
+};
+
+const returnStatusMachine = new StatusMachine('return', RETURN_STATUS_TRANSITIONS, 'requested');
+
+const returnItemSchema = new mongoose.Schema({
+  // The order line item being returned
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  name: String,
+  unitPrice: Number,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true,
+  },
+  note: String,
+  // Filled in when the parcel comes back
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  condition: {
+    type: String,
+    enum: ['restock', 'write_off'],
+  },
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  _id: true,
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  orderNumber: String,
+  rmaNumber: {
+    type: String,
+    unique: true,
+  },
+  customer: {
+    name: String,
+    email: String,
+    phone: String,
+  },
+  openedBy: {
+    type: String,
+    enum: ['customer', 'merchant'],
+    required: true,
+  },
+  items: [returnItemSchema],
+  photos: [String],
+  note: String,
+  status: {
+    type: String,
+    enum: returnStatusMachine.states,
+    default: 'requested',
+  },
+  review: {
+    reason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+  },
+  receivedAt: Date,
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // How the return was settled; refundId points at the order's payment.refunds entry
+  resolution: {
+    type: { type: String, enum: ['refund', 'exchange'] },
+    amount: Number,
+    method: String,
+    refundId: mongoose.Schema.Types.ObjectId,
+    exchangeOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    note: String,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date,
+  },
+  timeline: [{
+    status: String,
+    timestamp: { type: Date, default: Date.now },
+    note: String,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }],
+}, {
+  timestamps: true,
+});
+
+returnRequestSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ orderId: 1, status: 1 });
+
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return returnStatusMachine.canTransition(this.status, status);
+};
+
+returnRequestSchema.methods.updateStatus = function(newStatus, note, updatedBy) {
+  returnStatusMachine.assertTransition(this.status, newStatus);
+  this.status = newStatus;
+  this.timeline.push({
+    status: newStatus,
+    timestamp: new Date(),
+    note: note || `Return ${newStatus}`,
+    updatedBy,
+  });
+};
+
+returnRequestSchema.statics.statusMachine = returnStatusMachine;
+returnRequestSchema.statics.REASONS = RETURN_REASONS;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         rmaNumber:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *         orderNumber:
+ *           type: string
+ *         openedBy:
+ *           type: string
+ *           enum: [customer, merchant]
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled, received, refunded, exchanged]
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *               note:
+ *                 type: string
+ *               receivedQuantity:
+ *                 type: number
+ *               condition:
+ *                 type: string
+ *                 enum: [restock, write_off]
+ *               restockedQuantity:
+ *                 type: number
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         resolution:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [refund, exchange]
+ *             amount:
+ *               type: number
+ *             refundId:
+ *               type: string
+ *             exchangeOrderId:
+ *               type: string
+ */
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -1,5 +1,46 @@
 const mongoose = require("mongoose");
 
+const notificationChannels = (email, whatsapp = false) => ({
+  email: {
+    type: Boolean,
+    default: email,
+  },
+  whatsapp: {
+    type: Boolean,
+    default: whatsapp,
+  },
+});
+
+// One mode's keys for a store's own gateway account. Secrets are stored encrypted
+// (utils/crypto.utils) and never sent to clients; secretKeyHint shows which key is saved.
+const gatewayCredentials = () => ({
+  publicKey: {
+    type: String,
+    trim: true,
+  },
+  secretKey: String,
+  secretKeyHint: String,
+  webhookSecret: String,
+});
+
+// Owner-facing view of online payment settings, with the secrets replaced by flags
+const maskOnlinePayments = (online) => {
+  if (!online) return online;
+
+  const masked = { ...online };
+  ['test', 'live'].forEach(mode => {
+    const credentials = online[mode] || {};
+    masked[mode] = {
+      publicKey: credentials.publicKey || '',
+      secretKey: credentials.secretKeyHint || null,
+      hasSecretKey: Boolean(credentials.secretKey),
+      hasWebhookSecret: Boolean(credentials.webhookSecret),
+    };
+  });
+
+  return masked;
+};
+
 const storeSchema = new mongoose.Schema({
   // Store Information (Step 3)
   url: {
@@ -40,6 +81,11 @@ const storeSchema = new mongoose.Schema({
     type: String,
     default: "NGN",
   },
+  // IANA time zone used for scheduled sends and daily digests
+  timezone: {
+    type: String,
+    default: "Africa/Lagos",
+  },
   
   // Business Details (Step 1)
   businessName: {
@@ -174,6 +220,38 @@ const storeSchema = new mongoose.Schema({
           type: String,
           default: ''
         }
+      },
+      // The store's own gateway account for card and mobile money payments
+      online: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        provider: {
+          type: String,
+          enum: ['paystack', 'flutterwave']
+        },
+        mode: {
+          type: String,
+          enum: ['test', 'live'],
+          default: 'test'
+        },
+        methods: {
+          type: [{
+            type: String,
+            enum: ['card', 'mobile_money']
+          }],
+          default: ['card']
+        },
+        test: gatewayCredentials(),
+        live: gatewayCredentials(),
+        // Result of the last connectivity check
+        lastCheck: {
+          mode: String,
+          ok: Boolean,
+          message: String,
+          checkedAt: Date
+        }
       }
     },
     whatsapp: {
@@ -196,6 +274,43 @@ const storeSchema = new mongoose.Schema({
         default: false
       }
     },
+    tax: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Percentage applied to taxable products at checkout
+      rate: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+      },
+      label: {
+        type: String,
+        default: 'Tax'
+      }
+    },
+    // Unpaid bank transfer and manual payment orders are cancelled, and their
+    // stock released, once this many hours pass without payment
+    paymentWindow: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      hours: {
+        type: Number,
+        default: 48,
+        min: 1,
+        max: 720
+      },
+      // Hours before expiry to remind the customer; 0 sends no reminder
+      reminderHours: {
+        type: Number,
+        default: 12,
+        min: 0
+      }
+    },
   },
   
   // Store Customization
@@ -279,6 +394,133 @@ const storeSchema = new mongoose.Schema({
     of: [String],
   },
   
+  // Low-stock alerts for the owner and managers with the products permission
+  inventoryAlerts: {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    mode: {
+      type: String,
+      enum: ["instant", "daily_digest"],
+      default: "instant",
+    },
+    channels: {
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      whatsapp: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Local hour (0-23, store time zone) the daily digest goes out
+    digestHour: {
+      type: Number,
+      default: 8,
+      min: 0,
+      max: 23,
+    },
+    lastDigestSentAt: Date,
+  },
+
+  // Which channels each store event goes out on, per audience
+  notifications: {
+    events: {
+      orderCreated: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      orderStatusChanged: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      orderCancelled: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      orderRefunded: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      bookingCreated: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      bookingConfirmed: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(false),
+      },
+      bookingCancelled: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      bookingStatusChanged: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      orderPaymentReviewed: {
+        customer: notificationChannels(true),
+      },
+      bookingPaymentReviewed: {
+        customer: notificationChannels(true),
+      },
+      orderPaymentReminder: {
+        customer: notificationChannels(true),
+      },
+      orderShipmentShipped: {
+        customer: notificationChannels(true),
+      },
+      orderShipmentDelivered: {
+        customer: notificationChannels(true),
+      },
+      orderUpdated: {
+        customer: notificationChannels(true),
+      },
+      draftOrderSent: {
+        customer: notificationChannels(true),
+      },
+      posReceipt: {
+        customer: notificationChannels(true),
+      },
+      returnRequested: {
+        customer: notificationChannels(true),
+        owner: notificationChannels(true),
+      },
+      returnUpdated: {
+        customer: notificationChannels(true),
+      },
+    },
+    // Owner WhatsApp messages are held back between start and end (HH:mm, store time zone)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      start: {
+        type: String,
+        default: "22:00",
+      },
+      end: {
+        type: String,
+        default: "07:00",
+      },
+    },
+    // Extra addresses that receive everything the owner receives
+    extraRecipients: {
+      emails: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+      }],
+      whatsappNumbers: [{
+        type: String,
+        trim: true,
+      }],
+    },
+  },
+  
   // Booking Settings
   bookingSettings: {
     enabled: {
@@ -305,4 +547,29 @@ const storeSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Copy of checkoutOptions that is safe to send to the store's dashboard
+ */
+storeSchema.statics.maskCheckoutOptions = function(checkoutOptions) {
+  if (!checkoutOptions?.paymentOptions?.online) return checkoutOptions;
+
+  return {
+    ...checkoutOptions,
+    paymentOptions: {
+      ...checkoutOptions.paymentOptions,
+      online: maskOnlinePayments(checkoutOptions.paymentOptions.online),
+    },
+  };
+};
+
+// Gateway secrets never leave the server, whichever endpoint returns the store
+storeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.checkoutOptions) {
+      ret.checkoutOptions = doc.constructor.maskCheckoutOptions(ret.checkoutOptions);
+    }
+    return ret;
+  },
+});
+
 module.exports = mongoose.model("Store", storeSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Stripe webhook events already received, so a redelivered event is applied only once
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing',
+  },
+  // Failure message from the last attempt
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // When Stripe created the event
+  stripeCreatedAt: Date,
+  processedAt: Date,
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
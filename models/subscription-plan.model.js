@@ -6,18 +6,30 @@
  *       type: object
  *       required:
  *         - name
+ *         - slug
+ *         - tier
  *         - price
  *         - interval
  *       properties:
  *         name:
  *           type: string
  *           description: Name of the subscription plan
+ *         slug:
+ *           type: string
+ *           description: Stable plan id used by clients and checkout
+ *         tier:
+ *           type: string
+ *           enum: [free, growth]
+ *           description: User plan granted while subscribed
  *         description:
  *           type: string
  *           description: Detailed description of the plan
  *         price:
  *           type: number
  *           description: Monthly/yearly price of the plan
+ *         currency:
+ *           type: string
+ *           default: usd
  *         interval:
  *           type: string
  *           enum: [monthly, yearly]
@@ -47,6 +59,9 @@
  *             customDomain:
  *               type: boolean
  *               description: Whether custom domain is allowed
+ *             campaignEmails:
+ *               type: number
+ *               description: Store campaign emails allowed per calendar month
  *         stripeProductId:
  *           type: string
  *           description: Stripe product ID reference
@@ -57,6 +72,9 @@
  *           type: boolean
  *           default: true
  *           description: Whether the plan is currently available
+ *         sortOrder:
+ *           type: number
+ *           description: Position in the public plan listing
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -73,10 +91,30 @@ const subscriptionPlanSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Stable id used by clients and checkout, e.g. growth-monthly
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  // User.plan an owner subscribed to this plan gets
+  tier: {
+    type: String,
+    enum: ['free', 'growth'],
+    required: true,
+  },
   description: String,
   price: {
     type: Number,
     required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd',
   },
   interval: {
     type: String,
@@ -87,12 +125,15 @@ const subscriptionPlanSchema = new mongoose.Schema({
     name: String,
     included: Boolean,
   }],
+  // Left empty, a limit falls back to the tier's default (see entitlement.service)
   limits: {
     products: Number,
     services: Number,
 
     staff: Number,
     customDomain: Boolean,
+    // Store campaign emails per calendar month
+    campaignEmails: Number,
   },
   stripeProductId: String,
   stripePriceId: String,
@@ -100,6 +141,11 @@ const subscriptionPlanSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Position in the public plan listing
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true,
 });
@@ -19,6 +19,8 @@ const userSchema = new mongoose.Schema({
     enum: ['free', 'growth'],
     default: 'free',
   },
+  // Stripe customer the owner's subscription is billed to
+  stripeCustomerId: String,
   magicLink: {
     code: String,
     expiresAt: Date,
@@ -113,6 +115,9 @@ userSchema.methods.verifyEmailOTP = function(otp) {
  *           enum: [free, growth]
  *           default: free
  *           description: Subscription plan assigned to the user
+ *         stripeCustomerId:
+ *           type: string
+ *           description: Stripe customer the subscription is billed to
  *         isEmailVerified:
  *           type: boolean
  *           default: false
@@ -3,6 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const { authenticate } = require('../middleware/auth');
 const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const { checkPlanLimit } = require('../middleware/plan.middleware');
 const bookingSlotController = require('../controllers/booking-slot.controller');
 
 const upload = multer({ storage: multer.memoryStorage() });
@@ -11,7 +12,7 @@ router.use(authenticate);
 router.use(validateStoreAccess);
 router.use(validatePermission('products')); // Use products permission for booking slots
 
-router.post('/', upload.array('images', 10), bookingSlotController.createBookingSlot);
+router.post('/', checkPlanLimit('services'), upload.array('images', 10), bookingSlotController.createBookingSlot);
 router.get('/', bookingSlotController.getBookingSlots);
 router.get('/:id', bookingSlotController.getBookingSlot);
 router.patch('/:id', upload.array('images', 10), bookingSlotController.updateBookingSlot);
@@ -19,6 +19,7 @@ router.use(validateStoreAccess);
 router.use(validatePermission('orders')); // Use orders permission for bookings
 
 router.get('/', bookingController.getBookings);
+router.get('/status-transitions', bookingController.getStatusTransitions);
 router.patch('/:id/status', bookingController.updateBookingStatus);
 router.patch('/:id/payment', bookingController.updateBookingPayment);
 router.post('/:id/cancel', bookingController.cancelBooking);
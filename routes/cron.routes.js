@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cron.controller');
+
+/**
+ * @swagger
+ * /api/cron/{task}:
+ *   get:
+ *     summary: Run a scheduled background task once
+ *     description: "Called by the hosting platform's cron. Requires `Authorization: Bearer <CRON_SECRET>`."
+ *     tags: [Cron]
+ *     parameters:
+ *       - in: path
+ *         name: task
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: inventory-digest
+ *     responses:
+ *       200:
+ *         description: Task ran
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       404:
+ *         description: Unknown task
+ */
+router.get('/:task', cronController.runTask);
+router.post('/:task', cronController.runTask);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const discountController = require('../controllers/discount.controller');
+
+// All routes require authentication first
+router.use(authenticate);
+
+// All routes require store access
+router.use(validateStoreAccess);
+
+// Discount codes are managed alongside the catalog
+router.use(validatePermission('products'));
+
+// Get all discounts
+router.get('/', discountController.getDiscounts);
+
+// Create a new discount
+router.post('/', discountController.createDiscount);
+
+// Get a specific discount
+router.get('/:discountId', discountController.getDiscount);
+
+// Update a discount
+router.patch('/:discountId', discountController.updateDiscount);
+
+// Delete a discount
+router.delete('/:discountId', discountController.deleteDiscount);
+
+module.exports = router;
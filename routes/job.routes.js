@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+const jobController = require('../controllers/job.controller');
+
+// Background job queue - superadmin only
+router.use(protect);
+router.use(restrictTo('superadmin'));
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Jobs with pagination
+ */
+router.get('/', jobController.getJobs);
+router.get('/stats', jobController.getJobStats);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Requeue a dead-lettered job with a fresh set of attempts
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job requeued
+ *       404:
+ *         description: No dead job with this id
+ */
+router.post('/:id/retry', jobController.retryJob);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const {
   updateCampaign,
   deleteCampaign,
   sendCampaign,
+  scheduleCampaign,
+  rescheduleCampaign,
+  unscheduleCampaign,
+  getCampaignProgress,
   getCampaignAnalytics,
   getCampaignsAnalytics
 } = require('../controllers/marketing.controller');
@@ -20,9 +24,13 @@ router.get('/', getAllCampaigns);
 router.get('/analytics', getCampaignsAnalytics);
 router.get('/:id', getCampaignById);
 router.get('/:id/analytics', getCampaignAnalytics);
+router.get('/:id/progress', getCampaignProgress);
 router.post('/', createCampaign);
 router.put('/:id', updateCampaign);
 router.delete('/:id', deleteCampaign);
 router.post('/:id/send', sendCampaign);
+router.post('/:id/schedule', scheduleCampaign);
+router.put('/:id/schedule', rescheduleCampaign);
+router.delete('/:id/schedule', unscheduleCampaign);
 
 module.exports = router;
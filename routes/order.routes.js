@@ -5,6 +5,8 @@ const { authenticate } = require('../middleware/auth');
 const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
 const { validateBusinessAccess } = require('../middleware/business.middleware');
 const orderController = require('../controllers/order.controller');
+const shipmentController = require('../controllers/shipment.controller');
+const draftOrderController = require('../controllers/draft-order.controller');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -13,13 +15,19 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Allow images for payment proof
+    // Allow images for payment proof and delivery photos
     if (file.fieldname === 'paymentProof') {
       if (file.mimetype.startsWith('image/')) {
         cb(null, true);
       } else {
         cb(new Error('Only image files are allowed for payment proof'), false);
       }
+    } else if (file.fieldname === 'photo') {
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only image files are allowed for delivery photos'), false);
+      }
     } else {
       cb(null, true);
     }
@@ -83,7 +91,7 @@ const upload = multer({
  *                 format: binary
  *     responses:
  *       201:
- *         description: Order created successfully
+ *         description: Order created successfully. Card and mobile money orders also return `payment` with the gateway `authorizationUrl` to send the customer to.
  *       400:
  *         description: Invalid order data
  */
@@ -118,6 +126,49 @@ router.get('/:orderId/summary', orderController.getOrderSummary);
  */
 router.get('/:orderId/invoice/:token', orderController.getPublicInvoice);
 
+/**
+ * @swagger
+ * /api/orders/{orderId}/invoice/{token}/payment-proof:
+ *   post:
+ *     summary: Upload proof of a transfer from the invoice link (public)
+ *     description: For unpaid orders and draft orders paid by transfer. The payment then waits in the store's payment review queue; approving it confirms the order, or converts a draft into an order.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [paymentProof]
+ *             properties:
+ *               paymentProof:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Proof received
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: The invoice is already paid or cancelled
+ */
+router.post(
+  '/:orderId/invoice/:token/payment-proof',
+  upload.fields([{ name: 'paymentProof', maxCount: 1 }]),
+  orderController.uploadInvoicePaymentProof
+);
+
 // Protected routes - require authentication
 router.use(authenticate);
 router.use(validateStoreAccess);
@@ -155,7 +206,8 @@ router.use(validatePermission('orders'));
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *           enum: [draft, pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *         description: Draft orders are only listed with status=draft
  *       - in: query
  *         name: search
  *         schema:
@@ -191,6 +243,186 @@ router.use(validatePermission('orders'));
  */
 router.get('/', orderController.getOrders);
 
+/**
+ * @swagger
+ * /api/orders/drafts:
+ *   post:
+ *     summary: Create a draft order
+ *     description: |
+ *       A draft is an order the store builds for a customer, e.g. one agreed over Instagram or WhatsApp. No stock is taken until it is paid.
+ *       Items with a productId come from the catalog and may override its price with unitPrice; items without one are custom items with a name and unitPrice.
+ *       The customer reviews and pays it from the order's invoice link. Once the payment is confirmed, by the gateway, the payment review queue or the store, the draft becomes a confirmed order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customer, items]
+ *             properties:
+ *               customer:
+ *                 type: object
+ *                 required: [name, email, phone]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     options:
+ *                       type: object
+ *                     unitPrice:
+ *                       type: number
+ *                       description: Overrides the catalog price; required for custom items
+ *                     name:
+ *                       type: string
+ *                       description: Custom items only
+ *                     description:
+ *                       type: string
+ *                     sku:
+ *                       type: string
+ *               delivery:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [pickup, delivery, shipping]
+ *                   locationName:
+ *                     type: string
+ *                   cost:
+ *                     type: number
+ *                     description: Overrides the store's delivery fee
+ *                   location:
+ *                     type: object
+ *                   instructions:
+ *                     type: string
+ *               payment:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     default: bank_transfer
+ *               notes:
+ *                 type: object
+ *                 properties:
+ *                   customer:
+ *                     type: string
+ *                   internal:
+ *                     type: string
+ *               send:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Email the customer the invoice link straight away
+ *               message:
+ *                 type: string
+ *                 description: Added to the email sent to the customer
+ *     responses:
+ *       201:
+ *         description: Draft created
+ */
+router.post('/drafts', draftOrderController.createDraftOrder);
+
+/**
+ * @swagger
+ * /api/orders/drafts/{orderId}:
+ *   patch:
+ *     summary: Update a draft order
+ *     description: Takes the same fields as creating a draft; fields left out stay as they are. Pricing is worked out again.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       409:
+ *         description: The order is no longer a draft or is being paid
+ */
+router.patch('/drafts/:orderId', draftOrderController.updateDraftOrder);
+
+/**
+ * @swagger
+ * /api/orders/drafts/{orderId}/send:
+ *   post:
+ *     summary: Email the customer the link to review and pay a draft
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice sent; invoiceUrl is the link the customer got
+ */
+router.post('/drafts/:orderId/send', draftOrderController.sendDraftOrder);
+
+/**
+ * @swagger
+ * /api/orders/drafts/{orderId}/complete:
+ *   post:
+ *     summary: Record a draft's payment and turn it into an order
+ *     description: For payments taken outside the gateway, such as cash or a transfer the store has already seen. A draft that was paid but could not be converted at the time is converted without recording its payment again.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft converted into a confirmed order
+ */
+router.post('/drafts/:orderId/complete', draftOrderController.completeDraftOrder);
+
 /**
  * @swagger
  * /api/orders/analytics:
@@ -253,6 +485,21 @@ router.get('/analytics', orderController.getOrderAnalytics);
  */
 router.get('/export', orderController.exportOrders);
 
+/**
+ * @swagger
+ * /api/orders/status-transitions:
+ *   get:
+ *     summary: Get the order status graph
+ *     description: Lists every order status and the statuses each one may change to. Changes outside the graph are refused with 409.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status graph retrieved successfully
+ */
+router.get('/status-transitions', orderController.getStatusTransitions);
+
 /**
  * @swagger
  * /api/orders/bulk:
@@ -287,6 +534,8 @@ router.get('/export', orderController.exportOrders);
  *     responses:
  *       200:
  *         description: Bulk action completed successfully
+ *       409:
+ *         description: Some orders cannot move to the requested status; none were updated and details.orders lists them
  */
 router.post('/bulk', orderController.bulkAction);
 
@@ -312,6 +561,77 @@ router.post('/bulk', orderController.bulkAction);
  */
 router.get('/:orderId', orderController.getOrder);
 
+/**
+ * @swagger
+ * /api/orders/{orderId}:
+ *   patch:
+ *     summary: Edit a pending or confirmed order
+ *     description: |
+ *       Replaces the order's items and/or delivery. Items that keep their itemId, product, variant and options keep the price the customer agreed to; new or swapped items are priced from the catalog.
+ *       Tax, shipping and the order's discount are worked out again, stock is taken or given back by the difference, and the before/after is added to the timeline.
+ *       A paid order keeps the amount paid; if the new total is higher, payment.amountDue holds the balance.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Every item the order should have; items left out are removed
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Order item to keep or change
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     variantSku:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     options:
+ *                       type: object
+ *               delivery:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [pickup, delivery, shipping]
+ *                   locationName:
+ *                     type: string
+ *                   location:
+ *                     type: object
+ *                   instructions:
+ *                     type: string
+ *               note:
+ *                 type: string
+ *               notifyCustomer:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Order updated; changes lists what changed and balance shows what is paid and owed
+ *       400:
+ *         description: Invalid items or delivery, not enough stock, or nothing to change
+ *       409:
+ *         description: The order has shipped, is being paid for or has been refunded
+ */
+router.patch('/:orderId', orderController.editOrder);
+
 /**
  * @swagger
  * /api/orders/{orderId}/status:
@@ -335,7 +655,7 @@ router.get('/:orderId', orderController.getOrder);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, partially_refunded, refunded]
  *               note:
  *                 type: string
  *               notifyCustomer:
@@ -344,6 +664,8 @@ router.get('/:orderId', orderController.getOrder);
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       409:
+ *         description: The order cannot move to this status; details.allowed lists the statuses it can move to
  */
 router.patch('/:orderId/status', orderController.updateOrderStatus);
 
@@ -472,6 +794,19 @@ router.post('/:orderId/cancel', orderController.cancelOrder);
  *               method:
  *                 type: string
  *                 default: original
+ *               returnedItems:
+ *                 type: array
+ *                 description: Items sent back with this refund; stock is restored unless restock is false
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     restock:
+ *                       type: boolean
+ *                       default: true
  *     responses:
  *       200:
  *         description: Refund processed successfully
@@ -483,6 +818,8 @@ router.post('/:orderId/refund', orderController.processRefund);
  * /api/orders/{orderId}/fulfillment:
  *   patch:
  *     summary: Update fulfillment status
+ *     description: Kept for older clients; each step creates, ships or delivers shipments. Use the shipment endpoints for partial fulfillment.
+ *     deprecated: true
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -521,6 +858,234 @@ router.post('/:orderId/refund', orderController.processRefund);
  */
 router.patch('/:orderId/fulfillment', orderController.updateFulfillment);
 
+/**
+ * @swagger
+ * /api/orders/{orderId}/shipments:
+ *   get:
+ *     summary: List an order's shipments
+ *     description: Includes, for every line item, how many units are ordered, in shipments, shipped, delivered and still to ship.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipments retrieved successfully
+ *   post:
+ *     summary: Create a shipment
+ *     description: Puts line items in a shipment. Without items it takes everything not yet in a shipment. The order status follows its shipments (partially_shipped, shipped, partially_delivered, delivered).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               ship:
+ *                 type: boolean
+ *                 default: true
+ *                 description: False only packs the shipment
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               notifyCustomer:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Shipment created
+ *       400:
+ *         description: Unknown items or more units than are left to ship
+ *       409:
+ *         description: The order cannot be shipped in its current status
+ */
+router.get('/:orderId/shipments', shipmentController.getShipments);
+router.post('/:orderId/shipments', shipmentController.createShipment);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/shipments/{shipmentId}:
+ *   patch:
+ *     summary: Update a shipment's carrier and tracking details
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment updated
+ *   delete:
+ *     summary: Remove a packed shipment
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipment removed
+ *       409:
+ *         description: The shipment has already been shipped
+ */
+router.patch('/:orderId/shipments/:shipmentId', shipmentController.updateShipment);
+router.delete('/:orderId/shipments/:shipmentId', shipmentController.deleteShipment);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/shipments/{shipmentId}/ship:
+ *   post:
+ *     summary: Ship a packed shipment
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               notifyCustomer:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Shipment shipped and the customer emailed
+ */
+router.post('/:orderId/shipments/:shipmentId/ship', shipmentController.shipShipment);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/shipments/{shipmentId}/deliver:
+ *   post:
+ *     summary: Mark a shipment delivered
+ *     description: Takes proof of delivery as a photo upload or URL and the name of whoever received it.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               confirmedBy:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               notifyCustomer:
+ *                 type: boolean
+ *                 default: true
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 description: URL of the delivery photo
+ *               confirmedBy:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment delivered and the customer emailed
+ *       409:
+ *         description: The shipment has not been shipped or was already delivered
+ */
+router.post('/:orderId/shipments/:shipmentId/deliver', upload.single('photo'), shipmentController.deliverShipment);
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
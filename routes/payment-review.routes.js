@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const paymentReviewController = require('../controllers/payment-review.controller');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+router.use(authenticate);
+router.use(validateStoreAccess);
+router.use(validatePermission('orders'));
+
+/**
+ * @swagger
+ * /api/payment-reviews:
+ *   get:
+ *     summary: List orders and bookings with payment proof awaiting verification
+ *     description: Oldest first. Only payments that are pending or processing, have proof attached and belong to a record that is not cancelled.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [order, booking]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review queue with counts per type
+ */
+router.get('/', paymentReviewController.getQueue);
+
+/**
+ * @swagger
+ * /api/payment-reviews/bulk-approve:
+ *   post:
+ *     summary: Approve several payments at once
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [type, id]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [order, booking]
+ *                     id:
+ *                       type: string
+ *                     statementLine:
+ *                       type: string
+ *                       description: The matched statement line, from the statement match response
+ *     responses:
+ *       200:
+ *         description: Result for each payment
+ */
+router.post('/bulk-approve', paymentReviewController.bulkApprove);
+
+/**
+ * @swagger
+ * /api/payment-reviews/statement:
+ *   post:
+ *     summary: Match a bank statement against unpaid orders and bookings
+ *     description: Reads credits from a CSV export (date, description/narration, credit or amount columns) and proposes the order or booking each one pays for. A credit naming an order or booking number with the same amount is a high-confidence match; a credit whose amount matches exactly one unpaid record is medium. Nothing is approved until the matches are sent to bulk-approve.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Proposed matches, unmatched credits and skipped rows
+ *       400:
+ *         description: No readable statement rows
+ */
+router.post('/statement', upload.single('file'), paymentReviewController.matchStatement);
+
+/**
+ * @swagger
+ * /api/payment-reviews/{type}/{id}/approve:
+ *   post:
+ *     summary: Approve a payment
+ *     description: Marks the payment completed, confirms a pending order or booking and notifies the customer.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [order, booking]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment approved
+ *       404:
+ *         description: Order or booking not found
+ *       409:
+ *         description: The payment has already been reviewed
+ */
+router.post('/:type/:id/approve', paymentReviewController.approvePayment);
+
+/**
+ * @swagger
+ * /api/payment-reviews/{type}/{id}/reject:
+ *   post:
+ *     summary: Reject a payment
+ *     description: Marks the payment failed and sends the reason to the customer.
+ *     tags: [Payment Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [order, booking]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment rejected
+ *       400:
+ *         description: A reason is required
+ *       409:
+ *         description: The payment has already been reviewed
+ */
+router.post('/:type/:id/reject', paymentReviewController.rejectPayment);
+
+module.exports = router;
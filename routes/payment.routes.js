@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/initialize:
+ *   post:
+ *     summary: Start online payment for an order
+ *     description: Creates a new gateway transaction for a card or mobile money order whose payment is still open, e.g. after the customer abandoned the payment page. Orders created with an online method are initialized automatically and return the same payload under `payment`.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The order's invoice token
+ *     responses:
+ *       200:
+ *         description: Transaction started; send the customer to authorizationUrl
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 provider:
+ *                   type: string
+ *                 reference:
+ *                   type: string
+ *                 authorizationUrl:
+ *                   type: string
+ *       400:
+ *         description: The order is not paid online
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order's payment is already settled
+ */
+router.post('/orders/:orderId/initialize', paymentController.initializeOrderPayment);
+
+/**
+ * @swagger
+ * /api/payments/callback/{provider}:
+ *   get:
+ *     summary: Gateway redirect after payment
+ *     description: Verifies the transaction with the gateway, updates the order and redirects the customer to their invoice with a `payment` query parameter.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paystack, flutterwave, fake]
+ *     responses:
+ *       302:
+ *         description: Redirect to the storefront invoice
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/callback/:provider', paymentController.handleCallback);
+
+/**
+ * @swagger
+ * /api/payments/verify/{reference}:
+ *   get:
+ *     summary: Get the payment status for a transaction reference
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 orderNumber:
+ *                   type: string
+ *                 orderStatus:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [pending, processing, completed, failed, cancelled, partially_refunded, refunded]
+ *                 amount:
+ *                   type: number
+ *                 currency:
+ *                   type: string
+ *                 failureReason:
+ *                   type: string
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/verify/:reference', paymentController.verifyPayment);
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: Checks the gateway signature (x-paystack-signature, verif-hash or x-fake-signature), then re-verifies the referenced transaction with the gateway before updating the order. Redelivered events change nothing.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paystack, flutterwave, fake]
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       401:
+ *         description: Invalid signature
+ *       500:
+ *         description: Processing failed; the gateway should retry
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,408 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const posController = require('../controllers/pos.controller');
+
+router.use(authenticate);
+router.use(validateStoreAccess);
+router.use(validatePermission('orders'));
+
+/**
+ * @swagger
+ * /api/pos/barcode/{code}:
+ *   get:
+ *     summary: Find a product by barcode
+ *     description: Matches the product's own barcode or one of its variants'. A variant barcode picks that variant; a product barcode on a product with several variants returns them to choose from.
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product, variant and unit price
+ *       404:
+ *         description: No product has this barcode
+ */
+router.get('/barcode/:code', posController.lookupBarcode);
+
+/**
+ * @swagger
+ * /api/pos/checkout:
+ *   post:
+ *     summary: Ring up a sale
+ *     description: Prices the items from the catalog, takes stock and records a paid, collected order in the register session. Only cash tenders can be over the amount due; the difference is the change. A sale with a clientRef already recorded returns that sale instead.
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sessionId, items, tenders]
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     barcode:
+ *                       type: string
+ *                       description: Instead of productId and variantId
+ *                     quantity:
+ *                       type: integer
+ *                     options:
+ *                       type: object
+ *               tenders:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card, transfer]
+ *                     amount:
+ *                       type: number
+ *                     reference:
+ *                       type: string
+ *               customer:
+ *                 type: object
+ *                 description: Optional for walk-in customers
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *               clientRef:
+ *                 type: string
+ *                 description: The till's id for the sale, so a retried sale is recorded once
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sale recorded, with its receipt
+ *       200:
+ *         description: The sale was already recorded
+ *       400:
+ *         description: Invalid items, not enough stock or tenders short of the total
+ *       409:
+ *         description: The register session is closed
+ */
+router.post('/checkout', posController.checkout);
+
+/**
+ * @swagger
+ * /api/pos/sync:
+ *   post:
+ *     summary: Upload sales captured offline
+ *     description: Each sale needs a clientRef; sales already uploaded are reported as duplicates. Sales are recorded one by one, so a failed sale does not stop the rest. A stock shortfall is noted on the order rather than refusing the sale.
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sessionId, sales]
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               sales:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [clientRef, items, tenders]
+ *                   properties:
+ *                     clientRef:
+ *                       type: string
+ *                     capturedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     tenders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     customer:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: The outcome of each sale (created, duplicate or failed)
+ *       409:
+ *         description: The register session is closed
+ */
+router.post('/sync', posController.syncOfflineSales);
+
+/**
+ * @swagger
+ * /api/pos/orders/{orderId}/receipt:
+ *   get:
+ *     summary: Get a sale's receipt for printing
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receipt retrieved successfully
+ *       404:
+ *         description: Sale not found
+ *   post:
+ *     summary: Email a sale's receipt to the customer
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Saved on the sale; needed when the customer left no email
+ *     responses:
+ *       200:
+ *         description: Receipt sent
+ *       400:
+ *         description: No email address for the customer
+ */
+router.get('/orders/:orderId/receipt', posController.getReceipt);
+router.post('/orders/:orderId/receipt', posController.emailReceipt);
+
+/**
+ * @swagger
+ * /api/pos/sessions:
+ *   get:
+ *     summary: List register sessions
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: register
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *   post:
+ *     summary: Open a register session
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               register:
+ *                 type: string
+ *                 default: Main
+ *               openingFloat:
+ *                 type: number
+ *                 description: Cash in the drawer at the start of the session
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session opened
+ *       409:
+ *         description: The register already has an open session
+ */
+router.get('/sessions', posController.getSessions);
+router.post('/sessions', posController.openSession);
+
+/**
+ * @swagger
+ * /api/pos/sessions/current:
+ *   get:
+ *     summary: Get a register's open session
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: register
+ *         schema:
+ *           type: string
+ *           default: Main
+ *     responses:
+ *       200:
+ *         description: The open session, or null
+ */
+router.get('/sessions/current', posController.getCurrentSession);
+
+/**
+ * @swagger
+ * /api/pos/sessions/{id}:
+ *   get:
+ *     summary: Get a register session
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *       404:
+ *         description: Register session not found
+ */
+router.get('/sessions/:id', posController.getSession);
+
+/**
+ * @swagger
+ * /api/pos/sessions/{id}/report:
+ *   get:
+ *     summary: Get a session's X-report, or its Z-report once closed
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sales, takings by tender and expected cash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [X, Z]
+ *                 report:
+ *                   $ref: '#/components/schemas/RegisterReport'
+ */
+router.get('/sessions/:id/report', posController.getSessionReport);
+
+/**
+ * @swagger
+ * /api/pos/sessions/{id}/cash:
+ *   post:
+ *     summary: Record cash put into or taken out of the drawer
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, amount]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [in, out]
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cash movement recorded
+ *       400:
+ *         description: Invalid amount, or more than the drawer should hold
+ *       409:
+ *         description: The register session is closed
+ */
+router.post('/sessions/:id/cash', posController.addCashMovement);
+
+/**
+ * @swagger
+ * /api/pos/sessions/{id}/close:
+ *   post:
+ *     summary: Close a register session
+ *     description: Records the counted cash and fixes the Z-report, including the difference between the counted and expected cash.
+ *     tags: [POS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [countedCash]
+ *             properties:
+ *               countedCash:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session closed with its Z-report
+ *       409:
+ *         description: The session is already closed
+ */
+router.post('/sessions/:id/close', posController.closeSession);
+
+module.exports = router;
@@ -4,20 +4,26 @@ const multer = require('multer');
 const { authenticate } = require('../middleware/auth');
 const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
 const productController = require('../controllers/product.controller');
+const inventoryController = require('../controllers/inventory.controller');
+const { checkPlanLimit } = require('../middleware/plan.middleware');
 
 
 const upload = multer({ storage: multer.memoryStorage() });
 router.use(authenticate);
 router.use(validateStoreAccess);
 router.use(validatePermission('products'));
-router.post('/', upload.array('images', 10), productController.createProduct);
+router.post('/', checkPlanLimit('products'), upload.array('images', 10), productController.createProduct);
 router.get('/', productController.getProducts);
 router.get('/upload/signature', productController.getImageUploadSignature);
+router.get('/inventory/low-stock', inventoryController.getLowStockItems);
+router.post('/inventory/import', upload.single('file'), inventoryController.importInventory);
 router.get('/:productId', productController.getProductById);
 router.patch('/:productId', upload.array('images', 10), productController.updateProduct);
 router.delete('/:productId', productController.deleteProduct);
 router.patch('/:productId/inventory', productController.updateInventory);
-router.post('/:productId/duplicate', productController.duplicateProduct);
+router.get('/:productId/inventory/history', inventoryController.getInventoryHistory);
+router.get('/:productId/inventory/reconcile', inventoryController.reconcileInventory);
+router.post('/:productId/duplicate', checkPlanLimit('products'), productController.duplicateProduct);
 
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { getStoreByUrl, getStoreCheckoutOptions } = require('../controllers/store.controller');
+const { getStoreByUrl, getStoreCheckoutOptions, getStoreQuote } = require('../controllers/store.controller');
+const { validateDiscountCode } = require('../controllers/discount.controller');
+const { trackOpen, trackClick, confirmUnsubscribe, unsubscribe } = require('../controllers/campaign-tracking.controller');
 
 /**
  * @swagger
@@ -25,4 +27,212 @@ router.get('/stores/:url', getStoreByUrl);
 // Public: checkout options for storefront checkout page
 router.get('/stores/:url/checkout-options', getStoreCheckoutOptions);
 
+/**
+ * @swagger
+ * /api/public/stores/{url}/quote:
+ *   post:
+ *     summary: Price a storefront cart with the same engine checkout uses
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     options:
+ *                       type: object
+ *                       description: Selected option values keyed by option name
+ *               delivery:
+ *                 type: object
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [pickup, delivery, shipping]
+ *                   locationName:
+ *                     type: string
+ *               discount:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *               customer:
+ *                 type: object
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Quote with line prices, subtotal, tax, shipping, discount and total
+ *       400:
+ *         description: Cart, delivery location or discount code is invalid
+ *       404:
+ *         description: Store or product not found
+ */
+router.post('/stores/:url/quote', getStoreQuote);
+
+/**
+ * @swagger
+ * /api/public/stores/{url}/discounts/validate:
+ *   post:
+ *     summary: Validate a discount code against a storefront cart
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *               customer:
+ *                 type: object
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *               shippingCost:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Discount code is valid, with the amount it takes off
+ *       400:
+ *         description: Discount code is invalid or does not apply to the cart
+ */
+router.post('/stores/:url/discounts/validate', validateDiscountCode);
+
+/**
+ * @swagger
+ * /api/public/campaigns/deliveries/{deliveryId}/open:
+ *   get:
+ *     summary: Campaign open-tracking pixel
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 1x1 transparent GIF
+ */
+router.get('/campaigns/deliveries/:deliveryId/open', trackOpen);
+
+/**
+ * @swagger
+ * /api/public/campaigns/deliveries/{deliveryId}/click:
+ *   get:
+ *     summary: Record a campaign link click and redirect to the link
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the original link
+ *       400:
+ *         description: Link signature does not match
+ */
+router.get('/campaigns/deliveries/:deliveryId/click', trackClick);
+
+/**
+ * @swagger
+ * /api/public/campaigns/deliveries/{deliveryId}/unsubscribe:
+ *   get:
+ *     summary: Ask the recipient to confirm unsubscribing
+ *     description: Only shows a page with an Unsubscribe button, so scanners and prefetchers opening the link change nothing.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation page
+ *       400:
+ *         description: Link signature does not match
+ *   post:
+ *     summary: Unsubscribe the recipient from all future campaigns
+ *     description: Sent by the confirmation page, or by mail clients as a one-click unsubscribe (RFC 8058) with the body List-Unsubscribe=One-Click.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Link signature does not match
+ */
+router.get('/campaigns/deliveries/:deliveryId/unsubscribe', confirmUnsubscribe);
+router.post('/campaigns/deliveries/:deliveryId/unsubscribe', unsubscribe);
+
 module.exports = router; 
\ No newline at end of file
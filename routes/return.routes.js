@@ -0,0 +1,429 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const returnController = require('../controllers/return.controller');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed for return photos'), false);
+    }
+  },
+});
+
+/**
+ * @swagger
+ * /api/returns/public/{orderId}/{token}:
+ *   get:
+ *     summary: Get a customer's returns for an order (public)
+ *     description: Authorised by the order's invoice token. Also lists how many units of each item can still be returned.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returns and returnable quantities
+ *       404:
+ *         description: Invoice not found
+ *   post:
+ *     summary: Request a return (public)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: string
+ *                 description: 'JSON array of { itemId, quantity, reason, note }'
+ *               note:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Unknown items, reasons or more units than can be returned
+ *       409:
+ *         description: Nothing on the order has been delivered yet
+ */
+router.get('/public/:orderId/:token', returnController.getPublicReturns);
+router.post('/public/:orderId/:token', upload.array('photos', 5), returnController.createPublicReturn);
+
+/**
+ * @swagger
+ * /api/returns/public/{orderId}/{token}/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a return before the store receives the items (public)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return cancelled
+ *       409:
+ *         description: The return can no longer be cancelled
+ */
+router.post('/public/:orderId/:token/:id/cancel', returnController.cancelPublicReturn);
+
+router.use(authenticate);
+router.use(validateStoreAccess);
+router.use(validatePermission('orders'));
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: List the store's returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, cancelled, received, refunded, exchanged]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *   post:
+ *     summary: Open a return for a customer
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, items]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *                     note:
+ *                       type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return opened
+ */
+router.get('/', returnController.getReturns);
+router.post('/', upload.array('photos', 5), returnController.createReturn);
+
+/**
+ * @swagger
+ * /api/returns/status-transitions:
+ *   get:
+ *     summary: Get the return status graph and return reasons
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status graph retrieved successfully
+ */
+router.get('/status-transitions', returnController.getStatusTransitions);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *       404:
+ *         description: Return not found
+ */
+router.get('/:id', returnController.getReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   post:
+ *     summary: Approve a requested return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved and the customer emailed
+ *       409:
+ *         description: The return is not awaiting review
+ */
+router.post('/:id/approve', returnController.approveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   post:
+ *     summary: Reject a requested return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected and the customer emailed
+ */
+router.post('/:id/reject', returnController.rejectReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a return that has not been received
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return cancelled
+ */
+router.post('/:id/cancel', returnController.cancelReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   post:
+ *     summary: Record the returned items received
+ *     description: Restocked units go back into inventory; written-off units do not. Items left out count as not received.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [itemId, condition]
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       description: Defaults to the quantity requested
+ *                     condition:
+ *                       type: string
+ *                       enum: [restock, write_off]
+ *     responses:
+ *       200:
+ *         description: Items received
+ */
+router.post('/:id/receive', returnController.receiveReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/refund:
+ *   post:
+ *     summary: Refund a received return
+ *     description: Adds an entry to the order's payment.refunds linked to the return. The amount defaults to the price of the received units.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 default: original
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return refunded
+ */
+router.post('/:id/refund', returnController.refundReturn);
+
+/**
+ * @swagger
+ * /api/returns/{id}/exchange:
+ *   post:
+ *     summary: Exchange a received return for the same items
+ *     description: Creates a replacement order at no charge and records an exchange entry in the original order's payment.refunds.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return exchanged; includes the replacement order
+ */
+router.post('/:id/exchange', returnController.exchangeReturn);
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Photos must be 5MB or smaller' : 'A return can have at most 5 photos',
+    });
+  }
+
+  if (error.message === 'Only image files are allowed for return photos') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  next(error);
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const router = express.Router({ mergeParams: true }); // Enable access to businessId param
-const { protect } = require('../middleware/auth.middleware');
-const { verifyBusinessOwnership } = require('../middleware/business.middleware');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const { checkPlanLimit } = require('../middleware/plan.middleware');
 const {
   createService,
   getServices,
@@ -9,10 +10,11 @@ const {
   updateService,
   deleteService,
 } = require('../controllers/service.controller');
-const { authenticate } = require('../middleware/auth');
 
-router.use(protect);
-router.use(verifyBusinessOwnership);
+// The service handlers are scoped to req.store
+router.use(authenticate);
+router.use(validateStoreAccess);
+router.use(validatePermission('products'));
 
 /**
  * @swagger
@@ -66,7 +68,7 @@ router.use(verifyBusinessOwnership);
  *         description: List of services
  */
 router.route('/')
-  .post(createService)
+  .post(checkPlanLimit('services'), createService)
   .get(getServices);
 
 /**
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const { validateStoreAccess, validateStore, validatePermission } = require('../middleware/store.middleware');
+const { checkPlanLimit, requirePlanFeature } = require('../middleware/plan.middleware');
 const settingsController = require('../controllers/settings.controller');
 
 // Get all settings
@@ -16,22 +17,32 @@ router.post('/profile/cancel-email-change', authenticate, validateStoreAccess, s
 // Section 2: Store Details - requires settings permission
 router.patch('/store-details', authenticate, validateStoreAccess, settingsController.updateStoreDetails);
 
-// Section 3: Checkout Options - requires settings permission
-router.patch('/checkout-options', authenticate, validateStoreAccess, settingsController.updateCheckoutOptions);
+// Section 3: Checkout Options - owner only, as these set the gateway account payments are paid into
+router.patch('/checkout-options', authenticate, validateStoreAccess, validateStore, settingsController.updateCheckoutOptions);
+router.post('/checkout-options/online/test', authenticate, validateStoreAccess, validateStore, settingsController.testOnlinePaymentConnection);
 
 // Section 4: Store Customization - requires settings permission
 router.patch('/customization', authenticate, validateStoreAccess, settingsController.updateStoreCustomization);
 
 // Section 5: Store Managers - owner only
 router.get('/managers', authenticate, validateStoreAccess, settingsController.getStoreManagers);
-router.post('/managers/invite', authenticate, validateStoreAccess, settingsController.inviteStoreManager);
+router.post('/managers/invite', authenticate, validateStoreAccess, checkPlanLimit('staff'), settingsController.inviteStoreManager);
 router.delete('/managers/:managerId', authenticate, validateStoreAccess, settingsController.removeStoreManager);
 router.patch('/managers/:managerId/permissions', authenticate, validateStoreAccess, settingsController.updateManagerPermissions);
 
 // Section 6: Booking Settings - requires settings permission
 router.patch('/booking-settings', authenticate, validateStoreAccess, settingsController.updateBookingSettings);
 
-// Section 7: Premium Domain - Growth plan only
-router.post('/premium-domain', authenticate, validateStoreAccess, settingsController.requestPremiumDomain);
+// Section 7: Premium Domain - plans with custom domains only
+router.post('/premium-domain', authenticate, validateStoreAccess, requirePlanFeature('customDomain'), settingsController.requestPremiumDomain);
+
+// Section 8: Inventory Alerts - requires products permission
+router.patch('/inventory-alerts', authenticate, validateStoreAccess, validatePermission('products'), settingsController.updateInventoryAlerts);
+
+// Section 9: Notifications - requires settings permission
+router.patch('/notifications', authenticate, validateStoreAccess, validatePermission('settings'), settingsController.updateNotificationSettings);
+
+// Section 10: Plan Usage - products, services and staff against the plan's limits
+router.get('/usage', authenticate, validateStoreAccess, settingsController.getPlanUsage);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validateStoreAccess, validatePermission } = require('../middleware/store.middleware');
+const storeCampaignController = require('../controllers/store-campaign.controller');
+
+// A store's own email campaigns to its customers
+router.use(authenticate);
+router.use(validateStoreAccess);
+router.use(validatePermission('marketing'));
+
+/**
+ * @swagger
+ * /api/store-campaigns/quota:
+ *   get:
+ *     summary: This month's campaign email allowance for the store's plan and how much is used
+ *     tags: [Store Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: limit, used, remaining and periodStart
+ */
+router.get('/quota', storeCampaignController.getQuota);
+
+/**
+ * @swagger
+ * /api/store-campaigns/preview:
+ *   post:
+ *     summary: Count the customers an audience reaches without saving a campaign
+ *     tags: [Store Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recipientType]
+ *             properties:
+ *               recipientType:
+ *                 type: string
+ *                 enum: [customers, segment, custom]
+ *               segment:
+ *                 type: object
+ *                 properties:
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   tagMatch:
+ *                     type: string
+ *                     enum: [any, all]
+ *                   minOrders:
+ *                     type: number
+ *                   maxOrders:
+ *                     type: number
+ *                   minSpent:
+ *                     type: number
+ *                   maxSpent:
+ *                     type: number
+ *                   orderedWithinDays:
+ *                     type: number
+ *                   notOrderedWithinDays:
+ *                     type: number
+ *               customRecipients:
+ *                 type: array
+ *                 description: Only addresses of the store's own customers are sent to
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Recipient count, a sample of recipients and whether it fits the quota
+ */
+router.post('/preview', storeCampaignController.previewAudience);
+
+/**
+ * @swagger
+ * /api/store-campaigns:
+ *   get:
+ *     summary: List the store's campaigns
+ *     tags: [Store Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, failed]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaigns with pagination
+ *   post:
+ *     summary: Create a campaign to the store's customers, optionally scheduled
+ *     description: Takes the same audience fields as /api/store-campaigns/preview, plus name, subject, content and an optional scheduledAt and timezone
+ *     tags: [Store Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Campaign created
+ *       400:
+ *         description: Invalid audience or send time
+ */
+router.get('/', storeCampaignController.getCampaigns);
+router.post('/', storeCampaignController.createCampaign);
+
+router.get('/:id', storeCampaignController.getCampaign);
+router.put('/:id', storeCampaignController.updateCampaign);
+router.delete('/:id', storeCampaignController.deleteCampaign);
+router.get('/:id/progress', storeCampaignController.getCampaignProgress);
+router.get('/:id/analytics', storeCampaignController.getCampaignAnalytics);
+
+/**
+ * @swagger
+ * /api/store-campaigns/{id}/send:
+ *   post:
+ *     summary: Send a draft campaign now
+ *     tags: [Store Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Campaign queued for sending
+ *       402:
+ *         description: The audience is larger than the plan's remaining monthly quota
+ */
+router.post('/:id/send', storeCampaignController.sendCampaign);
+router.post('/:id/schedule', storeCampaignController.scheduleCampaign);
+router.put('/:id/schedule', storeCampaignController.rescheduleCampaign);
+router.delete('/:id/schedule', storeCampaignController.unscheduleCampaign);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+const subscriptionPlanController = require('../controllers/subscription-plan.controller');
+
+// Plan management - superadmin only. The public listing is /api/subscriptions/plans
+router.use(protect);
+router.use(restrictTo('superadmin'));
+
+/**
+ * @swagger
+ * /api/subscription-plans:
+ *   get:
+ *     summary: List every subscription plan, including inactive ones
+ *     tags: [Subscription Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SubscriptionPlan'
+ *   post:
+ *     summary: Create a plan
+ *     description: A paid plan created without a stripePriceId gets a Stripe product and recurring price.
+ *     tags: [Subscription Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubscriptionPlan'
+ *     responses:
+ *       201:
+ *         description: Plan created
+ *       409:
+ *         description: Slug already in use
+ */
+router.get('/', subscriptionPlanController.getPlans);
+router.post('/', subscriptionPlanController.createPlan);
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}:
+ *   put:
+ *     summary: Update a plan
+ *     description: Changing the price, interval or currency creates a new Stripe price and retires the old one. Existing subscribers keep their price.
+ *     tags: [Subscription Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ *   delete:
+ *     summary: Delete a plan, or deactivate it when it has subscriptions
+ *     tags: [Subscription Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plan deleted or deactivated
+ */
+router.get('/:id', subscriptionPlanController.getPlan);
+router.put('/:id', subscriptionPlanController.updatePlan);
+router.delete('/:id', subscriptionPlanController.deletePlan);
+
+module.exports = router;
@@ -21,16 +21,32 @@ const { authenticate } = require('../middleware/auth');
  *                 properties:
  *                   id:
  *                     type: string
+ *                     description: Plan slug, passed as planId to checkout
  *                   name:
  *                     type: string
+ *                   description:
+ *                     type: string
+ *                   tier:
+ *                     type: string
+ *                     enum: [free, growth]
  *                   price:
  *                     type: number
+ *                   currency:
+ *                     type: string
  *                   interval:
  *                     type: string
+ *                     enum: [monthly, yearly]
  *                   features:
  *                     type: array
  *                     items:
- *                       type: string
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         included:
+ *                           type: boolean
+ *                   limits:
+ *                     type: object
  */
 router.get('/plans', subscriptionController.getPlans);
 
@@ -49,11 +65,11 @@ router.get('/plans', subscriptionController.getPlans);
  *           schema:
  *             type: object
  *             required:
- *               - priceId
+ *               - planId
  *             properties:
- *               priceId:
+ *               planId:
  *                 type: string
- *                 description: Stripe price ID
+ *                 description: Plan id from /api/subscriptions/plans
  *     responses:
  *       200:
  *         description: Checkout session created
@@ -65,8 +81,14 @@ router.get('/plans', subscriptionController.getPlans);
  *                 url:
  *                   type: string
  *                   description: Checkout session URL
+ *       400:
+ *         description: Missing planId, or the plan is free
  *       401:
  *         description: Not authenticated
+ *       404:
+ *         description: No active plan with this id
+ *       409:
+ *         description: The user already has an active subscription
  */
 router.post('/create-checkout-session', authenticate, subscriptionController.createCheckoutSession);
 
@@ -74,50 +96,95 @@ router.post('/create-checkout-session', authenticate, subscriptionController.cre
  * @swagger
  * /api/subscriptions/current:
  *   get:
- *     summary: Get current subscription
+ *     summary: Get the user's own subscription
  *     tags: [Subscriptions]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Current subscription details
+ *         description: The subscription, or null on the free plan, and the user's plan tier
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: string
- *                 status:
- *                   type: string
- *                 currentPeriodEnd:
- *                   type: string
- *                   format: date-time
+ *                 subscription:
+ *                   $ref: '#/components/schemas/BusinessSubscription'
  *                 plan:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: string
- *                     name:
- *                       type: string
+ *                   type: string
+ *                   enum: [free, growth]
  *       401:
  *         description: Not authenticated
- *       404:
- *         description: No active subscription found
  */
 router.get('/current', authenticate, subscriptionController.getCurrentSubscription);
 
+/**
+ * @swagger
+ * /api/subscriptions/change-plan/preview:
+ *   post:
+ *     summary: Preview the prorated charge for switching plans
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [planId]
+ *             properties:
+ *               planId:
+ *                 type: string
+ *                 description: Plan id from /api/subscriptions/plans
+ *     responses:
+ *       200:
+ *         description: Proration amount, amount due now, invoice lines and the prorationDate to confirm with
+ *       404:
+ *         description: No active subscription, or no such plan
+ */
+router.post('/change-plan/preview', authenticate, subscriptionController.previewPlanChange);
+
+/**
+ * @swagger
+ * /api/subscriptions/change-plan:
+ *   post:
+ *     summary: Switch the user's subscription to another plan
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [planId]
+ *             properties:
+ *               planId:
+ *                 type: string
+ *               prorationDate:
+ *                 type: integer
+ *                 description: From the preview, so the charge matches it. Valid for an hour.
+ *     responses:
+ *       200:
+ *         description: Plan changed
+ *       400:
+ *         description: Subscription not active, same plan, or the preview expired
+ */
+router.post('/change-plan', authenticate, subscriptionController.changePlan);
+
 /**
  * @swagger
  * /api/subscriptions/cancel:
  *   post:
- *     summary: Cancel current subscription
+ *     summary: Cancel the user's subscription at the end of the billing period
  *     tags: [Subscriptions]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Subscription cancelled successfully
+ *         description: Subscription set to cancel at period end
  *       401:
  *         description: Not authenticated
  *       404:
@@ -125,11 +192,86 @@ router.get('/current', authenticate, subscriptionController.getCurrentSubscripti
  */
 router.post('/cancel', authenticate, subscriptionController.cancelSubscription);
 
-// Handle Stripe webhook events
-router.post(
-  '/webhook',
-  express.raw({ type: 'application/json' }),
-  subscriptionController.handleWebhook
-);
+/**
+ * @swagger
+ * /api/subscriptions/resume:
+ *   post:
+ *     summary: Undo a cancellation before the billing period ends
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       400:
+ *         description: The subscription is not set to cancel
+ *       404:
+ *         description: No active subscription found
+ */
+router.post('/resume', authenticate, subscriptionController.resumeSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/invoices:
+ *   get:
+ *     summary: List the user's past invoices
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *       - in: query
+ *         name: startingAfter
+ *         schema:
+ *           type: string
+ *         description: Last invoice id of the previous page
+ *     responses:
+ *       200:
+ *         description: Invoices and whether there are more
+ */
+router.get('/invoices', authenticate, subscriptionController.getInvoices);
+
+/**
+ * @swagger
+ * /api/subscriptions/billing-portal:
+ *   post:
+ *     summary: Open a Stripe billing portal session for the user's billing account
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Portal session URL
+ *       404:
+ *         description: The user has no billing account yet
+ */
+router.post('/billing-portal', authenticate, subscriptionController.createBillingPortalSession);
+
+/**
+ * @swagger
+ * /api/subscriptions/webhook:
+ *   post:
+ *     summary: Stripe webhook for checkout and subscription lifecycle events
+ *     description: Handles checkout.session.completed, customer.subscription.created/updated/deleted and invoice.payment_failed. Events are applied once by Stripe event id.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: header
+ *         name: stripe-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Missing or invalid signature
+ *       500:
+ *         description: Event could not be applied; Stripe will redeliver it
+ */
+router.post('/webhook', subscriptionController.handleWebhook);
 
 module.exports = router;
\ No newline at end of file
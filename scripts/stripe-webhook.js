@@ -0,0 +1,89 @@
+/**
+ * Send a locally signed Stripe webhook event to a running server, built from a
+ * fixture in scripts/fixtures/stripe. Signed with STRIPE_WEBHOOK_SECRET, so the
+ * server must use the same secret.
+ *
+ *   node scripts/stripe-webhook.js <event type> --user <userId> [--price <priceId>]
+ *     [--customer <id>] [--subscription <id>] [--event-id <id>] [--url <api url>]
+ *
+ * Reuse --event-id to check that a redelivered event is only applied once.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Stripe = require('stripe');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const type = args._[0];
+  const fixtures = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+
+  if (!type || !fixtures.includes(type)) {
+    console.error(`Usage: node scripts/stripe-webhook.js <${fixtures.join('|')}> --user <userId>`);
+    process.exit(1);
+  }
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const values = {
+    userId: args.user || '',
+    customerId: args.customer || 'cus_test_local',
+    subscriptionId: args.subscription || 'sub_test_local',
+    priceId: args.price || 'price_test_local',
+  };
+  const numbers = { now, nextMonth: now + 30 * 24 * 60 * 60 };
+
+  let template = fs.readFileSync(path.join(FIXTURES_DIR, `${type}.json`), 'utf8');
+  Object.entries(numbers).forEach(([key, value]) => {
+    template = template.split(`"{{${key}}}"`).join(String(value));
+  });
+  Object.entries(values).forEach(([key, value]) => {
+    template = template.split(`{{${key}}}`).join(value);
+  });
+
+  const event = {
+    id: args['event-id'] || `evt_local_${Date.now()}`,
+    created: now,
+    livemode: false,
+    ...JSON.parse(template),
+  };
+
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const baseUrl = (args.url || process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const response = await axios.post(`${baseUrl}/api/subscriptions/webhook`, payload, {
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    validateStatus: () => true,
+  });
+
+  console.log(`${event.type} ${event.id} -> ${response.status}`, response.data);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,724 @@
+const crypto = require('crypto');
+const EmailCampaign = require('../models/email-campaign.model');
+const CampaignDelivery = require('../models/campaign-delivery.model');
+const EmailUnsubscribe = require('../models/email-unsubscribe.model');
+const Store = require('../models/store.model');
+const User = require('../models/user.model');
+const Customer = require('../models/customer.model');
+const Job = require('../models/job.model');
+const jobQueue = require('./job-queue.service');
+const entitlementService = require('./entitlement.service');
+const { sendRawEmail, renderTemplate } = require('./email.service');
+const TimeUtils = require('../utils/time.utils');
+const DomainUtils = require('../utils/domain.utils');
+const { ValidationError, PlanLimitError } = require('../utils/errors');
+
+const ENQUEUE_BATCH_SIZE = 500;
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+const MIN_SCHEDULE_LEAD_MS = 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+// A sending campaign with no queued work for this long is picked up again
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+
+const MAX_STORED_CLICKS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNSUBSCRIBE_PLACEHOLDER = /{{\s*unsubscribe_url\s*}}/g;
+
+const campaignGroup = campaignId => `campaign:${campaignId}`;
+const apiBaseUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const escapeHtml = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+class CampaignService {
+  /**
+   * Everyone a campaign goes to, one entry per email address
+   */
+  async resolveRecipients(campaign) {
+    let recipients = [];
+
+    if (campaign.storeId) {
+      recipients = await this.resolveStoreRecipients(campaign);
+    } else {
+      switch (campaign.recipientType) {
+        case 'all_users':
+          recipients = await User.find({}, 'email name').lean();
+          break;
+        case 'store_owners':
+          recipients = await User.find({ role: 'owner' }, 'email name').lean();
+          break;
+        case 'managers':
+          recipients = await User.find({ role: 'manager' }, 'email name').lean();
+          break;
+        case 'customers':
+          recipients = await Customer.find({}, 'email name').lean();
+          break;
+        case 'custom':
+          recipients = campaign.customRecipients || [];
+          break;
+      }
+    }
+
+    const seen = new Set();
+    const unique = recipients
+      .filter(recipient => recipient.email && recipient.email.trim())
+      .map(recipient => ({ email: recipient.email.trim().toLowerCase(), name: recipient.name }))
+      .filter(recipient => {
+        if (seen.has(recipient.email)) return false;
+        seen.add(recipient.email);
+        return true;
+      });
+
+    const unsubscribed = new Set(await EmailUnsubscribe.distinct('email', {
+      email: { $in: [...seen] },
+      storeId: campaign.storeId || null,
+    }));
+    return unique.filter(recipient => !unsubscribed.has(recipient.email));
+  }
+
+  /**
+   * A store campaign's recipients: its own customers, narrowed by the segment's
+   * tags and order history. Cancelled and refunded orders don't count. A custom
+   * list is limited to addresses that belong to the store's customers.
+   */
+  async resolveStoreRecipients(campaign) {
+    const store = await Store.findById(campaign.storeId, 'owner');
+    if (!store) return [];
+
+    if (campaign.recipientType === 'custom') {
+      const listed = campaign.customRecipients || [];
+      const customers = await Customer.find({
+        businessId: store.owner,
+        email: { $in: listed.map(recipient => recipient.email.trim().toLowerCase()) },
+      }, 'email name').lean();
+
+      const names = new Map(listed.map(recipient => [recipient.email.trim().toLowerCase(), recipient.name]));
+      return customers.map(customer => ({ email: customer.email, name: names.get(customer.email) || customer.name }));
+    }
+
+    const match = { businessId: store.owner };
+    const segment = campaign.recipientType === 'segment' ? (campaign.segment || {}) : {};
+
+    if (segment.tags?.length) {
+      match.tags = segment.tagMatch === 'all' ? { $all: segment.tags } : { $in: segment.tags };
+    }
+
+    const history = {};
+    const range = (field, min, max) => {
+      if (typeof min === 'number') history[field] = { ...history[field], $gte: min };
+      if (typeof max === 'number') history[field] = { ...history[field], $lte: max };
+    };
+    range('orderCount', segment.minOrders, segment.maxOrders);
+    range('totalSpent', segment.minSpent, segment.maxSpent);
+
+    const now = Date.now();
+    if (typeof segment.orderedWithinDays === 'number') {
+      history.lastOrder = { $gte: new Date(now - segment.orderedWithinDays * DAY_MS) };
+    }
+    if (typeof segment.notOrderedWithinDays === 'number') {
+      history.$or = [
+        { lastOrder: null },
+        { lastOrder: { $lt: new Date(now - segment.notOrderedWithinDays * DAY_MS) } },
+      ];
+    }
+
+    const pipeline = [{ $match: match }];
+
+    if (Object.keys(history).length) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'orders',
+            let: { customerId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$customer.customerId', '$$customerId'] },
+                  storeId: store._id,
+                  status: { $nin: ['cancelled', 'refunded'] },
+                },
+              },
+              { $project: { total: '$pricing.total', createdAt: 1 } },
+            ],
+            as: 'orders',
+          },
+        },
+        {
+          $addFields: {
+            orderCount: { $size: '$orders' },
+            totalSpent: { $sum: '$orders.total' },
+            lastOrder: { $max: '$orders.createdAt' },
+          },
+        },
+        { $match: history }
+      );
+    }
+
+    pipeline.push({ $project: { _id: 0, email: 1, name: 1 } });
+
+    return Customer.aggregate(pipeline);
+  }
+
+  /**
+   * Monthly send quota for a store (its plan's campaignEmails limit, per calendar
+   * month in the store's time zone) and how much of it campaigns this month have
+   * already taken. A campaign reserves its whole audience when it is dispatched.
+   * @param {Object} options - { excludeCampaignId } leaves one campaign out of the usage
+   * @returns {Promise<{limit: number|null, used: number, remaining: number|null, periodStart: Date}>} null when unlimited
+   */
+  async getStoreQuota(storeId, { excludeCampaignId } = {}) {
+    const store = await Store.findById(storeId, 'owner timezone');
+    const limit = await entitlementService.getCampaignEmailLimit(storeId);
+
+    const timeZone = TimeUtils.isValidTimeZone(store?.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+    const { year, month } = TimeUtils.getZonedParts(new Date(), timeZone);
+    const periodStart = TimeUtils.zonedTimeToUtc(`${year}-${String(month).padStart(2, '0')}-01T00:00`, timeZone);
+
+    const match = {
+      storeId,
+      status: { $in: ['sending', 'sent'] },
+      sentAt: { $gte: periodStart },
+    };
+    if (excludeCampaignId) match._id = { $ne: excludeCampaignId };
+
+    const [usage] = await EmailCampaign.aggregate([
+      { $match: match },
+      { $group: { _id: null, used: { $sum: '$stats.totalSent' } } },
+    ]);
+    const used = usage?.used || 0;
+
+    return { limit, used, remaining: limit === null ? null : Math.max(limit - used, 0), periodStart };
+  }
+
+  /**
+   * Throw a PlanLimitError when sending to this many recipients would go over the store's quota
+   */
+  async assertWithinQuota(storeId, recipients, options) {
+    const quota = await this.getStoreQuota(storeId, options);
+
+    if (quota.remaining !== null && recipients > quota.remaining) {
+      throw new PlanLimitError(
+        `This campaign goes to ${recipients} customers but your plan has ${quota.remaining} of ${quota.limit} campaign emails left this month. Upgrade your plan or narrow the audience.`,
+        { resource: 'campaignEmails', limit: quota.limit, used: quota.used, requested: recipients }
+      );
+    }
+
+    return quota;
+  }
+
+  /**
+   * Mark a campaign as sending and queue the job that fans it out to recipients
+   */
+  async start(campaign) {
+    campaign.status = 'sending';
+    campaign.sentAt = new Date();
+    await campaign.save();
+
+    return this.enqueueDispatch(campaign._id);
+  }
+
+  async enqueueDispatch(campaignId) {
+    return jobQueue.enqueue('campaign.dispatch', { campaignId }, {
+      group: campaignGroup(campaignId),
+      priority: 1,
+    });
+  }
+
+  /**
+   * Turn a requested send time into a UTC date. An ISO string with an offset is
+   * taken as-is; a bare local date and time is read in the given time zone.
+   * @returns {{scheduledAt: Date, timezone: string}}
+   */
+  parseSchedule({ scheduledAt, timezone = DEFAULT_TIMEZONE }, now = new Date()) {
+    if (!scheduledAt) {
+      throw new ValidationError('scheduledAt is required');
+    }
+
+    if (!TimeUtils.isValidTimeZone(timezone)) {
+      throw new ValidationError(`Unknown time zone: ${timezone}`);
+    }
+
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(String(scheduledAt).trim());
+    const date = hasOffset ? new Date(scheduledAt) : TimeUtils.zonedTimeToUtc(String(scheduledAt).trim(), timezone);
+
+    if (!date || isNaN(date.getTime())) {
+      throw new ValidationError(hasOffset
+        ? 'scheduledAt must be a valid date'
+        : `scheduledAt must be a valid local time (YYYY-MM-DDTHH:mm) in ${timezone}`);
+    }
+
+    if (date.getTime() < now.getTime() + MIN_SCHEDULE_LEAD_MS) {
+      throw new ValidationError('scheduledAt must be at least a minute in the future');
+    }
+
+    if (date.getTime() > now.getTime() + MAX_SCHEDULE_AHEAD_MS) {
+      throw new ValidationError('scheduledAt cannot be more than a year ahead');
+    }
+
+    return { scheduledAt: date, timezone };
+  }
+
+  /**
+   * Schedule a draft, or move an already scheduled campaign to a new time
+   */
+  async schedule(campaign, input) {
+    const { scheduledAt, timezone } = this.parseSchedule(input);
+
+    campaign.status = 'scheduled';
+    campaign.scheduledAt = scheduledAt;
+    campaign.scheduledTimezone = timezone;
+    await campaign.save();
+
+    return campaign;
+  }
+
+  /**
+   * Return a scheduled campaign to draft
+   */
+  async unschedule(campaign) {
+    campaign.status = 'draft';
+    campaign.scheduledAt = undefined;
+    campaign.scheduledTimezone = undefined;
+    await campaign.save();
+
+    return campaign;
+  }
+
+  /**
+   * Scheduled task: start every scheduled campaign that is due, and pick up
+   * sending campaigns whose work stopped part-way (for example a crash between
+   * marking a campaign as sending and queueing its dispatch job)
+   */
+  async sendDueCampaigns(now = new Date()) {
+    let started = 0;
+
+    // Claim one campaign at a time so overlapping runs never start the same one twice
+    for (;;) {
+      const campaign = await EmailCampaign.findOneAndUpdate(
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { $set: { status: 'sending', sentAt: now, updatedAt: now } },
+        { new: true, sort: { scheduledAt: 1 } }
+      );
+      if (!campaign) break;
+
+      await this.enqueueDispatch(campaign._id);
+      started++;
+    }
+
+    const sending = await EmailCampaign.find({
+      status: 'sending',
+      sentAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MS) },
+    }, '_id');
+
+    let resumed = 0;
+
+    for (const campaign of sending) {
+      const active = await Job.exists({
+        group: campaignGroup(campaign._id),
+        status: { $in: ['pending', 'running'] },
+      });
+      if (active) continue;
+
+      // Dispatch skips recipients that already have a job, so only the rest are sent
+      await this.enqueueDispatch(campaign._id);
+      resumed++;
+    }
+
+    return { started, resumed };
+  }
+
+  /**
+   * Job handler for campaign.dispatch: queue one campaign.email job per recipient.
+   * Recipients that already have a job are left alone, so a retried dispatch
+   * picks up where the last one stopped.
+   */
+  async dispatch({ campaignId }) {
+    const campaign = await EmailCampaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'sending') {
+      return { skipped: true };
+    }
+
+    const recipients = await this.resolveRecipients(campaign);
+
+    if (recipients.length === 0) {
+      campaign.status = 'failed';
+      await campaign.save();
+      return { recipients: 0 };
+    }
+
+    if (campaign.storeId) {
+      try {
+        await this.assertWithinQuota(campaign.storeId, recipients.length, { excludeCampaignId: campaign._id });
+      } catch (error) {
+        if (!(error instanceof PlanLimitError)) throw error;
+        campaign.status = 'failed';
+        campaign.failureReason = error.message;
+        await campaign.save();
+        return { recipients: recipients.length, quotaExceeded: true };
+      }
+    }
+
+    campaign.stats.totalSent = recipients.length;
+    await campaign.save();
+
+    const group = campaignGroup(campaign._id);
+    const queued = new Set(await Job.distinct('payload.email', { group, type: 'campaign.email' }));
+    const pending = recipients.filter(recipient => !queued.has(recipient.email));
+
+    for (let i = 0; i < pending.length; i += ENQUEUE_BATCH_SIZE) {
+      const batch = pending.slice(i, i + ENQUEUE_BATCH_SIZE);
+      await jobQueue.enqueueMany(
+        'campaign.email',
+        batch.map(recipient => ({ campaignId: campaign._id, ...recipient })),
+        { group }
+      );
+    }
+
+    await this.finalize(campaign._id);
+
+    return { recipients: recipients.length, queued: pending.length };
+  }
+
+  /**
+   * Job handler for campaign.email. The delivery record is created before the
+   * send so its id can go into the tracking links, and a delivery already marked
+   * sent is never emailed again when a job is retried.
+   */
+  async sendToRecipient({ campaignId, email, name }) {
+    const campaign = await EmailCampaign.findById(campaignId, 'subject content status storeId');
+    if (!campaign || campaign.status !== 'sending') {
+      return { skipped: true };
+    }
+
+    const storeId = campaign.storeId || null;
+
+    // Opted out after the campaign was dispatched
+    if (await EmailUnsubscribe.exists({ email, storeId })) {
+      await CampaignDelivery.updateOne(
+        { campaign: campaignId, email },
+        { $set: { status: 'skipped' }, $setOnInsert: { name, storeId: campaign.storeId } },
+        { upsert: true }
+      );
+      await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'stats.totalSent': -1 } });
+      await this.finalize(campaignId);
+      return { skipped: true, reason: 'unsubscribed' };
+    }
+
+    const delivery = await CampaignDelivery.findOneAndUpdate(
+      { campaign: campaignId, email },
+      { $setOnInsert: { name, storeId: campaign.storeId, status: 'queued' } },
+      { upsert: true, new: true }
+    );
+
+    if (delivery.status === 'sent') {
+      return { skipped: true, reason: 'already sent' };
+    }
+
+    const unsubscribeUrl = this.getTrackingUrl(delivery._id, 'unsubscribe');
+    const options = {
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    };
+
+    let content = campaign.content;
+
+    if (campaign.storeId) {
+      const store = await Store.findById(campaign.storeId);
+      if (store) {
+        const owner = await User.findById(store.owner, 'email').lean();
+        content = await this.renderStoreContent(campaign, store);
+        options.fromName = store.storeName || store.businessName;
+        options.replyTo = owner?.email;
+      }
+    }
+
+    await sendRawEmail(email, campaign.subject, this.buildTrackedHtml(content, delivery._id), options);
+
+    await CampaignDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'sent', sentAt: new Date(), error: null } });
+    await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'stats.delivered': 1 } });
+    await this.finalize(campaignId);
+
+    return { sent: true };
+  }
+
+  /**
+   * Wrap a store campaign's content in the store's branded layout: logo, primary
+   * colour, storefront link and address
+   */
+  async renderStoreContent(campaign, store) {
+    const domain = store.customDomain || (store.url && DomainUtils.getFullDomain(store.url));
+    const address = store.address
+      ? [store.address.street, store.address.city, store.address.state, store.address.country].filter(Boolean).join(', ')
+      : '';
+
+    return renderTemplate('store-campaign', {
+      subject: campaign.subject,
+      content: campaign.content,
+      storeName: store.storeName || store.businessName,
+      logo: store.logo,
+      primaryColor: store.customization?.colors?.primary || '#333333',
+      storeUrl: domain ? `https://${domain}` : null,
+      address,
+      // Left as a placeholder for buildTrackedHtml to fill with the signed link
+      unsubscribeUrl: '{{unsubscribe_url}}',
+      year: new Date().getFullYear(),
+    });
+  }
+
+  /**
+   * Dead-letter hook for campaign.email: count the address as bounced
+   */
+  async recordBounce({ campaignId, email, name }, job, error) {
+    console.error(`Campaign email to ${email} bounced: ${error.message}`);
+    const campaign = await EmailCampaign.findById(campaignId, 'storeId');
+    await CampaignDelivery.updateOne(
+      { campaign: campaignId, email },
+      { $set: { status: 'bounced', error: error.message }, $setOnInsert: { name, storeId: campaign?.storeId } },
+      { upsert: true }
+    );
+    await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'stats.bounced': 1 } });
+    await this.finalize(campaignId);
+  }
+
+  sign(deliveryId, action, value = '') {
+    const secret = process.env.CAMPAIGN_TRACKING_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${deliveryId}:${action}:${value}`).digest('base64url');
+  }
+
+  verify(deliveryId, action, signature, value = '') {
+    if (typeof signature !== 'string') return false;
+    const expected = Buffer.from(this.sign(deliveryId, action, value));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Signed public URL for a delivery's open pixel, a tracked link or its unsubscribe link
+   */
+  getTrackingUrl(deliveryId, action, targetUrl) {
+    const base = `${apiBaseUrl()}/api/public/campaigns/deliveries/${deliveryId}/${action}`;
+    const sig = this.sign(deliveryId, action, targetUrl);
+    return targetUrl
+      ? `${base}?url=${encodeURIComponent(targetUrl)}&sig=${sig}`
+      : `${base}?sig=${sig}`;
+  }
+
+  /**
+   * Campaign HTML for one recipient: http(s) links go through the click tracker,
+   * {{unsubscribe_url}} (or a footer when the content has none) carries the
+   * signed unsubscribe link, and a pixel records opens.
+   */
+  buildTrackedHtml(content, deliveryId) {
+    const unsubscribeUrl = escapeHtml(this.getTrackingUrl(deliveryId, 'unsubscribe'));
+    const hasPlaceholder = UNSUBSCRIBE_PLACEHOLDER.test(content);
+    UNSUBSCRIBE_PLACEHOLDER.lastIndex = 0;
+
+    let html = content.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (match, quote, url) => {
+      const target = url.replace(/&amp;/g, '&');
+      return `href=${quote}${escapeHtml(this.getTrackingUrl(deliveryId, 'click', target))}${quote}`;
+    });
+
+    html = html.replace(UNSUBSCRIBE_PLACEHOLDER, unsubscribeUrl);
+
+    const footer = hasPlaceholder
+      ? ''
+      : `<p style="font-size:12px;color:#888;text-align:center;margin-top:24px;">Don't want these emails? <a href="${unsubscribeUrl}">Unsubscribe</a></p>`;
+    const pixel = `<img src="${escapeHtml(this.getTrackingUrl(deliveryId, 'open'))}" width="1" height="1" alt="" style="display:none;" />`;
+
+    return /<\/body>/i.test(html)
+      ? html.replace(/<\/body>/i, `${footer}${pixel}</body>`)
+      : `${html}${footer}${pixel}`;
+  }
+
+  /**
+   * Record an open. Only the first open of a delivery counts towards the campaign's stats.
+   */
+  async recordOpen(deliveryId) {
+    const now = new Date();
+    const first = await CampaignDelivery.findOneAndUpdate(
+      { _id: deliveryId, openedAt: null },
+      { $set: { openedAt: now }, $inc: { openCount: 1 } }
+    );
+
+    if (first) {
+      await EmailCampaign.updateOne({ _id: first.campaign }, { $inc: { 'stats.opened': 1 } });
+    } else {
+      await CampaignDelivery.updateOne({ _id: deliveryId }, { $inc: { openCount: 1 } });
+    }
+  }
+
+  /**
+   * Record a click. A click also counts as an open, since images are often blocked.
+   */
+  async recordClick(deliveryId, url) {
+    const now = new Date();
+    const click = { $push: { clicks: { $each: [{ url, clickedAt: now }], $slice: -MAX_STORED_CLICKS } }, $inc: { clickCount: 1 } };
+
+    const first = await CampaignDelivery.findOneAndUpdate(
+      { _id: deliveryId, clickedAt: null },
+      { ...click, $set: { clickedAt: now } }
+    );
+
+    if (first) {
+      await EmailCampaign.updateOne({ _id: first.campaign }, { $inc: { 'stats.clicked': 1 } });
+      if (!first.openedAt) await this.recordOpen(deliveryId);
+    } else {
+      await CampaignDelivery.updateOne({ _id: deliveryId }, click);
+    }
+  }
+
+  async findDelivery(deliveryId) {
+    return CampaignDelivery.findById(deliveryId);
+  }
+
+  /**
+   * Who the recipient hears from: the store for store campaigns, otherwise the platform
+   */
+  async getSenderName(delivery) {
+    if (delivery.storeId) {
+      const store = await Store.findById(delivery.storeId, 'storeName businessName');
+      if (store) return store.storeName || store.businessName;
+    }
+
+    return 'Sqaleshop';
+  }
+
+  /**
+   * Opt the delivery's address out of all future campaigns from the same sender
+   */
+  async unsubscribe(deliveryId, source = 'link') {
+    const delivery = await CampaignDelivery.findById(deliveryId);
+    if (!delivery) return null;
+
+    const storeId = delivery.storeId || null;
+    await EmailUnsubscribe.updateOne(
+      { email: delivery.email, storeId },
+      { $setOnInsert: { email: delivery.email, storeId, campaign: delivery.campaign, source } },
+      { upsert: true }
+    );
+
+    const first = await CampaignDelivery.updateOne(
+      { _id: deliveryId, unsubscribedAt: null },
+      { $set: { unsubscribedAt: new Date() } }
+    );
+    if (first.modifiedCount > 0) {
+      await EmailCampaign.updateOne({ _id: delivery.campaign }, { $inc: { 'stats.unsubscribed': 1 } });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Analytics for a campaign built from its delivery records
+   */
+  async getDeliveryStats(campaignId) {
+    const [counts] = await CampaignDelivery.aggregate([
+      { $match: { campaign: campaignId } },
+      {
+        $group: {
+          _id: null,
+          recipients: { $sum: 1 },
+          delivered: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+          bounced: { $sum: { $cond: [{ $eq: ['$status', 'bounced'] }, 1, 0] } },
+          skipped: { $sum: { $cond: [{ $eq: ['$status', 'skipped'] }, 1, 0] } },
+          opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+          unsubscribed: { $sum: { $cond: [{ $ifNull: ['$unsubscribedAt', false] }, 1, 0] } },
+          totalOpens: { $sum: '$openCount' },
+          totalClicks: { $sum: '$clickCount' },
+        },
+      },
+    ]);
+
+    const topLinks = await CampaignDelivery.aggregate([
+      { $match: { campaign: campaignId, 'clicks.0': { $exists: true } } },
+      { $unwind: '$clicks' },
+      { $group: { _id: '$clicks.url', clicks: { $sum: 1 }, recipients: { $addToSet: '$_id' } } },
+      { $project: { _id: 0, url: '$_id', clicks: 1, uniqueClicks: { $size: '$recipients' } } },
+      { $sort: { clicks: -1 } },
+      { $limit: 10 },
+    ]);
+
+    const { _id, ...stats } = counts || {
+      recipients: 0, delivered: 0, bounced: 0, skipped: 0, opened: 0, clicked: 0, unsubscribed: 0, totalOpens: 0, totalClicks: 0,
+    };
+
+    return { ...stats, topLinks };
+  }
+
+  /**
+   * Campaign stats and rates, from its delivery records. Campaigns sent before
+   * delivery records existed only have their counters.
+   */
+  async getAnalytics(campaign) {
+    const deliveries = await this.getDeliveryStats(campaign._id);
+    const stats = deliveries.recipients > 0
+      ? {
+        totalSent: deliveries.recipients - deliveries.skipped,
+        delivered: deliveries.delivered,
+        opened: deliveries.opened,
+        clicked: deliveries.clicked,
+        bounced: deliveries.bounced,
+        unsubscribed: deliveries.unsubscribed,
+        skipped: deliveries.skipped,
+        totalOpens: deliveries.totalOpens,
+        totalClicks: deliveries.totalClicks,
+      }
+      : campaign.toObject().stats;
+
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+    return {
+      campaign: {
+        id: campaign._id,
+        name: campaign.name,
+        subject: campaign.subject,
+        sentAt: campaign.sentAt,
+        status: campaign.status,
+      },
+      stats: {
+        ...stats,
+        deliveryRate: rate(stats.delivered, stats.totalSent),
+        openRate: rate(stats.opened, stats.delivered),
+        clickRate: rate(stats.clicked, stats.delivered),
+        unsubscribeRate: rate(stats.unsubscribed, stats.delivered),
+      },
+      topLinks: deliveries.topLinks,
+    };
+  }
+
+  /**
+   * Mark the campaign sent once every recipient has been delivered or bounced
+   */
+  async finalize(campaignId) {
+    await EmailCampaign.updateOne(
+      {
+        _id: campaignId,
+        status: 'sending',
+        'stats.totalSent': { $gt: 0 },
+        $expr: { $gte: [{ $add: ['$stats.delivered', '$stats.bounced'] }, '$stats.totalSent'] },
+      },
+      { $set: { status: 'sent', updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Delivery progress for a campaign, from its stats and its queued jobs
+   */
+  async getProgress(campaign) {
+    const jobs = await jobQueue.getGroupProgress(campaignGroup(campaign._id));
+    const { totalSent, delivered, bounced } = campaign.stats;
+
+    return {
+      status: campaign.status,
+      totalRecipients: totalSent,
+      delivered,
+      bounced,
+      remaining: Math.max(totalSent - delivered - bounced, 0),
+      percentComplete: totalSent > 0 ? Math.round(((delivered + bounced) / totalSent) * 10000) / 100 : 0,
+      jobs,
+    };
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,163 @@
+const Discount = require('../models/discount.model');
+const Customer = require('../models/customer.model');
+const Order = require('../models/order.model');
+const Booking = require('../models/booking.model');
+const { AppError } = require('../middleware/error.middleware');
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+class DiscountService {
+  /**
+   * Find a discount for a store by code
+   * @param {string} storeId - Store the discount belongs to
+   * @param {string} code - Discount code as entered by the customer
+   */
+  async findByCode(storeId, code, session) {
+    const normalizedCode = normalizeCode(code);
+    if (!normalizedCode) return null;
+
+    const query = Discount.findOne({ businessId: storeId, code: normalizedCode });
+    return session ? query.session(session) : query;
+  }
+
+  /**
+   * Validate a discount code against a cart and work out the amount it takes off.
+   * Every condition and limit is enforced here; an AppError explains the first one that fails.
+   *
+   * @param {Object} params
+   * @param {Object} params.store - Store the cart belongs to
+   * @param {string} params.code - Discount code
+   * @param {Array<{product, category, totalPrice}>} params.lines - Cart lines priced by the server
+   * @param {number} [params.shippingCost] - Shipping cost, used by free_shipping codes
+   * @param {string} [params.customerEmail] - Customer email for per-customer limits and tag conditions
+   * @param {ClientSession} [params.session] - Mongo session when running inside a transaction
+   * @returns {Promise<{discount, subtotal: number, eligibleSubtotal: number, appliedAmount: number}>}
+   */
+  async evaluate({ store, code, lines = [], shippingCost = 0, customerEmail, session }) {
+    const discount = await this.findByCode(store._id, code, session);
+
+    if (!discount) {
+      throw new AppError('Invalid discount code', 400);
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + (line.totalPrice || 0), 0);
+
+    const now = new Date();
+    if (discount.status !== 'active' || (discount.endDate && discount.endDate < now)) {
+      throw new AppError('This discount code is no longer active', 400);
+    }
+    if (discount.startDate && discount.startDate > now) {
+      throw new AppError('This discount code is not active yet', 400);
+    }
+    if (discount.usageLimit?.total && discount.usageCount >= discount.usageLimit.total) {
+      throw new AppError('This discount code has reached its usage limit', 400);
+    }
+    if (discount.minimumPurchase && subtotal < discount.minimumPurchase) {
+      throw new AppError(`A minimum purchase of ${discount.minimumPurchase} is required for this discount code`, 400);
+    }
+
+    const email = customerEmail ? customerEmail.toLowerCase().trim() : null;
+
+    if (discount.conditions?.customerTags?.length) {
+      const customer = email
+        ? await Customer.findOne({ businessId: store.owner, email }).session(session || null)
+        : null;
+      const hasTag = customer?.tags?.some(tag => discount.conditions.customerTags.includes(tag));
+      if (!hasTag) {
+        throw new AppError('This discount code is not available for your account', 400);
+      }
+    }
+
+    if (discount.usageLimit?.perCustomer) {
+      if (!email) {
+        throw new AppError('Customer email is required to use this discount code', 400);
+      }
+      const used = await this.countCustomerUsage(discount, store._id, email, session);
+      if (used >= discount.usageLimit.perCustomer) {
+        throw new AppError('You have already used this discount code the maximum number of times', 400);
+      }
+    }
+
+    const eligibleSubtotal = lines
+      .filter(line => discount.appliesToItem(line.product, line.category))
+      .reduce((sum, line) => sum + (line.totalPrice || 0), 0);
+
+    if (eligibleSubtotal <= 0 && discount.type !== 'free_shipping') {
+      throw new AppError('This discount code does not apply to any items in your cart', 400);
+    }
+
+    return {
+      discount,
+      subtotal,
+      eligibleSubtotal,
+      appliedAmount: discount.calculateAmount(eligibleSubtotal, shippingCost),
+    };
+  }
+
+  /**
+   * Count how many non-cancelled orders and bookings a customer placed with this discount
+   */
+  async countCustomerUsage(discount, storeId, email, session) {
+    const match = {
+      storeId,
+      'customer.email': email,
+      'discount.discountId': discount._id,
+      status: { $ne: 'cancelled' },
+    };
+
+    const [orders, bookings] = await Promise.all([
+      Order.countDocuments(match).session(session || null),
+      Booking.countDocuments(match).session(session || null),
+    ]);
+
+    return orders + bookings;
+  }
+
+  /**
+   * Atomically record one use of a discount, failing if the total limit was hit in the meantime
+   */
+  async redeem(discount, session) {
+    const query = { _id: discount._id, status: 'active' };
+    if (discount.usageLimit?.total) {
+      query.usageCount = { $lt: discount.usageLimit.total };
+    }
+
+    const updated = await Discount.findOneAndUpdate(
+      query,
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new AppError('This discount code has reached its usage limit', 400);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Give back a use recorded by redeem() when the order could not be saved
+   */
+  async release(discount, session) {
+    await Discount.updateOne(
+      { _id: discount._id, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+  }
+
+  /**
+   * Shape an evaluation result for the discount field stored on orders and bookings
+   */
+  toOrderDiscount({ discount, appliedAmount }) {
+    return {
+      discountId: discount._id,
+      code: discount.code,
+      type: discount.type,
+      amount: discount.value,
+      appliedAmount,
+    };
+  }
+}
+
+module.exports = new DiscountService();
@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Store = require('../models/store.model');
+const Customer = require('../models/customer.model');
+const pricingService = require('./pricing.service');
+const inventoryService = require('./inventory.service');
+const notificationService = require('./notification.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+// A draft's price can only change while nobody is paying it
+const OPEN_PAYMENT_STATUSES = ['pending', 'failed'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const invoiceUrl = (order) => {
+  const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
+  return `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`;
+};
+
+// A draft's order item as it would be sent to create it
+const toDraftEntry = (item) => {
+  if (item.custom) {
+    const { name, description, sku } = item.productSnapshot;
+    return { name, description, sku, quantity: item.quantity, unitPrice: item.unitPrice };
+  }
+
+  return {
+    productId: item.product,
+    variantId: item.variant,
+    quantity: item.quantity,
+    options: item.options ? Object.fromEntries(item.options) : undefined,
+    // Keep a price override, but let catalog prices follow the catalog
+    unitPrice: item.catalogUnitPrice ? item.unitPrice : undefined,
+  };
+};
+
+class DraftOrderService {
+  assertDraft(order) {
+    if (order.status !== 'draft') {
+      throw new AppError(`Order #${order.orderNumber} is no longer a draft`, 409);
+    }
+  }
+
+  parsePrice(value, label) {
+    const price = Number(value);
+    if (value === undefined || value === null || value === '' || isNaN(price) || price <= 0) {
+      throw new ValidationError(`${label} must be a price greater than zero`);
+    }
+    return roundAmount(price);
+  }
+
+  /**
+   * Turn draft items into order items. Entries with a productId are catalog
+   * items, priced from the catalog unless unitPrice overrides it. Entries
+   * without one are custom items with a name and a unitPrice.
+   *
+   * @returns {Promise<{items: Array, taxLines: Array}>} Order items, and lines for the tax calculation
+   */
+  async buildItems(store, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('A draft order needs at least one item');
+    }
+
+    const catalogEntries = items.filter(entry => entry.productId);
+    const catalogLines = catalogEntries.length ? await pricingService.priceItems(store, catalogEntries) : [];
+
+    const orderItems = [];
+    const taxLines = [];
+
+    for (const entry of items) {
+      if (entry.productId) {
+        const line = catalogLines[catalogEntries.indexOf(entry)];
+        const item = pricingService.toOrderItem(line);
+
+        if (entry.unitPrice !== undefined) {
+          item.catalogUnitPrice = line.unitPrice;
+          item.unitPrice = this.parsePrice(entry.unitPrice, `Price of ${line.product.name}`);
+          item.totalPrice = roundAmount(item.unitPrice * item.quantity);
+        }
+
+        orderItems.push(item);
+        taxLines.push({ product: line.product, totalPrice: item.totalPrice });
+        continue;
+      }
+
+      const name = String(entry.name || '').trim();
+      if (!name) {
+        throw new ValidationError('Custom items need a name');
+      }
+
+      const quantity = Number(entry.quantity ?? 1);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(`Invalid quantity for ${name}`);
+      }
+
+      const unitPrice = this.parsePrice(entry.unitPrice, `Price of ${name}`);
+      const item = {
+        custom: true,
+        productSnapshot: {
+          name,
+          description: entry.description,
+          sku: entry.sku,
+        },
+        quantity,
+        unitPrice,
+        totalPrice: roundAmount(unitPrice * quantity),
+      };
+
+      orderItems.push(item);
+      // Custom items are taxed like any other taxable product
+      taxLines.push({ product: { taxable: true }, totalPrice: item.totalPrice });
+    }
+
+    return { items: orderItems, taxLines };
+  }
+
+  // The store's delivery fee for the chosen location, unless the draft sets its own cost
+  resolveShipping(store, delivery = {}) {
+    if (delivery.cost === undefined || delivery.cost === null || delivery.cost === '') {
+      return pricingService.resolveShipping(store, delivery);
+    }
+
+    const cost = Number(delivery.cost);
+    if (isNaN(cost) || cost < 0) {
+      throw new ValidationError('Delivery cost cannot be negative');
+    }
+    return { method: delivery.method || 'pickup', cost: roundAmount(cost) };
+  }
+
+  // Link the draft to the store's customer record, creating it if this is a new customer
+  async findCustomer(store, customer) {
+    const email = customer.email.toLowerCase().trim();
+    const existing = await Customer.findOne({ businessId: store.owner, email });
+    if (existing) return existing;
+
+    try {
+      return await Customer.create({
+        businessId: store.owner,
+        email,
+        name: customer.name.trim(),
+        phone: customer.phone?.trim(),
+        address: customer.address?.trim(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return Customer.findOne({ businessId: store.owner, email });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set the draft's customer, items, delivery, payment method and notes from
+   * the fields given, and work out its pricing again
+   */
+  async apply(store, order, { customer, items, delivery, payment, notes }) {
+    if (customer !== undefined) {
+      if (!customer?.email || !customer?.name || !customer?.phone) {
+        throw new ValidationError('Customer name, email and phone are required');
+      }
+
+      const record = await this.findCustomer(store, customer);
+      order.customer = {
+        customerId: record?._id,
+        email: customer.email,
+        name: customer.name,
+        phone: customer.phone,
+        address: customer.address || '',
+      };
+    }
+
+    // Without new items, the draft's items are priced again as they stand
+    const { items: orderItems, taxLines } = await this.buildItems(
+      store,
+      items !== undefined ? items : order.items.map(toDraftEntry)
+    );
+
+    const shipping = delivery !== undefined
+      ? this.resolveShipping(store, delivery)
+      : { method: order.shipping?.method || 'pickup', cost: order.shipping?.cost || 0 };
+
+    const subtotal = roundAmount(orderItems.reduce((sum, item) => sum + item.totalPrice, 0));
+    const tax = pricingService.calculateTax(store, taxLines);
+    const total = roundAmount(subtotal + tax + shipping.cost);
+
+    order.items = orderItems;
+    order.pricing = {
+      subtotal,
+      tax,
+      shipping: shipping.cost,
+      discount: 0,
+      total,
+      currency: store.currency || 'NGN',
+    };
+    order.shipping.method = shipping.method;
+    order.shipping.cost = shipping.cost;
+    if (delivery?.location && typeof delivery.location === 'object') {
+      order.shipping.address = delivery.location;
+    }
+    if (delivery?.instructions !== undefined) {
+      order.shipping.deliveryInstructions = delivery.instructions;
+    }
+
+    order.payment.method = payment?.method || order.payment.method;
+    order.payment.amount = total;
+    order.payment.currency = store.currency || 'NGN';
+
+    if (notes !== undefined) {
+      order.notes = {
+        customer: notes?.customer ?? order.notes?.customer ?? '',
+        internal: notes?.internal ?? order.notes?.internal ?? '',
+      };
+    }
+  }
+
+  /**
+   * Build a draft order in the dashboard. No stock is taken until it is paid.
+   */
+  async create(store, input, user) {
+    if (!input.customer) {
+      throw new ValidationError('Customer name, email and phone are required');
+    }
+    if (!input.items) {
+      throw new ValidationError('A draft order needs at least one item');
+    }
+
+    const order = new Order({
+      businessId: store.owner,
+      storeId: store._id,
+      status: 'draft',
+      source: 'admin',
+      shipping: {},
+      payment: { method: input.payment?.method || 'bank_transfer', status: 'pending' },
+      draft: { createdBy: user?._id },
+    });
+
+    await this.apply(store, order, input);
+    await order.save();
+    return order;
+  }
+
+  async update(store, order, input, user) {
+    this.assertDraft(order);
+    if (!OPEN_PAYMENT_STATUSES.includes(order.payment?.status)) {
+      throw new AppError('The customer is paying this draft right now; try again once the payment completes or fails', 409);
+    }
+
+    await this.apply(store, order, input);
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: input.note ? `Draft updated: ${input.note}` : 'Draft updated',
+      updatedBy: user?._id,
+    });
+
+    order.increment();
+    await this.save(order);
+    return order;
+  }
+
+  /**
+   * Email the customer a link to review and pay the draft. The link is the
+   * order's invoice link, so it works with the storefront's invoice page.
+   */
+  async send(store, order, { message, user } = {}) {
+    this.assertDraft(order);
+
+    order.draft.sentAt = new Date();
+    order.draft.sentCount = (order.draft.sentCount || 0) + 1;
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Invoice sent to ${order.customer.email}`,
+      updatedBy: user?._id,
+    });
+    await order.save();
+
+    await notificationService.notify('draftOrderSent', {
+      store,
+      order,
+      extra: { invoiceUrl: invoiceUrl(order), message },
+    });
+
+    return invoiceUrl(order);
+  }
+
+  /**
+   * Record a payment made outside the gateway (cash, a transfer the store has
+   * seen) and turn the draft into an order. A draft already paid, whose
+   * conversion failed, is converted without recording the payment again.
+   */
+  async complete(store, order, { method, reference, note, user } = {}) {
+    this.assertDraft(order);
+
+    if (order.payment.status === 'completed') {
+      return this.convert(order, { store, note: note || 'Paid draft converted by the store', user });
+    }
+
+    if (method) order.payment.method = method;
+    order.payment.status = 'completed';
+    order.payment.processedAt = new Date();
+    if (reference) order.payment.transactionId = reference;
+
+    return this.convert(order, { store, note: note || 'Payment recorded by the store', user });
+  }
+
+  /**
+   * Turn a paid draft into an order: take its stock and confirm it. The
+   * customer has paid, so a stock shortfall is noted for the store rather
+   * than stopping the order.
+   */
+  async convert(order, { store, note, user } = {}) {
+    if (order.status !== 'draft') return order;
+
+    try {
+      await inventoryService.reserveOrderItems(order, { user: user?._id });
+    } catch (error) {
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Stock could not be taken for this order: ${error.message}`,
+        updatedBy: user?._id,
+      });
+    }
+
+    order.draft.convertedAt = new Date();
+    order.increment();
+
+    try {
+      await order.updateStatus('confirmed', `${note || 'Payment confirmed'} - draft converted to an order`, user?._id);
+    } catch (error) {
+      await inventoryService.releaseOrderItems(order, { user: user?._id });
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new AppError('This draft was changed at the same time by someone else. Reload it and try again.', 409);
+      }
+      throw error;
+    }
+
+    try {
+      await notificationService.notify('orderCreated', {
+        store: store || await Store.findById(order.storeId),
+        order,
+        extra: { invoiceUrl: invoiceUrl(order) },
+      });
+    } catch (error) {
+      console.error(`Failed to send order notification for converted draft ${order._id}:`, error);
+    }
+
+    return order;
+  }
+
+  /**
+   * Convert a draft whose payment has just been saved as completed. The payment
+   * stands if converting fails, for example while the store is saving the
+   * draft, so the failure is noted on the draft for the store to complete it.
+   */
+  async convertPaid(order, options) {
+    try {
+      return await this.convert(order, options);
+    } catch (error) {
+      console.error(`Failed to convert paid draft ${order._id}:`, error);
+      await Order.updateOne({ _id: order._id, status: 'draft' }, {
+        $push: {
+          timeline: {
+            status: 'draft',
+            timestamp: new Date(),
+            note: `Paid, but could not be turned into an order; complete the draft to convert it. ${error.message}`,
+          },
+        },
+      }).catch(noteError => {
+        console.error(`Failed to note the failed conversion of draft ${order._id}:`, noteError);
+      });
+      return order;
+    }
+  }
+
+  async save(order) {
+    try {
+      await order.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new AppError('This draft was changed at the same time by someone else. Reload it and try again.', 409);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new DraftOrderService();
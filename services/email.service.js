@@ -3,7 +3,6 @@ const hbs = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 const Business = require('../models/business.model');
-const User = require('../models/user.model');
 
 // Support both legacy EMAIL_* env vars (as documented) and SMTP_* variants
 const mailHost = process.env.SMTP_HOST || process.env.EMAIL_HOST;
@@ -11,6 +10,7 @@ const mailPort = Number(process.env.SMTP_PORT || process.env.EMAIL_PORT || 587);
 const mailUser = process.env.SMTP_USER || process.env.EMAIL_USER;
 const mailPass = process.env.SMTP_PASS || process.env.EMAIL_PASS;
 const mailFrom = process.env.EMAIL_FROM || '"Sqaleshop" <no-reply@sqaleshop.com>';
+const mailFromAddress = (mailFrom.match(/<([^>]+)>/) || [null, mailFrom])[1];
 
 const transporter = nodemailer.createTransport({
   host: mailHost,
@@ -33,6 +33,15 @@ hbs.registerHelper('eq', (a, b) => a === b);
 hbs.registerHelper('gt', (a, b) => Number(a) > Number(b));
 hbs.registerHelper('lt', (a, b) => Number(a) < Number(b));
 
+/**
+ * Render an email template from templates/emails to HTML
+ */
+const renderTemplate = async (template, context) => {
+  const templatePath = path.join(__dirname, '../templates/emails', `${template}.hbs`);
+  const templateContent = await fs.readFile(templatePath, 'utf-8');
+  return hbs.compile(templateContent)(context);
+};
+
 const sendEmail = async (to, subject, template, context) => {
   if (!to) {
     // Silently skip if no recipient - this is a validation issue, not a sending failure
@@ -41,10 +50,7 @@ const sendEmail = async (to, subject, template, context) => {
   }
 
   try {
-    const templatePath = path.join(__dirname, '../templates/emails', `${template}.hbs`);
-    const templateContent = await fs.readFile(templatePath, 'utf-8');
-    const compiledTemplate = hbs.compile(templateContent);
-    const html = compiledTemplate(context);
+    const html = await renderTemplate(template, context);
 
     await transporter.sendMail({
       from: mailFrom,
@@ -61,8 +67,10 @@ const sendEmail = async (to, subject, template, context) => {
 /**
  * Send raw HTML email without using a template
  * Useful for campaign emails where content is stored in the database
+ * @param {Object} options - { headers, fromName, replyTo }; headers are extra message
+ * headers such as List-Unsubscribe, fromName replaces the display name of the sender
  */
-const sendRawEmail = async (to, subject, html) => {
+const sendRawEmail = async (to, subject, html, options = {}) => {
   if (!to) {
     // Silently skip if no recipient - this is a validation issue, not a sending failure
     console.warn('sendRawEmail called without recipient address');
@@ -70,11 +78,17 @@ const sendRawEmail = async (to, subject, html) => {
   }
 
   try {
+    const from = options.fromName
+      ? `"${options.fromName.replace(/["\\]/g, '')}" <${mailFromAddress}>`
+      : mailFrom;
+
     await transporter.sendMail({
-      from: mailFrom,
+      from,
       to,
       subject,
       html,
+      replyTo: options.replyTo,
+      headers: options.headers,
     });
   } catch (error) {
     // Re-throw with more context for better error tracking
@@ -173,211 +187,6 @@ const buildOrderEmailContext = async (order, store, extra = {}) => {
   };
 };
 
-/**
- * Send order confirmation email to both customer and store owner
- */
-const sendOrderConfirmation = async (order, store, options = {}) => {
-  if (!order) return;
-
-  const { invoiceUrl } = options;
-
-  const customerContext = await buildOrderEmailContext(order, store, {
-    invoiceUrl,
-  });
-  const subject = `Order Confirmation - #${order.orderNumber || ''}`.trim();
-
-  const sendPromises = [];
-
-  // Send to customer (if email provided)
-  if (order.customer?.email) {
-    sendPromises.push(
-      sendEmail(order.customer.email, subject, 'order-confirmation', customerContext)
-    );
-  }
-
-  // Send to store owner (if notifications enabled and owner email exists)
-  try {
-    let business = null;
-    if (order.businessId) {
-      business = await Business.findById(order.businessId).lean();
-    }
-
-    const emailNotificationsEnabled =
-      business?.settings?.notifications?.email !== false;
-
-    if (emailNotificationsEnabled && store?.owner) {
-      const owner = await User.findById(store.owner).lean();
-      if (owner?.email) {
-        const ownerSubject = `New Order Received - #${order.orderNumber || ''}`.trim();
-        const ownerContext = await buildOrderEmailContext(order, store, {
-          invoiceUrl,
-          isOwner: true,
-        });
-        sendPromises.push(
-          sendEmail(owner.email, ownerSubject, 'order-confirmation-owner', ownerContext)
-        );
-      }
-    }
-  } catch (e) {
-    console.error('Failed to send order confirmation to store owner:', e);
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
-/**
- * Send order status update email to customer (and optionally owner for key statuses)
- */
-const sendOrderStatusUpdate = async (order, store, oldStatus) => {
-  if (!order) return;
-
-  const context = await buildOrderEmailContext(order, store, { oldStatus });
-  const prettyStatus = (order.status || '').charAt(0).toUpperCase() + (order.status || '').slice(1);
-  const subject = `Order #${order.orderNumber || ''} ${prettyStatus}`.trim();
-
-  const sendPromises = [];
-
-  // For delivered/shipped we have dedicated templates
-  let template = 'order-confirmation';
-  if (order.status === 'shipped') {
-    template = 'order-shipped';
-  } else if (order.status === 'delivered') {
-    template = 'order-delivered';
-  }
-
-  if (order.customer?.email) {
-    sendPromises.push(
-      sendEmail(order.customer.email, subject, template, context)
-    );
-  }
-
-  // Optionally notify owner for important status changes
-  if (order.status === 'shipped' || order.status === 'delivered') {
-    try {
-      let business = null;
-      if (order.businessId) {
-        business = await Business.findById(order.businessId).lean();
-      }
-      const emailNotificationsEnabled =
-        business?.settings?.notifications?.email !== false;
-
-      if (emailNotificationsEnabled && store?.owner) {
-        const owner = await User.findById(store.owner).lean();
-        if (owner?.email) {
-          const ownerSubject = `Order #${order.orderNumber || ''} ${prettyStatus}`.trim();
-          sendPromises.push(
-            sendEmail(owner.email, ownerSubject, template, context)
-          );
-        }
-      }
-    } catch (e) {
-      console.error('Failed to send order status update to store owner:', e);
-    }
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
-/**
- * Send order cancellation email to customer and notify owner
- */
-const sendOrderCancellation = async (order, store, reason) => {
-  if (!order) return;
-
-  const pricing = order.pricing || {};
-  const extra = {
-    cancellationReason: reason || '',
-  };
-
-  // Embed simple refund/payment info expected by template
-  extra.refund = {
-    amount: pricing.total,
-    reason: reason || 'Order cancelled',
-  };
-
-  const context = await buildOrderEmailContext(order, store, extra);
-  const subject = `Order Cancelled - #${order.orderNumber || ''}`.trim();
-
-  const sendPromises = [];
-
-  if (order.customer?.email) {
-    sendPromises.push(
-      sendEmail(order.customer.email, subject, 'order-cancelled', context)
-    );
-  }
-
-  try {
-    let business = null;
-    if (order.businessId) {
-      business = await Business.findById(order.businessId).lean();
-    }
-    const emailNotificationsEnabled =
-      business?.settings?.notifications?.email !== false;
-
-    if (emailNotificationsEnabled && store?.owner) {
-      const owner = await User.findById(store.owner).lean();
-      if (owner?.email) {
-        const ownerSubject = `Order Cancelled - #${order.orderNumber || ''}`.trim();
-        sendPromises.push(
-          sendEmail(owner.email, ownerSubject, 'order-cancelled', context)
-        );
-      }
-    }
-  } catch (e) {
-    console.error('Failed to send order cancellation to store owner:', e);
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
-/**
- * Send refund confirmation email to customer and notify owner
- */
-const sendRefundConfirmation = async (order, store, amount, reason) => {
-  if (!order) return;
-
-  const extra = {
-    refund: {
-      amount,
-      reason: reason || '',
-    },
-  };
-
-  const context = await buildOrderEmailContext(order, store, extra);
-  const subject = `Refund Processed - Order #${order.orderNumber || ''}`.trim();
-
-  const sendPromises = [];
-
-  if (order.customer?.email) {
-    sendPromises.push(
-      sendEmail(order.customer.email, subject, 'order-refunded', context)
-    );
-  }
-
-  try {
-    let business = null;
-    if (order.businessId) {
-      business = await Business.findById(order.businessId).lean();
-    }
-    const emailNotificationsEnabled =
-      business?.settings?.notifications?.email !== false;
-
-    if (emailNotificationsEnabled && store?.owner) {
-      const owner = await User.findById(store.owner).lean();
-      if (owner?.email) {
-        const ownerSubject = `Refund Processed - Order #${order.orderNumber || ''}`.trim();
-        sendPromises.push(
-          sendEmail(owner.email, ownerSubject, 'order-refunded', context)
-        );
-      }
-    }
-  } catch (e) {
-    console.error('Failed to send refund confirmation to store owner:', e);
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
 const sendMagicLinkEmail = async (email, code) => {
   await sendEmail(
     email,
@@ -555,113 +364,15 @@ const buildBookingEmailContext = async (booking, store, extra = {}) => {
   };
 };
 
-/**
- * Send booking confirmation email to both customer and store owner
- */
-const sendBookingConfirmation = async (booking, store) => {
-  if (!booking) return;
-
-  const customerContext = await buildBookingEmailContext(booking, store);
-  const subject = `Booking Confirmation - #${booking.bookingNumber || ''}`.trim();
-
-  const sendPromises = [];
-
-  // Send to customer (if email provided)
-  if (booking.customer?.email) {
-    sendPromises.push(
-      sendEmail(booking.customer.email, subject, 'booking-confirmation', customerContext)
-    );
-  }
-
-  // Send to store owner (if notifications enabled and owner email exists)
-  try {
-    const business = await Business.findById(store.owner).lean();
-    const emailNotificationsEnabled =
-      business?.settings?.notifications?.email !== false;
-
-    if (emailNotificationsEnabled && store?.owner) {
-      const owner = await User.findById(store.owner).lean();
-      if (owner?.email) {
-        const ownerSubject = `New Booking Received - #${booking.bookingNumber || ''}`.trim();
-        const ownerContext = await buildBookingEmailContext(booking, store, {
-          isOwner: true,
-        });
-        sendPromises.push(
-          sendEmail(owner.email, ownerSubject, 'booking-confirmation-owner', ownerContext)
-        );
-      }
-    }
-  } catch (e) {
-    console.error('Failed to send booking confirmation to store owner:', e);
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
-/**
- * Send booking status update email to customer (and optionally owner for key statuses)
- */
-const sendBookingStatusUpdate = async (booking, store, oldStatus) => {
-  if (!booking) return;
-
-  const context = await buildBookingEmailContext(booking, store, { oldStatus });
-  const prettyStatus = (booking.status || '').charAt(0).toUpperCase() + (booking.status || '').slice(1);
-  const subject = `Booking #${booking.bookingNumber || ''} ${prettyStatus}`.trim();
-
-  const sendPromises = [];
-
-  // For different statuses, use appropriate templates
-  let template = 'booking-confirmation';
-  if (booking.status === 'confirmed') {
-    template = 'booking-confirmed';
-  } else if (booking.status === 'cancelled') {
-    template = 'booking-cancelled';
-  } else if (booking.status === 'completed') {
-    template = 'booking-completed';
-  }
-
-  if (booking.customer?.email) {
-    sendPromises.push(
-      sendEmail(booking.customer.email, subject, template, context)
-    );
-  }
-
-  // Optionally notify owner for important status changes
-  if (booking.status === 'cancelled' || booking.status === 'completed') {
-    try {
-      const business = await Business.findById(store.owner).lean();
-      const emailNotificationsEnabled =
-        business?.settings?.notifications?.email !== false;
-
-      if (emailNotificationsEnabled && store?.owner) {
-        const owner = await User.findById(store.owner).lean();
-        if (owner?.email) {
-          const ownerSubject = `Booking #${booking.bookingNumber || ''} ${prettyStatus}`.trim();
-          sendPromises.push(
-            sendEmail(owner.email, ownerSubject, template, context)
-          );
-        }
-      }
-    } catch (e) {
-      console.error('Failed to send booking status update to store owner:', e);
-    }
-  }
-
-  await Promise.allSettled(sendPromises);
-};
-
 module.exports = {
+  renderTemplate,
   sendEmail,
   sendRawEmail,
+  buildOrderEmailContext,
+  buildBookingEmailContext,
   sendMagicLinkEmail,
   sendWelcomeEmail,
   sendEmailChangeVerification,
   sendManagerInvitationEmail,
   sendManagerPermissionUpdateEmail,
-  sendOrderConfirmation,
-  sendOrderStatusUpdate,
-  sendOrderCancellation,
-  sendRefundConfirmation,
-  sendBookingConfirmation,
-  sendBookingStatusUpdate,
 };
\ No newline at end of file
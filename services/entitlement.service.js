@@ -0,0 +1,162 @@
+const Store = require('../models/store.model');
+const User = require('../models/user.model');
+const Product = require('../models/product.model');
+const Service = require('../models/service.model');
+const BookingSlot = require('../models/booking-slot.model');
+const SubscriptionPlan = require('../models/subscription-plan.model');
+const BusinessSubscription = require('../models/business-subscription.model');
+const { PlanLimitError } = require('../utils/errors');
+
+// Limits for each tier, used where the owner's plan leaves one empty. null means unlimited.
+const DEFAULT_LIMITS = {
+  free: {
+    products: 20,
+    services: 5,
+    staff: 0,
+    customDomain: false,
+    campaignEmails: 500,
+  },
+  growth: {
+    products: null,
+    services: null,
+    staff: 10,
+    customDomain: true,
+    campaignEmails: 10000,
+  },
+};
+
+const COUNTED_RESOURCES = ['products', 'services', 'staff'];
+
+const LABELS = {
+  products: 'products',
+  services: 'services and booking slots',
+  staff: 'store managers',
+  customDomain: 'Custom domains',
+};
+
+class EntitlementService {
+  /**
+   * The plan a store's owner is on and the limits that come with it. An owner
+   * paying for a plan gets that plan's limits; everyone else gets the active
+   * plan for their tier, or the tier defaults when there is none.
+   * @returns {Promise<{tier: string, plan: Object|null, limits: Object}>}
+   */
+  async getPlan(store) {
+    const owner = await User.findById(store.owner, 'plan').lean();
+    const tier = owner?.plan || 'free';
+
+    const subscription = await BusinessSubscription.findOne({
+      userId: store.owner,
+      status: { $in: BusinessSubscription.PAID_STATUSES },
+      planId: { $ne: null },
+    }).populate('planId');
+
+    const plan = subscription?.planId
+      || await SubscriptionPlan.findOne({ tier, isActive: true }).sort({ sortOrder: 1, price: 1 });
+
+    const defaults = DEFAULT_LIMITS[tier] || DEFAULT_LIMITS.free;
+    const planLimits = plan?.limits || {};
+    const limits = Object.fromEntries(Object.keys(defaults).map(key => [key, planLimits[key] ?? defaults[key]]));
+
+    return {
+      tier,
+      plan: plan ? { id: plan.slug, name: plan.name } : null,
+      limits,
+    };
+  }
+
+  /**
+   * How much of each counted resource the store is using
+   */
+  async getUsage(store) {
+    const [products, services, bookingSlots] = await Promise.all([
+      Product.countDocuments({ businessId: store._id }),
+      Service.countDocuments({ businessId: store._id }),
+      BookingSlot.countDocuments({ storeId: store._id }),
+    ]);
+
+    return {
+      products,
+      // Booking slots are the storefront's bookable services
+      services: services + bookingSlots,
+      staff: store.managers?.length || 0,
+    };
+  }
+
+  /**
+   * Usage against limits for the dashboard
+   */
+  async getSummary(store) {
+    const [{ tier, plan, limits }, usage] = await Promise.all([
+      this.getPlan(store),
+      this.getUsage(store),
+    ]);
+
+    const resources = Object.fromEntries(COUNTED_RESOURCES.map(resource => {
+      const limit = limits[resource];
+      return [resource, {
+        used: usage[resource],
+        limit,
+        remaining: limit === null ? null : Math.max(limit - usage[resource], 0),
+      }];
+    }));
+
+    return {
+      tier,
+      plan,
+      resources,
+      features: {
+        customDomain: limits.customDomain,
+      },
+      limits,
+    };
+  }
+
+  /**
+   * Throw a PlanLimitError when adding `count` more of a resource would go over the plan
+   * @param {Object} store - Store document
+   * @param {string} resource - products, services or staff
+   */
+  async assertCanAdd(store, resource, count = 1) {
+    const [{ tier, limits }, usage] = await Promise.all([
+      this.getPlan(store),
+      this.getUsage(store),
+    ]);
+
+    const limit = limits[resource];
+    if (limit === null || usage[resource] + count <= limit) return;
+
+    throw new PlanLimitError(
+      `Your plan allows ${limit} ${LABELS[resource]} and this store has ${usage[resource]}. Upgrade your plan to add more.`,
+      { resource, limit, used: usage[resource], tier }
+    );
+  }
+
+  /**
+   * Throw a PlanLimitError when the store's plan does not include a feature
+   * @param {string} feature - customDomain
+   */
+  async assertFeature(store, feature) {
+    const { tier, limits } = await this.getPlan(store);
+
+    if (!limits[feature]) {
+      throw new PlanLimitError(
+        `${LABELS[feature]} are not included in your plan. Upgrade your plan to use them.`,
+        { feature, tier }
+      );
+    }
+  }
+
+  /**
+   * The plan's monthly store campaign email allowance
+   */
+  async getCampaignEmailLimit(storeId) {
+    const store = await Store.findById(storeId, 'owner');
+    if (!store) return DEFAULT_LIMITS.free.campaignEmails;
+
+    const { limits } = await this.getPlan(store);
+    return limits.campaignEmails;
+  }
+}
+
+module.exports = new EntitlementService();
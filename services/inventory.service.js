@@ -0,0 +1,344 @@
+const Product = require('../models/product.model');
+const InventoryMovement = require('../models/inventory-movement.model');
+const stockAlertService = require('./stock-alert.service');
+const { AppError } = require('../middleware/error.middleware');
+
+// Read back only the variant that was touched
+const variantProjection = (variantId) => ({
+  businessId: 1,
+  name: 1,
+  lowStockThreshold: 1,
+  variants: { $elemMatch: { _id: variantId } },
+});
+
+// Stock alerts for movements written inside a transaction, held until it commits
+const pendingAlerts = new WeakMap();
+
+class InventoryService {
+  /**
+   * Atomically change a variant's stock and record the movement in the ledger.
+   * Decrements only match while enough stock is left, so concurrent checkouts cannot oversell.
+   *
+   * @param {Object} params
+   * @param {ObjectId} params.productId
+   * @param {ObjectId} params.variantId
+   * @param {number} params.quantity - Signed change in stock
+   * @param {string} params.type - Movement type (see InventoryMovement.TYPES)
+   * @param {ObjectId} [params.order] - Order the movement belongs to
+   * @param {ObjectId} [params.user] - User who caused the movement
+   * @param {string} [params.note]
+   * @param {ClientSession} [params.session] - Mongo session when running inside a transaction
+   * @returns {Promise<number>} Stock after the change
+   */
+  async adjustStock({ productId, variantId, quantity, type, order, user, note, session }) {
+    const filter = quantity < 0
+      ? { _id: productId, variants: { $elemMatch: { _id: variantId, inventory: { $gte: -quantity } } } }
+      : { _id: productId, 'variants._id': variantId };
+
+    const product = await Product.findOneAndUpdate(
+      filter,
+      { $inc: { 'variants.$.inventory': quantity } },
+      { new: true, session, projection: variantProjection(variantId) }
+    );
+
+    if (!product) {
+      const existing = await Product.findOne({ _id: productId, 'variants._id': variantId }, 'name')
+        .session(session || null);
+      if (!existing) {
+        throw new AppError('Product variant not found', 404);
+      }
+      throw new AppError(`Insufficient inventory for ${existing.name}`, 400);
+    }
+
+    const variant = product.variants[0];
+    await this.recordMovement({ product, variant, quantity, type, order, user, note, session });
+
+    return variant.inventory;
+  }
+
+  /**
+   * Set a variant's stock to an absolute count (manual adjustments and imports)
+   * and record the difference in the ledger
+   *
+   * @returns {Promise<number>} Stock after the change
+   */
+  async setStock({ productId, variantId, inventory, type = 'adjustment', user, note, session }) {
+    const previous = await Product.findOneAndUpdate(
+      { _id: productId, 'variants._id': variantId },
+      { $set: { 'variants.$.inventory': inventory } },
+      { new: false, session, projection: variantProjection(variantId) }
+    );
+
+    if (!previous) {
+      throw new AppError('Product variant not found', 404);
+    }
+
+    const variant = previous.variants[0];
+    const quantity = inventory - (variant.inventory || 0);
+
+    if (quantity !== 0) {
+      await this.recordMovement({
+        product: previous,
+        variant: {
+          _id: variant._id,
+          sku: variant.sku,
+          options: variant.options,
+          lowStockThreshold: variant.lowStockThreshold,
+          inventory,
+        },
+        quantity,
+        type,
+        user,
+        note,
+        session,
+      });
+    }
+
+    return inventory;
+  }
+
+  async recordMovement({ product, variant, quantity, type, order, user, note, session }) {
+    await InventoryMovement.create([{
+      businessId: product.businessId,
+      product: product._id,
+      variant: variant._id,
+      variantSku: variant.sku,
+      type,
+      quantity,
+      balance: variant.inventory,
+      order,
+      user,
+      note,
+    }], { session });
+
+    const alert = {
+      product,
+      variant,
+      previous: variant.inventory - quantity,
+      balance: variant.inventory,
+    };
+
+    // Inside a transaction the stock may never change, so wait for the commit
+    if (session) {
+      pendingAlerts.set(session, [...(pendingAlerts.get(session) || []), alert]);
+    } else {
+      this.sendStockAlert(alert);
+    }
+  }
+
+  // Alerts go out in the background so a slow mail server never holds up checkout
+  sendStockAlert(alert) {
+    stockAlertService.handleMovement(alert)
+      .catch(error => console.error('Failed to process low stock alert:', error));
+  }
+
+  /**
+   * Send the stock alerts held back for a transaction. Call once it has committed;
+   * alerts of a session that is aborted are dropped with it.
+   *
+   * @param {ClientSession} session
+   */
+  sendSessionAlerts(session) {
+    const alerts = pendingAlerts.get(session) || [];
+    pendingAlerts.delete(session);
+    alerts.forEach(alert => this.sendStockAlert(alert));
+  }
+
+  /**
+   * Record ledger entries for stock changed by saving a product's variants directly
+   * (product create and edit forms)
+   *
+   * @param {Object} product - Saved product document
+   * @param {Map<string, number>} previousStock - Variant id to stock before the save
+   */
+  async recordVariantEdits(product, previousStock, { user, note } = {}) {
+    for (const variant of product.variants) {
+      const quantity = (variant.inventory || 0) - (previousStock.get(variant._id.toString()) || 0);
+      if (quantity !== 0) {
+        await this.recordMovement({ product, variant, quantity, type: 'adjustment', user, note });
+      }
+    }
+  }
+
+  /**
+   * Take stock for every order item that points at a variant and record it on
+   * the item as deductedQuantity. Without a session, stock already taken is
+   * given back if a later item runs out.
+   *
+   * @param {Object} order - Unsaved order document
+   * @param {Object} [options]
+   * @param {ObjectId} [options.user] - Staff member placing the order, if any
+   * @param {ClientSession} [options.session]
+   */
+  async reserveOrderItems(order, { user, session } = {}) {
+    const reserved = [];
+
+    try {
+      for (const item of order.items) {
+        if (!item.variant) continue;
+
+        await this.adjustStock({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: -item.quantity,
+          type: 'sale',
+          order: order._id,
+          user,
+          session,
+        });
+        item.deductedQuantity = item.quantity;
+        reserved.push(item);
+      }
+    } catch (error) {
+      if (!session) {
+        await this.releaseItems(order, reserved, { user });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give back stock taken by reserveOrderItems() for an order that was never saved
+   */
+  async releaseOrderItems(order, options = {}) {
+    await this.releaseItems(order, order.items.filter(item => item.deductedQuantity > 0), options);
+  }
+
+  async releaseItems(order, items, { user, session } = {}) {
+    for (const item of items) {
+      await this.adjustStock({
+        productId: item.product,
+        variantId: item.variant,
+        quantity: item.deductedQuantity,
+        type: 'release',
+        order: order._id,
+        user,
+        note: 'Checkout could not be completed',
+        session,
+      });
+      item.deductedQuantity = 0;
+    }
+  }
+
+  /**
+   * Return stock for an order's items. Only stock that was actually deducted and
+   * not yet restocked is returned, so calling this twice is safe.
+   *
+   * @param {Object} order - Order document; items are updated but not saved
+   * @param {Object} [options]
+   * @param {Object} [options.quantities] - Units to restock keyed by order item id; defaults to everything outstanding
+   * @param {string} [options.type] - 'cancellation' or 'return'
+   * @param {ObjectId} [options.user]
+   * @param {string} [options.note]
+   * @param {ClientSession} [options.session]
+   * @returns {Promise<Array<{itemId, quantity}>>} What was restocked
+   */
+  async restockOrder(order, { quantities, type = 'cancellation', user, note, session } = {}) {
+    const restocked = [];
+
+    for (const item of order.items) {
+      const outstanding = (item.deductedQuantity || 0) - (item.restockedQuantity || 0);
+      const requested = quantities ? quantities[item._id.toString()] || 0 : outstanding;
+      const quantity = Math.min(requested, outstanding);
+
+      if (quantity <= 0) continue;
+
+      await this.adjustStock({
+        productId: item.product?._id || item.product,
+        variantId: item.variant,
+        quantity,
+        type,
+        order: order._id,
+        user,
+        note,
+        session,
+      });
+      item.restockedQuantity = (item.restockedQuantity || 0) + quantity;
+      restocked.push({ itemId: item._id, quantity });
+    }
+
+    return restocked;
+  }
+
+  /**
+   * Take back stock put back by restockOrder() for a refund or return that
+   * could not be saved, so trying again does not restock the same units twice.
+   * The order's items are set back too.
+   *
+   * @param {Object} order - Order document restockOrder() was called with
+   * @param {Array<{itemId, quantity}>} restocked - What restockOrder() returned
+   */
+  async undoRestock(order, restocked, { type = 'return', user, note } = {}) {
+    for (const { itemId, quantity } of restocked) {
+      const item = order.items.id(itemId);
+
+      try {
+        await this.adjustStock({
+          productId: item.product?._id || item.product,
+          variantId: item.variant,
+          quantity: -quantity,
+          type,
+          order: order._id,
+          user,
+          note,
+        });
+        item.restockedQuantity = (item.restockedQuantity || 0) - quantity;
+      } catch (error) {
+        console.error(`Failed to undo restock for order ${order._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reconcile a product's stock: the ledger balance as of a date next to the
+   * current ledger balance and the stock actually on the product.
+   *
+   * @param {Object} product - Product document
+   * @param {Date} asOf
+   * @param {ObjectId} [variantId] - Limit to one variant
+   */
+  async reconcile(product, asOf, variantId) {
+    const variants = variantId
+      ? product.variants.filter(v => v._id.equals(variantId))
+      : product.variants;
+
+    const results = [];
+
+    for (const variant of variants) {
+      const match = { businessId: product.businessId, product: product._id, variant: variant._id };
+
+      const [lastBefore, latest, first, movementsSince] = await Promise.all([
+        InventoryMovement.findOne({ ...match, createdAt: { $lte: asOf } }).sort({ createdAt: -1, _id: -1 }),
+        InventoryMovement.findOne(match).sort({ createdAt: -1, _id: -1 }),
+        InventoryMovement.findOne(match).sort({ createdAt: 1, _id: 1 }),
+        InventoryMovement.countDocuments({ ...match, createdAt: { $gt: asOf } }),
+      ]);
+
+      // Before its first movement a variant held whatever that movement started from
+      let balanceAsOf = null;
+      if (lastBefore) {
+        balanceAsOf = lastBefore.balance;
+      } else if (first) {
+        balanceAsOf = first.balance - first.quantity;
+      }
+
+      const ledgerBalance = latest ? latest.balance : null;
+      const currentStock = variant.inventory || 0;
+
+      results.push({
+        variantId: variant._id,
+        sku: variant.sku,
+        options: variant.options,
+        balanceAsOf,
+        movementsSince,
+        ledgerBalance,
+        currentStock,
+        discrepancy: ledgerBalance === null ? null : currentStock - ledgerBalance,
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,189 @@
+const os = require('os');
+const Job = require('../models/job.model');
+
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A running job whose worker has not finished in this long is assumed lost
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. campaign.email
+   * @param {Function} handler - Async function receiving (payload, job); its return value is stored as the result
+   * @param {Object} options
+   * @param {number} options.concurrency - Jobs of this type a worker runs at once
+   * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+   * @param {number} options.backoffMs - First retry delay; doubles on every further attempt
+   * @param {Function} options.onDead - Called with (payload, job, error) when the job is dead-lettered
+   */
+  define(type, handler, { concurrency = 1, maxAttempts = 5, backoffMs = DEFAULT_BACKOFF_MS, onDead } = {}) {
+    this.handlers.set(type, { handler, concurrency, maxAttempts, backoffMs, onDead });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} options - { group, priority, runAt, maxAttempts }
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const [job] = await this.enqueueMany(type, [payload], options);
+    return job;
+  }
+
+  /**
+   * Add one job per payload, all sharing the same options
+   */
+  async enqueueMany(type, payloads, { group, priority = 0, runAt = new Date(), maxAttempts } = {}) {
+    const definition = this.handlers.get(type);
+    if (!definition) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    if (!payloads.length) return [];
+
+    return Job.insertMany(payloads.map(payload => ({
+      type,
+      payload,
+      group,
+      priority,
+      runAt,
+      maxAttempts: maxAttempts || definition.maxAttempts,
+    })));
+  }
+
+  /**
+   * Atomically take the next due job of a type, including jobs whose worker died
+   */
+  async claim(type, now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        type,
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        ],
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { priority: -1, runAt: 1 } }
+    );
+  }
+
+  async execute(job) {
+    const definition = this.handlers.get(job.type);
+
+    try {
+      // Reclaimed from a worker that died mid-run more times than allowed
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Job did not finish within its attempts');
+      }
+
+      const result = await definition.handler(job.payload, job);
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { status: 'completed', result, completedAt: new Date(), lockedAt: null, lastError: null } }
+      );
+      return true;
+    } catch (error) {
+      const failure = { attempt: job.attempts, error: error.message, failedAt: new Date() };
+      const dead = job.attempts >= job.maxAttempts;
+      const delay = Math.min(definition.backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: dead ? 'dead' : 'pending',
+            runAt: dead ? job.runAt : new Date(Date.now() + delay),
+            lockedAt: null,
+            lastError: error.message,
+          },
+          $push: { failures: failure },
+        }
+      );
+
+      if (dead) {
+        console.error(`Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempts:`, error.message);
+        if (definition.onDead) {
+          await Promise.resolve(definition.onDead(job.payload, job, error)).catch(hookError => {
+            console.error(`Dead-letter hook for ${job.type} failed:`, hookError);
+          });
+        }
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Drain due jobs until the queue is empty or the time budget runs out. Each
+   * job type runs up to its own concurrency limit.
+   * @returns {Promise<Object>} Jobs processed and failed per type
+   */
+  async work({ timeBudgetMs = 45 * 1000 } = {}) {
+    const deadline = Date.now() + timeBudgetMs;
+    const summary = {};
+
+    const worker = async (type) => {
+      while (Date.now() < deadline) {
+        const job = await this.claim(type);
+        if (!job) return;
+
+        const succeeded = await this.execute(job);
+        summary[type].processed++;
+        if (!succeeded) summary[type].failed++;
+      }
+    };
+
+    const workers = [];
+    for (const [type, { concurrency }] of this.handlers) {
+      summary[type] = { processed: 0, failed: 0 };
+      for (let i = 0; i < concurrency; i++) {
+        workers.push(worker(type));
+      }
+    }
+
+    await Promise.all(workers);
+
+    // Leave out types with nothing to do
+    return Object.fromEntries(Object.entries(summary).filter(([, counts]) => counts.processed > 0));
+  }
+
+  /**
+   * Job counts by status for a group
+   */
+  async getGroupProgress(group) {
+    const counts = await Job.aggregate([
+      { $match: { group } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    const progress = Object.fromEntries(Job.STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => {
+      progress[_id] = count;
+    });
+    progress.total = counts.reduce((sum, { count }) => sum + count, 0);
+
+    return progress;
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh set of attempts
+   */
+  async retry(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, runAt: new Date(), lastError: null } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new JobQueueService();
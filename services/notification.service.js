@@ -1,8 +1,501 @@
+const User = require('../models/user.model');
+const Business = require('../models/business.model');
+const Store = require('../models/store.model');
+const Order = require('../models/order.model');
+const Booking = require('../models/booking.model');
+const NotificationLog = require('../models/notification-log.model');
+const jobQueue = require('./job-queue.service');
 const emailService = require('./email.service');
 const whatsappService = require('./whatsapp.service');
+const TimeUtils = require('../utils/time.utils');
+
+const AUDIENCES = ['customer', 'owner'];
+const CHANNELS = ['email', 'whatsapp'];
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+const prettyStatus = (status = '') => status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
+
+const orderStatusTemplate = ({ order }) => {
+  if (order.status === 'shipped') return 'order-shipped';
+  if (order.status === 'delivered') return 'order-delivered';
+  return 'order-confirmation';
+};
+
+const bookingStatusTemplate = ({ booking }) => (
+  booking.status === 'completed' ? 'booking-completed' : 'booking-confirmation'
+);
+
+const orderStatusSubject = ({ order }) => `Order #${order.orderNumber || ''} ${prettyStatus(order.status)}`.trim();
+const bookingStatusSubject = ({ booking }) => `Booking #${booking.bookingNumber || ''} ${prettyStatus(booking.status)}`.trim();
+const paymentReviewSubject = (label) => ({ order, booking }) => {
+  const record = order || booking;
+  const outcome = record.payment?.review?.decision === 'rejected' ? 'Payment Not Confirmed' : 'Payment Confirmed';
+  return `${outcome} - ${label} #${record.orderNumber || record.bookingNumber || ''}`.trim();
+};
+
+/**
+ * Event catalogue. Each audience names the email template and subject, and the
+ * WhatsApp template, used when that audience's channel is switched on in
+ * store.notifications.events. `statuses` limits an audience to certain statuses.
+ *
+ * WhatsApp templates must be approved on the Business account. Order templates
+ * take (customer name, order number, store name, status, total) and booking
+ * templates take (customer name, booking number, store name, status, start).
+ */
+const EVENTS = {
+  orderCreated: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Order Confirmation - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-confirmation',
+      whatsappTemplate: 'order_confirmation',
+    },
+    owner: {
+      subject: ({ order }) => `New Order Received - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-confirmation-owner',
+      whatsappTemplate: 'new_order_alert',
+    },
+  },
+  orderStatusChanged: {
+    record: 'order',
+    customer: {
+      subject: orderStatusSubject,
+      emailTemplate: orderStatusTemplate,
+      whatsappTemplate: 'order_status_update',
+    },
+    owner: {
+      subject: orderStatusSubject,
+      emailTemplate: orderStatusTemplate,
+      whatsappTemplate: 'order_status_update',
+      statuses: ['shipped', 'delivered'],
+    },
+  },
+  orderCancelled: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Order Cancelled - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-cancelled',
+      whatsappTemplate: 'order_cancelled',
+    },
+    owner: {
+      subject: ({ order }) => `Order Cancelled - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-cancelled',
+      whatsappTemplate: 'order_cancelled',
+    },
+  },
+  orderRefunded: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Refund Processed - Order #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-refunded',
+      whatsappTemplate: 'order_refunded',
+    },
+    owner: {
+      subject: ({ order }) => `Refund Processed - Order #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-refunded',
+      whatsappTemplate: 'order_refunded',
+    },
+  },
+  // Customer-only: the store approved or rejected the payment proof they sent
+  orderPaymentReviewed: {
+    record: 'order',
+    customer: {
+      subject: paymentReviewSubject('Order'),
+      emailTemplate: 'payment-reviewed',
+      whatsappTemplate: 'payment_review_update',
+    },
+  },
+  orderPaymentReminder: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Payment Reminder - Order #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-payment-reminder',
+      whatsappTemplate: 'order_payment_reminder',
+    },
+  },
+  // Customer-only: one parcel of the order is on its way or has arrived
+  orderShipmentShipped: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Your Order Has Shipped - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-shipment-shipped',
+      whatsappTemplate: 'order_shipment_shipped',
+    },
+  },
+  orderShipmentDelivered: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Delivered - Order #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-shipment-delivered',
+      whatsappTemplate: 'order_shipment_delivered',
+    },
+  },
+  // Customer-only: a draft order's link to review and pay it
+  draftOrderSent: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Your Invoice Is Ready - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'draft-order-invoice',
+      whatsappTemplate: 'draft_order_invoice',
+    },
+  },
+  // Customer-only: the store edited the order; extra.changes lists what changed
+  orderUpdated: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Your Order Has Been Updated - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'order-updated',
+      whatsappTemplate: 'order_updated',
+    },
+  },
+  // Customer-only: a point-of-sale receipt, sent when the cashier asks; extra.receipt holds the tenders
+  posReceipt: {
+    record: 'order',
+    customer: {
+      subject: ({ order }) => `Your Receipt - #${order.orderNumber || ''}`.trim(),
+      emailTemplate: 'pos-receipt',
+      whatsappTemplate: 'pos_receipt',
+    },
+  },
+  // A return was opened against an order; extra.returnRequest describes it
+  returnRequested: {
+    record: 'order',
+    customer: {
+      subject: ({ extra }) => `Return Request Received - ${extra?.returnRequest?.rmaNumber || ''}`.trim(),
+      emailTemplate: 'return-requested',
+      whatsappTemplate: 'return_requested',
+    },
+    owner: {
+      subject: ({ extra }) => `New Return Request - ${extra?.returnRequest?.rmaNumber || ''}`.trim(),
+      emailTemplate: 'return-requested-owner',
+      whatsappTemplate: 'new_return_alert',
+    },
+  },
+  // Customer-only: the store approved, rejected, received or settled their return
+  returnUpdated: {
+    record: 'order',
+    customer: {
+      subject: ({ extra }) => `Return ${extra?.returnRequest?.rmaNumber || ''} ${extra?.returnRequest?.statusText || 'Updated'}`.replace(/\s+/g, ' '),
+      emailTemplate: 'return-updated',
+      whatsappTemplate: 'return_status_update',
+    },
+  },
+  bookingCreated: {
+    record: 'booking',
+    customer: {
+      subject: ({ booking }) => `Booking Confirmation - #${booking.bookingNumber || ''}`.trim(),
+      emailTemplate: 'booking-confirmation',
+      whatsappTemplate: 'booking_confirmation',
+    },
+    owner: {
+      subject: ({ booking }) => `New Booking Received - #${booking.bookingNumber || ''}`.trim(),
+      emailTemplate: 'booking-confirmation-owner',
+      whatsappTemplate: 'new_booking_alert',
+    },
+  },
+  bookingConfirmed: {
+    record: 'booking',
+    customer: {
+      subject: bookingStatusSubject,
+      emailTemplate: 'booking-confirmed',
+      whatsappTemplate: 'booking_status_update',
+    },
+    owner: {
+      subject: bookingStatusSubject,
+      emailTemplate: 'booking-confirmed',
+      whatsappTemplate: 'booking_status_update',
+    },
+  },
+  bookingCancelled: {
+    record: 'booking',
+    customer: {
+      subject: bookingStatusSubject,
+      emailTemplate: 'booking-cancelled',
+      whatsappTemplate: 'booking_status_update',
+    },
+    owner: {
+      subject: bookingStatusSubject,
+      emailTemplate: 'booking-cancelled',
+      whatsappTemplate: 'booking_status_update',
+    },
+  },
+  bookingStatusChanged: {
+    record: 'booking',
+    customer: {
+      subject: bookingStatusSubject,
+      emailTemplate: bookingStatusTemplate,
+      whatsappTemplate: 'booking_status_update',
+    },
+    owner: {
+      subject: bookingStatusSubject,
+      emailTemplate: bookingStatusTemplate,
+      whatsappTemplate: 'booking_status_update',
+      statuses: ['completed'],
+    },
+  },
+  bookingPaymentReviewed: {
+    record: 'booking',
+    customer: {
+      subject: paymentReviewSubject('Booking'),
+      emailTemplate: 'payment-reviewed',
+      whatsappTemplate: 'payment_review_update',
+    },
+  },
+};
 
 class NotificationService {
+  get events() {
+    return Object.keys(EVENTS);
+  }
+
+  /**
+   * Event to raise after an order moves to a new status
+   */
+  orderStatusEvent(status) {
+    return status === 'cancelled' ? 'orderCancelled' : 'orderStatusChanged';
+  }
+
+  /**
+   * Event to raise after a booking moves to a new status
+   */
+  bookingStatusEvent(status) {
+    if (status === 'confirmed') return 'bookingConfirmed';
+    if (status === 'cancelled') return 'bookingCancelled';
+    return 'bookingStatusChanged';
+  }
+
+  /**
+   * Whether the store wants this event sent to an audience on a channel.
+   * The owner's business has an older email switch from before per-event
+   * preferences; when it is off, owner emails stay off.
+   */
+  isEnabled(store, event, audience, channel, business) {
+    if (audience === 'owner' && channel === 'email' && business?.settings?.notifications?.email === false) {
+      return false;
+    }
+
+    const preference = store.notifications?.events?.[event]?.[audience]?.[channel];
+    if (typeof preference === 'boolean') return preference;
+    // Stores saved before preferences existed keep the email-only behaviour
+    return channel === 'email';
+  }
+
+  /**
+   * Queue an event for every audience and channel the store has switched on.
+   * Each recipient becomes its own notification.deliver job, so a slow or failing
+   * channel is retried without holding up the request that raised the event.
+   * @param {string} event - Key of EVENTS, e.g. orderCreated
+   * @param {Object} payload - { store, order | booking, extra } where extra is merged into the email context
+   * @returns {Promise<Array>} The queued jobs
+   */
+  async notify(event, { store, order, booking, extra = {} }) {
+    const definition = EVENTS[event];
+    if (!definition) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const record = definition.record === 'order' ? order : booking;
+    if (!store || !record) return [];
+
+    const attempts = [];
+    const business = await Business.findOne({ ownerId: store.owner }, 'settings.notifications').lean();
+
+    for (const audience of AUDIENCES) {
+      const target = definition[audience];
+      if (!target) continue;
+      if (target.statuses && !target.statuses.includes(record.status)) continue;
+
+      for (const channel of CHANNELS) {
+        if (this.isEnabled(store, event, audience, channel, business)) {
+          attempts.push({ audience, channel });
+        }
+      }
+    }
+
+    if (!attempts.length) return [];
+
+    let owner = null;
+    if (attempts.some(attempt => attempt.audience === 'owner')) {
+      owner = await User.findById(store.owner, 'name email whatsappNumber').lean();
+    }
+
+    const quietHoursEnd = this.getQuietHoursEnd(store);
+    const skipped = [];
+    const jobs = [];
+
+    for (const { audience, channel } of attempts) {
+      const recipients = this.getRecipients({ audience, channel, store, record, owner });
+
+      if (!recipients.length) {
+        skipped.push({
+          storeId: store._id,
+          event,
+          audience,
+          channel,
+          status: 'skipped',
+          error: `No ${channel === 'email' ? 'email address' : 'WhatsApp number'} for ${audience}`,
+          order: order?._id,
+          booking: booking?._id,
+        });
+        continue;
+      }
+
+      // Owner WhatsApp messages raised during quiet hours go out when they end
+      const runAt = quietHoursEnd && audience === 'owner' && channel === 'whatsapp' ? quietHoursEnd : new Date();
+
+      for (const recipient of recipients) {
+        jobs.push(jobQueue.enqueue('notification.deliver', {
+          event,
+          audience,
+          channel,
+          recipient,
+          storeId: store._id,
+          orderId: order?._id,
+          bookingId: booking?._id,
+          status: record.status,
+          extra,
+        }, { runAt, priority: 1 }));
+      }
+    }
+
+    if (skipped.length) {
+      await NotificationLog.insertMany(skipped).catch(error => {
+        console.error(`Failed to record skipped ${event} notifications:`, error);
+      });
+    }
+
+    return Promise.all(jobs);
+  }
+
+  /**
+   * When the store's current quiet hours end, or null outside quiet hours
+   */
+  getQuietHoursEnd(store, now = new Date()) {
+    const quietHours = store.notifications?.quietHours;
+    if (!quietHours?.enabled || !TimeUtils.isValidTime(quietHours.start) || !TimeUtils.isValidTime(quietHours.end)) {
+      return null;
+    }
+
+    const timeZone = TimeUtils.isValidTimeZone(store.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+    const { hour, minute } = TimeUtils.getZonedParts(now, timeZone);
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+    if (!TimeUtils.isTimeInWindow(time, quietHours.start, quietHours.end)) {
+      return null;
+    }
+
+    const [endHour, endMinute] = quietHours.end.split(':').map(Number);
+    const minutesLeft = ((endHour * 60 + endMinute) - (hour * 60 + minute) + 1440) % 1440;
+    const end = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+
+    return end;
+  }
+
+  /**
+   * Addresses for an audience on a channel. The owner audience also covers the
+   * store's extra recipients.
+   */
+  getRecipients({ audience, channel, store, record, owner }) {
+    if (audience === 'customer') {
+      return [channel === 'email' ? record.customer?.email : record.customer?.phone].filter(Boolean);
+    }
+
+    const extra = store.notifications?.extraRecipients || {};
+    const recipients = channel === 'email'
+      ? [owner?.email, ...(extra.emails || [])]
+      : [owner?.whatsappNumber || store.whatsappNumber, ...(extra.whatsappNumbers || [])];
+
+    return [...new Set(recipients.filter(Boolean))];
+  }
+
+  /**
+   * Job handler for notification.deliver. Every attempt is written to the
+   * notification log; a failed send throws so the queue retries it.
+   */
+  async deliver({ event, audience, channel, recipient, storeId, orderId, bookingId, status, extra = {} }, job) {
+    const definition = EVENTS[event];
+    const target = definition[audience];
+
+    const store = await Store.findById(storeId);
+    const order = orderId ? await Order.findById(orderId) : null;
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    const record = definition.record === 'order' ? order : booking;
+
+    if (!store || !record) {
+      // Nothing left to send about; completing the job stops further retries
+      return { skipped: true };
+    }
+
+    // Render with the status the event was raised for, even if it has moved on since
+    record.status = status || record.status;
+
+    const payload = { order, booking, extra };
+    const template = channel === 'email'
+      ? (typeof target.emailTemplate === 'function' ? target.emailTemplate(payload) : target.emailTemplate)
+      : target.whatsappTemplate;
+
+    const entry = {
+      storeId,
+      event,
+      audience,
+      channel,
+      recipient,
+      template,
+      attempt: job?.attempts,
+      job: job?._id,
+      order: orderId,
+      booking: bookingId,
+    };
+
+    try {
+      if (channel === 'email') {
+        const context = definition.record === 'order'
+          ? await emailService.buildOrderEmailContext(order, store, { ...extra, isOwner: audience === 'owner' })
+          : await emailService.buildBookingEmailContext(booking, store, { ...extra, isOwner: audience === 'owner' });
+        await emailService.sendEmail(recipient, target.subject(payload), template, context);
+      } else {
+        await whatsappService.sendMessage(
+          String(recipient).replace(/\D/g, ''),
+          template,
+          [{ type: 'body', parameters: this.getWhatsAppParameters(definition.record, store, order, booking) }]
+        );
+      }
+
+      await NotificationLog.create({ ...entry, status: 'sent' });
+      return { sent: true };
+    } catch (error) {
+      console.error(`Failed to send ${event} ${channel} to ${audience}:`, error.message);
+      await NotificationLog.create({ ...entry, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  getWhatsAppParameters(recordType, store, order, booking) {
+    const storeName = store.storeName || store.businessName || '';
+    const text = value => ({ type: 'text', text: String(value ?? '') });
+
+    if (recordType === 'order') {
+      const currency = order.currency || store.currency || 'NGN';
+      return [
+        text(order.customer?.name),
+        text(order.orderNumber),
+        text(storeName),
+        text(prettyStatus(order.status)),
+        text(`${currency} ${Number(order.pricing?.total || 0).toLocaleString('en-US')}`),
+      ];
+    }
 
+    const details = booking.bookingDetails || {};
+    const start = details.startDate ? new Date(details.startDate).toDateString() : '';
+    return [
+      text(booking.customer?.name),
+      text(booking.bookingNumber),
+      text(storeName),
+      text(prettyStatus(booking.status)),
+      text(details.startTime ? `${start} ${details.startTime}` : start),
+    ];
+  }
 }
 
-module.exports = new NotificationService(); 
\ No newline at end of file
+module.exports = new NotificationService();
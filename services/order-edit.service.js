@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const Discount = require('../models/discount.model');
+const pricingService = require('./pricing.service');
+const inventoryService = require('./inventory.service');
+const notificationService = require('./notification.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+// Orders can be edited until they start shipping
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+// A payment in progress or already refunded is for the order as it stands
+const LOCKED_PAYMENT_STATUSES = ['processing', 'partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const itemName = (item) => [item.productSnapshot?.name || 'Product', item.variantSnapshot?.name]
+  .filter(Boolean)
+  .join(' - ');
+
+const toPlainOptions = (options) => (options instanceof Map ? Object.fromEntries(options) : options || {});
+
+const optionsKey = (options) => JSON.stringify(Object.entries(toPlainOptions(options)).sort());
+
+class OrderEditService {
+  assertEditable(order) {
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      throw new AppError(`Only ${EDITABLE_STATUSES.join(' or ')} orders can be edited; this order is ${order.status}`, 409);
+    }
+    if (order.shipments?.length) {
+      throw new AppError('Orders with shipments can no longer be edited', 409);
+    }
+    if (LOCKED_PAYMENT_STATUSES.includes(order.payment?.status)) {
+      throw new AppError(order.payment.status === 'processing'
+        ? 'The customer is paying for this order right now; try again once the payment completes or fails'
+        : 'Refunded orders can no longer be edited', 409);
+    }
+  }
+
+  /**
+   * Items and pricing as they stand, for the before/after in the timeline
+   */
+  snapshot(order) {
+    return {
+      items: order.items.map(item => ({
+        itemId: item._id,
+        name: itemName(item),
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+      })),
+      shipping: { method: order.shipping?.method, cost: order.shipping?.cost || 0 },
+      pricing: {
+        subtotal: order.pricing.subtotal,
+        tax: order.pricing.tax,
+        shipping: order.pricing.shipping,
+        discount: order.pricing.discount,
+        total: order.pricing.total,
+      },
+    };
+  }
+
+  /**
+   * Price the edited items. An entry with the itemId of a line already on the
+   * order keeps that line, and the price the customer agreed to, unless its
+   * product, variant or options change. Everything else is priced from the
+   * catalog like a new cart.
+   *
+   * @returns {Promise<Array>} Priced lines; `existing` is the order item a line keeps
+   */
+  async priceItems(store, order, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('An order needs at least one item; cancel it instead');
+    }
+
+    const seen = new Set();
+    const entries = items.map(entry => {
+      const existing = entry.itemId && mongoose.Types.ObjectId.isValid(entry.itemId)
+        ? order.items.id(entry.itemId)
+        : null;
+
+      if (entry.itemId && !existing) {
+        throw new ValidationError(`Item ${entry.itemId} is not on this order`);
+      }
+      if (existing && seen.has(existing._id.toString())) {
+        throw new ValidationError(`Item ${entry.itemId} is listed more than once`);
+      }
+      if (existing) seen.add(existing._id.toString());
+
+      // A new product or variant SKU picks its variant afresh
+      const choosesVariant = entry.productId || entry.variantSku;
+
+      return {
+        existing,
+        item: {
+          productId: entry.productId || existing?.product,
+          variantId: entry.variantId || (choosesVariant ? undefined : existing?.variant),
+          variantSku: entry.variantSku,
+          quantity: entry.quantity ?? existing?.quantity,
+          options: entry.options || (existing ? toPlainOptions(existing.options) : undefined),
+        },
+      };
+    });
+
+    const lines = await pricingService.priceItems(store, entries.map(entry => entry.item));
+
+    return lines.map((line, index) => {
+      const { existing } = entries[index];
+      const unchanged = existing
+        && existing.product.equals(line.product._id)
+        && String(existing.variant || '') === String(line.resolvedVariantId || '')
+        && optionsKey(existing.options) === optionsKey(line.item.options);
+
+      if (!unchanged) return line;
+
+      return {
+        ...line,
+        existing,
+        unitPrice: existing.unitPrice,
+        totalPrice: roundAmount(existing.unitPrice * line.quantity),
+      };
+    });
+  }
+
+  /**
+   * Discount on the edited items. The code was accepted when the order was
+   * placed, so its limits are not checked again; only the amount is worked out
+   * on the new items.
+   */
+  async priceDiscount(order, lines, shippingCost) {
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+    const previous = order.discount?.appliedAmount || 0;
+    const discount = order.discount?.discountId ? await Discount.findById(order.discount.discountId) : null;
+
+    if (!discount) {
+      return roundAmount(Math.min(previous, subtotal + shippingCost));
+    }
+
+    const eligibleSubtotal = lines
+      .filter(line => discount.appliesToItem(line.product._id, line.product.category))
+      .reduce((sum, line) => sum + line.totalPrice, 0);
+
+    return discount.calculateAmount(eligibleSubtotal, shippingCost);
+  }
+
+  /**
+   * Stock each line needs taken or given back: extra units come off the
+   * variant, fewer units and removed lines go back
+   */
+  planStock(order, lines, newItems) {
+    const moves = [];
+    const kept = new Set();
+    const outstanding = (item) => (item.deductedQuantity || 0) - (item.restockedQuantity || 0);
+
+    lines.forEach((line, index) => {
+      const item = line.existing || newItems[index];
+      if (!item.variant) return;
+
+      if (!line.existing) {
+        moves.push({ item, quantity: -line.quantity });
+        return;
+      }
+
+      kept.add(item._id.toString());
+      const change = line.quantity - item.quantity;
+      if (change > 0) {
+        moves.push({ item, quantity: -change });
+      } else if (change < 0 && outstanding(item) > 0) {
+        moves.push({ item, quantity: Math.min(-change, outstanding(item)) });
+      }
+    });
+
+    for (const item of order.items) {
+      if (!kept.has(item._id.toString()) && item.variant && outstanding(item) > 0) {
+        moves.push({ item, quantity: outstanding(item) });
+      }
+    }
+
+    // Take stock first: running out is what makes an edit fail
+    return moves.sort((a, b) => a.quantity - b.quantity);
+  }
+
+  async moveStock(order, moves, { user, note }) {
+    const done = [];
+
+    try {
+      for (const move of moves) {
+        await inventoryService.adjustStock({
+          productId: move.item.product,
+          variantId: move.item.variant,
+          quantity: move.quantity,
+          type: move.quantity < 0 ? 'sale' : 'release',
+          order: order._id,
+          user,
+          note,
+        });
+        done.push(move);
+      }
+    } catch (error) {
+      await this.undoStock(order, done, { user });
+      throw error;
+    }
+
+    return done;
+  }
+
+  async undoStock(order, moves, { user }) {
+    for (const move of moves) {
+      await inventoryService.adjustStock({
+        productId: move.item.product,
+        variantId: move.item.variant,
+        quantity: -move.quantity,
+        type: move.quantity < 0 ? 'release' : 'sale',
+        order: order._id,
+        user,
+        note: 'Order edit could not be completed',
+      }).catch(error => {
+        console.error(`Failed to undo stock change for order ${order._id}:`, error);
+      });
+    }
+  }
+
+  /**
+   * A paid order keeps the amount paid and owes the difference when the total
+   * goes up. An unpaid order is simply charged the new total.
+   */
+  settlePayment(order, total) {
+    if (order.payment.status !== 'completed') {
+      order.payment.amount = total;
+      order.payment.amountDue = 0;
+      return { total, paid: 0, amountDue: 0, overpaid: 0 };
+    }
+
+    const paid = order.payment.amount || 0;
+    order.payment.amountDue = roundAmount(Math.max(total - paid, 0));
+    return { total, paid, amountDue: order.payment.amountDue, overpaid: roundAmount(Math.max(paid - total, 0)) };
+  }
+
+  // One line per change, for the timeline note and the customer's email
+  describeChanges(before, after) {
+    const changes = [];
+    const previous = new Map(before.items.map(item => [item.itemId.toString(), item]));
+    const current = new Set(after.items.map(item => item.itemId.toString()));
+
+    for (const item of before.items) {
+      if (!current.has(item.itemId.toString())) {
+        changes.push(`Removed ${item.quantity} x ${item.name}`);
+      }
+    }
+
+    for (const item of after.items) {
+      const old = previous.get(item.itemId.toString());
+      if (!old) {
+        changes.push(`Added ${item.quantity} x ${item.name}`);
+      } else if (old.quantity !== item.quantity) {
+        changes.push(`${item.name}: quantity changed from ${old.quantity} to ${item.quantity}`);
+      }
+    }
+
+    if (before.shipping.method !== after.shipping.method) {
+      changes.push(`Delivery changed from ${before.shipping.method} to ${after.shipping.method}`);
+    }
+    if (before.pricing.shipping !== after.pricing.shipping) {
+      changes.push(`Shipping changed from ${before.pricing.shipping} to ${after.pricing.shipping}`);
+    }
+    if (before.pricing.discount !== after.pricing.discount) {
+      changes.push(`Discount changed from ${before.pricing.discount} to ${after.pricing.discount}`);
+    }
+    if (before.pricing.total !== after.pricing.total) {
+      changes.push(`Total changed from ${before.pricing.total} to ${after.pricing.total}`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Edit a pending or confirmed order: change its items, quantities, variants
+   * or delivery. Pricing is worked out again, stock is taken or given back by
+   * the difference and the before/after is kept in the timeline.
+   *
+   * @param {Object} order - Order document
+   * @param {Object} edit
+   * @param {Array} [edit.items] - The full list of items the order should have ({ itemId, productId, variantId, variantSku, quantity, options })
+   * @param {Object} [edit.delivery] - New delivery choice ({ method, locationName, location, instructions })
+   * @param {string} [edit.note] - Why the order was edited
+   * @param {Object} context
+   * @param {Object} context.store
+   * @param {Object} [context.user]
+   * @returns {Promise<{order, changes: string[], balance: Object}>}
+   */
+  async edit(order, { items, delivery, note }, { store, user }) {
+    this.assertEditable(order);
+
+    if (items === undefined && delivery === undefined) {
+      throw new ValidationError('Nothing to change: send items and/or delivery');
+    }
+
+    const before = this.snapshot(order);
+    const lines = await this.priceItems(
+      store,
+      order,
+      items === undefined ? order.items.map(item => ({ itemId: item._id })) : items
+    );
+
+    const shipping = delivery === undefined
+      ? { method: order.shipping.method, cost: order.shipping.cost || 0 }
+      : pricingService.resolveShipping(store, delivery);
+
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+    const tax = pricingService.calculateTax(store, lines);
+    const discount = await this.priceDiscount(order, lines, shipping.cost);
+    const total = roundAmount(subtotal + tax + shipping.cost - discount);
+
+    const newItems = lines.map(line => (line.existing ? null : pricingService.toOrderItem(line)));
+    const moves = this.planStock(order, lines, newItems);
+    const stockNote = `Order #${order.orderNumber} edited`;
+    const done = await this.moveStock(order, moves, { user: user?._id, note: stockNote });
+
+    try {
+      for (const move of done) {
+        if (move.quantity < 0) {
+          move.item.deductedQuantity = (move.item.deductedQuantity || 0) - move.quantity;
+        } else {
+          move.item.restockedQuantity = (move.item.restockedQuantity || 0) + move.quantity;
+        }
+      }
+
+      order.items = lines.map((line, index) => {
+        if (!line.existing) return newItems[index];
+
+        line.existing.quantity = line.quantity;
+        line.existing.totalPrice = line.totalPrice;
+        return line.existing;
+      });
+
+      order.pricing.subtotal = subtotal;
+      order.pricing.tax = tax;
+      order.pricing.shipping = shipping.cost;
+      order.pricing.discount = discount;
+      order.pricing.total = total;
+      if (order.discount?.code) {
+        order.discount.appliedAmount = discount;
+      }
+
+      order.shipping.cost = shipping.cost;
+      if (delivery !== undefined) {
+        order.shipping.method = shipping.method;
+        if (delivery.location && typeof delivery.location === 'object') {
+          order.shipping.address = delivery.location;
+        }
+        if (delivery.instructions !== undefined) {
+          order.shipping.deliveryInstructions = delivery.instructions;
+        }
+      }
+
+      const balance = this.settlePayment(order, total);
+      const after = this.snapshot(order);
+      const changes = this.describeChanges(before, after);
+
+      if (!changes.length) {
+        throw new ValidationError('The edit does not change the order');
+      }
+      if (balance.amountDue) changes.push(`Amount due: ${balance.amountDue}`);
+      if (balance.overpaid) changes.push(`Customer overpaid by ${balance.overpaid}`);
+
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: [`Order edited${note ? `: ${note}` : ''}`, ...changes].join('\n'),
+        updatedBy: user?._id,
+        changes: { before, after },
+      });
+
+      order.increment();
+      await order.save();
+
+      return { order, changes, balance };
+    } catch (error) {
+      await this.undoStock(order, done, { user: user?._id });
+
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new AppError('This order was changed at the same time by someone else. Reload it and try again.', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send the customer the order as it now stands
+   */
+  async notify(store, order, { changes, balance }) {
+    const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
+
+    try {
+      await notificationService.notify('orderUpdated', {
+        store,
+        order,
+        extra: {
+          invoiceUrl: `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`,
+          changes,
+          amountDue: balance.amountDue,
+          overpaid: balance.overpaid,
+        },
+      });
+    } catch (error) {
+      console.error(`Failed to send order update notification for order ${order._id}:`, error);
+    }
+  }
+}
+
+module.exports = new OrderEditService();
@@ -0,0 +1,207 @@
+const Order = require('../models/order.model');
+const Store = require('../models/store.model');
+const Job = require('../models/job.model');
+const jobQueue = require('./job-queue.service');
+const inventoryService = require('./inventory.service');
+const notificationService = require('./notification.service');
+const TimeUtils = require('../utils/time.utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+// Methods the customer pays outside checkout; cash is paid on delivery and
+// gateway payments are settled by the gateway
+const EXPIRING_METHODS = ['bank_transfer', 'bankTransfer', 'crypto', 'whatsapp'];
+
+const expiryGroup = (orderId) => `order-expiry:${orderId}`;
+
+class OrderExpiryService {
+  /**
+   * Unpaid orders of a store that the payment window applies to. Orders with
+   * payment proof attached wait in the payment review queue instead.
+   */
+  unpaidQuery(store, extra = {}) {
+    return {
+      businessId: store.owner,
+      storeId: store._id,
+      status: 'pending',
+      'payment.status': 'pending',
+      'payment.method': { $in: EXPIRING_METHODS },
+      'payment.proofOfPayment': { $in: [null, ''] },
+      ...extra,
+    };
+  }
+
+  getWindow(store) {
+    const window = store.checkoutOptions?.paymentWindow || {};
+    return {
+      enabled: Boolean(window.enabled),
+      hours: window.hours || 48,
+      reminderHours: window.reminderHours ?? 12,
+    };
+  }
+
+  /**
+   * When an order's payment window closes, or null when the store has none
+   */
+  getExpiresAt(store, order) {
+    const { enabled, hours } = this.getWindow(store);
+    return enabled ? new Date(new Date(order.createdAt).getTime() + hours * HOUR_MS) : null;
+  }
+
+  /**
+   * Scheduled task: remind customers whose window is closing and queue an
+   * order.expire job for every order whose window has closed
+   */
+  async sweep(now = new Date()) {
+    const stores = await Store.find({ 'checkoutOptions.paymentWindow.enabled': true });
+
+    let reminded = 0;
+    let queued = 0;
+
+    for (const store of stores) {
+      try {
+        reminded += await this.sendReminders(store, now);
+        queued += await this.queueExpired(store, now);
+      } catch (error) {
+        console.error(`Payment window sweep failed for store ${store._id}:`, error);
+      }
+    }
+
+    return { stores: stores.length, reminded, queued };
+  }
+
+  async sendReminders(store, now) {
+    const { hours, reminderHours } = this.getWindow(store);
+    if (!reminderHours || reminderHours >= hours) return 0;
+
+    const remindBefore = new Date(now.getTime() - (hours - reminderHours) * HOUR_MS);
+    const expiredBefore = new Date(now.getTime() - hours * HOUR_MS);
+    let sent = 0;
+
+    // Claim one order at a time so overlapping runs never remind twice
+    for (;;) {
+      const order = await Order.findOneAndUpdate(
+        this.unpaidQuery(store, {
+          createdAt: { $lte: remindBefore, $gt: expiredBefore },
+          'payment.reminderSentAt': null,
+        }),
+        { $set: { 'payment.reminderSentAt': now } },
+        { new: true, sort: { createdAt: 1 } }
+      );
+      if (!order) break;
+
+      try {
+        await notificationService.notify('orderPaymentReminder', {
+          store,
+          order,
+          extra: this.getReminderContext(store, order),
+        });
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send payment reminder for order ${order._id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  getReminderContext(store, order) {
+    const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
+    const bankTransfer = store.checkoutOptions?.paymentOptions?.bankTransfer;
+    const expiresAt = this.getExpiresAt(store, order);
+
+    return {
+      invoiceUrl: `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`,
+      expiresAt: expiresAt.toISOString(),
+      expiresAtText: expiresAt.toLocaleString('en-US', {
+        timeZone: TimeUtils.isValidTimeZone(store.timezone) ? store.timezone : DEFAULT_TIMEZONE,
+        dateStyle: 'medium',
+        timeStyle: 'short',
+      }),
+      bankAccounts: bankTransfer?.enabled
+        ? (bankTransfer.accounts || []).map(({ accountName, accountNumber, bankName }) => ({ accountName, accountNumber, bankName }))
+        : [],
+    };
+  }
+
+  async queueExpired(store, now) {
+    const { hours } = this.getWindow(store);
+    const expired = await Order.find(
+      this.unpaidQuery(store, { createdAt: { $lte: new Date(now.getTime() - hours * HOUR_MS) } }),
+      '_id'
+    ).sort({ createdAt: 1 }).limit(500);
+
+    let queued = 0;
+
+    for (const { _id } of expired) {
+      // Skip orders already waiting on a job from an earlier run
+      const active = await Job.exists({ group: expiryGroup(_id), status: { $in: ['pending', 'running'] } });
+      if (active) continue;
+
+      await jobQueue.enqueue('order.expire', { orderId: _id, storeId: store._id }, { group: expiryGroup(_id) });
+      queued++;
+    }
+
+    return queued;
+  }
+
+  /**
+   * Job handler for order.expire: cancel the order if it is still unpaid, return
+   * its stock and tell the customer. A retried job picks up an order it already
+   * cancelled and only finishes the restock, which never returns stock twice.
+   */
+  async expire({ orderId, storeId }) {
+    const store = await Store.findById(storeId);
+    if (!store) return { skipped: true };
+
+    const { enabled, hours } = this.getWindow(store);
+    const now = new Date();
+    const note = `Cancelled automatically: no payment received within ${hours} hours`;
+
+    let order = enabled && await Order.findOneAndUpdate(
+      this.unpaidQuery(store, {
+        _id: orderId,
+        createdAt: { $lte: new Date(now.getTime() - hours * HOUR_MS) },
+      }),
+      {
+        $set: {
+          status: 'cancelled',
+          'payment.status': 'cancelled',
+          'payment.failureReason': 'Payment window expired',
+          'payment.expiredAt': now,
+        },
+        $push: { timeline: { status: 'cancelled', timestamp: now, note } },
+      },
+      { new: true }
+    );
+
+    const claimed = Boolean(order);
+    if (!order) {
+      // Paid, cancelled by hand or given more time since the job was queued
+      order = await Order.findOne({ _id: orderId, status: 'cancelled', 'payment.expiredAt': { $ne: null } });
+      if (!order) return { skipped: true };
+    }
+
+    const restocked = await inventoryService.restockOrder(order, { note });
+    if (restocked.length) {
+      await order.save();
+    }
+
+    if (claimed) {
+      try {
+        await notificationService.notify('orderCancelled', {
+          store,
+          order,
+          extra: { cancellationReason: 'We did not receive payment for this order in time, so it has been cancelled.' },
+        });
+      } catch (error) {
+        console.error(`Failed to send expiry notification for order ${order._id}:`, error);
+      }
+    }
+
+    return { cancelled: claimed, restocked: restocked.length };
+  }
+}
+
+module.exports = new OrderExpiryService();
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./payment.provider');
+
+// Transactions started with the fake provider, shared by every instance in the process
+const transactions = new Map();
+
+/**
+ * Gateway stand-in for development and tests. Nothing leaves the process: the
+ * "payment page" is our own callback, and transactions succeed unless told
+ * otherwise with FakeProvider.setOutcome. Webhooks are signed with HMAC-SHA256
+ * of the secret key in the x-fake-signature header.
+ */
+class FakeProvider extends PaymentProvider {
+  constructor(credentials = {}) {
+    super('fake', { ...credentials, secretKey: credentials.secretKey || 'fake_secret' });
+  }
+
+  static setOutcome(reference, status, message) {
+    const transaction = transactions.get(reference);
+    if (transaction) Object.assign(transaction, { status, message });
+  }
+
+  static sign(rawBody, secretKey = 'fake_secret') {
+    return crypto.createHmac('sha256', secretKey).update(rawBody).digest('hex');
+  }
+
+  async initialize({ reference, amount, currency, callbackUrl }) {
+    transactions.set(reference, { reference, amount, currency, status: 'success', id: crypto.randomUUID() });
+
+    const separator = callbackUrl.includes('?') ? '&' : '?';
+    return {
+      authorizationUrl: `${callbackUrl}${separator}reference=${encodeURIComponent(reference)}`,
+      reference,
+    };
+  }
+
+  async verify(reference) {
+    const transaction = transactions.get(reference);
+    if (!transaction) {
+      return { status: 'failed', reference, message: 'Unknown transaction', raw: {} };
+    }
+
+    return {
+      status: transaction.status,
+      reference,
+      transactionId: transaction.id,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      message: transaction.message || 'Approved',
+      raw: { id: transaction.id, status: transaction.status },
+    };
+  }
+
+  verifyWebhookSignature(headers, rawBody) {
+    const signature = headers['x-fake-signature'];
+    return Boolean(signature && rawBody) && signature === FakeProvider.sign(rawBody, this.credentials.secretKey);
+  }
+
+  getWebhookReference(body) {
+    return body?.reference || null;
+  }
+
+  async testConnection() {
+    return { ok: true };
+  }
+}
+
+module.exports = FakeProvider;
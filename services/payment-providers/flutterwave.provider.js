@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./payment.provider');
+
+// Flutterwave payment_options for our payment methods
+const OPTIONS = {
+  card: ['card'],
+  mobile_money: ['mobilemoneyghana', 'mobilemoneyuganda', 'mobilemoneyfranco', 'mpesa'],
+  bank_transfer: ['banktransfer'],
+};
+
+class FlutterwaveProvider extends PaymentProvider {
+  constructor(credentials) {
+    super('flutterwave', credentials);
+    this.apiUrl = 'https://api.flutterwave.com/v3';
+  }
+
+  get headers() {
+    return {
+      Authorization: `Bearer ${this.credentials.secretKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  async initialize({ reference, amount, currency, email, name, phone, callbackUrl, channels, metadata }) {
+    const response = await axios.post(`${this.apiUrl}/payments`, {
+      tx_ref: reference,
+      amount,
+      currency,
+      redirect_url: callbackUrl,
+      payment_options: channels?.flatMap(method => OPTIONS[method] || []).join(','),
+      customer: { email, name, phonenumber: phone },
+      meta: metadata,
+    }, { headers: this.headers });
+
+    return {
+      authorizationUrl: response.data.data.link,
+      reference,
+    };
+  }
+
+  async verify(reference) {
+    const response = await axios.get(`${this.apiUrl}/transactions/verify_by_reference`, {
+      headers: this.headers,
+      params: { tx_ref: reference },
+    });
+
+    const { data } = response.data;
+    const status = data.status === 'successful'
+      ? 'success'
+      : data.status === 'failed' ? 'failed' : 'pending';
+
+    return {
+      status,
+      reference: data.tx_ref,
+      transactionId: String(data.id),
+      amount: data.amount,
+      currency: data.currency,
+      message: data.processor_response,
+      raw: {
+        id: data.id,
+        status: data.status,
+        paymentType: data.payment_type,
+        processorResponse: data.processor_response,
+        paidAt: data.created_at,
+        cardType: data.card?.type,
+        last4: data.card?.last_4digits,
+      },
+    };
+  }
+
+  // Flutterwave sends the secret hash set on the dashboard in the verif-hash header
+  verifyWebhookSignature(headers) {
+    const signature = headers['verif-hash'];
+    const secret = this.credentials.webhookSecret;
+    if (!signature || !secret) return false;
+
+    return signature.length === secret.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(secret));
+  }
+
+  getWebhookReference(body) {
+    return body?.event === 'charge.completed' ? body.data?.tx_ref : null;
+  }
+
+  getCallbackReference(query) {
+    return query.tx_ref || query.reference;
+  }
+
+  async testConnection() {
+    await axios.get(`${this.apiUrl}/balances`, { headers: this.headers });
+    return { ok: true };
+  }
+}
+
+module.exports = FlutterwaveProvider;
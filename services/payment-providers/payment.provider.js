@@ -0,0 +1,66 @@
+/**
+ * Interface every payment gateway adapter implements. Amounts are in major
+ * units (naira, not kobo); adapters convert for their API.
+ *
+ * Verification results have the shape
+ *   { status: 'success' | 'failed' | 'pending', reference, transactionId, amount, currency, message, raw }
+ */
+class PaymentProvider {
+  /**
+   * @param {Object} credentials - { secretKey, publicKey, webhookSecret }
+   */
+  constructor(name, credentials = {}) {
+    this.name = name;
+    this.credentials = credentials;
+  }
+
+  /**
+   * Start a transaction and get the page the customer pays on
+   * @param {Object} params - { reference, amount, currency, email, name, phone, callbackUrl, channels, metadata }
+   * @returns {Promise<{authorizationUrl: string, reference: string, accessCode?: string}>}
+   */
+  async initialize(params) {
+    throw new Error(`${this.name} does not implement initialize`);
+  }
+
+  /**
+   * Look a transaction up with the gateway. Only this result is trusted for the
+   * amount paid; redirects and webhook bodies just say which reference to check.
+   */
+  async verify(reference) {
+    throw new Error(`${this.name} does not implement verify`);
+  }
+
+  /**
+   * Whether a webhook request really came from the gateway
+   * @param {Object} headers - Request headers
+   * @param {Buffer} rawBody - Unparsed request body
+   */
+  verifyWebhookSignature(headers, rawBody) {
+    throw new Error(`${this.name} does not implement verifyWebhookSignature`);
+  }
+
+  /**
+   * The transaction reference a webhook event is about, or null for events we don't handle
+   */
+  getWebhookReference(body) {
+    throw new Error(`${this.name} does not implement getWebhookReference`);
+  }
+
+  /**
+   * The reference in the query string of the gateway's redirect back to us
+   */
+  getCallbackReference(query) {
+    return query.reference;
+  }
+
+  /**
+   * Check the credentials work
+   * @returns {Promise<{ok: boolean, message?: string}>}
+   */
+  async testConnection() {
+    throw new Error(`${this.name} does not implement testConnection`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./payment.provider');
+
+// Paystack channels for our payment methods
+const CHANNELS = {
+  card: ['card'],
+  mobile_money: ['mobile_money'],
+  bank_transfer: ['bank_transfer'],
+};
+
+class PaystackProvider extends PaymentProvider {
+  constructor(credentials) {
+    super('paystack', credentials);
+    this.apiUrl = 'https://api.paystack.co';
+  }
+
+  get headers() {
+    return {
+      Authorization: `Bearer ${this.credentials.secretKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  async initialize({ reference, amount, currency, email, callbackUrl, channels, metadata }) {
+    const response = await axios.post(`${this.apiUrl}/transaction/initialize`, {
+      reference,
+      // Paystack takes the lowest currency unit
+      amount: Math.round(amount * 100),
+      currency,
+      email,
+      callback_url: callbackUrl,
+      channels: channels?.flatMap(method => CHANNELS[method] || []),
+      metadata,
+    }, { headers: this.headers });
+
+    const { data } = response.data;
+    return {
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      reference: data.reference,
+    };
+  }
+
+  async verify(reference) {
+    const response = await axios.get(`${this.apiUrl}/transaction/verify/${encodeURIComponent(reference)}`, {
+      headers: this.headers,
+    });
+
+    const { data } = response.data;
+    const status = data.status === 'success'
+      ? 'success'
+      : ['failed', 'abandoned', 'reversed'].includes(data.status) ? 'failed' : 'pending';
+
+    return {
+      status,
+      reference: data.reference,
+      transactionId: String(data.id),
+      amount: data.amount / 100,
+      currency: data.currency,
+      message: data.gateway_response,
+      raw: {
+        id: data.id,
+        status: data.status,
+        channel: data.channel,
+        gatewayResponse: data.gateway_response,
+        paidAt: data.paid_at,
+        cardType: data.authorization?.card_type,
+        last4: data.authorization?.last4,
+        bank: data.authorization?.bank,
+      },
+    };
+  }
+
+  // Paystack signs the body with HMAC-SHA512 of the secret key
+  verifyWebhookSignature(headers, rawBody) {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !rawBody) return false;
+
+    const expected = crypto.createHmac('sha512', this.credentials.secretKey).update(rawBody).digest('hex');
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  getWebhookReference(body) {
+    return ['charge.success', 'charge.failed'].includes(body?.event) ? body.data?.reference : null;
+  }
+
+  getCallbackReference(query) {
+    return query.reference || query.trxref;
+  }
+
+  async testConnection() {
+    await axios.get(`${this.apiUrl}/transaction`, { headers: this.headers, params: { perPage: 1 } });
+    return { ok: true };
+  }
+}
+
+module.exports = PaystackProvider;
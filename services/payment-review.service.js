@@ -0,0 +1,403 @@
+const Order = require('../models/order.model');
+const Booking = require('../models/booking.model');
+const notificationService = require('./notification.service');
+const draftOrderService = require('./draft-order.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const RECORD_TYPES = ['order', 'booking'];
+
+// Payments still waiting for the store to confirm them
+const AWAITING_STATUSES = ['pending', 'processing'];
+
+// How far back a bank statement credit is matched against unpaid orders and bookings
+const STATEMENT_LOOKBACK_DAYS = 90;
+const MAX_STATEMENT_CANDIDATES = 2000;
+
+// Bank exports name their columns differently; the first one present is used
+const STATEMENT_COLUMNS = {
+  date: ['date', 'transaction date', 'trans date', 'value date', 'posted date', 'posting date'],
+  description: ['description', 'narration', 'details', 'transaction details', 'remarks', 'reference', 'memo'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'cr'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'dr'],
+  amount: ['amount', 'transaction amount'],
+};
+
+const CURRENCY_SYMBOLS = { NGN: '₦', USD: '$', EUR: '€', GBP: '£', GHS: '₵' };
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const parseStatementAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  // (1,000.00) is a debit in some exports
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const pickColumn = (row, names) => {
+  const key = names.find(name => row[name] !== undefined && row[name] !== '');
+  return key === undefined ? undefined : row[key];
+};
+
+class PaymentReviewService {
+  get recordTypes() {
+    return RECORD_TYPES;
+  }
+
+  getModel(type) {
+    if (!RECORD_TYPES.includes(type)) {
+      throw new ValidationError(`type must be one of: ${RECORD_TYPES.join(', ')}`);
+    }
+    return type === 'order' ? Order : Booking;
+  }
+
+  // Orders are also scoped by owner, as everywhere else in the order endpoints
+  scopeQuery(type, store) {
+    return type === 'order'
+      ? { businessId: store.owner, storeId: store._id }
+      : { storeId: store._id };
+  }
+
+  /**
+   * Payments the store has proof for but has not confirmed yet
+   */
+  queueQuery(type, store) {
+    return {
+      ...this.scopeQuery(type, store),
+      'payment.status': { $in: AWAITING_STATUSES },
+      'payment.proofOfPayment': { $nin: [null, ''] },
+      status: { $ne: 'cancelled' },
+    };
+  }
+
+  toQueueItem(type, record) {
+    const payment = record.payment || {};
+
+    return {
+      type,
+      id: record._id,
+      number: type === 'order' ? record.orderNumber : record.bookingNumber,
+      status: record.status,
+      customer: {
+        name: record.customer?.name,
+        email: record.customer?.email,
+        phone: record.customer?.phone,
+      },
+      payment: {
+        method: payment.method,
+        status: payment.status,
+        amount: payment.amount ?? record.pricing?.total,
+        currency: payment.currency || record.pricing?.currency,
+        proofOfPayment: payment.proofOfPayment,
+      },
+      createdAt: record.createdAt,
+    };
+  }
+
+  /**
+   * Orders and bookings awaiting verification, oldest first
+   * @param {Object} options - { type: order|booking (both by default), page, limit }
+   */
+  async getQueue(store, { type, page = 1, limit = 20 } = {}) {
+    const types = type ? [type] : RECORD_TYPES;
+    types.forEach(recordType => this.getModel(recordType));
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const needed = pageNumber * pageSize;
+
+    // Each type can fill at most a full window on its own, so fetch that much of each and merge
+    const results = await Promise.all(types.map(async recordType => {
+      const Model = this.getModel(recordType);
+      const query = this.queueQuery(recordType, store);
+
+      const [records, total] = await Promise.all([
+        Model.find(query)
+          .select('orderNumber bookingNumber status customer pricing payment createdAt')
+          .sort({ createdAt: 1 })
+          .limit(needed)
+          .lean(),
+        Model.countDocuments(query),
+      ]);
+
+      return { items: records.map(record => this.toQueueItem(recordType, record)), total, recordType };
+    }));
+
+    const items = results
+      .flatMap(result => result.items)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice((pageNumber - 1) * pageSize, needed);
+
+    const total = results.reduce((sum, result) => sum + result.total, 0);
+
+    return {
+      items,
+      counts: Object.fromEntries(results.map(result => [result.recordType, result.total])),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+
+  /**
+   * Approve or reject a payment that is still awaiting verification. The update
+   * only matches while the payment is open, so a payment is reviewed once.
+   * @param {Object} review - { decision: approved|rejected, reason, source, statementLine, user }
+   */
+  async review(store, type, id, { decision, reason, source = 'manual', statementLine, user }) {
+    const Model = this.getModel(type);
+
+    if (decision === 'rejected' && !reason?.trim()) {
+      throw new ValidationError('A reason is required to reject a payment');
+    }
+
+    const approved = decision === 'approved';
+    const now = new Date();
+
+    const record = await Model.findOneAndUpdate(
+      {
+        _id: id,
+        ...this.scopeQuery(type, store),
+        'payment.status': { $in: AWAITING_STATUSES },
+      },
+      {
+        $set: {
+          'payment.status': approved ? 'completed' : 'failed',
+          'payment.failureReason': approved ? null : reason.trim(),
+          'payment.review': {
+            decision,
+            reason: reason?.trim() || undefined,
+            source,
+            statementLine,
+            reviewedBy: user?._id,
+            reviewedAt: now,
+          },
+          ...(approved && { 'payment.processedAt': now }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!record) {
+      const exists = await Model.exists({ _id: id, ...this.scopeQuery(type, store) });
+      throw exists
+        ? new AppError(`This ${type}'s payment has already been reviewed`, 409)
+        : new AppError(`${type === 'order' ? 'Order' : 'Booking'} not found`, 404);
+    }
+
+    if (approved && record.status === 'pending') {
+      await record.updateStatus('confirmed', 'Payment verified - confirmed automatically', user?._id);
+    }
+
+    // A paid draft becomes an order and the customer gets its confirmation
+    if (approved && record.status === 'draft') {
+      await draftOrderService.convertPaid(record, { store, note: 'Payment verified', user });
+    }
+
+    await this.notifyCustomer(store, type, record);
+
+    return record;
+  }
+
+  async notifyCustomer(store, type, record) {
+    const payment = record.payment;
+    const currency = payment.currency || record.pricing?.currency || store.currency || 'NGN';
+    const amount = payment.amount ?? record.pricing?.total ?? 0;
+    const number = type === 'order' ? record.orderNumber : record.bookingNumber;
+
+    try {
+      await notificationService.notify(type === 'order' ? 'orderPaymentReviewed' : 'bookingPaymentReviewed', {
+        store,
+        [type]: record,
+        extra: {
+          approved: payment.review.decision === 'approved',
+          reason: payment.review.reason,
+          recordLabel: `${type === 'order' ? 'Order' : 'Booking'} #${number}`,
+          formattedAmount: `${CURRENCY_SYMBOLS[currency] || `${currency} `}${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+          storeName: store.storeName || store.businessName,
+          storeLogo: store.logo,
+        },
+      });
+    } catch (notifError) {
+      console.error(`Failed to send payment review notification for ${type} ${record._id}:`, notifError);
+    }
+  }
+
+  /**
+   * Approve several payments, e.g. the statement matches the owner accepted.
+   * Each item is reviewed on its own, so one failure does not stop the rest.
+   * @param {Array} items - [{ type, id, statementLine }]
+   */
+  async bulkApprove(store, items, user) {
+    const results = [];
+
+    for (const item of items) {
+      try {
+        await this.review(store, item.type, item.id, {
+          decision: 'approved',
+          source: item.statementLine ? 'statement' : 'manual',
+          statementLine: item.statementLine,
+          reason: item.note,
+          user,
+        });
+        results.push({ type: item.type, id: item.id, status: 'approved' });
+      } catch (error) {
+        results.push({ type: item.type, id: item.id, status: 'error', message: error.message });
+      }
+    }
+
+    return {
+      approved: results.filter(result => result.status === 'approved').length,
+      failed: results.filter(result => result.status === 'error').length,
+      results,
+    };
+  }
+
+  /**
+   * Turn parsed CSV rows into statement credits, skipping debits and rows without an amount
+   */
+  parseStatement(rows) {
+    const credits = [];
+    const skipped = [];
+
+    rows.forEach((row, index) => {
+      const line = index + 2; // Header is line 1
+      const description = String(pickColumn(row, STATEMENT_COLUMNS.description) || '').trim();
+      const credit = parseStatementAmount(pickColumn(row, STATEMENT_COLUMNS.credit));
+      const amount = credit ?? parseStatementAmount(pickColumn(row, STATEMENT_COLUMNS.amount));
+
+      if (amount === null) {
+        const debit = parseStatementAmount(pickColumn(row, STATEMENT_COLUMNS.debit));
+        skipped.push({ line, reason: debit ? 'Not a credit' : 'No amount' });
+        return;
+      }
+      if (amount <= 0) {
+        skipped.push({ line, reason: 'Not a credit' });
+        return;
+      }
+
+      const rawDate = pickColumn(row, STATEMENT_COLUMNS.date);
+      const date = rawDate ? new Date(rawDate) : null;
+
+      credits.push({
+        line,
+        date: date && !isNaN(date.getTime()) ? date : rawDate || null,
+        description,
+        amount,
+        // Saved on the payment's review when this match is approved
+        statementLine: [rawDate, description, amount].filter(value => value !== undefined && value !== '').join(' | '),
+      });
+    });
+
+    return { credits, skipped };
+  }
+
+  /**
+   * Unpaid orders and bookings a statement credit could be paying for. Gateway
+   * payments are left out; they are confirmed by the gateway.
+   */
+  async getStatementCandidates(store) {
+    const since = new Date(Date.now() - STATEMENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const results = await Promise.all(RECORD_TYPES.map(async type => {
+      const records = await this.getModel(type).find({
+        ...this.scopeQuery(type, store),
+        'payment.status': { $in: AWAITING_STATUSES },
+        'payment.provider': { $exists: false },
+        status: { $ne: 'cancelled' },
+        createdAt: { $gte: since },
+      })
+        .select('orderNumber bookingNumber status customer pricing payment createdAt')
+        .sort({ createdAt: -1 })
+        .limit(MAX_STATEMENT_CANDIDATES)
+        .lean();
+
+      return records.map(record => this.toQueueItem(type, record));
+    }));
+
+    return results.flat();
+  }
+
+  /**
+   * Propose which unpaid order or booking each statement credit pays for. A credit
+   * whose narration contains an order or booking number with the same amount is a
+   * reference match; otherwise a credit matching exactly one amount is an amount
+   * match. Nothing is approved here.
+   * @param {Array} rows - Parsed CSV rows with lowercase column names
+   */
+  async matchStatement(store, rows) {
+    const { credits, skipped } = this.parseStatement(rows);
+    const candidates = await this.getStatementCandidates(store);
+    const claimed = new Set();
+
+    const key = (candidate) => `${candidate.type}:${candidate.id}`;
+    const sameAmount = (credit, candidate) => toMinorUnits(credit.amount) === toMinorUnits(candidate.payment.amount);
+
+    const matches = [];
+    const unmatched = [];
+
+    // Reference matches first, so they win a candidate over amount-only matches
+    const pending = [];
+    for (const credit of credits) {
+      const narration = normalizeReference(credit.description);
+      // Longest number first: an order number can be part of a booking number
+      const candidate = narration && candidates
+        .filter(item => (
+          !claimed.has(key(item))
+          && item.number
+          && narration.includes(normalizeReference(item.number))
+          && sameAmount(credit, item)
+        ))
+        .sort((a, b) => b.number.length - a.number.length)[0];
+
+      if (candidate) {
+        claimed.add(key(candidate));
+        matches.push({ credit, candidate, confidence: 'high', matchedOn: ['reference', 'amount'] });
+      } else {
+        pending.push(credit);
+      }
+    }
+
+    for (const credit of pending) {
+      const sameAmountCandidates = candidates.filter(item => !claimed.has(key(item)) && sameAmount(credit, item));
+
+      if (sameAmountCandidates.length === 1) {
+        claimed.add(key(sameAmountCandidates[0]));
+        matches.push({ credit, candidate: sameAmountCandidates[0], confidence: 'medium', matchedOn: ['amount'] });
+      } else {
+        unmatched.push({
+          credit,
+          reason: sameAmountCandidates.length ? 'Several unpaid orders or bookings have this amount' : 'No unpaid order or booking has this amount',
+          // Lets the owner pick the right one when the amount alone is ambiguous
+          possibleMatches: sameAmountCandidates.slice(0, 10),
+        });
+      }
+    }
+
+    matches.sort((a, b) => a.credit.line - b.credit.line);
+
+    return {
+      summary: {
+        credits: credits.length,
+        matched: matches.length,
+        unmatched: unmatched.length,
+        skipped: skipped.length,
+      },
+      matches,
+      unmatched,
+      skipped,
+    };
+  }
+}
+
+module.exports = new PaymentReviewService();
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const Order = require('../models/order.model');
+const Store = require('../models/store.model');
+const notificationService = require('./notification.service');
+const draftOrderService = require('./draft-order.service');
+const PaystackProvider = require('./payment-providers/paystack.provider');
+const FlutterwaveProvider = require('./payment-providers/flutterwave.provider');
+const FakeProvider = require('./payment-providers/fake.provider');
+const CryptoUtils = require('../utils/crypto.utils');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const PROVIDERS = {
+  paystack: PaystackProvider,
+  flutterwave: FlutterwaveProvider,
+  fake: FakeProvider,
+};
+
+// Gateways a store can connect its own account for
+const STORE_PROVIDERS = ['paystack', 'flutterwave'];
+
+// Payment methods paid through the gateway; the rest are settled offline
+const ONLINE_METHODS = ['card', 'mobile_money'];
+
+// Payment statuses a gateway result may still move an order out of
+const OPEN_STATUSES = ['pending', 'processing', 'failed'];
+
+const ENV_CREDENTIALS = {
+  paystack: () => ({
+    secretKey: process.env.PAYSTACK_SECRET_KEY,
+    publicKey: process.env.PAYSTACK_PUBLIC_KEY,
+  }),
+  flutterwave: () => ({
+    secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+    publicKey: process.env.FLUTTERWAVE_PUBLIC_KEY,
+    webhookSecret: process.env.FLUTTERWAVE_WEBHOOK_HASH,
+  }),
+  fake: () => ({
+    secretKey: process.env.FAKE_PAYMENT_SECRET,
+  }),
+};
+
+class PaymentService {
+  get onlineMethods() {
+    return ONLINE_METHODS;
+  }
+
+  isOnlineMethod(method) {
+    return ONLINE_METHODS.includes(method);
+  }
+
+  get storeProviders() {
+    return STORE_PROVIDERS;
+  }
+
+  get defaultProvider() {
+    return process.env.PAYMENT_PROVIDER || 'paystack';
+  }
+
+  getProviderClass(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new AppError(`Unknown payment provider: ${name}`, 404);
+    }
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+      throw new AppError('The fake payment provider is not available in production', 404);
+    }
+    return Provider;
+  }
+
+  /**
+   * Build the adapter for a provider
+   * @param {string} name - paystack, flutterwave or fake
+   * @param {Object} [credentials] - A store's own keys; the platform keys from the environment otherwise
+   */
+  getProvider(name = this.defaultProvider, credentials) {
+    const Provider = this.getProviderClass(name);
+
+    const resolved = credentials || ENV_CREDENTIALS[name]();
+    if (name !== 'fake' && !resolved.secretKey) {
+      throw new AppError(`${name} is not configured`, 503);
+    }
+
+    return new Provider(resolved);
+  }
+
+  /**
+   * Decrypted keys for one mode of a store's own gateway account, or null when none are saved
+   * @param {Object} store - Store document
+   * @param {string} [mode] - test or live; the store's current mode by default
+   */
+  getStoreCredentials(store, mode) {
+    const online = store?.checkoutOptions?.paymentOptions?.online;
+    const credentials = online?.provider && online[mode || online.mode];
+    if (!credentials?.secretKey) return null;
+
+    return {
+      publicKey: credentials.publicKey,
+      secretKey: CryptoUtils.decrypt(credentials.secretKey),
+      webhookSecret: credentials.webhookSecret ? CryptoUtils.decrypt(credentials.webhookSecret) : undefined,
+    };
+  }
+
+  /**
+   * The gateway a store's orders are paid through: its own account when one is
+   * connected and enabled, otherwise the platform account
+   * @returns {{provider: Object, account: string, mode: string|null, methods: string[]}}
+   */
+  getStoreGateway(store) {
+    const online = store?.checkoutOptions?.paymentOptions?.online;
+
+    if (online?.enabled) {
+      const credentials = this.getStoreCredentials(store);
+      if (credentials) {
+        return {
+          provider: this.getProvider(online.provider, credentials),
+          account: 'store',
+          mode: online.mode,
+          methods: online.methods?.length ? [...online.methods] : ['card'],
+        };
+      }
+    }
+
+    return { provider: this.getProvider(), account: 'platform', mode: null, methods: ONLINE_METHODS };
+  }
+
+  /**
+   * The adapter for the account an order's payment was started on
+   */
+  async getProviderForOrder(order) {
+    if (order.payment.account !== 'store') {
+      return this.getProvider(order.payment.provider);
+    }
+
+    const store = await Store.findById(order.storeId);
+    const credentials = this.getStoreCredentials(store, order.payment.mode);
+    if (!credentials) {
+      throw new AppError('The store\'s payment account is no longer connected', 503);
+    }
+
+    return this.getProvider(order.payment.provider, credentials);
+  }
+
+  /**
+   * What the storefront needs to offer online payment: never more than the public key
+   */
+  getPublicOnlineOptions(store) {
+    const online = store?.checkoutOptions?.paymentOptions?.online;
+    const credentials = online?.[online?.mode];
+
+    if (!online?.enabled || !online.provider || !credentials?.publicKey || !credentials?.secretKey) {
+      return { enabled: false, methods: [] };
+    }
+
+    return {
+      enabled: true,
+      provider: online.provider,
+      mode: online.mode,
+      publicKey: credentials.publicKey,
+      methods: [...online.methods],
+    };
+  }
+
+  /**
+   * Check a store's saved keys against the gateway and record the result
+   * @param {string} [mode] - test or live; the store's current mode by default
+   * @returns {Promise<{mode: string, ok: boolean, message: string, checkedAt: Date}>}
+   */
+  async testStoreConnection(store, mode) {
+    const online = store.checkoutOptions?.paymentOptions?.online;
+    if (!online?.provider) {
+      throw new ValidationError('Choose a payment provider first');
+    }
+
+    const checkMode = mode || online.mode;
+    if (!['test', 'live'].includes(checkMode)) {
+      throw new ValidationError('mode must be either test or live');
+    }
+
+    const credentials = this.getStoreCredentials(store, checkMode);
+    if (!credentials) {
+      throw new ValidationError(`Add your ${checkMode} secret key first`);
+    }
+
+    let result;
+    try {
+      result = await this.getProvider(online.provider, credentials).testConnection();
+    } catch (error) {
+      result = { ok: false, message: error.response?.data?.message || error.message };
+    }
+
+    const lastCheck = {
+      mode: checkMode,
+      ok: result.ok,
+      message: result.message || (result.ok ? 'Connected' : 'Connection failed'),
+      checkedAt: new Date(),
+    };
+
+    store.set('checkoutOptions.paymentOptions.online.lastCheck', lastCheck);
+    await store.save();
+
+    return lastCheck;
+  }
+
+  generateReference(order) {
+    return `${order.orderNumber || order._id}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // The gateway sends the customer back here after paying
+  getCallbackUrl(providerName) {
+    const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    return `${apiUrl}/api/payments/callback/${providerName}`;
+  }
+
+  // The storefront page the customer lands on once the callback is handled
+  getReturnUrl(order) {
+    const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
+    const status = order.payment?.status === 'completed' ? 'success' : order.payment?.status || 'pending';
+    return `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}?payment=${status}`;
+  }
+
+  /**
+   * Start a gateway transaction for an order. Each attempt gets a fresh
+   * reference, so a customer who abandoned the payment page can try again.
+   * @returns {Promise<{provider: string, reference: string, authorizationUrl: string}>}
+   */
+  async initializeForOrder(order) {
+    if (!this.isOnlineMethod(order.payment?.method)) {
+      throw new AppError(`Orders paid by ${order.payment?.method} are not paid online`, 400);
+    }
+    if (!OPEN_STATUSES.includes(order.payment.status)) {
+      throw new AppError(`This order's payment is already ${order.payment.status}`, 409);
+    }
+
+    const store = await Store.findById(order.storeId);
+    const { provider, account, mode, methods } = this.getStoreGateway(store);
+    if (!methods.includes(order.payment.method)) {
+      throw new AppError(`This store does not accept ${order.payment.method.replace('_', ' ')} payments online`, 400);
+    }
+
+    const reference = this.generateReference(order);
+
+    const session = await provider.initialize({
+      reference,
+      amount: order.payment.amount,
+      currency: order.payment.currency,
+      email: order.customer.email,
+      name: order.customer.name,
+      phone: order.customer.phone,
+      callbackUrl: this.getCallbackUrl(provider.name),
+      channels: [order.payment.method],
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        storeId: order.storeId.toString(),
+      },
+    });
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.status': { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          'payment.provider': provider.name,
+          'payment.account': account,
+          'payment.mode': mode,
+          'payment.reference': reference,
+          'payment.status': 'pending',
+          'payment.failureReason': null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('This order\'s payment has already been settled', 409);
+    }
+
+    return {
+      provider: provider.name,
+      reference,
+      authorizationUrl: session.authorizationUrl,
+      accessCode: session.accessCode,
+    };
+  }
+
+  /**
+   * Check a reference with the gateway and apply the result to its order
+   * @param {string} reference - Our transaction reference
+   * @param {string} [providerName] - Provider the request came through; must match the order's
+   * @returns {Promise<{order: Object, changed: boolean}>}
+   */
+  async verifyReference(reference, providerName) {
+    const order = await Order.findOne({ 'payment.reference': reference });
+    if (!order) {
+      throw new AppError('Payment not found', 404);
+    }
+    if (providerName && order.payment.provider !== providerName) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    // Settled payments are not looked up again
+    if (!OPEN_STATUSES.includes(order.payment.status)) {
+      return { order, changed: false };
+    }
+
+    const provider = await this.getProviderForOrder(order);
+    const result = await provider.verify(reference);
+
+    return this.applyResult(order, result);
+  }
+
+  /**
+   * Record a verified gateway result on the order. The update only matches while
+   * the payment is still open, so redirects, webhooks and their retries racing
+   * each other change the order once.
+   */
+  async applyResult(order, result) {
+    if (result.status === 'pending') {
+      return { order, changed: false };
+    }
+
+    let status = result.status === 'success' ? 'completed' : 'failed';
+    let failureReason = status === 'failed' ? result.message || 'Payment failed' : null;
+
+    // A successful charge for the wrong amount does not pay for the order
+    if (status === 'completed') {
+      const expected = Math.round(order.payment.amount * 100);
+      const paid = Math.round(Number(result.amount) * 100);
+      const currencyMatches = !result.currency || !order.payment.currency
+        || result.currency.toUpperCase() === order.payment.currency.toUpperCase();
+
+      if (paid !== expected || !currencyMatches) {
+        status = 'failed';
+        failureReason = `Amount paid (${result.amount} ${result.currency}) does not match the order total (${order.payment.amount} ${order.payment.currency})`;
+      }
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'payment.reference': result.reference || order.payment.reference,
+        // A failure never overwrites another failure, so retries stay no-ops
+        'payment.status': { $in: status === 'completed' ? OPEN_STATUSES : ['pending', 'processing'] },
+      },
+      {
+        $set: {
+          'payment.status': status,
+          'payment.transactionId': result.transactionId,
+          'payment.gatewayResponse': result.raw,
+          'payment.failureReason': failureReason,
+          ...(status === 'completed' && { 'payment.processedAt': new Date() }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { order: await Order.findById(order._id), changed: false };
+    }
+
+    if (status === 'completed' && updated.status === 'draft') {
+      await draftOrderService.convertPaid(updated, { note: `Payment confirmed by ${updated.payment.provider}` });
+    }
+
+    if (status === 'completed' && updated.status === 'pending') {
+      await updated.updateStatus('confirmed', `Payment confirmed by ${updated.payment.provider}`);
+
+      try {
+        const store = await Store.findById(updated.storeId);
+        await notificationService.notify(notificationService.orderStatusEvent('confirmed'), {
+          store,
+          order: updated,
+          extra: { oldStatus: 'pending' },
+        });
+      } catch (notifError) {
+        console.error('Failed to send payment confirmation:', notifError);
+      }
+    }
+
+    return { order: updated, changed: true };
+  }
+
+  /**
+   * Handle a gateway webhook. The body only tells us which reference changed;
+   * the result itself is fetched from the gateway. The signature is checked with
+   * the keys of the account the order's payment was started on.
+   * @returns {Promise<{handled: boolean, reference?: string, status?: string}>}
+   */
+  async handleWebhook(providerName, { headers, rawBody, body }) {
+    const Provider = this.getProviderClass(providerName);
+
+    const reference = new Provider().getWebhookReference(body);
+    if (!reference) {
+      return { handled: false };
+    }
+
+    // Transactions we didn't start (e.g. from another integration on the account) are acknowledged and ignored
+    const order = await Order.findOne({ 'payment.reference': reference, 'payment.provider': providerName });
+    if (!order) {
+      return { handled: false, reference };
+    }
+
+    const provider = await this.getProviderForOrder(order);
+    if (!provider.verifyWebhookSignature(headers, rawBody)) {
+      throw new AppError('Invalid webhook signature', 401);
+    }
+
+    const { order: updated } = await this.verifyReference(reference, provider.name);
+    return { handled: true, reference, status: updated.payment.status };
+  }
+}
+
+module.exports = new PaymentService();
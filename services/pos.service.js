@@ -0,0 +1,476 @@
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const RegisterSession = require('../models/register-session.model');
+const pricingService = require('./pricing.service');
+const inventoryService = require('./inventory.service');
+const notificationService = require('./notification.service');
+const draftOrderService = require('./draft-order.service');
+const VariantUtils = require('../utils/variant.utils');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+const TENDER_METHODS = ['cash', 'card', 'transfer'];
+
+// The order payment method for each tender
+const PAYMENT_METHODS = {
+  cash: 'cash',
+  card: 'card',
+  transfer: 'bank_transfer',
+};
+
+// Sales uploaded from an offline till in one request
+const MAX_OFFLINE_SALES = 100;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const invoiceUrl = (order) => {
+  const clientBaseUrl = process.env.CLIENT_URL || 'https://sqale.shop';
+  return `${clientBaseUrl}/invoice/${order._id}/${order.invoiceToken}`;
+};
+
+class PosService {
+  assertOpen(session) {
+    if (session.status !== 'open') {
+      throw new AppError(`Register session #${session.number} is closed`, 409);
+    }
+  }
+
+  parseAmount(value, label, { allowZero = false } = {}) {
+    const amount = Number(value);
+    if (value === undefined || value === null || value === '' || isNaN(amount) || amount < 0 || (!allowZero && amount === 0)) {
+      throw new ValidationError(`${label} must be ${allowZero ? 'zero or more' : 'greater than zero'}`);
+    }
+    return roundAmount(amount);
+  }
+
+  /**
+   * Find the product, and the variant when the code is a variant's, for a
+   * scanned barcode. Product barcodes on products with several variants leave
+   * the variant to the cashier.
+   */
+  async lookupBarcode(store, code) {
+    const barcode = String(code || '').trim();
+    if (!barcode) {
+      throw new ValidationError('Barcode is required');
+    }
+
+    const product = await Product.findOne({
+      businessId: store._id,
+      status: { $ne: 'archived' },
+      $or: [{ barcode }, { 'variants.barcode': barcode }],
+    });
+    if (!product) {
+      throw new AppError(`No product has the barcode ${barcode}`, 404);
+    }
+
+    let variant = product.variants.find(v => v.barcode === barcode) || null;
+    if (!variant && product.variants.length === 1) {
+      variant = product.variants[0];
+    }
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        barcode: product.barcode,
+        images: product.images,
+        options: product.options,
+        taxable: product.taxable,
+        variants: variant ? undefined : product.variants,
+      },
+      variant,
+      unitPrice: variant ? VariantUtils.getCatalogPrice(product, variant) : undefined,
+    };
+  }
+
+  // Sale lines may name a barcode instead of a product and variant
+  async resolveItems(store, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('A sale needs at least one item');
+    }
+
+    const entries = [];
+    for (const entry of items) {
+      if (entry.productId || !entry.barcode) {
+        entries.push(entry);
+        continue;
+      }
+
+      const { product, variant } = await this.lookupBarcode(store, entry.barcode);
+      entries.push({ ...entry, productId: product._id, variantId: variant?._id });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check the tenders cover the sale and work out the change. Card and
+   * transfer tenders are taken for the exact amount, so only cash can be
+   * over what is due.
+   */
+  settleTenders(tenders, total) {
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+      throw new ValidationError('Record how the customer paid');
+    }
+
+    const settled = tenders.map(tender => {
+      if (!TENDER_METHODS.includes(tender.method)) {
+        throw new ValidationError(`Tender method must be one of: ${TENDER_METHODS.join(', ')}`);
+      }
+
+      return {
+        method: tender.method,
+        amount: this.parseAmount(tender.amount, `The ${tender.method} amount`),
+        reference: tender.reference,
+      };
+    });
+
+    const tendered = roundAmount(settled.reduce((sum, tender) => sum + tender.amount, 0));
+    const nonCash = roundAmount(settled.filter(t => t.method !== 'cash').reduce((sum, tender) => sum + tender.amount, 0));
+
+    if (nonCash > total) {
+      throw new ValidationError(`Card and transfer tenders come to ${nonCash}, more than the ${total} due`);
+    }
+    if (tendered < total) {
+      throw new ValidationError(`Tenders come to ${tendered}, short of the ${total} due`);
+    }
+
+    const methods = [...new Set(settled.map(tender => tender.method))];
+
+    return {
+      tenders: settled,
+      tendered,
+      change: roundAmount(tendered - total),
+      method: methods.length === 1 ? PAYMENT_METHODS[methods[0]] : 'split',
+    };
+  }
+
+  async findSale(store, clientRef) {
+    return Order.findOne({ storeId: store._id, 'pos.clientRef': clientRef });
+  }
+
+  /**
+   * Ring up a sale at the till: price the items from the catalog, take the
+   * tenders and stock, and record it as a paid order the customer has
+   * already collected.
+   *
+   * Sales with a clientRef are only recorded once; a repeat returns the sale
+   * already made. Offline sales have already happened, so a stock shortfall
+   * is noted on the order rather than refusing it.
+   *
+   * @returns {Promise<{order: Object, duplicate: boolean}>}
+   */
+  async sell(store, session, input, { user, offline = false } = {}) {
+    this.assertOpen(session);
+
+    const clientRef = input.clientRef ? String(input.clientRef).trim() : undefined;
+    if (offline && !clientRef) {
+      throw new ValidationError('Offline sales need a clientRef');
+    }
+    if (clientRef) {
+      const existing = await this.findSale(store, clientRef);
+      if (existing) return { order: existing, duplicate: true };
+    }
+
+    let capturedAt;
+    if (offline) {
+      capturedAt = input.capturedAt ? new Date(input.capturedAt) : new Date();
+      if (isNaN(capturedAt.getTime()) || capturedAt > new Date()) {
+        throw new ValidationError('capturedAt must be a past date');
+      }
+    }
+
+    const lines = await pricingService.priceItems(store, await this.resolveItems(store, input.items));
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+    const tax = pricingService.calculateTax(store, lines);
+    const total = roundAmount(subtotal + tax);
+    const payment = this.settleTenders(input.tenders, total);
+
+    const customer = input.customer || {};
+    let customerRecord = null;
+    if (customer.email) {
+      customerRecord = await draftOrderService.findCustomer(store, {
+        ...customer,
+        name: customer.name || customer.email,
+      });
+    }
+
+    const now = new Date();
+    const order = new Order({
+      businessId: store.owner,
+      storeId: store._id,
+      customer: {
+        customerId: customerRecord?._id,
+        name: customer.name?.trim() || 'Walk-in customer',
+        email: customer.email,
+        phone: customer.phone,
+      },
+      items: lines.map(line => pricingService.toOrderItem(line)),
+      pricing: {
+        subtotal,
+        tax,
+        shipping: 0,
+        discount: 0,
+        total,
+        currency: store.currency || 'NGN',
+      },
+      shipping: { method: 'pickup', cost: 0 },
+      payment: {
+        method: payment.method,
+        status: 'completed',
+        amount: total,
+        currency: store.currency || 'NGN',
+        processedAt: capturedAt || now,
+      },
+      // Handed over at the counter
+      status: 'delivered',
+      fulfillment: {
+        delivered: { status: true, timestamp: capturedAt || now },
+      },
+      source: 'pos',
+      pos: {
+        sessionId: session._id,
+        register: session.register,
+        cashier: user?._id,
+        tenders: payment.tenders,
+        tendered: payment.tendered,
+        change: payment.change,
+        clientRef,
+        offline,
+        capturedAt,
+      },
+      notes: {
+        customer: '',
+        internal: input.note || '',
+      },
+    });
+    if (capturedAt) {
+      order.createdAt = capturedAt;
+    }
+
+    try {
+      await inventoryService.reserveOrderItems(order, { user: user?._id });
+    } catch (error) {
+      if (!offline) throw error;
+      const shortfall = `Stock could not be taken for this offline sale: ${error.message}`;
+      order.notes.internal = order.notes.internal ? `${order.notes.internal}\n\n${shortfall}` : shortfall;
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await inventoryService.releaseOrderItems(order, { user: user?._id });
+
+      // The same sale uploaded twice at once
+      if (error.code === 11000 && clientRef) {
+        const existing = await this.findSale(store, clientRef);
+        if (existing) return { order: existing, duplicate: true };
+      }
+      throw error;
+    }
+
+    return { order, duplicate: false };
+  }
+
+  /**
+   * Record sales rung up while the till was offline. Each sale is recorded on
+   * its own, so one bad sale does not hold up the rest.
+   */
+  async syncSales(store, session, sales, { user } = {}) {
+    this.assertOpen(session);
+
+    if (!Array.isArray(sales) || sales.length === 0) {
+      throw new ValidationError('No sales to upload');
+    }
+    if (sales.length > MAX_OFFLINE_SALES) {
+      throw new ValidationError(`Upload at most ${MAX_OFFLINE_SALES} sales at a time`);
+    }
+
+    const results = [];
+    for (const sale of sales) {
+      try {
+        const { order, duplicate } = await this.sell(store, session, sale, { user, offline: true });
+        results.push({
+          clientRef: sale.clientRef,
+          status: duplicate ? 'duplicate' : 'created',
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+        });
+      } catch (error) {
+        results.push({ clientRef: sale.clientRef, status: 'failed', error: error.message });
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return {
+      results,
+      created: count('created'),
+      duplicates: count('duplicate'),
+      failed: count('failed'),
+    };
+  }
+
+  async openSession(store, { register, openingFloat = 0, note }, user) {
+    const session = new RegisterSession({
+      storeId: store._id,
+      register: String(register || '').trim() || 'Main',
+      openingFloat: this.parseAmount(openingFloat, 'Opening float', { allowZero: true }),
+      openedBy: user?._id,
+      note,
+    });
+
+    try {
+      await session.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`Register ${session.register} already has an open session; close it first`, 409);
+      }
+      throw error;
+    }
+
+    return session;
+  }
+
+  async moveCash(session, { type, amount, reason }, user) {
+    this.assertOpen(session);
+
+    if (!['in', 'out'].includes(type)) {
+      throw new ValidationError('Cash movement type must be in or out');
+    }
+    const value = this.parseAmount(amount, 'Amount');
+
+    if (type === 'out') {
+      const { cash } = await this.buildReport(session);
+      if (value > cash.expected) {
+        throw new ValidationError(`The drawer should only hold ${cash.expected}`);
+      }
+    }
+
+    session.cashMovements.push({ type, amount: value, reason, by: user?._id, at: new Date() });
+    await session.save();
+    return session;
+  }
+
+  /**
+   * Sales, takings by tender and the cash the drawer should hold. Open
+   * sessions get a running (X) report; closing one fixes it as the Z-report.
+   */
+  async buildReport(session) {
+    const orders = await Order.find(
+      { storeId: session.storeId, 'pos.sessionId': session._id },
+      'pricing items.quantity pos'
+    ).lean();
+
+    const tenders = { cash: 0, card: 0, transfer: 0 };
+    let changeGiven = 0;
+    for (const order of orders) {
+      for (const tender of order.pos.tenders || []) {
+        tenders[tender.method] += tender.amount;
+      }
+      changeGiven += order.pos.change || 0;
+    }
+    tenders.cash -= changeGiven;
+
+    const sumMovements = (type) => session.cashMovements
+      .filter(movement => movement.type === type)
+      .reduce((sum, movement) => sum + movement.amount, 0);
+    const cashIn = roundAmount(sumMovements('in'));
+    const cashOut = roundAmount(sumMovements('out'));
+    const sum = (field) => roundAmount(orders.reduce((total, order) => total + (order.pricing[field] || 0), 0));
+
+    return {
+      generatedAt: new Date(),
+      sales: {
+        count: orders.length,
+        offline: orders.filter(order => order.pos.offline).length,
+        units: orders.reduce((total, order) => total + order.items.reduce((units, item) => units + item.quantity, 0), 0),
+        subtotal: sum('subtotal'),
+        tax: sum('tax'),
+        total: sum('total'),
+      },
+      tenders: {
+        cash: roundAmount(tenders.cash),
+        card: roundAmount(tenders.card),
+        transfer: roundAmount(tenders.transfer),
+      },
+      changeGiven: roundAmount(changeGiven),
+      cash: {
+        openingFloat: session.openingFloat,
+        sales: roundAmount(tenders.cash),
+        cashIn,
+        cashOut,
+        expected: roundAmount(session.openingFloat + tenders.cash + cashIn - cashOut),
+      },
+    };
+  }
+
+  // End the day: count the drawer and fix the Z-report
+  async closeSession(session, { countedCash, note }, user) {
+    this.assertOpen(session);
+
+    const counted = this.parseAmount(countedCash, 'Counted cash', { allowZero: true });
+    const report = await this.buildReport(session);
+    report.cash.counted = counted;
+    report.cash.variance = roundAmount(counted - report.cash.expected);
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    session.closedBy = user?._id;
+    session.countedCash = counted;
+    if (note) session.note = session.note ? `${session.note}\n\n${note}` : note;
+    session.report = report;
+
+    await session.save();
+    return session;
+  }
+
+  // What the till prints, or the customer is emailed, for a sale
+  toReceipt(order, store) {
+    return {
+      store: {
+        name: store.name,
+        address: store.address,
+        phone: store.whatsappNumber,
+      },
+      orderNumber: order.orderNumber,
+      date: order.pos?.capturedAt || order.createdAt,
+      register: order.pos?.register,
+      customer: order.customer?.name,
+      items: order.items.map(item => ({
+        name: item.productSnapshot?.name,
+        variant: item.variantSnapshot?.name,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+      })),
+      subtotal: order.pricing.subtotal,
+      tax: order.pricing.tax,
+      total: order.pricing.total,
+      currency: order.pricing.currency,
+      tenders: order.pos?.tenders || [],
+      tendered: order.pos?.tendered,
+      change: order.pos?.change || 0,
+      invoiceUrl: invoiceUrl(order),
+    };
+  }
+
+  async emailReceipt(store, order, { email } = {}) {
+    if (email) {
+      order.customer.email = String(email).toLowerCase().trim();
+      await order.save();
+    }
+    if (!order.customer?.email) {
+      throw new ValidationError('An email address is required to send the receipt');
+    }
+
+    await notificationService.notify('posReceipt', {
+      store,
+      order,
+      extra: { invoiceUrl: invoiceUrl(order), receipt: this.toReceipt(order, store) },
+    });
+  }
+}
+
+module.exports = new PosService();
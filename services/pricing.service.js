@@ -0,0 +1,321 @@
+const Product = require('../models/product.model');
+const discountService = require('./discount.service');
+const VariantUtils = require('../utils/variant.utils');
+const { AppError } = require('../middleware/error.middleware');
+
+// Client totals within this amount of the server quote are treated as rounding differences
+const PRICE_TOLERANCE = 1;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const readOption = (options, name) => {
+  if (!options || !name) return undefined;
+  if (options instanceof Map) return options.get(name);
+  return options[name];
+};
+
+class PricingService {
+  /**
+   * Price cart items from the catalog: variant price plus option price adjustments.
+   * Client-sent prices are never used here.
+   *
+   * @param {Object} store - Store the cart belongs to
+   * @param {Array} items - Cart items ({ productId, variantId, variantSku, quantity, options })
+   * @param {ClientSession} [session] - Mongo session when running inside a transaction
+   * @returns {Promise<Array>} Priced lines with the loaded product and variant
+   */
+  async priceItems(store, items = [], session) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError('Order items are required', 400);
+    }
+
+    const lines = [];
+
+    for (const item of items) {
+      const product = await Product.findOne({ _id: item.productId, businessId: store._id })
+        .session(session || null);
+      if (!product) {
+        throw new AppError(`Product ${item.productId} not found`, 404);
+      }
+
+      const quantity = parseInt(item.quantity);
+      if (!quantity || quantity < 1) {
+        throw new AppError(`Invalid quantity for ${product.name}`, 400);
+      }
+
+      let { variantDoc, resolvedVariantId, variantSkuFromInput } = VariantUtils.resolveVariantSelection(product, item);
+
+      // Stock is kept per variant, so a product with variants needs one picked
+      if (!variantDoc && product.variants?.length === 1) {
+        variantDoc = product.variants[0];
+        resolvedVariantId = variantDoc._id;
+      } else if (!variantDoc && product.variants?.length > 1) {
+        throw new AppError(`Please choose a variant for ${product.name}`, 400);
+      }
+      const basePrice = VariantUtils.getCatalogPrice(product, variantDoc);
+      const optionAdjustments = this.resolveOptionAdjustments(product, variantDoc, item.options);
+
+      const unitPrice = roundAmount(
+        basePrice + optionAdjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0)
+      );
+
+      if (isNaN(unitPrice) || unitPrice <= 0) {
+        throw new AppError(`Invalid unit price for product ${product.name}`, 400);
+      }
+
+      lines.push({
+        item,
+        product,
+        variantDoc,
+        resolvedVariantId,
+        variantSkuFromInput,
+        quantity,
+        basePrice,
+        optionAdjustments,
+        unitPrice,
+        totalPrice: roundAmount(unitPrice * quantity),
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Shape priced lines for discount evaluation
+   */
+  toDiscountLines(lines) {
+    return lines.map(line => ({
+      product: line.product._id,
+      category: line.product.category,
+      totalPrice: line.totalPrice,
+    }));
+  }
+
+  /**
+   * Work out option price adjustments from the product's option definitions.
+   * Options the chosen variant already fixes are priced by the variant, not adjusted again.
+   */
+  resolveOptionAdjustments(product, variantDoc, selectedOptions) {
+    const adjustments = [];
+
+    for (const option of product.options || []) {
+      if (variantDoc && readOption(variantDoc.options, option.name) !== undefined) {
+        continue;
+      }
+
+      const selected = readOption(selectedOptions, option.name);
+      if (selected === undefined || selected === null || selected === '') {
+        if (option.required) {
+          throw new AppError(`${option.name} is required for ${product.name}`, 400);
+        }
+        continue;
+      }
+
+      const value = (option.values || []).find(v => v.name === selected);
+      if (!value) {
+        throw new AppError(`Invalid ${option.name} "${selected}" for ${product.name}`, 400);
+      }
+
+      if (value.price_adjustment) {
+        adjustments.push({
+          option: option.name,
+          value: value.name,
+          amount: value.price_adjustment,
+        });
+      }
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Resolve the shipping cost from the store's configured delivery locations
+   */
+  resolveShipping(store, delivery = {}) {
+    const method = delivery?.method || 'pickup';
+    if (method === 'pickup') {
+      return { method, cost: 0, location: null };
+    }
+
+    const locations = store.checkoutOptions?.productDelivery?.deliveryLocations || [];
+    if (!locations.length) {
+      return { method, cost: 0, location: null };
+    }
+
+    const requestedName = delivery.locationName || delivery.zone ||
+      (typeof delivery.location === 'string' ? delivery.location : delivery.location?.name);
+
+    let location = requestedName
+      ? locations.find(l => l.name?.toLowerCase() === String(requestedName).toLowerCase())
+      : null;
+
+    // Older storefronts only send the fee of the location the customer picked
+    if (!location && !requestedName && delivery.fee !== undefined) {
+      location = locations.find(l => Number(l.price) === Number(delivery.fee));
+    }
+
+    if (!location) {
+      throw new AppError('Please choose a valid delivery location', 400);
+    }
+
+    return { method, cost: Number(location.price) || 0, location: location.name };
+  }
+
+  /**
+   * Tax on taxable lines, using the store's checkout tax settings
+   */
+  calculateTax(store, lines) {
+    const taxSettings = store.checkoutOptions?.tax;
+    if (!taxSettings?.enabled || !taxSettings.rate) return 0;
+
+    const taxableSubtotal = lines
+      .filter(line => line.product.taxable !== false)
+      .reduce((sum, line) => sum + line.totalPrice, 0);
+
+    return roundAmount(taxableSubtotal * (taxSettings.rate / 100));
+  }
+
+  /**
+   * Build the full quote for a cart: lines, subtotal, tax, shipping, discount and total
+   *
+   * @param {Object} params
+   * @param {Object} params.store - Store the cart belongs to
+   * @param {Array} params.items - Cart items
+   * @param {Object} [params.delivery] - Delivery choice ({ method, locationName, fee })
+   * @param {string} [params.discountCode] - Discount code entered by the customer
+   * @param {string} [params.customerEmail] - Customer email, for discount limits and conditions
+   * @param {ClientSession} [params.session] - Mongo session when running inside a transaction
+   */
+  async buildQuote({ store, items, delivery, discountCode, customerEmail, session }) {
+    const lines = await this.priceItems(store, items, session);
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+    const shipping = this.resolveShipping(store, delivery);
+    const tax = this.calculateTax(store, lines);
+
+    let discountEvaluation = null;
+    if (discountCode) {
+      discountEvaluation = await discountService.evaluate({
+        store,
+        code: discountCode,
+        lines: this.toDiscountLines(lines),
+        shippingCost: shipping.cost,
+        customerEmail,
+        session,
+      });
+    }
+
+    const discount = discountEvaluation ? discountEvaluation.appliedAmount : 0;
+    const total = roundAmount(subtotal + tax + shipping.cost - discount);
+
+    return {
+      lines,
+      subtotal,
+      tax,
+      shipping,
+      discount,
+      discountEvaluation,
+      total,
+      currency: store.currency || 'NGN',
+    };
+  }
+
+  /**
+   * Compare the numbers a client showed the customer against the server quote.
+   * Only values the client actually sent are compared.
+   * @returns {Array<{field: string, client: number, server: number}>} Differences found
+   */
+  findClientMismatches(quote, { items = [], subtotal, total } = {}) {
+    const mismatches = [];
+    const differs = (client, server) => Math.abs(Number(client) - server) > PRICE_TOLERANCE;
+
+    quote.lines.forEach((line, index) => {
+      const clientPrice = items[index]?.price;
+      if (clientPrice !== undefined && clientPrice !== null && differs(clientPrice, line.unitPrice)) {
+        mismatches.push({ field: `items[${index}].price`, client: Number(clientPrice), server: line.unitPrice });
+      }
+    });
+
+    if (subtotal !== undefined && subtotal !== null && differs(subtotal, quote.subtotal)) {
+      mismatches.push({ field: 'subtotal', client: Number(subtotal), server: quote.subtotal });
+    }
+
+    if (total !== undefined && total !== null && differs(total, quote.total)) {
+      mismatches.push({ field: 'total', client: Number(total), server: quote.total });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Shape a quote for API responses
+   */
+  toPublicQuote(quote) {
+    return {
+      items: quote.lines.map(line => ({
+        productId: line.product._id,
+        variantId: line.resolvedVariantId,
+        name: line.product.name,
+        variantSku: line.variantDoc?.sku || line.variantSkuFromInput || null,
+        quantity: line.quantity,
+        basePrice: line.basePrice,
+        optionAdjustments: line.optionAdjustments,
+        unitPrice: line.unitPrice,
+        totalPrice: line.totalPrice,
+      })),
+      subtotal: quote.subtotal,
+      tax: quote.tax,
+      shipping: {
+        method: quote.shipping.method,
+        location: quote.shipping.location,
+        cost: quote.shipping.cost,
+      },
+      discount: quote.discountEvaluation
+        ? {
+          code: quote.discountEvaluation.discount.code,
+          type: quote.discountEvaluation.discount.type,
+          appliedAmount: quote.discount,
+        }
+        : null,
+      total: quote.total,
+      currency: quote.currency,
+    };
+  }
+
+  /**
+   * Build an order item from a priced quote line
+   */
+  toOrderItem(line) {
+    const { item, product, variantDoc, resolvedVariantId, variantSkuFromInput } = line;
+
+    const shouldIncludeVariantSnapshot = Boolean(
+      resolvedVariantId ||
+      item.variantId ||
+      item.variantName ||
+      item.variantAttributes ||
+      item.options ||
+      variantSkuFromInput
+    );
+
+    return {
+      product: product._id,
+      productSnapshot: {
+        name: product.name,
+        description: product.description,
+        images: product.images,
+        sku: product.sku,
+      },
+      variant: resolvedVariantId || null,
+      variantSnapshot: shouldIncludeVariantSnapshot ? {
+        name: item.variantName || variantDoc?.name || variantDoc?.sku || variantSkuFromInput || 'Variant',
+        sku: variantDoc?.sku || variantSkuFromInput,
+        attributes: item.variantAttributes || item.options || variantDoc?.options || {},
+      } : null,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      totalPrice: line.totalPrice,
+      options: item.options || {},
+    };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,543 @@
+const Order = require('../models/order.model');
+const ReturnRequest = require('../models/return-request.model');
+const inventoryService = require('./inventory.service');
+const notificationService = require('./notification.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+// Requests still holding units of an order item
+const OPEN_STATUSES = ['requested', 'approved'];
+
+// Orders without shipments can be returned once they reach one of these
+const RETURNABLE_ORDER_STATUSES = ['partially_delivered', 'delivered', 'partially_refunded'];
+
+const MAX_PHOTOS = 5;
+
+const itemName = (item) => [item.productSnapshot?.name || 'Product', item.variantSnapshot?.name]
+  .filter(Boolean)
+  .join(' - ');
+
+const prettyStatus = (status = '') => status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
+
+class ReturnService {
+  /**
+   * Units of each order item the customer can still send back: what was
+   * delivered, less what already came back and what open requests cover
+   */
+  async getReturnableQuantities(order) {
+    const openRequests = await ReturnRequest.find({ orderId: order._id, status: { $in: OPEN_STATUSES } }, 'items');
+    const pending = new Map();
+    for (const request of openRequests) {
+      for (const { itemId, quantity } of request.items) {
+        pending.set(itemId.toString(), (pending.get(itemId.toString()) || 0) + quantity);
+      }
+    }
+
+    const shipped = order.shipments?.length ? order.getShipmentQuantities() : null;
+    const fullyDelivered = RETURNABLE_ORDER_STATUSES.includes(order.status);
+    const returnable = new Map();
+
+    for (const item of order.items) {
+      const key = item._id.toString();
+      const delivered = shipped ? shipped.get(key).delivered : (fullyDelivered ? item.quantity : 0);
+      returnable.set(key, Math.max(delivered - (item.returnedQuantity || 0) - (pending.get(key) || 0), 0));
+    }
+
+    return returnable;
+  }
+
+  async parseRequestItems(order, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('items must list at least one order item to return');
+    }
+
+    const returnable = await this.getReturnableQuantities(order);
+    const requested = new Map();
+
+    for (const { itemId, quantity, reason, note } of items) {
+      const key = String(itemId || '');
+      const item = returnable.has(key) && order.items.id(key);
+      if (!item) {
+        throw new ValidationError(`Item ${key} is not on this order`);
+      }
+      if (!ReturnRequest.REASONS.includes(reason)) {
+        throw new ValidationError(`reason must be one of: ${ReturnRequest.REASONS.join(', ')}`);
+      }
+
+      const units = Number(quantity);
+      if (!Number.isInteger(units) || units < 1) {
+        throw new ValidationError('Each returned item needs a whole quantity of 1 or more');
+      }
+      if ((requested.get(key)?.quantity || 0) + units > returnable.get(key)) {
+        throw new ValidationError(`Only ${returnable.get(key)} of "${itemName(item)}" can be returned`);
+      }
+
+      requested.set(key, {
+        itemId: item._id,
+        name: itemName(item),
+        unitPrice: item.unitPrice,
+        quantity: (requested.get(key)?.quantity || 0) + units,
+        reason,
+        note: note ? String(note).trim() : requested.get(key)?.note,
+      });
+    }
+
+    return [...requested.values()];
+  }
+
+  /**
+   * Open a return against an order. Customers open them from their invoice
+   * link, merchants from the dashboard.
+   */
+  async open(order, { items, photos = [], note }, { openedBy, user, store }) {
+    if (!order.shipments?.some(shipment => shipment.status === 'delivered') && !RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError('Items can only be returned once they have been delivered', 409);
+    }
+
+    const photoUrls = (Array.isArray(photos) ? photos : [photos]).filter(Boolean);
+    if (photoUrls.length > MAX_PHOTOS) {
+      throw new ValidationError(`A return can have at most ${MAX_PHOTOS} photos`);
+    }
+    if (photoUrls.some(url => !/^https?:\/\//i.test(url))) {
+      throw new ValidationError('photos must be image URLs');
+    }
+
+    const count = await ReturnRequest.countDocuments({ orderId: order._id });
+
+    const request = await ReturnRequest.create({
+      storeId: order.storeId,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      rmaNumber: `${order.orderNumber}-R${count + 1}`,
+      customer: {
+        name: order.customer?.name,
+        email: order.customer?.email,
+        phone: order.customer?.phone,
+      },
+      openedBy,
+      items: await this.parseRequestItems(order, items),
+      photos: photoUrls,
+      note: note ? String(note).trim() : undefined,
+      timeline: [{
+        status: 'requested',
+        timestamp: new Date(),
+        note: openedBy === 'customer' ? 'Return requested by the customer' : 'Return opened by the store',
+        updatedBy: user?._id,
+      }],
+    });
+
+    await this.notify('returnRequested', store, order, request);
+    return request;
+  }
+
+  /**
+   * Move a request to a new status, guarded on the status it was read in so two
+   * people acting on it at once cannot both succeed
+   */
+  async transition(request, status, { note, user, set = {} } = {}) {
+    ReturnRequest.statusMachine.assertTransition(request.status, status);
+
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status },
+      {
+        $set: { status, ...set },
+        $push: { timeline: { status, timestamp: new Date(), note: note || `Return ${status}`, updatedBy: user?._id } },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('This return was updated by someone else at the same time. Reload it and try again.', 409);
+    }
+    return updated;
+  }
+
+  // Put a claimed request back where it was when the work after the claim fails
+  async revert(request, status) {
+    await ReturnRequest.updateOne({ _id: request._id }, { $set: { status }, $pop: { timeline: 1 } }).catch(error => {
+      console.error(`Failed to revert return ${request.rmaNumber} to ${status}:`, error);
+    });
+  }
+
+  async approve(request, { note, user, store, order }) {
+    const updated = await this.transition(request, 'approved', {
+      note: note || 'Return approved',
+      user,
+      set: { 'review.reviewedBy': user?._id, 'review.reviewedAt': new Date() },
+    });
+
+    await this.notify('returnUpdated', store, order, updated);
+    return updated;
+  }
+
+  async reject(request, { reason, user, store, order }) {
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationError('A reason is required to reject a return');
+    }
+
+    const updated = await this.transition(request, 'rejected', {
+      note: `Return rejected: ${String(reason).trim()}`,
+      user,
+      set: {
+        'review.reason': String(reason).trim(),
+        'review.reviewedBy': user?._id,
+        'review.reviewedAt': new Date(),
+      },
+    });
+
+    await this.notify('returnUpdated', store, order, updated);
+    return updated;
+  }
+
+  async cancel(request, { note, user, store, order }) {
+    const updated = await this.transition(request, 'cancelled', { note: note || 'Return cancelled', user });
+
+    await this.notify('returnUpdated', store, order, updated);
+    return updated;
+  }
+
+  /**
+   * Record what came back and in what condition. Restocked units go back into
+   * inventory; written-off units do not. Items left out were not received.
+   */
+  async receive(request, order, { items, user, store }) {
+    ReturnRequest.statusMachine.assertTransition(request.status, 'received');
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('items must list what was received');
+    }
+
+    const received = new Map();
+    for (const { itemId, quantity, condition } of items) {
+      const key = String(itemId || '');
+      const line = request.items.find(entry => entry.itemId.toString() === key);
+      if (!line) {
+        throw new ValidationError(`Item ${key} is not on this return`);
+      }
+      if (!['restock', 'write_off'].includes(condition)) {
+        throw new ValidationError('condition must be either restock or write_off');
+      }
+
+      const units = quantity === undefined ? line.quantity : Number(quantity);
+      if (!Number.isInteger(units) || units < 0 || units > line.quantity) {
+        throw new ValidationError(`Received quantity for "${line.name}" must be between 0 and ${line.quantity}`);
+      }
+
+      received.set(key, { quantity: units, condition });
+    }
+
+    if (![...received.values()].some(entry => entry.quantity > 0)) {
+      throw new ValidationError('At least one unit has to be received');
+    }
+
+    const receivedItems = request.items.map(line => {
+      const entry = received.get(line.itemId.toString());
+      return {
+        ...line.toObject(),
+        receivedQuantity: entry?.quantity || 0,
+        condition: entry?.condition,
+      };
+    });
+
+    const updated = await this.transition(request, 'received', {
+      note: 'Returned items received',
+      user,
+      set: { items: receivedItems, receivedAt: new Date(), receivedBy: user?._id },
+    });
+
+    let restocked = [];
+    let orderSaved = false;
+    try {
+      const restockQuantities = {};
+      for (const line of updated.items) {
+        const item = order.items.id(line.itemId);
+        if (!item || !line.receivedQuantity) continue;
+
+        item.returnedQuantity = (item.returnedQuantity || 0) + line.receivedQuantity;
+        if (line.condition === 'restock') {
+          restockQuantities[item._id.toString()] = line.receivedQuantity;
+        }
+      }
+
+      if (Object.keys(restockQuantities).length) {
+        restocked = await inventoryService.restockOrder(order, {
+          quantities: restockQuantities,
+          type: 'return',
+          user: user?._id,
+          note: `Return ${request.rmaNumber}`,
+        });
+      }
+
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Return ${request.rmaNumber} received`,
+        updatedBy: user?._id,
+      });
+      await order.save();
+      orderSaved = true;
+
+      for (const line of updated.items) {
+        line.restockedQuantity = restocked.find(entry => entry.itemId.equals(line.itemId))?.quantity || 0;
+      }
+      await updated.save();
+    } catch (error) {
+      // Take the stock back out and set the order back, so receiving again counts the units once
+      await inventoryService.undoRestock(order, restocked, {
+        user: user?._id,
+        note: `Return ${request.rmaNumber} could not be received`,
+      });
+      if (orderSaved) {
+        await this.undoReceivedOnOrder(order, updated, user);
+      }
+      await this.revert(updated, request.status);
+      throw error;
+    }
+
+    await this.notify('returnUpdated', store, order, updated);
+    return updated;
+  }
+
+  // The order was saved with a refund or exchange but the return was not; link the return to it
+  async linkResolution(request, set) {
+    await ReturnRequest.updateOne({ _id: request._id }, { $set: set }).catch(error => {
+      console.error(`Failed to link return ${request.rmaNumber} to its resolution:`, error);
+    });
+  }
+
+  // The order was saved as received but the return was not; set its returned quantities back
+  async undoReceivedOnOrder(order, request, user) {
+    for (const line of request.items) {
+      const item = order.items.id(line.itemId);
+      if (item && line.receivedQuantity) {
+        item.returnedQuantity = Math.max((item.returnedQuantity || 0) - line.receivedQuantity, 0);
+      }
+    }
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Return ${request.rmaNumber} could not be received`,
+      updatedBy: user?._id,
+    });
+
+    await order.save().catch(error => {
+      console.error(`Failed to set order ${order._id} back after return ${request.rmaNumber}:`, error);
+    });
+  }
+
+  // What the received units were bought for
+  getReceivedValue(request) {
+    return request.items.reduce((sum, line) => sum + (line.unitPrice || 0) * (line.receivedQuantity || 0), 0);
+  }
+
+  getRefundItems(request) {
+    return request.items
+      .filter(line => line.receivedQuantity > 0)
+      .map(line => ({ itemId: line.itemId, quantity: line.receivedQuantity, restockedQuantity: line.restockedQuantity }));
+  }
+
+  /**
+   * Refund a received return. The amount defaults to what the received units
+   * cost, capped at what is left to refund, and is recorded in the order's
+   * payment.refunds with a link back to the return.
+   */
+  async refund(request, order, { amount, method = 'original', note, user, store }) {
+    ReturnRequest.statusMachine.assertTransition(request.status, 'refunded');
+
+    if (!order.canBeRefunded()) {
+      throw new AppError('Order is not eligible for refund', 409);
+    }
+
+    const balance = order.calculateRefundAmount();
+    const value = amount === undefined || amount === null || amount === ''
+      ? Math.min(this.getReceivedValue(request), balance)
+      : Number(amount);
+
+    if (!value || isNaN(value) || value <= 0) {
+      throw new ValidationError('Refund amount must be greater than zero');
+    }
+    if (value > balance) {
+      throw new ValidationError(`Refund amount cannot exceed ${balance}`);
+    }
+
+    const updated = await this.transition(request, 'refunded', {
+      note: `Refunded ${value}`,
+      user,
+      set: {
+        resolution: { type: 'refund', amount: value, method, note, resolvedBy: user?._id, resolvedAt: new Date() },
+      },
+    });
+
+    let orderSaved = false;
+    try {
+      const refund = order.recordRefund({
+        amount: value,
+        reason: `Return ${request.rmaNumber}${note ? ` - ${note}` : ''}`,
+        method,
+        processedBy: user?._id,
+        items: this.getRefundItems(updated),
+        returnId: request._id,
+      });
+      await order.save();
+      orderSaved = true;
+
+      updated.resolution.refundId = refund._id;
+      await updated.save();
+    } catch (error) {
+      // Once the order holds the refund the return stays refunded, so it is never refunded twice
+      if (!orderSaved) {
+        await this.revert(updated, request.status);
+        throw error;
+      }
+      await this.linkResolution(updated, { 'resolution.refundId': updated.resolution.refundId });
+    }
+
+    await this.notify('returnUpdated', store, order, updated);
+    return updated;
+  }
+
+  /**
+   * Settle a received return by sending the same items again: a new order at
+   * no charge that ships like any other. The original order's payment.refunds
+   * gets a zero-amount exchange entry linking the return and the new order.
+   */
+  async exchange(request, order, { note, user, store }) {
+    ReturnRequest.statusMachine.assertTransition(request.status, 'exchanged');
+
+    const lines = request.items.filter(line => line.receivedQuantity > 0);
+    const items = lines.map(line => {
+      const item = order.items.id(line.itemId);
+      return {
+        custom: item.custom,
+        product: item.product,
+        productSnapshot: item.productSnapshot,
+        variant: item.variant,
+        variantSnapshot: item.variantSnapshot,
+        options: item.options,
+        quantity: line.receivedQuantity,
+        unitPrice: item.unitPrice,
+        totalPrice: item.unitPrice * line.receivedQuantity,
+      };
+    });
+    const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+    const original = order.toObject();
+
+    const replacement = new Order({
+      businessId: order.businessId,
+      storeId: order.storeId,
+      customer: original.customer,
+      items,
+      pricing: { subtotal, tax: 0, shipping: 0, discount: subtotal, total: 0, currency: order.pricing?.currency },
+      discount: { code: 'EXCHANGE', type: 'fixed', amount: subtotal, appliedAmount: subtotal },
+      shipping: { method: original.shipping?.method, address: original.shipping?.address, cost: 0 },
+      payment: { method: order.payment.method, status: 'completed', amount: 0, currency: order.payment.currency },
+      status: 'confirmed',
+      source: 'admin',
+      notes: { internal: `Exchange for order #${order.orderNumber}, return ${request.rmaNumber}` },
+      metadata: { exchangeFor: order._id, returnId: request._id },
+    });
+
+    const updated = await this.transition(request, 'exchanged', {
+      note: note || 'Items exchanged',
+      user,
+      set: {
+        resolution: { type: 'exchange', amount: 0, note, resolvedBy: user?._id, resolvedAt: new Date() },
+      },
+    });
+
+    let reserved = false;
+    let orderSaved = false;
+    try {
+      await inventoryService.reserveOrderItems(replacement, { user: user?._id });
+      reserved = true;
+      await replacement.save();
+
+      order.payment.refunds.push({
+        amount: 0,
+        reason: `Return ${request.rmaNumber} exchanged`,
+        method: 'exchange',
+        processedAt: new Date(),
+        processedBy: user?._id,
+        items: this.getRefundItems(updated),
+        returnId: request._id,
+        metadata: { exchangeOrderId: replacement._id.toString() },
+      });
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Return ${request.rmaNumber} exchanged - replacement order #${replacement.orderNumber}`,
+        updatedBy: user?._id,
+      });
+      await order.save();
+      orderSaved = true;
+
+      updated.resolution.refundId = order.payment.refunds[order.payment.refunds.length - 1]._id;
+      updated.resolution.exchangeOrderId = replacement._id;
+      await updated.save();
+    } catch (error) {
+      // Once the order holds the exchange the replacement stands and the return stays exchanged
+      if (orderSaved) {
+        await this.linkResolution(updated, {
+          'resolution.refundId': updated.resolution.refundId,
+          'resolution.exchangeOrderId': replacement._id,
+        });
+      } else {
+        // Otherwise remove the replacement so exchanging again does not send the items twice
+        if (!replacement.isNew) {
+          await Order.deleteOne({ _id: replacement._id }).catch(deleteError => {
+            console.error(`Failed to delete replacement order ${replacement._id} for return ${request.rmaNumber}:`, deleteError);
+          });
+        }
+        if (reserved) {
+          await inventoryService.releaseOrderItems(replacement, { user: user?._id });
+        }
+        await this.revert(updated, request.status);
+        throw error;
+      }
+    }
+
+    await this.notify('returnUpdated', store, order, updated, { exchangeOrderNumber: replacement.orderNumber });
+    return { returnRequest: updated, exchangeOrder: replacement };
+  }
+
+  getEmailContext(request, extra = {}) {
+    return {
+      returnRequest: {
+        rmaNumber: request.rmaNumber,
+        status: request.status,
+        statusText: prettyStatus(request.status),
+        isRequested: request.status === 'requested',
+        isApproved: request.status === 'approved',
+        isRejected: request.status === 'rejected',
+        isReceived: request.status === 'received',
+        isRefunded: request.status === 'refunded',
+        isExchanged: request.status === 'exchanged',
+        isCancelled: request.status === 'cancelled',
+        openedBy: request.openedBy,
+        note: request.note,
+        rejectionReason: request.review?.reason,
+        items: request.items.map(line => ({
+          name: line.name,
+          quantity: line.quantity,
+          receivedQuantity: line.receivedQuantity,
+          reason: prettyStatus(line.reason),
+        })),
+        resolution: request.resolution?.type ? {
+          type: request.resolution.type,
+          amount: request.resolution.amount,
+          exchangeOrderNumber: extra.exchangeOrderNumber,
+        } : null,
+      },
+    };
+  }
+
+  async notify(event, store, order, request, extra) {
+    try {
+      await notificationService.notify(event, { store, order, extra: this.getEmailContext(request, extra) });
+    } catch (error) {
+      console.error(`Failed to send ${event} notification for return ${request.rmaNumber}:`, error);
+    }
+  }
+}
+
+module.exports = new ReturnService();
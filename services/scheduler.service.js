@@ -0,0 +1,66 @@
+class SchedulerService {
+  constructor() {
+    this.tasks = new Map();
+    this.timers = [];
+  }
+
+  /**
+   * Register a recurring background task
+   * @param {string} name - Task name, also used by the cron endpoint
+   * @param {number} intervalMs - How often the task runs while the scheduler is started
+   * @param {Function} handler - Async function receiving the current date
+   */
+  register(name, intervalMs, handler) {
+    this.tasks.set(name, { name, intervalMs, handler, running: false });
+  }
+
+  has(name) {
+    return this.tasks.has(name);
+  }
+
+  /**
+   * Run a task once. A task that is still running from a previous tick is skipped.
+   */
+  async run(name) {
+    const task = this.tasks.get(name);
+    if (!task) {
+      throw new Error(`Unknown scheduled task: ${name}`);
+    }
+
+    if (task.running) {
+      return { skipped: true };
+    }
+
+    task.running = true;
+    try {
+      return await task.handler(new Date());
+    } finally {
+      task.running = false;
+    }
+  }
+
+  /**
+   * Start running every registered task on its interval (long-running servers only;
+   * serverless deployments trigger tasks through the cron endpoint instead)
+   */
+  start() {
+    this.stop();
+
+    for (const task of this.tasks.values()) {
+      const timer = setInterval(() => {
+        this.run(task.name).catch(error => {
+          console.error(`Scheduled task ${task.name} failed:`, error);
+        });
+      }, task.intervalMs);
+      timer.unref();
+      this.timers.push(timer);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const notificationService = require('./notification.service');
+const { AppError } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+
+// Order statuses that can take a new shipment or ship a packed one
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'partially_shipped', 'shipped', 'partially_delivered'];
+
+// Statuses that shipments set; changing them by hand would disagree with the shipments
+const SHIPMENT_ORDER_STATUSES = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+const TRACKING_FIELDS = ['carrier', 'trackingNumber', 'trackingUrl', 'note'];
+
+const itemName = (item) => [item.productSnapshot?.name || 'Product', item.variantSnapshot?.name]
+  .filter(Boolean)
+  .join(' - ');
+
+class ShipmentService {
+  get orderStatuses() {
+    return SHIPMENT_ORDER_STATUSES;
+  }
+
+  /**
+   * Every line item with how many units are in shipments, shipped, delivered
+   * and still to be put in a shipment
+   */
+  getSummary(order) {
+    const quantities = order.getShipmentQuantities();
+
+    return {
+      status: order.status,
+      items: order.items.map(item => {
+        const entry = quantities.get(item._id.toString());
+        return {
+          itemId: item._id,
+          name: itemName(item),
+          sku: item.variantSnapshot?.sku || item.productSnapshot?.sku,
+          ...entry,
+          remaining: entry.ordered - entry.allocated,
+        };
+      }),
+      shipments: order.shipments,
+    };
+  }
+
+  findShipment(order, shipmentId) {
+    const shipment = mongoose.Types.ObjectId.isValid(shipmentId) && order.shipments.id(shipmentId);
+    if (!shipment) {
+      throw new AppError('Shipment not found', 404);
+    }
+    return shipment;
+  }
+
+  assertCanShip(order) {
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw Order.statusMachine.transitionError(order.status, 'partially_shipped');
+    }
+  }
+
+  /**
+   * Check the line items asked for against what is left to ship. Without any,
+   * the shipment takes every unit not yet in a shipment.
+   */
+  parseItems(order, items) {
+    const quantities = order.getShipmentQuantities();
+    const remaining = (itemId) => {
+      const entry = quantities.get(itemId);
+      return entry.ordered - entry.allocated;
+    };
+
+    if (items === undefined || items === null || (Array.isArray(items) && items.length === 0)) {
+      const all = order.items
+        .map(item => ({ itemId: item._id, quantity: remaining(item._id.toString()) }))
+        .filter(item => item.quantity > 0);
+
+      if (!all.length) {
+        throw new ValidationError('Every item on this order is already in a shipment');
+      }
+      return all;
+    }
+
+    if (!Array.isArray(items)) {
+      throw new ValidationError('items must be an array of { itemId, quantity }');
+    }
+
+    const requested = new Map();
+    for (const { itemId, quantity } of items) {
+      const key = String(itemId || '');
+      if (!quantities.has(key)) {
+        throw new ValidationError(`Item ${key} is not on this order`);
+      }
+
+      const units = Number(quantity);
+      if (!Number.isInteger(units) || units < 1) {
+        throw new ValidationError('Each shipment item needs a whole quantity of 1 or more');
+      }
+
+      requested.set(key, (requested.get(key) || 0) + units);
+    }
+
+    for (const [key, units] of requested) {
+      if (units > remaining(key)) {
+        const item = order.items.id(key);
+        throw new ValidationError(`Only ${remaining(key)} of "${itemName(item)}" left to ship`);
+      }
+    }
+
+    return [...requested].map(([itemId, quantity]) => ({ itemId, quantity }));
+  }
+
+  pickTracking(fields = {}) {
+    const tracking = {};
+    for (const field of TRACKING_FIELDS) {
+      if (fields[field] !== undefined) tracking[field] = String(fields[field] || '').trim();
+    }
+
+    if (tracking.trackingUrl && !/^https?:\/\//i.test(tracking.trackingUrl)) {
+      throw new ValidationError('trackingUrl must start with http:// or https://');
+    }
+
+    return tracking;
+  }
+
+  async create(order, { items, ship = true, ...fields }, user) {
+    this.assertCanShip(order);
+
+    const now = new Date();
+    const number = Math.max(0, ...order.shipments.map(shipment => shipment.number)) + 1;
+
+    order.shipments.push({
+      number,
+      items: this.parseItems(order, items),
+      status: ship ? 'shipped' : 'packed',
+      ...this.pickTracking(fields),
+      packedAt: now,
+      shippedAt: ship ? now : undefined,
+      createdBy: user?._id,
+    });
+
+    const shipment = order.shipments[order.shipments.length - 1];
+    await this.save(order, shipment, user);
+    return shipment;
+  }
+
+  async update(order, shipmentId, fields) {
+    const shipment = this.findShipment(order, shipmentId);
+
+    if (shipment.status === 'delivered') {
+      throw new AppError(`Shipment #${shipment.number} has been delivered and can no longer be edited`, 409);
+    }
+
+    Object.assign(shipment, this.pickTracking(fields));
+    await this.save(order);
+    return shipment;
+  }
+
+  // Hand a packed shipment to the carrier
+  async ship(order, shipmentId, fields, user) {
+    const shipment = this.findShipment(order, shipmentId);
+
+    if (shipment.status !== 'packed') {
+      throw new AppError(`Shipment #${shipment.number} has already been shipped`, 409);
+    }
+    this.assertCanShip(order);
+
+    Object.assign(shipment, this.pickTracking(fields), { status: 'shipped', shippedAt: new Date() });
+    await this.save(order, shipment, user);
+    return shipment;
+  }
+
+  async deliver(order, shipmentId, { confirmedBy, photo, note } = {}, user) {
+    const shipment = this.findShipment(order, shipmentId);
+
+    if (shipment.status !== 'shipped') {
+      throw new AppError(shipment.status === 'delivered'
+        ? `Shipment #${shipment.number} has already been delivered`
+        : `Shipment #${shipment.number} has to be shipped before it can be delivered`, 409);
+    }
+
+    shipment.status = 'delivered';
+    shipment.deliveredAt = new Date();
+    shipment.delivery = { confirmedBy, photo, note };
+
+    await this.save(order, shipment, user);
+    return shipment;
+  }
+
+  // Only a packed shipment can be removed; its items go back to the unshipped pool
+  async remove(order, shipmentId) {
+    const shipment = this.findShipment(order, shipmentId);
+
+    if (shipment.status !== 'packed') {
+      throw new AppError(`Shipment #${shipment.number} has already been shipped and cannot be removed`, 409);
+    }
+
+    order.shipments.pull(shipment._id);
+    await this.save(order);
+  }
+
+  /**
+   * Move the order to the status its shipments put it in. Refunded orders and
+   * orders marked shipped by hand before they had shipments keep their status.
+   */
+  syncStatus(order) {
+    const status = order.getShipmentStatus();
+    if (status && status !== order.status && order.canTransitionTo(status)) {
+      order.status = status;
+    }
+  }
+
+  /**
+   * Save the order with its shipments, first adding the shipment's step to the
+   * timeline. The version check stops two people shipping the same units.
+   */
+  async save(order, shipment, user) {
+    this.syncStatus(order);
+
+    if (shipment) {
+      const via = shipment.carrier ? ` via ${shipment.carrier}` : '';
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Shipment #${shipment.number} ${shipment.status}${shipment.status === 'delivered' ? '' : via}`,
+        updatedBy: user?._id,
+      });
+    }
+
+    order.increment();
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new AppError('This order was changed at the same time by someone else. Reload it and try again.', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Email context for a shipment: what it carries and what is still to come
+   */
+  getEmailContext(order, shipment) {
+    const quantities = order.getShipmentQuantities();
+    // Once a parcel arrives, anything not yet delivered is still to come
+    const done = shipment.status === 'delivered' ? 'delivered' : 'shipped';
+
+    return {
+      shipment: {
+        number: shipment.number,
+        status: shipment.status,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        trackingUrl: shipment.trackingUrl,
+        delivery: shipment.delivery?.toObject ? shipment.delivery.toObject() : shipment.delivery,
+        items: shipment.items.map(({ itemId, quantity }) => ({
+          name: itemName(order.items.id(itemId) || {}),
+          quantity,
+        })),
+      },
+      remainingItems: order.items
+        .map(item => {
+          const entry = quantities.get(item._id.toString());
+          return { name: itemName(item), quantity: entry.ordered - entry[done] };
+        })
+        .filter(item => item.quantity > 0),
+    };
+  }
+
+  /**
+   * Tell the customer a shipment is on its way or has arrived. Packed
+   * shipments are not announced.
+   */
+  async notify(store, order, shipment) {
+    if (shipment.status === 'packed') return;
+
+    try {
+      await notificationService.notify(
+        shipment.status === 'delivered' ? 'orderShipmentDelivered' : 'orderShipmentShipped',
+        { store, order, extra: this.getEmailContext(order, shipment) }
+      );
+    } catch (error) {
+      console.error(`Failed to send shipment notification for order ${order._id}:`, error);
+    }
+  }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,194 @@
+const Store = require('../models/store.model');
+const User = require('../models/user.model');
+const Product = require('../models/product.model');
+const emailService = require('./email.service');
+const whatsappService = require('./whatsapp.service');
+const TimeUtils = require('../utils/time.utils');
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+const readOptions = (options) => {
+  if (!options) return {};
+  return options instanceof Map ? Object.fromEntries(options) : options;
+};
+
+class StockAlertService {
+  getThreshold(product, variant) {
+    if (typeof variant.lowStockThreshold === 'number') return variant.lowStockThreshold;
+    if (typeof product.lowStockThreshold === 'number') return product.lowStockThreshold;
+    return DEFAULT_THRESHOLD;
+  }
+
+  toAlertItem(product, variant, inventory, threshold) {
+    const options = readOptions(variant.options);
+    const optionLabel = Object.entries(options).map(([name, value]) => `${name}: ${value}`).join(' / ');
+
+    return {
+      productId: product._id,
+      productName: product.name,
+      variantId: variant._id,
+      sku: variant.sku,
+      options,
+      variantLabel: optionLabel || variant.sku || 'Default',
+      inventory,
+      threshold,
+      status: inventory <= 0 ? 'out_of_stock' : 'low_stock',
+    };
+  }
+
+  /**
+   * Called after every stock movement. Sends an instant alert when the movement took
+   * a variant to or below its threshold, or sold it out. Digest stores are picked up
+   * by sendDailyDigests() instead.
+   */
+  async handleMovement({ product, variant, previous, balance }) {
+    const threshold = this.getThreshold(product, variant);
+    const crossedThreshold = previous > threshold && balance <= threshold;
+    const soldOut = previous > 0 && balance <= 0;
+
+    if (!crossedThreshold && !soldOut) return;
+
+    const store = await Store.findById(product.businessId);
+    const settings = store?.inventoryAlerts;
+    if (!store || settings?.enabled === false || settings?.mode === 'daily_digest') return;
+
+    await this.sendAlert(store, [this.toAlertItem(product, variant, balance, threshold)]);
+  }
+
+  /**
+   * Store owner plus managers holding the products permission
+   */
+  async getRecipients(store) {
+    const permissionsFor = (managerId) => {
+      const key = managerId.toString();
+      if (!store.managerPermissions) return [];
+      return (store.managerPermissions.get ? store.managerPermissions.get(key) : store.managerPermissions[key]) || [];
+    };
+
+    const managerIds = (store.managers || []).filter(managerId => permissionsFor(managerId).includes('products'));
+
+    return User.find({ _id: { $in: [store.owner, ...managerIds] } }, 'name email whatsappNumber').lean();
+  }
+
+  /**
+   * Email and/or WhatsApp a list of low-stock items to everyone who manages products
+   */
+  async sendAlert(store, items, { isDigest = false } = {}) {
+    if (!items.length) return;
+
+    const channels = store.inventoryAlerts?.channels || {};
+    const recipients = await this.getRecipients(store);
+    const storeName = store.storeName || store.businessName;
+    const subject = isDigest
+      ? `Daily stock summary - ${storeName}`
+      : `Low stock alert - ${storeName}`;
+
+    const summary = items.slice(0, 5)
+      .map(item => `${item.productName} (${item.variantLabel}): ${item.inventory} left`)
+      .join(', ') + (items.length > 5 ? ` and ${items.length - 5} more` : '');
+
+    const sends = [];
+
+    for (const recipient of recipients) {
+      if (channels.email !== false && recipient.email) {
+        sends.push(emailService.sendEmail(recipient.email, subject, 'low-stock-alert', {
+          recipientName: recipient.name || 'there',
+          storeName,
+          items,
+          isDigest,
+          dashboardUrl: `${process.env.CLIENT_URL}/dashboard/products`,
+          year: new Date().getFullYear(),
+        }));
+      }
+
+      if (channels.whatsapp && recipient.whatsappNumber) {
+        sends.push(whatsappService.sendMessage(recipient.whatsappNumber, 'low_stock_alert', [{
+          type: 'body',
+          parameters: [
+            { type: 'text', text: storeName },
+            { type: 'text', text: summary },
+          ],
+        }]));
+      }
+    }
+
+    const results = await Promise.allSettled(sends);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Failed to send low stock alert:', result.reason));
+  }
+
+  /**
+   * Every variant currently at or below its low-stock threshold, sold-out items first
+   */
+  async getLowStockItems(storeId) {
+    const products = await Product.find(
+      { businessId: storeId, status: { $ne: 'archived' }, 'variants.0': { $exists: true } },
+      'name images status lowStockThreshold variants'
+    ).lean();
+
+    const items = [];
+
+    for (const product of products) {
+      for (const variant of product.variants) {
+        const inventory = variant.inventory || 0;
+        const threshold = this.getThreshold(product, variant);
+        if (inventory <= threshold) {
+          items.push({
+            ...this.toAlertItem(product, variant, inventory, threshold),
+            productStatus: product.status,
+            image: product.images?.find(image => image.isDefault)?.url || product.images?.[0]?.url || null,
+          });
+        }
+      }
+    }
+
+    return items.sort((a, b) => a.inventory - b.inventory);
+  }
+
+  /**
+   * Send the daily digest to stores whose local digest hour has arrived and
+   * who have not had one yet today
+   */
+  async sendDailyDigests(now = new Date()) {
+    const stores = await Store.find({
+      'inventoryAlerts.enabled': { $ne: false },
+      'inventoryAlerts.mode': 'daily_digest',
+    });
+
+    let sent = 0;
+
+    for (const store of stores) {
+      try {
+        const timeZone = TimeUtils.isValidTimeZone(store.timezone) ? store.timezone : DEFAULT_TIMEZONE;
+        const { hour } = TimeUtils.getZonedParts(now, timeZone);
+        const lastSentAt = store.inventoryAlerts.lastDigestSentAt;
+
+        if (hour < (store.inventoryAlerts.digestHour ?? 8)) continue;
+        if (lastSentAt && TimeUtils.getZonedDateKey(lastSentAt, timeZone) === TimeUtils.getZonedDateKey(now, timeZone)) {
+          continue;
+        }
+
+        // Claim today's digest first so overlapping runs cannot send it twice
+        const claim = await Store.updateOne(
+          { _id: store._id, 'inventoryAlerts.lastDigestSentAt': lastSentAt || null },
+          { $set: { 'inventoryAlerts.lastDigestSentAt': now } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        const items = await this.getLowStockItems(store._id);
+        if (items.length) {
+          await this.sendAlert(store, items, { isDigest: true });
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Failed to send stock digest for store ${store._id}:`, error);
+      }
+    }
+
+    return { stores: stores.length, sent };
+  }
+}
+
+module.exports = new StockAlertService();
@@ -28,9 +28,16 @@ class StripeService {
     });
   }
 
-  async createCheckoutSession(customerId, priceId, successUrl, cancelUrl) {
+  /**
+   * Subscription checkout for one of our users. The user id goes on the session
+   * and on the subscription so the webhook can link them back to the user.
+   */
+  async createCheckoutSession({ customerId, priceId, userId, planId, successUrl, cancelUrl }) {
+    const metadata = { userId: String(userId), planId: String(planId) };
+
     return this.stripe.checkout.sessions.create({
       customer: customerId,
+      client_reference_id: String(userId),
       line_items: [
         {
           price: priceId,
@@ -38,11 +45,37 @@ class StripeService {
         },
       ],
       mode: 'subscription',
+      metadata,
+      subscription_data: { metadata },
       success_url: successUrl,
       cancel_url: cancelUrl,
     });
   }
 
+  /**
+   * Create a recurring price for a plan, and its product if it has none yet
+   * @returns {Promise<{productId: string, priceId: string}>}
+   */
+  async createPlanPrice({ productId, name, amount, currency, interval }) {
+    const product = productId
+      ? { id: productId }
+      : await this.stripe.products.create({ name });
+
+    const price = await this.stripe.prices.create({
+      product: product.id,
+      unit_amount: Math.round(amount * 100),
+      currency,
+      recurring: { interval: interval === 'yearly' ? 'year' : 'month' },
+    });
+
+    return { productId: product.id, priceId: price.id };
+  }
+
+  // Stripe prices can't be changed, only retired so no new checkout uses them
+  async deactivatePrice(priceId) {
+    return this.stripe.prices.update(priceId, { active: false });
+  }
+
   async cancelSubscription(subscriptionId) {
     return this.stripe.subscriptions.cancel(subscriptionId);
   }
@@ -51,6 +84,52 @@ class StripeService {
     return this.stripe.subscriptions.retrieve(subscriptionId);
   }
 
+  /**
+   * The invoice a switch to another price would produce, with its prorations.
+   * Pass the same prorationDate to changeSubscriptionPrice so the charge matches.
+   */
+  async previewSubscriptionChange(subscription, priceId, prorationDate) {
+    return this.stripe.invoices.createPreview({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_details: {
+        items: [{ id: subscription.items.data[0].id, price: priceId }],
+        proration_behavior: 'create_prorations',
+        proration_date: prorationDate,
+      },
+    });
+  }
+
+  async changeSubscriptionPrice(subscription, priceId, prorationDate) {
+    return this.stripe.subscriptions.update(subscription.id, {
+      items: [{ id: subscription.items.data[0].id, price: priceId }],
+      proration_behavior: 'create_prorations',
+      proration_date: prorationDate,
+      cancel_at_period_end: false,
+    });
+  }
+
+  async setCancelAtPeriodEnd(subscriptionId, cancelAtPeriodEnd) {
+    return this.stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: cancelAtPeriodEnd,
+    });
+  }
+
+  async listInvoices(customerId, { limit = 12, startingAfter } = {}) {
+    return this.stripe.invoices.list({
+      customer: customerId,
+      limit,
+      starting_after: startingAfter,
+    });
+  }
+
+  async createBillingPortalSession(customerId, returnUrl) {
+    return this.stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+    });
+  }
+
   async constructWebhookEvent(payload, signature) {
     return this.stripe.webhooks.constructEvent(
       payload,
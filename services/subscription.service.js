@@ -0,0 +1,420 @@
+const BusinessSubscription = require('../models/business-subscription.model');
+const SubscriptionPlan = require('../models/subscription-plan.model');
+const StripeEvent = require('../models/stripe-event.model');
+const Business = require('../models/business.model');
+const User = require('../models/user.model');
+const stripeService = require('./stripe.service');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const fromUnix = seconds => (seconds ? new Date(seconds * 1000) : undefined);
+
+// Stripe spells it "canceled"; subscriptions here use "cancelled"
+const toStatus = stripeStatus => (stripeStatus === 'canceled' ? 'cancelled' : stripeStatus);
+
+const idOf = value => (value && typeof value === 'object' ? value.id : value);
+
+const toAmount = cents => cents / 100;
+
+// Subscriptions that have ended and can't be changed any more
+const ENDED_STATUSES = ['cancelled', 'incomplete_expired'];
+
+class SubscriptionService {
+  constructor() {
+    this.handlers = {
+      'checkout.session.completed': this.handleCheckoutCompleted,
+      'customer.subscription.created': this.handleSubscriptionChange,
+      'customer.subscription.updated': this.handleSubscriptionChange,
+      'customer.subscription.deleted': this.handleSubscriptionChange,
+      'invoice.payment_failed': this.handlePaymentFailed,
+    };
+  }
+
+  /**
+   * Apply a verified Stripe event once. A redelivery of an event that was already
+   * processed is acknowledged without doing anything; one that failed is retried.
+   * @returns {Promise<{status: string, duplicate?: boolean}>}
+   */
+  async handleEvent(event) {
+    const handler = this.handlers[event.type];
+
+    let record;
+    try {
+      record = await StripeEvent.findOneAndUpdate(
+        { eventId: event.id, status: { $nin: ['processed', 'ignored'] } },
+        {
+          $set: { status: 'processing' },
+          $setOnInsert: { type: event.type, stripeCreatedAt: fromUnix(event.created) },
+          $inc: { attempts: 1 },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // The upsert collides with the stored event when it was already handled
+      if (error.code === 11000) {
+        return { status: 'processed', duplicate: true };
+      }
+      throw error;
+    }
+
+    if (!handler) {
+      await StripeEvent.updateOne({ _id: record._id }, { $set: { status: 'ignored', processedAt: new Date() } });
+      return { status: 'ignored' };
+    }
+
+    try {
+      await handler.call(this, event.data.object, event);
+    } catch (error) {
+      await StripeEvent.updateOne({ _id: record._id }, { $set: { status: 'failed', error: error.message } });
+      throw error;
+    }
+
+    await StripeEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'processed', processedAt: new Date() }, $unset: { error: 1 } }
+    );
+
+    return { status: 'processed' };
+  }
+
+  /**
+   * Checkout finished: link the Stripe customer and subscription to the owner
+   * who started the checkout (client_reference_id)
+   */
+  async handleCheckoutCompleted(session, event) {
+    if (session.mode !== 'subscription' || !session.subscription) return;
+
+    const userId = session.client_reference_id || session.metadata?.userId;
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      throw new Error(`Checkout session ${session.id} does not belong to a known user`);
+    }
+
+    const customerId = idOf(session.customer);
+    if (customerId && user.stripeCustomerId !== customerId) {
+      user.stripeCustomerId = customerId;
+      await user.save();
+    }
+
+    const business = await Business.findOne({ ownerId: user._id }, '_id');
+    const paid = ['paid', 'no_payment_required'].includes(session.payment_status);
+
+    // The subscription events may arrive before or after this one. Whichever
+    // comes first creates the record; the status is only set here if none has been.
+    const subscription = await BusinessSubscription.findOneAndUpdate(
+      { stripeSubscriptionId: idOf(session.subscription) },
+      {
+        $set: { userId: user._id, businessId: business?._id, stripeCustomerId: customerId },
+        $setOnInsert: { status: paid ? 'active' : 'incomplete', lastEventAt: fromUnix(event.created) },
+      },
+      { upsert: true, new: true }
+    );
+
+    await this.syncUserPlan(subscription.userId);
+  }
+
+  /**
+   * customer.subscription.created / updated / deleted: copy the subscription's
+   * state onto its record, unless a newer event has already been applied
+   */
+  async handleSubscriptionChange(stripeSubscription, event) {
+    const existing = await BusinessSubscription.findOne({ stripeSubscriptionId: stripeSubscription.id });
+    const eventAt = fromUnix(event.created);
+
+    if (existing?.lastEventAt && existing.lastEventAt > eventAt) return;
+
+    const customerId = idOf(stripeSubscription.customer);
+    const userId = existing?.userId
+      || stripeSubscription.metadata?.userId
+      || (await User.findOne({ stripeCustomerId: customerId }, '_id'))?._id;
+
+    // Newer API versions report the billing period on the subscription item
+    const item = stripeSubscription.items?.data?.[0];
+    const priceId = item?.price?.id;
+    const plan = priceId ? await SubscriptionPlan.findOne({ stripePriceId: priceId }, '_id') : null;
+
+    const update = {
+      status: event.type === 'customer.subscription.deleted' ? 'cancelled' : toStatus(stripeSubscription.status),
+      stripeCustomerId: customerId,
+      stripePriceId: priceId,
+      planId: plan?._id,
+      currentPeriodStart: fromUnix(stripeSubscription.current_period_start ?? item?.current_period_start),
+      currentPeriodEnd: fromUnix(stripeSubscription.current_period_end ?? item?.current_period_end),
+      cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end),
+      cancelledAt: fromUnix(stripeSubscription.canceled_at),
+      lastEventAt: eventAt,
+    };
+
+    if (userId) {
+      update.userId = userId;
+      update.businessId = existing?.businessId || (await Business.findOne({ ownerId: userId }, '_id'))?._id;
+    }
+
+    if (update.status === 'active') {
+      update.lastPaymentError = null;
+    }
+
+    await BusinessSubscription.updateOne(
+      { stripeSubscriptionId: stripeSubscription.id },
+      { $set: update },
+      { upsert: true }
+    );
+
+    if (userId) {
+      await this.syncUserPlan(userId);
+    }
+  }
+
+  /**
+   * invoice.payment_failed: record why, and mark the subscription past due
+   * until Stripe reports otherwise
+   */
+  async handlePaymentFailed(invoice, event) {
+    const subscriptionId = idOf(invoice.subscription)
+      || invoice.parent?.subscription_details?.subscription;
+    if (!subscriptionId) return;
+
+    const subscription = await BusinessSubscription.findOne({ stripeSubscriptionId: subscriptionId });
+    if (!subscription) {
+      // The subscription events create the record; let Stripe redeliver this one after them
+      throw new Error(`No subscription record for ${subscriptionId} yet`);
+    }
+
+    subscription.lastPaymentError = invoice.last_finalization_error?.message
+      || `Payment of ${(invoice.amount_due / 100).toFixed(2)} ${String(invoice.currency).toUpperCase()} failed (attempt ${invoice.attempt_count})`;
+
+    const eventAt = fromUnix(event.created);
+    if (subscription.status === 'active' && (!subscription.lastEventAt || subscription.lastEventAt <= eventAt)) {
+      subscription.status = 'past_due';
+      subscription.lastEventAt = eventAt;
+    }
+
+    await subscription.save();
+
+    if (subscription.userId) {
+      await this.syncUserPlan(subscription.userId);
+    }
+  }
+
+  /**
+   * Move the owner to the highest tier among the plans they are paying for, or
+   * to free when they have no paid subscription. A subscription to a price that
+   * belongs to no plan still counts as growth.
+   */
+  async syncUserPlan(userId) {
+    const subscriptions = await BusinessSubscription.find({ userId, status: { $in: BusinessSubscription.PAID_STATUSES } }, 'planId')
+      .populate('planId', 'tier');
+    const plan = subscriptions.some(subscription => subscription.planId?.tier !== 'free') ? 'growth' : 'free';
+
+    await User.updateOne({ _id: userId, plan: { $ne: plan } }, { $set: { plan } });
+
+    return plan;
+  }
+
+  /**
+   * The owner's own subscription that has not ended, newest first
+   */
+  async getCurrentSubscription(userId) {
+    return BusinessSubscription.findOne({ userId, status: { $nin: ENDED_STATUSES } })
+      .sort({ createdAt: -1 })
+      .populate('planId', 'slug name tier price currency interval');
+  }
+
+  async requireCurrentSubscription(userId) {
+    const subscription = await this.getCurrentSubscription(userId);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      throw new NotFoundError('No active subscription found');
+    }
+    return subscription;
+  }
+
+  /**
+   * Check a plan switch is allowed and load what it needs from Stripe
+   */
+  async preparePlanChange(userId, planSlug) {
+    const subscription = await this.requireCurrentSubscription(userId);
+
+    if (!['active', 'trialing'].includes(subscription.status)) {
+      throw new ValidationError('Plans can only be changed on an active subscription. Settle any unpaid invoices first.');
+    }
+
+    const plan = await SubscriptionPlan.findOne({ slug: planSlug, isActive: true });
+    if (!plan) {
+      throw new NotFoundError('Plan not found');
+    }
+    if (!plan.stripePriceId) {
+      throw new ValidationError(`To move to ${plan.name}, cancel your subscription instead`);
+    }
+    if (plan.stripePriceId === subscription.stripePriceId) {
+      throw new ValidationError(`You are already on ${plan.name}`);
+    }
+
+    const stripeSubscription = await stripeService.getSubscription(subscription.stripeSubscriptionId);
+
+    return { subscription, plan, stripeSubscription };
+  }
+
+  /**
+   * What switching to another plan would cost now, with the unused time on the
+   * current plan credited. Confirm with the returned prorationDate to be charged
+   * exactly what was previewed.
+   */
+  async previewPlanChange(userId, planSlug) {
+    const { plan, stripeSubscription } = await this.preparePlanChange(userId, planSlug);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const invoice = await stripeService.previewSubscriptionChange(stripeSubscription, plan.stripePriceId, prorationDate);
+
+    // Newer API versions flag prorations on the line's parent
+    const prorations = invoice.lines.data.filter(line => line.proration ?? line.parent?.subscription_item_details?.proration);
+
+    return {
+      plan: { id: plan.slug, name: plan.name, price: plan.price, interval: plan.interval },
+      prorationDate,
+      currency: invoice.currency,
+      prorationAmount: toAmount(prorations.reduce((sum, line) => sum + line.amount, 0)),
+      amountDue: toAmount(invoice.amount_due),
+      lines: invoice.lines.data.map(line => ({
+        description: line.description,
+        amount: toAmount(line.amount),
+        proration: Boolean(line.proration ?? line.parent?.subscription_item_details?.proration),
+      })),
+    };
+  }
+
+  /**
+   * Move the owner's subscription to another plan, prorating the difference
+   * @param {number} prorationDate - From the preview; defaults to now
+   */
+  async changePlan(userId, planSlug, prorationDate) {
+    const { subscription, plan, stripeSubscription } = await this.preparePlanChange(userId, planSlug);
+
+    const now = Math.floor(Date.now() / 1000);
+    const date = prorationDate ? parseInt(prorationDate) : now;
+    if (isNaN(date) || date > now || date < now - 60 * 60) {
+      throw new ValidationError('The plan change preview has expired. Preview the change again.');
+    }
+
+    await stripeService.changeSubscriptionPrice(stripeSubscription, plan.stripePriceId, date);
+
+    // The subscription.updated webhook confirms this; set it now so the change shows straight away
+    subscription.planId = plan._id;
+    subscription.stripePriceId = plan.stripePriceId;
+    subscription.cancelAtPeriodEnd = false;
+    await subscription.save();
+    await this.syncUserPlan(userId);
+
+    return subscription.populate('planId', 'slug name tier price currency interval');
+  }
+
+  /**
+   * Stop the subscription renewing; paid features stay until the period ends
+   */
+  async cancelAtPeriodEnd(userId) {
+    const subscription = await this.requireCurrentSubscription(userId);
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new ValidationError('Your subscription is already set to cancel at the end of the billing period');
+    }
+
+    await stripeService.setCancelAtPeriodEnd(subscription.stripeSubscriptionId, true);
+
+    subscription.cancelAtPeriodEnd = true;
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * Undo a cancellation before the period ends
+   */
+  async resume(userId) {
+    const subscription = await this.requireCurrentSubscription(userId);
+
+    if (!subscription.cancelAtPeriodEnd) {
+      throw new ValidationError('Your subscription is not set to cancel');
+    }
+
+    await stripeService.setCancelAtPeriodEnd(subscription.stripeSubscriptionId, false);
+
+    subscription.cancelAtPeriodEnd = false;
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * The owner's past invoices from Stripe, newest first
+   */
+  async listInvoices(user, { limit = 12, startingAfter } = {}) {
+    if (!user.stripeCustomerId) {
+      return { invoices: [], hasMore: false };
+    }
+
+    const invoices = await stripeService.listInvoices(user.stripeCustomerId, {
+      limit: Math.min(parseInt(limit) || 12, 100),
+      startingAfter,
+    });
+
+    return {
+      invoices: invoices.data.map(invoice => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        currency: invoice.currency,
+        amountDue: toAmount(invoice.amount_due),
+        amountPaid: toAmount(invoice.amount_paid),
+        createdAt: new Date(invoice.created * 1000),
+        periodStart: new Date(invoice.period_start * 1000),
+        periodEnd: new Date(invoice.period_end * 1000),
+        hostedInvoiceUrl: invoice.hosted_invoice_url,
+        invoicePdf: invoice.invoice_pdf,
+      })),
+      hasMore: invoices.has_more,
+    };
+  }
+
+  /**
+   * A Stripe billing portal session for updating payment methods and billing details
+   */
+  async createPortalSession(user, returnUrl) {
+    if (!user.stripeCustomerId) {
+      throw new NotFoundError('No billing account found. Subscribe to a plan first.');
+    }
+
+    return stripeService.createBillingPortalSession(user.stripeCustomerId, returnUrl);
+  }
+
+  /**
+   * Give a paid plan a Stripe price matching its amount and interval. Stripe
+   * prices are immutable, so a changed amount gets a new price and the old one is
+   * retired; existing subscribers stay on the price they signed up at.
+   * @param {Object} plan - Plan document, not yet saved
+   * @param {Object} previous - { price, interval, currency } before the change, when updating
+   */
+  async syncPlanPrice(plan, previous) {
+    if (plan.price === 0) return plan;
+
+    const changed = previous && ['price', 'interval', 'currency'].some(field => previous[field] !== plan[field]);
+    if (plan.stripePriceId && !changed) return plan;
+
+    const oldPriceId = plan.stripePriceId;
+    const { productId, priceId } = await stripeService.createPlanPrice({
+      productId: plan.stripeProductId,
+      name: plan.name,
+      amount: plan.price,
+      currency: plan.currency,
+      interval: plan.interval,
+    });
+
+    plan.stripeProductId = productId;
+    plan.stripePriceId = priceId;
+
+    if (oldPriceId) {
+      await stripeService.deactivatePrice(oldPriceId);
+    }
+
+    return plan;
+  }
+}
+
+module.exports = new SubscriptionService();
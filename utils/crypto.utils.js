@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+class CryptoUtils {
+  // 32-byte key from CREDENTIALS_ENCRYPTION_KEY, falling back to JWT_SECRET
+  static getKey() {
+    const secret = process.env.CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  /**
+   * Encrypt a secret for storage as "v1:iv:tag:ciphertext" (base64 parts)
+   */
+  static encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+  }
+
+  static decrypt(payload) {
+    const [version, iv, tag, encrypted] = String(payload).split(':');
+    if (version !== VERSION || !iv || !tag || !encrypted) {
+      throw new Error('Unrecognised encrypted value');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Last characters of a secret, for showing which key is saved
+  static mask(value, visible = 4) {
+    if (!value) return null;
+    return `${'*'.repeat(8)}${String(value).slice(-visible)}`;
+  }
+}
+
+module.exports = CryptoUtils;
@@ -34,10 +34,34 @@ class AuthorizationError extends ApiError {
   }
 }
 
+class PriceMismatchError extends ApiError {
+  constructor(quote, errors = [], message = 'Prices have changed since your cart was priced. Please review the updated quote.') {
+    super(message, 409, errors);
+    this.quote = quote;
+  }
+}
+
+class PlanLimitError extends ApiError {
+  constructor(message = 'Your plan limit has been reached. Upgrade to continue.', details = {}) {
+    super(message, 402);
+    this.details = details;
+  }
+}
+
+class InvalidTransitionError extends ApiError {
+  constructor(message = 'This status change is not allowed', details = {}) {
+    super(message, 409);
+    this.details = details;
+  }
+}
+
 module.exports = {
   ApiError,
   NotFoundError,
   ValidationError,
   AuthenticationError,
-  AuthorizationError
+  AuthorizationError,
+  PriceMismatchError,
+  PlanLimitError,
+  InvalidTransitionError
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { ValidationError, InvalidTransitionError } = require('./errors');
+
+const label = (status) => status.replace(/_/g, ' ');
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * A declared status graph: each status maps to the statuses it may move to
+ * next. Statuses with no next statuses are final.
+ */
+class StatusMachine {
+  constructor(entity, transitions, initial) {
+    this.entity = entity;
+    this.transitions = transitions;
+    this.initial = initial;
+    this.states = Object.keys(transitions);
+  }
+
+  allowedFrom(status) {
+    return this.transitions[status] || [];
+  }
+
+  isFinal(status) {
+    return this.allowedFrom(status).length === 0;
+  }
+
+  // Staying in the same status is not a transition and is always allowed
+  canTransition(from, to) {
+    return from === to || this.allowedFrom(from).includes(to);
+  }
+
+  /**
+   * Throw unless `from` may move to `to`: a ValidationError for a status that
+   * does not exist, an InvalidTransitionError (409) listing the allowed next
+   * statuses otherwise
+   */
+  assertTransition(from, to) {
+    if (!this.states.includes(to)) {
+      throw new ValidationError(`${capitalize(this.entity)} status must be one of: ${this.states.join(', ')}`);
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw this.transitionError(from, to);
+    }
+  }
+
+  transitionError(from, to) {
+    const allowed = this.allowedFrom(from);
+    const message = allowed.length
+      ? `Cannot change ${this.entity} status from ${label(from)} to ${label(to)}. Allowed next statuses: ${allowed.join(', ')}`
+      : `${capitalize(this.entity)} is ${label(from)} and its status can no longer change`;
+
+    return new InvalidTransitionError(message, { entity: this.entity, from, to, allowed });
+  }
+
+  // The graph as the dashboard reads it
+  toJSON() {
+    return {
+      entity: this.entity,
+      initial: this.initial,
+      states: this.states,
+      final: this.states.filter(status => this.isFinal(status)),
+      transitions: this.transitions,
+    };
+  }
+}
+
+module.exports = StatusMachine;
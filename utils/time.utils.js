@@ -42,6 +42,89 @@ class TimeUtils {
 
     return !(end1Value <= start2Value || start1Value >= end2Value);
   }
+
+  static isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+  }
+
+  /**
+   * Like isTimeInRange, but a window whose end is before its start runs past midnight
+   */
+  static isTimeInWindow(time, start, end) {
+    if (start <= end) {
+      return TimeUtils.isTimeInRange(time, start, end);
+    }
+    return !TimeUtils.isTimeInRange(time, end, start);
+  }
+
+  static isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock parts of a date in a time zone
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+   */
+  static getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute'),
+    };
+  }
+
+  /**
+   * The UTC moment of a wall-clock date and time (YYYY-MM-DDTHH:mm[:ss]) in a time zone.
+   * Returns null for malformed input and for local times skipped by a DST change.
+   */
+  static zonedTimeToUtc(localDateTime, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const target = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+    // Correct the guess by the zone's offset; twice so a DST boundary settles
+    let utc = target;
+    for (let i = 0; i < 2; i++) {
+      const parts = TimeUtils.getZonedParts(new Date(utc), timeZone);
+      const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, new Date(utc).getUTCSeconds());
+      utc += target - wallClock;
+    }
+
+    const parts = TimeUtils.getZonedParts(new Date(utc), timeZone);
+    const roundTrip = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, new Date(utc).getUTCSeconds());
+
+    return roundTrip === target ? new Date(utc) : null;
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD) of a moment in a time zone
+   */
+  static getZonedDateKey(date, timeZone) {
+    const { year, month, day } = TimeUtils.getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
 }
 
 module.exports = TimeUtils; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+class VariantUtils {
+  /**
+   * Resolve the variant a cart/order item refers to, by variant id or SKU
+   * @param {Object} product - Product document with variants
+   * @param {Object} item - Incoming item ({ variantId, variantSku })
+   * @returns {{variantDoc: Object|null, resolvedVariantId: ObjectId|null, variantSkuFromInput: string|undefined}}
+   */
+  static resolveVariantSelection(product, item = {}) {
+    if (!product?.variants?.length) {
+      return {
+        variantDoc: null,
+        resolvedVariantId: null,
+        variantSkuFromInput: undefined,
+      };
+    }
+
+    const normalize = (value) => typeof value === 'string' ? value.trim() : value;
+    const normalizedVariantId = normalize(item.variantId);
+    const normalizedVariantSku = normalize(item.variantSku);
+
+    let variantDoc = null;
+    let resolvedVariantId = null;
+
+    if (normalizedVariantId && mongoose.Types.ObjectId.isValid(normalizedVariantId)) {
+      variantDoc = product.variants.id(normalizedVariantId);
+      if (variantDoc) {
+        resolvedVariantId = variantDoc._id;
+      }
+    }
+
+    const matchSku = (skuValue) => {
+      if (!skuValue) return null;
+      const normalizedSku = skuValue.toString().trim().toLowerCase();
+      if (!normalizedSku) return null;
+      return product.variants.find((variant) => variant.sku?.toLowerCase() === normalizedSku) || null;
+    };
+
+    if (!variantDoc && normalizedVariantId && typeof normalizedVariantId === 'string' && !mongoose.Types.ObjectId.isValid(normalizedVariantId)) {
+      variantDoc = matchSku(normalizedVariantId);
+    }
+
+    if (!variantDoc) {
+      variantDoc = matchSku(normalizedVariantSku);
+    }
+
+    if (variantDoc && !resolvedVariantId) {
+      resolvedVariantId = variantDoc._id;
+    }
+
+    const variantSkuFromInput = normalizedVariantSku
+      || (typeof normalizedVariantId === 'string' && !mongoose.Types.ObjectId.isValid(normalizedVariantId)
+        ? normalizedVariantId
+        : undefined);
+
+    return {
+      variantDoc,
+      resolvedVariantId,
+      variantSkuFromInput,
+    };
+  }
+
+  /**
+   * Catalog unit price for a product, preferring the selected variant
+   */
+  static getCatalogPrice(product, variantDoc) {
+    if (typeof variantDoc?.price === 'number') return variantDoc.price;
+    return typeof product.price === 'number' ? product.price : product.basePrice;
+  }
+}
+
+module.exports = VariantUtils;